@@ -0,0 +1,113 @@
+// backend/employer-registry.js
+// Matching employer and branch names typed on forms against the Employer and
+// Branch registry. index.js uses it to validate submissions, transfers and
+// searches; migrate-employers.js clusters the free-text names already in the
+// database into registry entries with it.
+const { stringSimilarity } = require('./string-similarity');
+
+const NAME_STOPWORDS = new Set(['THE', 'OF', 'AND', 'PLC', 'LTD', 'LIMITED', 'CO', 'COMPANY']);
+
+function nameWords(value) {
+  return String(value || '')
+    .toUpperCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^A-Z0-9]+/)
+    .filter((word) => word && !NAME_STOPWORDS.has(word));
+}
+
+// What two spellings must share to be the same name: "CRDB Bank PLC" and
+// "crdb bank, limited" both give "CRDB BANK".
+function nameKey(value) {
+  return nameWords(value).join(' ');
+}
+
+// Short code for an employer: a leading acronym ("CRDB Bank PLC" → CRDB),
+// otherwise the initials ("National Microfinance Bank" → NMB).
+function employerCodeFor(name) {
+  const words = String(name || '')
+    .split(/[^A-Za-z0-9]+/)
+    .filter((word) => word && !NAME_STOPWORDS.has(word.toUpperCase()));
+  if (!words.length) return 'GEN';
+  if (words.length === 1 || /^[A-Z0-9]{2,6}$/.test(words[0])) return words[0].slice(0, 6).toUpperCase();
+  return words.map((word) => word[0]).join('').slice(0, 6).toUpperCase();
+}
+
+// 0..1 between two names, ignoring case, punctuation and stopwords.
+function nameSimilarity(a, b) {
+  return stringSimilarity(nameKey(a), nameKey(b));
+}
+
+// An entry is a registry row ({ name, code, aliases }) and matches its name,
+// code and aliases.
+function entryKeys(entry) {
+  return [entry.name, entry.code, ...(entry.aliases || [])].filter(Boolean).map(nameKey);
+}
+
+function findEntry(entries, value) {
+  const key = nameKey(value);
+  if (!key) return null;
+  return entries.find((entry) => entryKeys(entry).includes(key)) || null;
+}
+
+// The entries closest to a name that matched nothing, best first.
+function suggestEntries(entries, value, limit = 3) {
+  return entries
+    .map((entry) => ({
+      entry,
+      score: Math.max(...[entry.name, ...(entry.aliases || [])].map((name) => nameSimilarity(name, value))),
+    }))
+    .filter(({ score }) => score >= 0.5)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ entry }) => entry);
+}
+
+// The first entry (other than the one with excludeId) that already answers to
+// one of the given names.
+function conflictingEntry(entries, names, excludeId = null) {
+  const keys = names.map(nameKey).filter(Boolean);
+  return entries.find((entry) => entry.id !== excludeId && entryKeys(entry).some((key) => keys.includes(key))) || null;
+}
+
+// Groups spellings of the same name. counts maps each spelling to how often
+// it is used; the most used spelling names the cluster. Spellings join when
+// their keys are equal, at least `threshold` similar, or (with acronyms) one
+// is a single word equal to the other's code ("NMB" and "National
+// Microfinance Bank").
+function clusterNames(counts, { threshold = 0.85, acronyms = false } = {}) {
+  const spellings = [...counts.keys()].filter((name) => nameKey(name));
+  const parent = spellings.map((_, i) => i);
+  const root = (i) => (parent[i] === i ? i : (parent[i] = root(parent[i])));
+
+  for (let i = 0; i < spellings.length; i += 1) {
+    for (let j = i + 1; j < spellings.length; j += 1) {
+      if (root(i) === root(j)) continue;
+      const [a, b] = [spellings[i], spellings[j]];
+      const single = (name) => nameWords(name).length === 1;
+      const sameAcronym = acronyms && (single(a) || single(b)) && employerCodeFor(a) === employerCodeFor(b);
+      if (sameAcronym || nameSimilarity(a, b) >= threshold) parent[root(j)] = root(i);
+    }
+  }
+
+  const clusters = new Map();
+  spellings.forEach((name, i) => {
+    const r = root(i);
+    if (!clusters.has(r)) clusters.set(r, []);
+    clusters.get(r).push(name);
+  });
+  return [...clusters.values()].map((names) => {
+    names.sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b));
+    return { name: names[0], names, count: names.reduce((sum, name) => sum + counts.get(name), 0) };
+  });
+}
+
+module.exports = {
+  nameKey,
+  employerCodeFor,
+  nameSimilarity,
+  findEntry,
+  suggestEntries,
+  conflictingEntry,
+  clusterNames,
+};
@@ -0,0 +1,120 @@
+// backend/file-references.js
+// Every database column that holds a stored file URL. migrate-storage.js
+// rewrites them when files move; gc-storage.js treats stored files none of
+// them mention as orphaned. A new column holding upload URLs belongs here,
+// or the garbage collector will delete its files.
+const path = require('path');
+const { Prisma } = require('@prisma/client');
+const { storageForUrl } = require('./storage');
+
+const BATCH_SIZE = 100;
+const ATTACHMENT_MARKER = '__ATTACHMENT_FILE__:';
+
+async function memberIdForEmployeeNumber(prisma, employeeNumber) {
+  if (!employeeNumber) return null;
+  const user = await prisma.user.findUnique({ where: { employeeNumber: String(employeeNumber) }, select: { id: true } });
+  return user ? user.id : null;
+}
+
+const userOwner = { select: { userId: true }, owner: (row) => row.userId };
+const formFolder = (key) => (path.posix.dirname(key) === 'forms/generated' ? 'forms/generated' : 'forms');
+
+// `json` columns hold { name: url } maps; `pattern` columns embed URLs in
+// text. folder is where migrate-storage --rekey puts a file and owner(row,
+// prisma) who it belongs to (see FILE_ACCESS_PERMISSIONS in index.js).
+const FILE_URL_COLUMNS = [
+  { model: 'user', field: 'profilePhotoUrl', folder: 'profiles', owner: (row) => row.id },
+  { model: 'user', field: 'profilePhotoVariants', json: true, folder: 'profiles', owner: (row) => row.id },
+  { model: 'idCard', field: 'rawPhotoUrl', folder: 'photos', ...userOwner },
+  { model: 'idCard', field: 'cleanPhotoUrl', folder: 'idcards', ...userOwner },
+  { model: 'idCard', field: 'photoVariants', json: true, folder: 'photos', ...userOwner },
+  { model: 'photoSubmission', field: 'photoUrl', folder: 'photos', ...userOwner },
+  { model: 'photoSubmission', field: 'finalPhotoUrl', folder: 'photos', ...userOwner },
+  { model: 'photoSubmission', field: 'photoVariants', json: true, folder: 'photos', ...userOwner },
+  {
+    model: 'photoCleanJob',
+    field: 'rawPhotoUrl',
+    folder: 'photos',
+    select: { card: { select: { userId: true } } },
+    owner: (row) => row.card.userId,
+  },
+  {
+    model: 'photoCleanJob',
+    field: 'cleanPhotoUrl',
+    folder: 'idcards',
+    select: { card: { select: { userId: true } } },
+    owner: (row) => row.card.userId,
+  },
+  {
+    model: 'submission',
+    field: 'pdfPath',
+    folder: formFolder,
+    select: { employeeNumber: true },
+    owner: (row, prisma) => memberIdForEmployeeNumber(prisma, row.employeeNumber),
+  },
+  {
+    model: 'submission',
+    field: 'generatedPdfPath',
+    folder: formFolder,
+    select: { employeeNumber: true },
+    owner: (row, prisma) => memberIdForEmployeeNumber(prisma, row.employeeNumber),
+  },
+  { model: 'officialDocument', field: 'fileUrl', folder: 'documents' },
+  { model: 'idCardPrintBatch', field: 'pdfUrl', folder: 'idcards/print-batches' },
+  { model: 'idCardPrintBatch', field: 'manifestUrl', folder: 'idcards/print-batches' },
+  {
+    model: 'complaintReply',
+    field: 'message',
+    pattern: /__ATTACHMENT_FILE__:(\S+)/g,
+    folder: 'complaints',
+    select: { complaint: { select: { userId: true } } },
+    owner: (row) => row.complaint.userId,
+  },
+];
+
+// The URLs a column value refers to.
+function urlsInValue(value, column) {
+  if (column.json) return value && typeof value === 'object' ? Object.values(value).filter((url) => typeof url === 'string') : [];
+  if (column.pattern) return [...String(value || '').matchAll(column.pattern)].map((m) => m[1]);
+  return typeof value === 'string' && value ? [value] : [];
+}
+
+// Calls onRow(row) for every row with a value in the column, in id order and
+// BATCH_SIZE rows at a time. Rows may be updated from onRow.
+async function forEachFileUrlRow(prisma, column, onRow) {
+  const { model, field, json, pattern } = column;
+  let cursor = 0;
+  for (;;) {
+    const where = { id: { gt: cursor }, [field]: { not: json ? Prisma.DbNull : null } };
+    if (pattern) where[field] = { contains: ATTACHMENT_MARKER };
+    const rows = await prisma[model].findMany({
+      where,
+      select: { id: true, [field]: true, ...column.select },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+    });
+    if (!rows.length) return;
+    cursor = rows[rows.length - 1].id;
+    for (const row of rows) await onRow(row);
+  }
+}
+
+// "<driver>:<key>" for every stored file the database refers to. A
+// transformed Cloudinary URL also keeps the upload it is derived from.
+async function collectReferencedFiles(prisma) {
+  const referenced = new Set();
+  for (const column of FILE_URL_COLUMNS) {
+    await forEachFileUrlRow(prisma, column, (row) => {
+      for (const url of urlsInValue(row[column.field], column)) {
+        const driver = storageForUrl(url);
+        if (!driver) continue;
+        for (const key of [driver.keyFor(url), driver.sourceKeyFor(url)]) {
+          if (key) referenced.add(`${driver.name}:${key}`);
+        }
+      }
+    });
+  }
+  return referenced;
+}
+
+module.exports = { FILE_URL_COLUMNS, urlsInValue, forEachFileUrlRow, collectReferencedFiles };
@@ -0,0 +1,143 @@
+// backend/gc-storage.js
+// Finds stored files no database row refers to any more (left behind by
+// permanent deletes and replaced photos) and deletes them after a grace
+// period. Meant to run nightly from cron.
+//
+//   node gc-storage.js [--dry-run] [--grace-days 7] [--driver local] [--driver cloudinary]
+//
+// Every folder in STORAGE_FOLDERS is listed on each driver (all configured
+// drivers unless --driver is given) and checked against FILE_URL_COLUMNS. The
+// first run that finds a file orphaned records that in StoredFile.orphanedAt;
+// a later run deletes it once that is older than the grace period
+// (STORAGE_GC_GRACE_DAYS, default 7), unless something refers to it again by
+// then. A leftover copy of a file that was moved to another driver has no
+// registry row of its own, so its age is used instead. --dry-run only reports.
+require('dotenv').config();
+const { PrismaClient } = require('@prisma/client');
+const { STORAGE_FOLDERS, configuredStorageNames, contentTypeFor, getStorage } = require('./storage');
+const { collectReferencedFiles } = require('./file-references');
+
+const prisma = new PrismaClient();
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LOOKUP_CHUNK = 1000;
+
+function parseArgs(argv) {
+  const args = { dryRun: false, graceDays: Number(process.env.STORAGE_GC_GRACE_DAYS || 7), drivers: [] };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--dry-run') args.dryRun = true;
+    else if (arg === '--grace-days') args.graceDays = Number(argv[++i]);
+    else if (arg === '--driver') args.drivers.push(argv[++i]);
+    else throw new Error(`Unknown argument ${arg}`);
+  }
+  if (!Number.isFinite(args.graceDays) || args.graceDays < 0) throw new Error('--grace-days must be a number of days (0 or more)');
+  if (!args.drivers.length) args.drivers = configuredStorageNames();
+  return args;
+}
+
+function formatSize(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+async function registryRowsFor(keys) {
+  const rows = new Map();
+  for (let i = 0; i < keys.length; i += LOOKUP_CHUNK) {
+    const found = await prisma.storedFile.findMany({ where: { key: { in: keys.slice(i, i + LOOKUP_CHUNK) } } });
+    for (const row of found) rows.set(row.key, row);
+  }
+  return rows;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const now = new Date();
+  const cutoff = new Date(now.getTime() - args.graceDays * DAY_MS);
+  try {
+    await collectGarbage(args, now, cutoff);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+async function collectGarbage(args, now, cutoff) {
+  const referenced = await collectReferencedFiles(prisma);
+  console.log(`🔎 ${referenced.size} stored files referenced; grace period ${args.graceDays} days${args.dryRun ? ' (dry run)' : ''}`);
+
+  let failures = 0;
+  for (const name of args.drivers) {
+    const driver = getStorage(name);
+    const stats = { files: 0, orphaned: 0, orphanedBytes: 0, marked: 0, waiting: 0, deleted: 0, deletedBytes: 0, restored: 0 };
+
+    for (const folder of STORAGE_FOLDERS) {
+      let files;
+      try {
+        files = await driver.list(folder);
+      } catch (err) {
+        failures += 1;
+        console.error(`❌ could not list ${name}:${folder}:`, err.message);
+        continue;
+      }
+      stats.files += files.length;
+      const rows = await registryRowsFor(files.map((file) => file.key));
+      const restored = [];
+
+      for (const file of files) {
+        const row = rows.get(file.key);
+        const own = row && row.driver === name ? row : null;
+        if (referenced.has(`${name}:${file.key}`)) {
+          if (own && own.orphanedAt) restored.push(own.id);
+          continue;
+        }
+
+        stats.orphaned += 1;
+        stats.orphanedBytes += file.size || 0;
+        const orphanedSince = own ? own.orphanedAt : row ? file.modifiedAt : null;
+        try {
+          if (!orphanedSince) {
+            stats.marked += 1;
+            console.log(`🕒 orphaned ${name}:${file.key} (${formatSize(file.size || 0)})`);
+            if (args.dryRun) continue;
+            if (own) {
+              await prisma.storedFile.update({ where: { id: own.id }, data: { orphanedAt: now } });
+            } else {
+              await prisma.storedFile.create({
+                data: { key: file.key, driver: name, contentType: contentTypeFor(file.key), size: file.size || 0, orphanedAt: now },
+              });
+            }
+            continue;
+          }
+          if (orphanedSince > cutoff) {
+            stats.waiting += 1;
+            continue;
+          }
+
+          console.log(`🗑️ ${args.dryRun ? 'would delete' : 'deleting'} ${name}:${file.key} (orphaned since ${orphanedSince.toISOString()})`);
+          if (args.dryRun) continue;
+          await driver.delete(file.url);
+          if (own) await prisma.storedFile.delete({ where: { id: own.id } });
+          stats.deleted += 1;
+          stats.deletedBytes += file.size || 0;
+        } catch (err) {
+          failures += 1;
+          console.error(`❌ ${name}:${file.key}:`, err.message);
+        }
+      }
+
+      // Referenced again (e.g. a restored record) before the grace period ran out.
+      if (restored.length && !args.dryRun) {
+        await prisma.storedFile.updateMany({ where: { id: { in: restored } }, data: { orphanedAt: null } });
+      }
+      stats.restored += restored.length;
+    }
+
+    console.log(`${args.dryRun ? '🧪' : '✅'} ${name}: ${stats.files} files, ${stats.orphaned} orphaned (${formatSize(stats.orphanedBytes)}): ` +
+      `${stats.marked} newly found, ${stats.waiting} in grace period, ${stats.deleted} deleted (${formatSize(stats.deletedBytes)}), ` +
+      `${stats.restored} referenced again`);
+  }
+  if (failures) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error('❌ storage garbage collection failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,21 @@
+// backend/idcard-number.js
+// The check character at the end of an ID card number (see
+// IDCARD_NUMBER_FORMAT in index.js): Luhn mod 36 over its letters and digits,
+// so a mistyped character or two swapped neighbours are caught.
+const CHECK_ALPHABET = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+
+function idCardCheckCharacter(value) {
+  const chars = String(value).toUpperCase().replace(/[^0-9A-Z]/g, "");
+  const n = CHECK_ALPHABET.length;
+  let factor = 2;
+  let sum = 0;
+  for (let i = chars.length - 1; i >= 0; i -= 1) {
+    let addend = factor * CHECK_ALPHABET.indexOf(chars[i]);
+    factor = factor === 2 ? 1 : 2;
+    addend = Math.floor(addend / n) + (addend % n);
+    sum += addend;
+  }
+  return CHECK_ALPHABET[(n - (sum % n)) % n];
+}
+
+module.exports = { idCardCheckCharacter };
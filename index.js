@@ -10,14 +10,17 @@ const multer = require('multer')
 const fs = require('fs')
 const path = require('path')
 const jwt = require('jsonwebtoken')
+const QRCode = require('qrcode')
+const PDFDocument = require('pdfkit')
+const { createCanvas, loadImage } = require('@napi-rs/canvas')
+const sharp = require('sharp')
 const bcrypt = require('bcrypt')
 const IS_VERCEL = !!process.env.VERCEL;
-const { PrismaClient } = require('@prisma/client')
+const { PrismaClient, Prisma } = require('@prisma/client')
 require('dotenv').config()
 //const pdfParse = require("pdf-parse");
 //const Tesseract = require("tesseract.js");
 let Tesseract = null;
-const streamifier = require('streamifier') // ✅ const import style
 const { v2: cloudinary } = require('cloudinary');
 // Configure Cloudinary
 cloudinary.config({
@@ -30,95 +33,37 @@ cloudinary.config({
 const PHOTO_MODE = process.env.PHOTO_MODE || (process.env.VERCEL ? "cloudinary" : "vps");
 
 
-// ------ Cloudinary folder configuration ------
-// the root folder (usually 'fibuca') and subfolders may vary per project.
-// allow overrides via env vars so the code can run in different accounts.
-const CLOUDINARY_BASE_FOLDER = process.env.CLOUDINARY_BASE_FOLDER || 'fibuca';
-const CLOUDINARY_FOLDERS = {
-  photos: process.env.CLOUDINARY_PHOTOS_FOLDER || 'photo',      // user-submitted ID card photos
-  forms: process.env.CLOUDINARY_FORMS_FOLDER || 'forms',      // PDF forms
-  idcards: process.env.CLOUDINARY_IDCARDS_FOLDER || 'id',      // cleaned ID card images
-  complaints: process.env.CLOUDINARY_COMPLAINTS_FOLDER || 'complaints', // complaint reply attachments
-  profiles: process.env.CLOUDINARY_PROFILES_FOLDER || 'profiles', // user profile photos
-  // if you ever want a separate folder for generated PDFs, add here
-};
-
-function cloudFolder(sub) {
-  return `${CLOUDINARY_BASE_FOLDER}/${sub}`;
-}
+// Uploaded files go through one storage driver (local disk, Cloudinary or
+// S3-compatible); see storage.js. PHOTO_MODE above only decides how photo
+// backgrounds are removed.
+const { getStorage, storageForUrl, readStoredFile, contentTypeFor, newFileKey, normalizeKey } = require('./storage')
+const storage = getStorage()
+// Also build the local driver now, so a missing file link secret stops the
+// server at boot rather than on the first upload.
+getStorage('local')
+const { employerCodeFor, findEntry, suggestEntries, conflictingEntry } = require('./employer-registry')
+const { editDistance, stringSimilarity } = require('./string-similarity')
+const { TOTP_STEP_SECONDS, TOTP_DIGITS, base32Encode, findMatchingTotpStep } = require('./totp')
+const { idCardCheckCharacter } = require('./idcard-number')
+const { SUBMISSION_SORT_FIELDS, submissionSearchError, encodeSubmissionCursor, decodeSubmissionCursor } = require('./submission-cursor')
+const { PHOTO_CHECK_LIMITS, hashDistance, buildPhotoChecks, rotatedPhotoSize, parsePhotoEdits } = require('./photo-checks')
 
 // helper for extracting a public_id from a Cloudinary URL.  the URL may
-// include version numbers or query params, so we trim those off.  the
-// resulting string is what `cloudinary.url()` expects when reapplying
+// include a signature, version numbers or query params, so we trim those off.
+// the resulting string is what `cloudinary.url()` expects when reapplying
 // transformations.
 function getCloudinaryPublicId(rawUrl) {
   if (!rawUrl || typeof rawUrl !== 'string') return null;
   // drop query string
   const url = rawUrl.split('?')[0];
-  const m = url.match(/\/upload\/(?:v\d+\/)?(.+?)\.(?:jpg|jpeg|png|gif|webp)$/i);
+  const m = url.match(/\/(?:upload|authenticated)\/(?:s--[\w-]+--\/)?(?:v\d+\/)?(.+?)\.(?:jpg|jpeg|png|gif|webp)$/i);
   return m ? m[1] : null;
 }
 
-// Ensure a card has cloud-based URLs when running in cloudinary mode.  If we
-// detect that rawPhotoUrl points at a local `/photos` path, we fetch the image
-// (from disk or via HTTP), upload it to Cloudinary, update the database, and
-// regenerate the cleaned URL.  This helper returns a fresh copy of the card
-// (which may have been updated).
-async function ensureCloudinaryUrls(card) {
-  if (PHOTO_MODE !== 'cloudinary' || !card.rawPhotoUrl) return card;
-
-  const isLocalRaw = card.rawPhotoUrl.startsWith('/photos/') ||
-    card.rawPhotoUrl.includes(`${process.env.VITE_BACKEND_URL || ''}/photos/`);
-  if (!isLocalRaw) return card;
-
-  try {
-    console.log(`📦 migrating existing rawPhotoUrl for card ${card.id} to Cloudinary`);
-    let buf;
-    if (/^https?:\/\//.test(card.rawPhotoUrl)) {
-      const resp = await axios.get(card.rawPhotoUrl, {
-        responseType: 'arraybuffer',
-        timeout: 20000
-      });
-      buf = Buffer.from(resp.data);
-    } else {
-      const fname = path.basename(card.rawPhotoUrl);
-      buf = fs.readFileSync(path.join(__dirname, 'photos', fname));
-    }
-    const uploadResult = await new Promise((resolve, reject) => {
-      const stream = cloudinary.uploader.upload_stream(
-        {
-          folder: cloudFolder(CLOUDINARY_FOLDERS.photos),
-          resource_type: 'image'
-        },
-        (error, result) => error ? reject(error) : resolve(result)
-      );
-      streamifier.createReadStream(buf).pipe(stream);
-    });
-    card.rawPhotoUrl = uploadResult.secure_url;
-
-    // update DB with new raw URL before regenerating clean
-    await prisma.idCard.update({ where: { id: card.id }, data: { rawPhotoUrl: card.rawPhotoUrl } });
-
-    const pub = getCloudinaryPublicId(card.rawPhotoUrl);
-    if (pub) {
-      card.cleanPhotoUrl = cloudinary.url(pub, {
-        transformation: [
-          { effect: "background_removal" },
-          // must be AFTER background_removal (Cloudinary note)
-          { effect: "dropshadow", azimuth: 220, elevation: 40, spread: 20 },
-          { crop: "scale", height: 110 },
-          { fetch_format: "png" }, // keep transparency
-          { quality: "auto" },
-        ]
-      });
-      await prisma.idCard.update({ where: { id: card.id }, data: { cleanPhotoUrl: card.cleanPhotoUrl } });
-    }
-
-    console.log(`✅ migration complete for card ${card.id}`);
-  } catch (mErr) {
-    console.warn('⚠️ failed to migrate card to Cloudinary:', mErr.message);
-  }
-  return card;
+// 'authenticated' for uploads made through the storage driver, 'upload' for
+// older public ones; transformations of authenticated images must be signed.
+function getCloudinaryDeliveryType(rawUrl) {
+  return /\/authenticated\//.test(String(rawUrl || '')) ? 'authenticated' : 'upload';
 }
 
 // ================= PHOTO PROCESSING MODE =================
@@ -131,11 +76,15 @@ console.log(`📸 PHOTO_MODE is set to '${PHOTO_MODE}' (VERCEL=${!!process.env.V
 if (process.env.VERCEL && PHOTO_MODE !== 'cloudinary') {
   console.warn('⚠️ Running on Vercel but PHOTO_MODE is', PHOTO_MODE, '– Cloudinary is recommended; set PHOTO_MODE=cloudinary');
 }
+console.log(`🗄️ Storage driver is '${storage.name}'`);
+if (PHOTO_MODE === 'cloudinary' && storage.name !== 'cloudinary') {
+  console.warn('⚠️ PHOTO_MODE=cloudinary removes backgrounds with Cloudinary transformations, which only works for photos stored in Cloudinary');
+}
 
 // ✅ Re-enabled: Optimized Python rembg with heavy memory optimization
 // Using remove_bg_buffer_optimized.py for streaming/chunked processing
 // Reduces RAM footprint from 300MB to ~100MB for testing
-const { removeBackgroundBuffer } = require('./py-tools/utils/runPython');
+const { removeBackground } = require('./py-tools/utils/rembgWorker');
 console.log('✅ Using optimized Python rembg with streaming for low-RAM systems');
 
 // ================= STAFF LINK HELPER FUNCTION =================
@@ -204,25 +153,59 @@ const MAX_JSON_BODY = process.env.MAX_JSON_BODY || '1mb';
 const MAX_URLENCODED_BODY = process.env.MAX_URLENCODED_BODY || '1mb';
 const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS || '5', 10);
 const LOGIN_LOCK_MS = parseInt(process.env.LOGIN_LOCK_MS || String(15 * 60 * 1000), 10);
-const loginAttemptStore = new Map();
-const SECURITY_EVENT_LIMIT = parseInt(process.env.SECURITY_EVENT_LIMIT || '250', 10);
-const REQUEST_SNAPSHOT_LIMIT = parseInt(process.env.REQUEST_SNAPSHOT_LIMIT || '400', 10);
+const SECURITY_EVENT_RETENTION_DAYS = parseInt(process.env.SECURITY_EVENT_RETENTION_DAYS || '90', 10);
+const REQUEST_SNAPSHOT_RETENTION_DAYS = parseInt(process.env.REQUEST_SNAPSHOT_RETENTION_DAYS || '7', 10);
 const ACTIVE_SESSION_TIMEOUT_MS = parseInt(process.env.ACTIVE_SESSION_TIMEOUT_MS || String(2 * 60 * 60 * 1000), 10);
-const securityEventStore = [];
-const requestSnapshotStore = [];
-const activeSessionStore = new Map(); // userId (string) → session record
-
-function recordActiveSession(req) {
-  if (!req.user?.id) return;
-  activeSessionStore.set(String(req.user.id), {
-    userId: req.user.id,
-    employeeNumber: req.user.employeeNumber || null,
-    role: req.user.role || 'UNKNOWN',
-    ip: getClientIp(req),
-    userAgent: req.headers['user-agent'] || 'unknown',
-    lastSeen: new Date().toISOString(),
-    lastSeenMs: Date.now(),
-  });
+// Session "last seen" is written at most once per interval to keep writes low.
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+
+function touchUserSession(session, req) {
+  if (!session || Date.now() - session.lastUsedAt.getTime() < SESSION_TOUCH_INTERVAL_MS) return;
+  prisma.userSession.update({
+    where: { id: session.id },
+    data: {
+      lastUsedAt: new Date(),
+      ip: getClientIp(req),
+      userAgent: req.headers['user-agent'] || null,
+    },
+  }).catch((e) => console.error('❌ Failed to update session last-seen:', e.message));
+}
+
+// ---- Login lockouts (persisted so they survive restarts and span instances) ----
+
+async function getLoginAttempt(key) {
+  const row = await prisma.loginAttempt.findUnique({ where: { key } });
+  if (!row) return null;
+  return { count: row.count, lockUntil: row.lockUntil ? row.lockUntil.getTime() : 0 };
+}
+
+// Count a failed login. The counter restarts once a lock has run out or the
+// previous failure is older than LOGIN_LOCK_MS. The increment is a single
+// upsert so concurrent failures each count; the lock is set from its result.
+async function recordLoginFailure(key) {
+  const now = new Date();
+  const [row] = await prisma.$queryRaw`
+    INSERT INTO "LoginAttempt" ("key", "count", "updatedAt")
+    VALUES (${key}, 1, ${now})
+    ON CONFLICT ("key") DO UPDATE SET
+      "count" = CASE WHEN "LoginAttempt"."lockUntil" <= ${now} OR "LoginAttempt"."updatedAt" < ${new Date(now.getTime() - LOGIN_LOCK_MS)}
+        THEN 1 ELSE "LoginAttempt"."count" + 1 END,
+      "lockUntil" = CASE WHEN "LoginAttempt"."lockUntil" <= ${now} THEN NULL ELSE "LoginAttempt"."lockUntil" END,
+      "updatedAt" = ${now}
+    RETURNING "count"`;
+  const count = Number(row.count);
+
+  let lockUntil = null;
+  if (count >= LOGIN_MAX_ATTEMPTS) {
+    lockUntil = new Date(now.getTime() + LOGIN_LOCK_MS);
+    await prisma.loginAttempt.update({ where: { key }, data: { lockUntil } });
+  }
+
+  return { count, lockUntil: lockUntil ? lockUntil.getTime() : 0 };
+}
+
+function clearLoginAttempts(key) {
+  return prisma.loginAttempt.deleteMany({ where: { key } });
 }
 
 function getClientIp(req) {
@@ -230,22 +213,19 @@ function getClientIp(req) {
 }
 
 function recordSecurityEvent(type, req, details = {}) {
-  securityEventStore.unshift({
-    id: `${Date.now()}-${Math.random().toString(16).slice(2, 8)}`,
-    type,
-    ip: getClientIp(req),
-    path: req.originalUrl || req.url || '',
-    method: req.method || 'UNKNOWN',
-    userId: req.user?.id || null,
-    role: req.user?.role || null,
-    userAgent: req.headers['user-agent'] || 'unknown',
-    createdAt: new Date().toISOString(),
-    details,
-  });
-
-  if (securityEventStore.length > SECURITY_EVENT_LIMIT) {
-    securityEventStore.length = SECURITY_EVENT_LIMIT;
-  }
+  // Fire-and-forget: callers never wait on, or fail because of, telemetry.
+  prisma.securityEvent.create({
+    data: {
+      type,
+      ip: getClientIp(req),
+      path: req.originalUrl || req.url || '',
+      method: req.method || 'UNKNOWN',
+      userId: req.user?.id || null,
+      role: req.user?.role || null,
+      userAgent: req.headers['user-agent'] || 'unknown',
+      details,
+    },
+  }).catch((e) => console.error('❌ Failed to persist security event:', e.message));
 }
 
 async function recordUserManagementEvent(type, req, targetUser, details = {}) {
@@ -282,33 +262,61 @@ async function recordUserManagementEvent(type, req, targetUser, details = {}) {
   }
 }
 
+// File downloads and the job status URLs clients poll would outnumber every
+// other request; they are only recorded when they fail.
+const REQUEST_SNAPSHOT_SKIPPED_PATHS = [
+  /^\/(?:api\/files|uploads|photos)\//,
+  /^\/api\/forms\/scan\/jobs\/\d+$/,
+  /^\/api\/admin\/imports\/\d+$/,
+  /^\/api\/admin\/idcards\/print-batches\/\d+$/,
+  /^\/api\/idcards\/photo-jobs\/\d+$/,
+];
+const REQUEST_SNAPSHOT_FLUSH_MS = 5 * 1000;
+const REQUEST_SNAPSHOT_BATCH_SIZE = 100;
+let pendingRequestSnapshots = [];
+
+function flushRequestSnapshots() {
+  if (!pendingRequestSnapshots.length) return;
+  const data = pendingRequestSnapshots;
+  pendingRequestSnapshots = [];
+  prisma.requestSnapshot.createMany({ data })
+    .catch((e) => console.error(`❌ Failed to persist ${data.length} request snapshots:`, e.message));
+}
+
+// Snapshots are written in batches, at most REQUEST_SNAPSHOT_FLUSH_MS late.
+// On Vercel each is written straight away: a buffer would be lost whenever
+// the instance is frozen or recycled.
 function recordRequestSnapshot(req, statusCode, latencyMs) {
-  requestSnapshotStore.unshift({
-    id: `${Date.now()}-${Math.random().toString(16).slice(2, 8)}`,
+  const requestPath = req.originalUrl || req.url || '';
+  if (statusCode < 400 && REQUEST_SNAPSHOT_SKIPPED_PATHS.some((pattern) => pattern.test(requestPath.split('?')[0]))) return;
+
+  pendingRequestSnapshots.push({
     ip: getClientIp(req),
-    path: req.originalUrl || req.url || '',
+    path: requestPath,
     method: req.method || 'UNKNOWN',
     statusCode,
     latencyMs,
-    createdAt: new Date().toISOString(),
   });
-
-  if (requestSnapshotStore.length > REQUEST_SNAPSHOT_LIMIT) {
-    requestSnapshotStore.length = REQUEST_SNAPSHOT_LIMIT;
-  }
+  if (process.env.VERCEL || pendingRequestSnapshots.length >= REQUEST_SNAPSHOT_BATCH_SIZE) flushRequestSnapshots();
 }
 
-setInterval(() => {
+setInterval(flushRequestSnapshots, REQUEST_SNAPSHOT_FLUSH_MS).unref();
+
+// Prune expired lockouts and telemetry past its retention window.
+setInterval(async () => {
   const now = Date.now();
-  for (const [key, entry] of loginAttemptStore.entries()) {
-    if (!entry || !entry.lockUntil || entry.lockUntil < now) {
-      loginAttemptStore.delete(key);
-    }
-  }
-  for (const [userId, session] of activeSessionStore.entries()) {
-    if (!session || now - session.lastSeenMs > ACTIVE_SESSION_TIMEOUT_MS) {
-      activeSessionStore.delete(userId);
-    }
+  try {
+    await prisma.loginAttempt.deleteMany({
+      where: { updatedAt: { lt: new Date(now - LOGIN_LOCK_MS) }, OR: [{ lockUntil: null }, { lockUntil: { lt: new Date(now) } }] },
+    });
+    await prisma.securityEvent.deleteMany({
+      where: { createdAt: { lt: new Date(now - SECURITY_EVENT_RETENTION_DAYS * 24 * 60 * 60 * 1000) } },
+    });
+    await prisma.requestSnapshot.deleteMany({
+      where: { createdAt: { lt: new Date(now - REQUEST_SNAPSHOT_RETENTION_DAYS * 24 * 60 * 60 * 1000) } },
+    });
+  } catch (e) {
+    console.error('❌ Security state cleanup failed:', e.message);
   }
 }, 10 * 60 * 1000);
 
@@ -364,6 +372,8 @@ app.use('/api/login', authLimiter, loginSlowdown);
 app.use('/api/auth/request-otp', authLimiter);
 app.use('/api/auth/verify-otp', authLimiter);
 app.use('/api/auth/reset-password-with-otp', authLimiter);
+app.use('/api/auth/2fa/verify', authLimiter);
+app.use('/register', authLimiter);
 
 // ---------- CORS & upload configuration ----------
 // Use environment variable CORS_ORIGIN when available; fall back to
@@ -418,40 +428,55 @@ app.use(
 
 // parse upload size limit from environment or default to 3MB
 const MAX_PHOTO_BYTES = parseInt(process.env.UPLOAD_SIZE_LIMIT || String(50 * 1024 * 1024), 10);
+// Photos are re-encoded and shrunk before storage, so they get a smaller cap than PDFs.
+const MAX_IMAGE_UPLOAD_BYTES = Math.min(parseInt(process.env.IMAGE_UPLOAD_SIZE_LIMIT || String(10 * 1024 * 1024), 10), MAX_PHOTO_BYTES);
 const MAX_COMPLAINT_ATTACHMENT_BYTES = parseInt(process.env.MAX_COMPLAINT_ATTACHMENT_BYTES || String(10 * 1024 * 1024), 10);
 const MAX_OFFICIAL_DOCUMENT_BYTES = parseInt(process.env.MAX_OFFICIAL_DOCUMENT_BYTES || String(10 * 1024 * 1024), 10);
 
 console.log('🛡️ CORS allowed origins:', allowedOrigins);
 console.log('📦 upload size limit bytes:', MAX_PHOTO_BYTES);
+console.log('🖼️ image upload limit bytes:', MAX_IMAGE_UPLOAD_BYTES);
 console.log('📎 complaint attachment max bytes:', MAX_COMPLAINT_ATTACHMENT_BYTES);
 console.log('📄 official document max bytes:', MAX_OFFICIAL_DOCUMENT_BYTES);
 console.log('⚠️ Note: serverless platforms (Vercel) commonly enforce ~4.5MB request body limits; even with 50MB configured here, the platform may reject larger requests before this app runs.');
 
 // memory storage for uploads uses the limit variable now
 const uploadPDF = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_PHOTO_BYTES } });
-const uploadPhoto = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_PHOTO_BYTES } });
+const uploadPhoto = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_IMAGE_UPLOAD_BYTES } });
 
 const prisma = new PrismaClient()
 const PORT = process.env.PORT
 const JWT_SECRET = process.env.JWT_SECRET || 'fibuca_secret'
+// Access tokens are short-lived; long-lived access is carried by a rotating
+// refresh token that is tied to a revocable UserSession row.
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m'
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '7', 10)
+const REFRESH_TOKEN_TTL_MS = REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+const REFRESH_COOKIE_NAME = 'fibuca_refresh'
 
-// Shared local upload paths for static serving and local-storage fallbacks.
-const UPLOADS_DIR = path.join(__dirname, "uploads");
-const PHOTOS_UPLOAD_DIR = path.join(UPLOADS_DIR, "photos");
-const FORMS_UPLOAD_DIR = path.join(UPLOADS_DIR, "forms");
-const IDCARDS_UPLOAD_DIR = path.join(UPLOADS_DIR, "idcards");
-const COMPLAINTS_UPLOAD_DIR = path.join(UPLOADS_DIR, "complaints");
-const PROFILES_UPLOAD_DIR = path.join(UPLOADS_DIR, "profiles");
 
-[UPLOADS_DIR, PHOTOS_UPLOAD_DIR, FORMS_UPLOAD_DIR, IDCARDS_UPLOAD_DIR, COMPLAINTS_UPLOAD_DIR, PROFILES_UPLOAD_DIR].forEach((dir) => {
-  if (!IS_VERCEL && !fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
-  }
-});
+// `req` may also be a base URL saved earlier, for work done outside a request.
+function uploadBaseUrl(req) {
+  return process.env.BACKEND_URL || (typeof req === "string" ? req : `${req.protocol}://${req.get("host")}`);
+}
+
+// Stores a file under `key` (from newFileKey, plus an extension) with the
+// configured storage driver and registers it for access checks; ownerId is
+// the member the file belongs to, if any. Returns { url, key, publicId? }.
+async function putUpload(req, key, buffer, { ownerId = null } = {}) {
+  const contentType = contentTypeFor(key);
+  const stored = await storage.put(key, buffer, { contentType, baseUrl: uploadBaseUrl(req) });
+  await prisma.storedFile.create({
+    data: { key: stored.key, driver: storage.name, ownerId, contentType, size: buffer.length },
+  });
+  return stored;
+}
 
-function buildUploadUrl(req, relativePath) {
-  const baseUrl = process.env.BACKEND_URL || `${req.protocol}://${req.get("host")}`;
-  return `${baseUrl}/uploads/${String(relativePath).replace(/^\/+/, "")}`;
+// Membership forms belong to the member with that employee number, once they have an account.
+async function memberIdForEmployeeNumber(employeeNumber) {
+  if (!employeeNumber) return null;
+  const user = await prisma.user.findUnique({ where: { employeeNumber: String(employeeNumber) }, select: { id: true } });
+  return user ? user.id : null;
 }
 
 function isValidHttpUrl(value) {
@@ -524,7 +549,7 @@ function buildReplyStorageMessage({
   return out.join("\n");
 }
 
-async function uploadComplaintPdf(req, file, complaintId) {
+async function uploadComplaintPdf(req, file, complaint) {
   const mime = String(file?.mimetype || "").toLowerCase();
   const original = String(file?.originalname || "").toLowerCase();
   const isPdf = mime === "application/pdf" || original.endsWith(".pdf");
@@ -533,27 +558,21 @@ async function uploadComplaintPdf(req, file, complaintId) {
     throw new Error("Only PDF files are allowed for complaint attachments");
   }
 
-  if (PHOTO_MODE === "cloudinary" || process.env.VERCEL) {
-    const publicId = `complaint_${complaintId}_${Date.now()}`;
-    const uploadResult = await new Promise((resolve, reject) => {
-      const stream = cloudinary.uploader.upload_stream(
-        {
-          resource_type: "raw",
-          folder: cloudFolder(CLOUDINARY_FOLDERS.complaints),
-          public_id: publicId,
-          format: "pdf",
-        },
-        (error, result) => (error ? reject(error) : resolve(result))
-      );
-      streamifier.createReadStream(file.buffer).pipe(stream);
-    });
-    return uploadResult.secure_url;
-  }
+  const { url } = await putUpload(req, `${newFileKey('complaints')}.pdf`, file.buffer, { ownerId: complaint.userId });
+  return url;
+}
+
+async function uploadGeneratedFormPdf(req, buffer, submission) {
+  const { url } = await putUpload(req, `${newFileKey('forms/generated')}.pdf`, buffer, {
+    ownerId: await memberIdForEmployeeNumber(submission.employeeNumber),
+  });
+  return url;
+}
 
-  const safeName = `complaint_${complaintId}_${Date.now()}.pdf`;
-  const pdfDiskPath = path.join(COMPLAINTS_UPLOAD_DIR, safeName);
-  await fs.promises.writeFile(pdfDiskPath, file.buffer);
-  return buildUploadUrl(req, `complaints/${safeName}`);
+// Stores one output file (sheet PDF or CSV manifest) of an ID card print batch.
+async function uploadPrintBatchFile(req, buffer, format) {
+  const { url } = await putUpload(req, `${newFileKey('idcards/print-batches')}.${format}`, buffer);
+  return url;
 }
 
 
@@ -569,7 +588,7 @@ function requireTrustedMutation(req, res, next) {
 
   const authHeader = req.headers.authorization || req.headers.Authorization;
   const hasBearerToken = typeof authHeader === 'string' && authHeader.toLowerCase().startsWith('bearer ');
-  const hasCookieToken = !!req.cookies?.fibuca_token;
+  const hasCookieToken = !!req.cookies?.fibuca_token || !!req.cookies?.[REFRESH_COOKIE_NAME];
 
   if (!hasCookieToken || hasBearerToken) return next();
 
@@ -600,9 +619,103 @@ app.use((req, res, next) => {
 });
 
 // --------------------
-// Serve static files
+// Stored files
 // --------------------
-app.use("/uploads", express.static(UPLOADS_DIR));
+// Local uploads are not served statically: /api/files checks that the caller
+// owns the file or holds a permission for its folder, or that the link was
+// signed by POST /api/files/share and has not expired. Folders missing here
+// are owner-only; an empty list lets any signed-in user in (profile photos
+// are shown next to names throughout the app).
+const FILE_ACCESS_PERMISSIONS = {
+  photos: ['idcards.manage', 'photos.moderate'],
+  idcards: ['idcards.manage'],
+  'idcards/print-batches': ['idcards.print'],
+  forms: ['submissions.search'],
+  'forms/generated': ['submissions.search'],
+  documents: ['content.view'],
+  complaints: ['complaints.view'],
+  profiles: [],
+};
+const FILE_SHARE_DEFAULT_SECONDS = 15 * 60;
+const FILE_SHARE_MAX_SECONDS = 7 * 24 * 60 * 60;
+
+async function canAccessStoredFile(req, file) {
+  if (file.ownerId && file.ownerId === req.user.id) return true;
+  const permissions = FILE_ACCESS_PERMISSIONS[path.posix.dirname(file.key)];
+  if (!permissions) return false;
+  if (!permissions.length) return true;
+  for (const permission of permissions) {
+    if (await hasPermission(req, permission)) return true;
+  }
+  return false;
+}
+
+function fileKeyFromParams(req) {
+  try {
+    return normalizeKey([].concat(req.params.key).join('/'));
+  } catch (_) {
+    return null;
+  }
+}
+
+// GET /api/files/<key> — signed in, or with ?expires=&signature= from /api/files/share
+app.get('/api/files/*key', (req, res, next) => (req.query.signature ? next() : authenticate(req, res, next)), async (req, res) => {
+  try {
+    const key = fileKeyFromParams(req);
+    if (!key) return res.status(404).json({ error: 'File not found' });
+
+    const local = getStorage('local');
+    if (req.query.signature) {
+      if (!local.verifySignature(key, req.query)) {
+        recordSecurityEvent('invalid_file_signature', req, { key });
+        return res.status(403).json({ error: 'This link is invalid or has expired' });
+      }
+    } else {
+      const file = await prisma.storedFile.findUnique({ where: { key } });
+      if (!file || file.driver !== 'local') return res.status(404).json({ error: 'File not found' });
+      if (!(await canAccessStoredFile(req, file))) return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    const buffer = await local.get(`/api/files/${key}`);
+    if (!buffer) return res.status(404).json({ error: 'File not found' });
+
+    res.set({
+      'Content-Type': contentTypeFor(key),
+      'Content-Disposition': `inline; filename="${path.posix.basename(key)}"`,
+      'Cache-Control': 'private, max-age=300',
+      'X-Content-Type-Options': 'nosniff',
+    });
+    return res.send(buffer);
+  } catch (err) {
+    console.error('❌ GET /api/files error:', err);
+    return res.status(500).json({ error: 'Failed to load file' });
+  }
+});
+
+// POST { url, expiresInSeconds? } — a link to a stored file that works without
+// signing in until it expires (a presigned URL for S3).
+app.post('/api/files/share', authenticate, async (req, res) => {
+  try {
+    const url = String(req.body?.url || '').trim();
+    const driver = url ? storageForUrl(url) : null;
+    const key = driver ? driver.keyFor(url) : null;
+    const file = key ? await prisma.storedFile.findUnique({ where: { key } }) : null;
+    if (!file) return res.status(404).json({ error: 'File not found' });
+    if (!(await canAccessStoredFile(req, file))) return res.status(403).json({ error: 'Forbidden' });
+
+    const expiresInSeconds = Math.min(
+      Math.max(60, Number(req.body?.expiresInSeconds) || FILE_SHARE_DEFAULT_SECONDS),
+      FILE_SHARE_MAX_SECONDS
+    );
+    return res.json({
+      url: driver.signedUrl(url, { expiresInSeconds }),
+      expiresAt: new Date(Date.now() + expiresInSeconds * 1000),
+    });
+  } catch (err) {
+    console.error('❌ POST /api/files/share error:', err);
+    return res.status(500).json({ error: 'Failed to share file', details: err.message });
+  }
+});
 
 
 // ✅ Use memory storage for all uploads
@@ -613,7 +726,7 @@ app.use("/uploads", express.static(UPLOADS_DIR));
 // --------------------
 // Auth middleware
 // --------------------
-function authenticate(req, res, next) {
+async function authenticate(req, res, next) {
   // Accept token via Authorization header (Bearer ...) or cookie fibuca_token
 
   const authHeader = req.headers.authorization || req.headers.Authorization
@@ -626,11 +739,9 @@ function authenticate(req, res, next) {
 
   if (!token) return res.status(401).json({ message: 'Not authenticated' })
 
+  let payload
   try {
-    const payload = jwt.verify(token, JWT_SECRET)
-    req.user = payload
-    recordActiveSession(req);
-    next()
+    payload = jwt.verify(token, JWT_SECRET)
   } catch (err) {
     console.error('❌ Invalid JWT:', err)
     recordSecurityEvent('invalid_jwt', req, { message: err.message });
@@ -638,25 +749,408 @@ function authenticate(req, res, next) {
     if (req.cookies && req.cookies.fibuca_token) res.clearCookie('fibuca_token')
     return res.status(401).json({ message: 'Invalid or expired token' })
   }
+
+  // Every access token must belong to a live server-side session so that
+  // logout, admin revocation and password changes take effect immediately.
+  try {
+    const session = payload.sid
+      ? await prisma.userSession.findUnique({
+        where: { id: Number(payload.sid) },
+        select: { id: true, userId: true, expiresAt: true, revokedAt: true, lastUsedAt: true },
+      })
+      : null
+
+    if (!session || session.userId !== payload.id || session.revokedAt || session.expiresAt.getTime() < Date.now()) {
+      recordSecurityEvent('revoked_session_token', req, { sessionId: payload.sid || null, userId: payload.id || null });
+      if (req.cookies && req.cookies.fibuca_token) res.clearCookie('fibuca_token')
+      return res.status(401).json({ message: 'Session has been revoked or expired' })
+    }
+    touchUserSession(session, req)
+  } catch (err) {
+    console.error('❌ Session lookup failed:', err)
+    return res.status(500).json({ message: 'Failed to validate session' })
+  }
+
+  req.user = payload
+  req.sessionId = Number(payload.sid)
+
+  // Roles listed in TWO_FACTOR_REQUIRED_ROLES may only enroll until TOTP is on.
+  const requestPath = String(req.originalUrl || '').split('?')[0]
+  if (payload.mfaSetupRequired && !TWO_FACTOR_SETUP_PATHS.includes(requestPath)) {
+    return res.status(403).json({
+      error: 'Two-factor authentication must be enabled for this account',
+      code: 'TWO_FACTOR_SETUP_REQUIRED',
+    })
+  }
+
+  next()
+}
+
+const TWO_FACTOR_SETUP_PATHS = [
+  '/api/me',
+  '/api/auth/2fa/status',
+  '/api/auth/2fa/setup',
+  '/api/auth/2fa/enable',
+  '/api/auth/complete-first-login',
+  '/api/change-password',
+]
+
+// --------------------
+// Sessions + refresh tokens
+// --------------------
+// A refresh token is "<sessionId>.<secret>". Only a SHA-256 of the secret is
+// stored, and the secret is replaced on every refresh. Presenting an old
+// secret for a live session means the token was copied, so the whole session
+// is revoked.
+
+function hashRefreshSecret(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+function parseRefreshToken(raw = '') {
+  const [idPart, secret] = String(raw || '').trim().split('.');
+  const sessionId = Number(idPart);
+  if (!sessionId || !secret) return null;
+  return { sessionId, secret };
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    {
+      id: user.id,
+      employeeNumber: user.employeeNumber,
+      name: user.name,
+      role: user.role,
+      firstLogin: user.firstLogin,
+      sid: sessionId,
+      ...(isTwoFactorSetupRequired(user) ? { mfaSetupRequired: true } : {}),
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+async function createUserSession(req, user) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const session = await prisma.userSession.create({
+    data: {
+      userId: user.id,
+      refreshTokenHash: hashRefreshSecret(secret),
+      ip: getClientIp(req),
+      userAgent: req.headers['user-agent'] || null,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    },
+  });
+
+  return {
+    session,
+    token: signAccessToken(user, session.id),
+    refreshToken: `${session.id}.${secret}`,
+  };
+}
+
+async function rotateUserSession(req, rawRefreshToken) {
+  const parsed = parseRefreshToken(rawRefreshToken);
+  if (!parsed) {
+    return { ok: false, status: 400, error: 'Invalid refresh token' };
+  }
+
+  const session = await prisma.userSession.findUnique({
+    where: { id: parsed.sessionId },
+    include: { user: true },
+  });
+
+  if (!session || session.revokedAt || session.expiresAt.getTime() < Date.now()) {
+    return { ok: false, status: 401, error: 'Session has been revoked or expired' };
+  }
+
+  const reuse = async () => {
+    await revokeUserSession(session.id, 'refresh_token_reuse');
+    recordSecurityEvent('refresh_token_reuse', req, { sessionId: session.id, userId: session.userId });
+    return { ok: false, status: 401, error: 'Session has been revoked or expired' };
+  };
+
+  const oldHash = hashRefreshSecret(parsed.secret);
+  if (session.refreshTokenHash !== oldHash) return reuse();
+
+  if (!session.user || session.user.deletedAt) {
+    await revokeUserSession(session.id, 'user_inactive');
+    return { ok: false, status: 401, error: 'Session has been revoked or expired' };
+  }
+
+  // Only the request that still holds the current hash may rotate it; a
+  // concurrent refresh with the same token finds nothing to update and is
+  // treated as reuse.
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const { count } = await prisma.userSession.updateMany({
+    where: { id: session.id, refreshTokenHash: oldHash, revokedAt: null },
+    data: {
+      refreshTokenHash: hashRefreshSecret(secret),
+      lastUsedAt: new Date(),
+      ip: getClientIp(req),
+      userAgent: req.headers['user-agent'] || session.userAgent,
+    },
+  });
+  if (count === 0) return reuse();
+
+  return {
+    ok: true,
+    user: session.user,
+    sessionId: session.id,
+    token: signAccessToken(session.user, session.id),
+    refreshToken: `${session.id}.${secret}`,
+  };
+}
+
+function revokeUserSession(sessionId, reason) {
+  return prisma.userSession.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+}
+
+// Revoke every live session of a user, optionally keeping the caller's own.
+async function revokeUserSessions(userId, reason, options = {}) {
+  const { exceptSessionId = null } = options;
+  const result = await prisma.userSession.updateMany({
+    where: {
+      userId,
+      revokedAt: null,
+      ...(exceptSessionId ? { NOT: { id: exceptSessionId } } : {}),
+    },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+  return result.count;
+}
+
+function setAuthCookies(res, token, refreshToken) {
+  res.cookie('fibuca_token', token, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'none', // cross-origin
+    maxAge: REFRESH_TOKEN_TTL_MS
+  })
+  if (!refreshToken) return
+  res.cookie(REFRESH_COOKIE_NAME, refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'none',
+    path: '/api',
+    maxAge: REFRESH_TOKEN_TTL_MS
+  })
+}
+
+function clearAuthCookies(res) {
+  res.clearCookie('fibuca_token', {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'none'
+  });
+  res.clearCookie(REFRESH_COOKIE_NAME, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'none',
+    path: '/api'
+  });
+}
+
+// --------------------
+// Permissions
+// --------------------
+// Routes check named permissions instead of roles. Each role maps to a
+// bundle (editable by SUPERADMIN, stored in RolePermissionBundle) and
+// individual users can have permissions granted or removed on top of it.
+const PERMISSIONS = {
+  'forms.scan': 'Scan paper membership forms and save the extracted data',
+  'complaints.view': 'View the complaint inbox',
+  'complaints.update_status': 'Change the status of a complaint',
+  'complaints.reply': 'Reply to complaints and manage own replies',
+  'complaints.moderate': 'Edit or delete replies written by other staff',
+  'complaints.track': 'Mark replies to own complaints as read (members)',
+  'content.view': 'Read published documents and updates',
+  'documents.manage': 'Publish official documents and manage own documents',
+  'updates.manage': 'Publish official updates and manage own updates',
+  'content.moderate': 'Edit or delete documents and updates published by others',
+  'transfers.record': 'Record an employer transfer for a member',
+  'transfers.approve': 'Approve transfer notices sent as complaints',
+  'transfers.view': 'View a member\'s transfer history',
+  'submissions.search': 'Search membership submissions',
+  'submissions.search_all': 'Search all submissions including archived ones',
+  'submissions.generate_form': 'Generate the membership form PDF for a submission',
+  'submissions.edit': 'Edit membership submissions',
+  'submissions.delete': 'Archive membership submissions',
+  'submissions.archive': 'View, restore and permanently delete archived submissions',
+  'submissions.import': 'Bulk import members from CSV, XLSX or JSON',
+  'submissions.review': 'Verify or reject membership submissions and ask members for corrections',
+  'members.merge': 'Review possible duplicate members and merge them',
+  'employers.manage': 'Maintain the employer and branch registry',
+  'links.manage': 'Generate form links and view own link submissions and stats',
+  'links.manage_any': 'Delete form links created by other staff',
+  'staff.leaderboard': 'View the staff submission leaderboard',
+  'idcards.manage': 'List all ID cards and set the role printed on them',
+  'idcards.print': 'Create ID card print batches and download their sheets',
+  'photos.moderate': 'Review, edit, approve and reject member-uploaded ID card photos',
+  'registrations.review': 'Approve, reject or link self-registered accounts',
+  'users.manage': 'Create, edit, archive, restore and delete user accounts',
+  'users.security': 'Manage user sessions, two-factor and login credentials',
+  'voting.manage': 'Create, run and delete voting sessions',
+  'voting.delete_active': 'Delete voting sessions that are running or completed',
+  'voting.vote': 'Cast votes in voting sessions',
+  'contributions.view_own': 'View own contributions',
+  'contributions.manage': 'Create, publish and delete contributions',
+  'contributions.record': 'View contributors and record contribution payments',
+  'security.monitor': 'Use the superadmin monitoring and security center',
+  'permissions.manage': 'Edit role permission bundles and per-user overrides',
+};
+
+const PERMISSION_KEYS = Object.keys(PERMISSIONS);
+
+const STAFF_PERMISSIONS = [
+  'forms.scan',
+  'complaints.view',
+  'complaints.update_status',
+  'complaints.reply',
+  'content.view',
+  'documents.manage',
+  'updates.manage',
+  'transfers.record',
+  'transfers.approve',
+  'transfers.view',
+  'submissions.search',
+  'submissions.generate_form',
+  'photos.moderate',
+  'links.manage',
+  'voting.vote',
+  'contributions.view_own',
+];
+
+const ADMIN_PERMISSIONS = [
+  ...STAFF_PERMISSIONS.filter((permission) => !['voting.vote', 'contributions.view_own'].includes(permission)),
+  'complaints.moderate',
+  'content.moderate',
+  'submissions.search_all',
+  'submissions.edit',
+  'submissions.delete',
+  'submissions.archive',
+  'submissions.import',
+  'submissions.review',
+  'members.merge',
+  'employers.manage',
+  'links.manage_any',
+  'staff.leaderboard',
+  'idcards.manage',
+  'idcards.print',
+  'registrations.review',
+  'users.manage',
+  'users.security',
+  'voting.manage',
+  'contributions.manage',
+  'contributions.record',
+];
+
+// Built-in bundles reproduce the access each role had before permissions existed.
+const DEFAULT_ROLE_PERMISSIONS = {
+  CLIENT: ['complaints.track', 'content.view'],
+  STAFF: STAFF_PERMISSIONS,
+  ADMIN: ADMIN_PERMISSIONS,
+  SUPERADMIN: PERMISSION_KEYS,
+};
+
+const EDITABLE_PERMISSION_ROLES = ['CLIENT', 'STAFF', 'ADMIN'];
+const ROLE_PERMISSION_CACHE_TTL_MS = 60 * 1000;
+let rolePermissionCache = { loadedAt: 0, bundles: null };
+
+function normalizePermissionList(list) {
+  if (!Array.isArray(list)) return [];
+  return [...new Set(list.map((permission) => String(permission || '').trim()))]
+    .filter((permission) => PERMISSIONS[permission]);
+}
+
+async function getRolePermissionBundles({ fresh = false } = {}) {
+  const now = Date.now();
+  if (!fresh && rolePermissionCache.bundles && now - rolePermissionCache.loadedAt < ROLE_PERMISSION_CACHE_TTL_MS) {
+    return rolePermissionCache.bundles;
+  }
+
+  const rows = await prisma.rolePermissionBundle.findMany();
+  const bundles = {};
+  for (const role of Object.keys(DEFAULT_ROLE_PERMISSIONS)) {
+    const row = role === 'SUPERADMIN' ? null : rows.find((r) => r.role === role);
+    bundles[role] = {
+      permissions: row ? normalizePermissionList(row.permissions) : [...DEFAULT_ROLE_PERMISSIONS[role]],
+      customized: Boolean(row),
+      updatedAt: row?.updatedAt || null,
+    };
+  }
+  rolePermissionCache = { loadedAt: now, bundles };
+  return bundles;
+}
+
+function invalidateRolePermissionCache() {
+  rolePermissionCache = { loadedAt: 0, bundles: null };
+}
+
+async function getEffectivePermissions(user) {
+  if (!user) return new Set();
+  if (user.role === 'SUPERADMIN') return new Set(PERMISSION_KEYS);
+
+  const bundles = await getRolePermissionBundles();
+  const permissions = new Set(bundles[user.role]?.permissions || []);
+  const overrides = await prisma.userPermissionOverride.findMany({
+    where: { userId: user.id },
+    select: { permission: true, granted: true },
+  });
+  for (const override of overrides) {
+    if (!PERMISSIONS[override.permission]) continue;
+    if (override.granted) permissions.add(override.permission);
+    else permissions.delete(override.permission);
+  }
+  return permissions;
+}
+
+// Resolved once per request and reused by later checks in the same handler.
+async function hasPermission(req, permission) {
+  if (!req.permissions) {
+    req.permissions = await getEffectivePermissions(req.user);
+  }
+  return req.permissions.has(permission);
 }
 
-function requireRole(roles = []) {
+function requirePermission(permission) {
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
 
-  return (req, res, next) => {
-    if (!req.user || !roles.includes(req.user.role)) {
-      return res.status(403).json({ error: "Forbidden: insufficient role" });
+  return async (req, res, next) => {
+    try {
+      if (!req.user || !(await hasPermission(req, permission))) {
+        return res.status(403).json({ error: "Forbidden: missing permission", permission });
+      }
+    } catch (err) {
+      console.error('❌ Permission lookup failed:', err);
+      return res.status(500).json({ error: 'Failed to check permissions', details: err.message });
     }
     next();
   };
 }
 
+const ROLE_RANK = { CLIENT: 0, STAFF: 1, ADMIN: 2, SUPERADMIN: 3 };
+
+// Route permissions decide who may manage users at all; this keeps the
+// hierarchy intact so nobody can touch accounts ranked above their own.
 function canManageTargetUser(actor, target, options = {}) {
   const { allowSelf = false } = options;
   if (!actor || !target) return false;
   if (!allowSelf && actor.id === target.id) return false;
   if (actor.role === 'SUPERADMIN') return true;
-  if (actor.role === 'ADMIN' && target.role === 'SUPERADMIN') return false;
-  return actor.role === 'ADMIN';
+  if (target.role === 'SUPERADMIN') return false;
+  return (ROLE_RANK[actor.role] ?? -1) >= (ROLE_RANK[target.role] ?? 0);
+}
+
+function canAssignRole(actor, role) {
+  if (!role || actor?.role === 'SUPERADMIN') return true;
+  if (role === 'SUPERADMIN') return false;
+  return (ROLE_RANK[actor?.role] ?? -1) >= (ROLE_RANK[role] ?? Infinity);
 }
 
 async function getManageableUserOrReject(req, res, id, options = {}) {
@@ -667,8 +1161,8 @@ async function getManageableUserOrReject(req, res, id, options = {}) {
   }
   if (!canManageTargetUser(req.user, target, options)) {
     res.status(403).json({
-      error: req.user?.role === 'ADMIN'
-        ? 'Admin cannot manage superadmin users'
+      error: target.role === 'SUPERADMIN'
+        ? 'Only superadmins can manage superadmin users'
         : 'You are not allowed to manage this user',
     });
     return null;
@@ -681,12 +1175,13 @@ function normalizeSpaces(value = "") {
   return String(value).replace(/\s+/g, " ").trim();
 }
 
-function extractField(text, patterns = []) {
-  for (const pattern of patterns) {
+// Returns the first pattern's capture and which pattern matched (0 = most specific).
+function extractFieldMatch(text, patterns = []) {
+  for (const [index, pattern] of patterns.entries()) {
     const match = text.match(pattern);
-    if (match?.[1]) return normalizeSpaces(match[1]);
+    if (match?.[1]) return { value: normalizeSpaces(match[1]), patternIndex: index };
   }
-  return "";
+  return { value: "", patternIndex: -1 };
 }
 
 function upperTrim(value) {
@@ -706,137 +1201,343 @@ function normalizeSubmissionPayload(input = {}) {
   };
 }
 
-function parseScannedFormText(rawText = "") {
-  const text = String(rawText || "").replace(/\r/g, "");
-  const lines = text
-    .split("\n")
-    .map((l) => normalizeSpaces(l))
-    .filter(Boolean);
-
-  const fullText = lines.join("\n");
-
-  const employeeName = extractField(fullText, [
+const SCAN_FIELD_PATTERNS = {
+  employeeName: [
     /EMPLOYEE['’]?\s*NAME\s*[:\-]?\s*(.+)/i,
     /NAME\s*[:\-]?\s*(.+)/i,
-  ]);
-
-  const employeeNumber = extractField(fullText, [
+  ],
+  employeeNumber: [
     /EMPLOYEE\s*NUMBER\s*[:\-]?\s*([A-Z0-9\/\-]+)/i,
     /EMPLOYEE\s*NO\.?\s*[:\-]?\s*([A-Z0-9\/\-]+)/i,
     /PAYROLL\s*NUMBER\s*[:\-]?\s*([A-Z0-9\/\-]+)/i,
-  ]);
-
-  const employerName = extractField(fullText, [
+  ],
+  employerName: [
     /EMPLOYER\s*NAME\s*[:\-]?\s*(.+)/i,
     /BANK\s*NAME\s*[:\-]?\s*(.+)/i,
     /EMPLOYER\s*[:\-]?\s*(.+)/i,
-  ]);
-
-  const branchName = extractField(fullText, [
+  ],
+  branchName: [
     /BRANCH\s*NAME\s*[:\-]?\s*(.+)/i,
     /BRANCH\s*[:\-]?\s*(.+)/i,
-  ]);
-
-  const phoneNumber = extractField(fullText, [
+  ],
+  phoneNumber: [
     /PHONE\s*NUMBER\s*[:\-]?\s*([+0-9][0-9\s\-]{7,})/i,
     /PHONE\s*[:\-]?\s*([+0-9][0-9\s\-]{7,})/i,
     /MOBILE\s*[:\-]?\s*([+0-9][0-9\s\-]{7,})/i,
     /TEL\s*[:\-]?\s*([+0-9][0-9\s\-]{7,})/i,
-  ]);
-
-  const dues = extractField(fullText, [
+  ],
+  dues: [
     /INITIAL\s*MONTHLY\s*UNION\s*DUES\s*[:\-]?\s*([0-9]+%?)/i,
     /DUES\s*[:\-]?\s*([0-9]+%?)/i,
-  ]) || "1%";
-
-  const witness = extractField(fullText, [
+  ],
+  witness: [
     /WITNESS\s*NAME\s*AND\s*SIGNATURE\s*[:\-]?\s*(.+)/i,
     /WITNESS\s*[:\-]?\s*(.+)/i,
-  ]);
+  ],
+};
 
-  const scoreParts = [
-    employeeName,
-    employeeNumber,
-    employerName,
-    dues,
-    witness,
-  ].filter(Boolean).length;
+// Shape checks; a value that fails its check keeps a reduced confidence.
+const SCAN_FIELD_CHECKS = {
+  employeeName: (value) => /^[A-Z][A-Z .'\-]{2,}$/i.test(value) && value.trim().includes(" "),
+  employeeNumber: (value) => /^[A-Z0-9\/\-]{3,20}$/i.test(value) && /\d/.test(value),
+  employerName: (value) => value.length >= 3,
+  branchName: (value) => value.length >= 2,
+  phoneNumber: (value) => /^\+?\d{9,15}$/.test(normalizePhone(value)),
+  dues: (value) => /^\d{1,2}%$/.test(value),
+  witness: (value) => value.length >= 3,
+};
 
-  const confidence = Math.min(0.25 + scoreParts * 0.15, 0.95);
+function roundConfidence(value) {
+  return Math.round(Math.max(0, Math.min(value, 1)) * 100) / 100;
+}
 
-  return {
-    employeeName: upperTrim(employeeName) || "",
-    employeeNumber: upperTrim(employeeNumber) || "",
-    employerName: upperTrim(employerName) || "",
-    branchName: upperTrim(branchName),
-    phoneNumber: upperTrim(phoneNumber),
-    dues: upperTrim(dues || "1%"),
-    witness: upperTrim(witness) || "",
-    confidence,
-    rawText: fullText,
-  };
+// Average OCR confidence (0-1) of the recognised words that make up `value`,
+// or null when no word-level data is available (e.g. text-based PDFs).
+function ocrConfidenceForValue(value, words = []) {
+  if (!words.length || !value) return null;
+  const tokens = value.toUpperCase().split(/\s+/).filter(Boolean);
+  const scores = tokens
+    .map((token) => words.find((word) => word.text.toUpperCase().includes(token)))
+    .filter(Boolean)
+    .map((word) => word.confidence / 100);
+  if (!scores.length) return null;
+  return scores.reduce((sum, score) => sum + score, 0) / scores.length;
 }
 
-async function extractTextFromUpload(file) {
-  const mime = file.mimetype || "";
-  const isPdf = mime.includes("pdf");
-  const isImage = mime.startsWith("image/");
+// Returns the flat submission fields plus `fields`, a per-field
+// { value, confidence } map. Confidence combines how specific the matching
+// label was, whether the value looks right, and (for OCR) how sure Tesseract
+// was about the words involved.
+function parseScannedFormText(rawText = "", { words = [] } = {}) {
+  const text = String(rawText || "").replace(/\r/g, "");
+  const lines = text
+    .split("\n")
+    .map((l) => normalizeSpaces(l))
+    .filter(Boolean);
 
-  if (isPdf) {
-    // Lazy load only when needed
-    let pdfParse;
-    try {
-      pdfParse = require("pdf-parse");
-    } catch (err) {
-      throw new Error(
-        "PDF scanning is not available on this deployment yet. Please upload JPG or PNG for now."
-      );
-    }
+  const fullText = lines.join("\n");
 
-    try {
-      const parsed = await pdfParse(file.buffer);
-      const text = normalizeSpaces(parsed?.text || "");
-      if (text && text.length > 40) {
-        return { text: parsed.text || "", source: "pdf-text" };
-      }
-    } catch (err) {
-      console.warn("⚠️ pdf-parse failed, falling back:", err.message);
-      throw new Error(
-        "This PDF could not be parsed on the current server. Please upload JPG or PNG scan for now."
-      );
+  const fields = {};
+  for (const [field, patterns] of Object.entries(SCAN_FIELD_PATTERNS)) {
+    const { value, patternIndex } = extractFieldMatch(fullText, patterns);
+    if (!value) {
+      fields[field] = { value: "", confidence: 0 };
+      continue;
     }
-  }
 
-  if (isImage) {
+    let confidence = Math.max(0.95 - patternIndex * 0.15, 0.5);
+    if (!SCAN_FIELD_CHECKS[field](value)) confidence *= 0.6;
+    const ocrConfidence = ocrConfidenceForValue(value, words);
+    if (ocrConfidence !== null) confidence *= ocrConfidence;
+
+    fields[field] = { value: upperTrim(value) || "", confidence: roundConfidence(confidence) };
+  }
+
+  if (!fields.dues.value) {
+    // the form default; shown to the reviewer as a guess
+    fields.dues = { value: "1%", confidence: 0.3 };
+  }
+
+  return {
+    employeeName: fields.employeeName.value,
+    employeeNumber: fields.employeeNumber.value,
+    employerName: fields.employerName.value,
+    branchName: fields.branchName.value || null,
+    phoneNumber: fields.phoneNumber.value || null,
+    dues: fields.dues.value,
+    witness: fields.witness.value,
+    fields,
+    rawText: fullText,
+  };
+}
+
+// --------------------
+// OCR worker
+// --------------------
+// One Tesseract worker is kept warm between scans (loading the language data
+// is the slow part) and terminated after a period of inactivity.
+const OCR_WORKER_IDLE_MS = 2 * 60 * 1000;
+let ocrWorker = null;
+let ocrWorkerIdleTimer = null;
+
+async function getOcrWorker() {
+  clearTimeout(ocrWorkerIdleTimer);
+  if (!ocrWorker) {
     if (!Tesseract) {
       Tesseract = require("tesseract.js");
     }
+    ocrWorker = await Tesseract.createWorker("eng");
+  }
+  return ocrWorker;
+}
+
+function releaseOcrWorker() {
+  clearTimeout(ocrWorkerIdleTimer);
+  ocrWorkerIdleTimer = setTimeout(() => {
+    const worker = ocrWorker;
+    ocrWorker = null;
+    if (worker) worker.terminate().catch((e) => console.warn("⚠️ OCR worker terminate failed:", e.message));
+  }, OCR_WORKER_IDLE_MS);
+  ocrWorkerIdleTimer.unref();
+}
+
+function collectOcrWords(data = {}) {
+  if (Array.isArray(data.words)) return data.words;
+  const words = [];
+  for (const block of data.blocks || []) {
+    for (const paragraph of block.paragraphs || []) {
+      for (const line of paragraph.lines || []) {
+        words.push(...(line.words || []));
+      }
+    }
+  }
+  return words;
+}
+
+async function recognizeImage(buffer) {
+  const worker = await getOcrWorker();
+  try {
+    const result = await worker.recognize(buffer, {}, { text: true, blocks: true });
+    const words = collectOcrWords(result?.data).map((word) => ({ text: word.text, confidence: word.confidence }));
+    return { text: result?.data?.text || "", words };
+  } finally {
+    releaseOcrWorker();
+  }
+}
+
+async function extractTextFromUpload(file) {
+  const mime = file.mimetype || "";
+  const isPdf = mime.includes("pdf");
+  const isImage = mime.startsWith("image/");
+
+  if (isPdf) {
+    // Lazy load only when needed
+    let PDFParse;
+    try {
+      ({ PDFParse } = require("pdf-parse"));
+    } catch (err) {
+      throw new Error(
+        "PDF scanning is not available on this deployment yet. Please upload JPG or PNG for now."
+      );
+    }
 
-    const worker = await Tesseract.createWorker("eng");
+    const parser = new PDFParse({ data: file.buffer });
     try {
-      const result = await worker.recognize(file.buffer);
-      return {
-        text: result?.data?.text || "",
-        source: "ocr-image",
-      };
+      const parsed = await parser.getText();
+      const text = normalizeSpaces(parsed?.text || "");
+      if (text && text.length > 40) {
+        return { text: parsed.text || "", source: "pdf-text", words: [] };
+      }
+
+      // Scanned PDF with no text layer: OCR the first page.
+      const screenshot = await parser.getScreenshot({ partial: [1], scale: 2, imageDataUrl: false });
+      const page = screenshot?.pages?.[0]?.data;
+      if (!page) throw new Error("PDF has no pages");
+      const ocr = await recognizeImage(Buffer.from(page));
+      return { text: ocr.text, source: "pdf-ocr", words: ocr.words };
+    } catch (err) {
+      console.warn("⚠️ PDF extraction failed:", err.message);
+      throw new Error(
+        "This PDF could not be read. Please upload a clearer scan as PDF, JPG or PNG."
+      );
     } finally {
-      await worker.terminate();
+      await parser.destroy().catch(() => {});
     }
   }
 
+  if (isImage) {
+    const ocr = await recognizeImage(file.buffer);
+    return { text: ocr.text, source: "ocr-image", words: ocr.words };
+  }
+
   throw new Error("Unsupported file type. Please upload PDF, JPG, JPEG, or PNG.");
 }
 
+// --------------------
+// Local job queue
+// --------------------
+// Minimal in-process FIFO: jobs run after the request that queued them has
+// returned, `concurrency` at a time. Pending items live in memory only, so
+// callers persist job state themselves and recover it on startup.
+function createLocalQueue(name, handler, { concurrency = 1, maxPending = 50 } = {}) {
+  const pending = [];
+  let running = 0;
+
+  function drain() {
+    while (running < concurrency && pending.length) {
+      const item = pending.shift();
+      running += 1;
+      Promise.resolve()
+        .then(() => handler(item))
+        .catch((err) => console.error(`❌ ${name} queue job failed:`, err))
+        .finally(() => {
+          running -= 1;
+          drain();
+        });
+    }
+  }
+
+  return {
+    push(item) {
+      if (pending.length >= maxPending) return false;
+      pending.push(item);
+      setImmediate(drain);
+      return true;
+    },
+    // Items still waiting (a copy)
+    items() {
+      return [...pending];
+    },
+    // 1-based position among items still waiting, or null
+    position(predicate) {
+      const index = pending.findIndex(predicate);
+      return index === -1 ? null : index + 1;
+    },
+    get size() {
+      return pending.length + running;
+    },
+  };
+}
+
 // =========================
-// ✅ SCAN PAPER FORM (MVP)
+// ✅ SCAN PAPER FORM
 // =========================
+// POST /api/forms/scan queues the upload and returns a job id straight away
+// (on Vercel, which runs nothing after the response, it scans first).
+// The scan queue extracts the text (pdf-parse, falling back to Tesseract) and
+// stores per-field values with confidence scores on the FormScanJob. Staff
+// poll the job, correct the fields and save them via /api/forms/scan/save
+// with { scanJobId, ...fields }.
+const FORM_SCAN_MAX_PENDING = Number(process.env.FORM_SCAN_MAX_PENDING || 20);
+// A job still QUEUED or PROCESSING after this long was lost with the instance
+// that held its upload.
+const FORM_SCAN_STALE_AFTER_MS = Number(process.env.FORM_SCAN_STALE_AFTER_MS || 30 * 60 * 1000);
+
+const formScanQueue = createLocalQueue("form-scan", processFormScanJob, { maxPending: FORM_SCAN_MAX_PENDING });
+
+async function processFormScanJob({ jobId, file }) {
+  await prisma.formScanJob.update({
+    where: { id: jobId },
+    data: { status: "PROCESSING", startedAt: new Date() },
+  });
+
+  try {
+    const extracted = await extractTextFromUpload(file);
+    const parsed = parseScannedFormText(extracted.text, { words: extracted.words });
+    await prisma.formScanJob.update({
+      where: { id: jobId },
+      data: {
+        status: "COMPLETED",
+        source: extracted.source,
+        rawText: parsed.rawText,
+        fields: parsed.fields,
+        completedAt: new Date(),
+      },
+    });
+  } catch (err) {
+    console.error(`❌ form scan job ${jobId} failed:`, err.message);
+    await prisma.formScanJob.update({
+      where: { id: jobId },
+      data: { status: "FAILED", error: err.message, completedAt: new Date() },
+    });
+  }
+}
+
+// Uploads are held in memory while queued, so a restarted instance loses its
+// jobs. Other instances may still be working on theirs, so only jobs past
+// FORM_SCAN_STALE_AFTER_MS are failed, at boot and then periodically.
+function failStaleScanJobs() {
+  const cutoff = new Date(Date.now() - FORM_SCAN_STALE_AFTER_MS);
+  return prisma.formScanJob.updateMany({
+    where: {
+      OR: [
+        { status: "QUEUED", createdAt: { lt: cutoff } },
+        { status: "PROCESSING", startedAt: { lt: cutoff } },
+      ],
+    },
+    data: { status: "FAILED", error: "Interrupted by a server restart. Please upload the form again.", completedAt: new Date() },
+  }).catch((e) => console.warn("⚠️ Could not recover interrupted scan jobs:", e.message));
+}
+
+failStaleScanJobs();
+setInterval(failStaleScanJobs, FORM_SCAN_STALE_AFTER_MS / 2).unref();
+
+// Staff see their own scan jobs; reviewers can open anyone's.
+async function scanJobScope(req) {
+  return (await hasPermission(req, "submissions.review")) ? {} : { createdById: req.user.id };
+}
 
-// OCR / text extraction preview
+function toFormScanJobResponse(job) {
+  return {
+    ...job,
+    queuePosition: job.status === "QUEUED" ? formScanQueue.position((item) => item.jobId === job.id) : null,
+  };
+}
 
 app.post(
   "/api/forms/scan",
   authenticate,
-  requireRole(["STAFF", "ADMIN", "SUPERADMIN"]),
+  requirePermission("forms.scan"),
   uploadPDF.single("file"),
   async (req, res) => {
     try {
@@ -844,10 +1545,47 @@ app.post(
         return res.status(400).json({ error: "No file uploaded" });
       }
 
-      return res.status(400).json({
-        error: "Auto scan is temporarily unavailable on this deployment",
-        details:
-          "Please use manual entry after upload, or move OCR/PDF extraction to VPS for heavy processing.",
+      const mime = req.file.mimetype || "";
+      if (!mime.includes("pdf") && !mime.startsWith("image/")) {
+        return res.status(400).json({ error: "Unsupported file type. Please upload PDF, JPG, JPEG, or PNG." });
+      }
+
+      if (formScanQueue.size >= FORM_SCAN_MAX_PENDING) {
+        return res.status(503).json({ error: "The scan queue is full. Please try again in a few minutes." });
+      }
+
+      const job = await prisma.formScanJob.create({
+        data: {
+          createdById: req.user.id,
+          fileName: req.file.originalname || null,
+          mimeType: mime,
+          fileSize: req.file.size,
+        },
+      });
+
+      const file = { buffer: req.file.buffer, mimetype: mime };
+      // Nothing runs after the response on Vercel, so scan before answering.
+      if (process.env.VERCEL) {
+        await processFormScanJob({ jobId: job.id, file });
+        const scanned = await prisma.formScanJob.findUnique({ where: { id: job.id } });
+        return res.json({
+          message: scanned.status === "COMPLETED" ? "Form scanned" : "Form scan failed",
+          job: toFormScanJobResponse(scanned),
+          statusUrl: `/api/forms/scan/jobs/${job.id}`,
+        });
+      }
+      if (!formScanQueue.push({ jobId: job.id, file })) {
+        await prisma.formScanJob.update({
+          where: { id: job.id },
+          data: { status: "FAILED", error: "Scan queue full", completedAt: new Date() },
+        });
+        return res.status(503).json({ error: "The scan queue is full. Please try again in a few minutes." });
+      }
+
+      return res.status(202).json({
+        message: "Form queued for scanning",
+        job: toFormScanJobResponse(job),
+        statusUrl: `/api/forms/scan/jobs/${job.id}`,
       });
     } catch (err) {
       console.error("❌ scan form error:", err);
@@ -859,11 +1597,69 @@ app.post(
   }
 );
 
-// Save reviewed scan into Submission table
+// Scan jobs of the current user, newest first (?status=COMPLETED for the review list)
+app.get(
+  "/api/forms/scan/jobs",
+  authenticate,
+  requirePermission("forms.scan"),
+  async (req, res) => {
+    try {
+      const status = req.query.status ? String(req.query.status).toUpperCase() : null;
+      const where = { createdById: req.user.id };
+      if (status) where.status = status;
+      if (req.query.unsaved === "true") where.submissionId = null;
+
+      const jobs = await prisma.formScanJob.findMany({
+        where,
+        orderBy: { createdAt: "desc" },
+        take: 50,
+        select: {
+          id: true,
+          status: true,
+          fileName: true,
+          source: true,
+          fields: true,
+          error: true,
+          submissionId: true,
+          createdAt: true,
+          completedAt: true,
+        },
+      });
+      return res.json(jobs.map(toFormScanJobResponse));
+    } catch (err) {
+      console.error("❌ list scan jobs error:", err);
+      return res.status(500).json({ error: "Failed to load scan jobs", details: err.message });
+    }
+  }
+);
+
+// Poll a scan job
+app.get(
+  "/api/forms/scan/jobs/:id",
+  authenticate,
+  requirePermission("forms.scan"),
+  async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      if (!id) return res.status(400).json({ error: "Invalid scan job id" });
+
+      const job = await prisma.formScanJob.findFirst({ where: { id, ...(await scanJobScope(req)) } });
+      if (!job) return res.status(404).json({ error: "Scan job not found" });
+
+      return res.json(toFormScanJobResponse(job));
+    } catch (err) {
+      console.error("❌ get scan job error:", err);
+      return res.status(500).json({ error: "Failed to load scan job", details: err.message });
+    }
+  }
+);
+
+// Save reviewed scan into Submission table. Like forms sent through a staff
+// link it waits for review; the member's account is created on verification.
 app.post(
   "/api/forms/scan/save",
   authenticate,
-  requireRole(["STAFF", "ADMIN", "SUPERADMIN"]),
+  requirePermission("forms.scan"),
   async (req, res) => {
     try {
       const normalized = normalizeSubmissionPayload(req.body);
@@ -883,6 +1679,20 @@ app.post(
         });
       }
 
+      let scanJob = null;
+      if (req.body.scanJobId !== undefined && req.body.scanJobId !== null) {
+        scanJob = await prisma.formScanJob.findFirst({
+          where: { id: Number(req.body.scanJobId), ...(await scanJobScope(req)) },
+        });
+        if (!scanJob) return res.status(404).json({ error: "Scan job not found" });
+        if (scanJob.status !== "COMPLETED") {
+          return res.status(409).json({ error: `Scan job is ${scanJob.status.toLowerCase()}, not ready for review` });
+        }
+        if (scanJob.submissionId) {
+          return res.status(409).json({ error: "This scan has already been saved", submissionId: scanJob.submissionId });
+        }
+      }
+
       const exists = await prisma.submission.findUnique({
         where: { employeeNumber },
       });
@@ -893,84 +1703,64 @@ app.post(
         });
       }
 
+      const registry = await getEmployerAndBranchOrReject(res, employerName, branchName);
+      if (!registry) return;
+
       const submission = await prisma.submission.create({
         data: {
           employeeName,
           employeeNumber,
-          employerName,
-          branchName,
+          ...employerFields(registry),
           phoneNumber,
           dues,
           witness,
           pdfPath: null,
           submittedAt: new Date(),
           staffId: req.user.id,
+          reviewEvents: {
+            create: {
+              action: "SUBMITTED",
+              status: "PENDING",
+              actorId: req.user.id,
+              details: { source: "scan", scanJobId: scanJob ? scanJob.id : null },
+            },
+          },
         },
       });
 
-      let user = await prisma.user.findUnique({
-        where: { employeeNumber },
+      // Scanned forms have no uploaded PDF; render the canonical one (best-effort)
+      const savedSubmission = await generateSubmissionFormPdf(req, submission).catch((e) => {
+        console.warn("⚠️ form PDF generation (scan save) failed:", e.message);
+        return submission;
       });
 
-      let tempPassword = null;
-
-      if (!user) {
-        const suffix = Math.floor(1000 + Math.random() * 9000);
-        tempPassword = `${employeeNumber}${suffix}`;
-        const hashedPassword = await bcrypt.hash(tempPassword, 10);
-        user = await prisma.user.create({
+      if (scanJob) {
+        // Keep track of what the reviewer had to fix, per field
+        const corrections = {};
+        for (const [field, scanned] of Object.entries(scanJob.fields || {})) {
+          const saved = normalized[field] ?? "";
+          if ((scanned?.value || "") !== saved) {
+            corrections[field] = { scanned: scanned?.value || "", saved, confidence: scanned?.confidence ?? null };
+          }
+        }
+        await prisma.formScanJob.update({
+          where: { id: scanJob.id },
           data: {
-            name: employeeName,
-            username: employeeNumber,
-            employeeNumber,
-            email: `${employeeNumber}@fibuca.com`,
-            password: hashedPassword,
-            role: "CLIENT",
+            submissionId: submission.id,
+            reviewedById: req.user.id,
+            reviewedAt: new Date(),
+            corrections,
           },
         });
       }
 
-      let placeholderCard = await prisma.idCard.findFirst({
-        where: { userId: user.id },
-      });
-
-      const makeCardNumber = () => {
-        const letters = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
-        const prefix = Array.from({ length: 2 })
-          .map(() => letters[Math.floor(Math.random() * letters.length)])
-          .join("");
-        const digits = Math.floor(100000 + Math.random() * 900000);
-        return `FIBUCA${prefix}${digits}`;
-      };
-
-      if (!placeholderCard) {
-        placeholderCard = await prisma.idCard.create({
-          data: {
-            userId: user.id,
-            fullName: user.name,
-            rawPhotoUrl: "",
-            cleanPhotoUrl: "",
-            company: submission.employerName,
-            role: "Member",
-            issuedAt: new Date(),
-            cardNumber: makeCardNumber(),
-          },
-        });
-      }
+      // Shown to the person saving the scan so they can double-check the number
+      const possibleDuplicates = await checkSubmissionForDuplicates(submission, "scan save");
 
       return res.status(201).json({
-        message: "✅ Scanned form saved successfully",
-        submission,
-        user: {
-          id: user.id,
-          name: user.name,
-          employeeNumber: user.employeeNumber,
-          role: user.role,
-        },
-        loginCredentials: tempPassword
-          ? { username: user.username, password: tempPassword }
-          : null,
-        idCard: placeholderCard,
+        message: "✅ Scanned form saved and queued for review",
+        submission: savedSubmission,
+        possibleDuplicates,
       });
     } catch (err) {
       console.error("❌ save scanned form error:", err);
@@ -1058,7 +1848,7 @@ app.get("/api/complaints/mine", authenticate, async (req, res) => {
 app.get(
   "/api/staff/complaints",
   authenticate,
-  requireRole(["STAFF", "ADMIN", "SUPERADMIN"]),
+  requirePermission("complaints.view"),
   async (req, res) => {
     try {
       const rows = await prisma.complaint.findMany({
@@ -1113,7 +1903,7 @@ app.get(
 app.put(
   "/api/staff/complaints/:id/status",
   authenticate,
-  requireRole(["STAFF", "ADMIN", "SUPERADMIN"]),
+  requirePermission("complaints.update_status"),
   async (req, res) => {
     try {
       const id = Number(req.params.id);
@@ -1142,7 +1932,7 @@ app.put(
 app.post(
   "/api/staff/complaints/:id/reply",
   authenticate,
-  requireRole(["STAFF", "ADMIN", "SUPERADMIN"]),
+  requirePermission("complaints.reply"),
   uploadPDF.single("file"),
   async (req, res) => {
     try {
@@ -1179,7 +1969,7 @@ app.post(
       let uploadedFileUrl = "";
       if (req.file) {
         try {
-          uploadedFileUrl = await uploadComplaintPdf(req, req.file, complaintId);
+          uploadedFileUrl = await uploadComplaintPdf(req, req.file, complaint);
         } catch (uploadErr) {
           return res.status(400).json({ error: uploadErr.message || "Failed to upload attachment" });
         }
@@ -1234,7 +2024,7 @@ app.post(
 app.put(
   "/api/staff/complaint-replies/:id",
   authenticate,
-  requireRole(["STAFF", "ADMIN", "SUPERADMIN"]),
+  requirePermission("complaints.reply"),
   async (req, res) => {
     try {
       const replyId = Number(req.params.id);
@@ -1246,7 +2036,7 @@ app.put(
       const existing = await prisma.complaintReply.findUnique({ where: { id: replyId } });
       if (!existing) return res.status(404).json({ error: "Reply not found" });
 
-      const canManage = existing.senderId === req.user.id || ["ADMIN", "SUPERADMIN"].includes(req.user.role);
+      const canManage = existing.senderId === req.user.id || await hasPermission(req, "complaints.moderate");
       if (!canManage) return res.status(403).json({ error: "You can only edit your own reply" });
 
       const parsed = parseReplyStorageMessage(existing.message);
@@ -1288,7 +2078,7 @@ app.put(
 app.delete(
   "/api/staff/complaint-replies/:id",
   authenticate,
-  requireRole(["STAFF", "ADMIN", "SUPERADMIN"]),
+  requirePermission("complaints.reply"),
   async (req, res) => {
     try {
       const replyId = Number(req.params.id);
@@ -1297,7 +2087,7 @@ app.delete(
       const existing = await prisma.complaintReply.findUnique({ where: { id: replyId } });
       if (!existing) return res.status(404).json({ error: "Reply not found" });
 
-      const canManage = existing.senderId === req.user.id || ["ADMIN", "SUPERADMIN"].includes(req.user.role);
+      const canManage = existing.senderId === req.user.id || await hasPermission(req, "complaints.moderate");
       if (!canManage) return res.status(403).json({ error: "You can only delete your own reply" });
 
       const deletedMessage = buildReplyStorageMessage({
@@ -1325,7 +2115,7 @@ app.delete(
 app.post(
   "/api/complaints/mark-read",
   authenticate,
-  requireRole(["CLIENT"]),
+  requirePermission("complaints.track"),
   async (req, res) => {
     try {
       const now = new Date();
@@ -1344,7 +2134,7 @@ app.post(
 app.post(
   "/api/staff/complaints/mark-read",
   authenticate,
-  requireRole(["STAFF", "ADMIN", "SUPERADMIN"]),
+  requirePermission("complaints.view"),
   async (req, res) => {
     try {
       const now = new Date();
@@ -1367,7 +2157,7 @@ app.post(
 app.get(
   "/api/client/documents",
   authenticate,
-  requireRole(["CLIENT", "STAFF", "ADMIN", "SUPERADMIN"]),
+  requirePermission("content.view"),
   async (req, res) => {
     try {
       const rows = await prisma.officialDocument.findMany({
@@ -1390,7 +2180,7 @@ app.get(
 app.get(
   "/api/client/updates",
   authenticate,
-  requireRole(["CLIENT", "STAFF", "ADMIN", "SUPERADMIN"]),
+  requirePermission("content.view"),
   async (req, res) => {
     try {
       const rows = await prisma.officialUpdate.findMany({
@@ -1413,7 +2203,7 @@ app.get(
 app.post(
   "/api/staff/documents",
   authenticate,
-  requireRole(["STAFF", "ADMIN", "SUPERADMIN"]),
+  requirePermission("documents.manage"),
   uploadPDF.single("file"),
   async (req, res) => {
     try {
@@ -1448,27 +2238,7 @@ app.post(
           return res.status(400).json({ error: "Only PDF files are allowed" });
         }
 
-        if (PHOTO_MODE === "cloudinary" || process.env.VERCEL) {
-          const publicId = `official_doc_${Date.now()}`;
-          const uploadResult = await new Promise((resolve, reject) => {
-            const stream = cloudinary.uploader.upload_stream(
-              {
-                resource_type: "raw",
-                folder: cloudFolder(CLOUDINARY_FOLDERS.forms),
-                public_id: publicId,
-                format: "pdf",
-              },
-              (error, result) => (error ? reject(error) : resolve(result))
-            );
-            streamifier.createReadStream(req.file.buffer).pipe(stream);
-          });
-          finalFileUrl = uploadResult.secure_url;
-        } else {
-          const safeName = `official_doc_${Date.now()}.pdf`;
-          const pdfDiskPath = path.join(FORMS_UPLOAD_DIR, safeName);
-          await fs.promises.writeFile(pdfDiskPath, req.file.buffer);
-          finalFileUrl = buildUploadUrl(req, `forms/${safeName}`);
-        }
+        finalFileUrl = (await putUpload(req, `${newFileKey('documents')}.pdf`, req.file.buffer)).url;
       }
 
       const created = await prisma.officialDocument.create({
@@ -1491,7 +2261,7 @@ app.post(
 app.put(
   "/api/staff/documents/:id",
   authenticate,
-  requireRole(["STAFF", "ADMIN", "SUPERADMIN"]),
+  requirePermission("documents.manage"),
   async (req, res) => {
     try {
       const id = Number(req.params.id);
@@ -1506,7 +2276,7 @@ app.put(
       const existing = await prisma.officialDocument.findUnique({ where: { id } });
       if (!existing) return res.status(404).json({ error: "Document not found" });
 
-      const canManage = existing.createdById === req.user.id || ["ADMIN", "SUPERADMIN"].includes(req.user.role);
+      const canManage = existing.createdById === req.user.id || await hasPermission(req, "content.moderate");
       if (!canManage) return res.status(403).json({ error: "You can only edit your own document" });
 
       const updated = await prisma.officialDocument.update({
@@ -1525,7 +2295,7 @@ app.put(
 app.delete(
   "/api/staff/documents/:id",
   authenticate,
-  requireRole(["STAFF", "ADMIN", "SUPERADMIN"]),
+  requirePermission("documents.manage"),
   async (req, res) => {
     try {
       const id = Number(req.params.id);
@@ -1534,7 +2304,7 @@ app.delete(
       const existing = await prisma.officialDocument.findUnique({ where: { id } });
       if (!existing) return res.status(404).json({ error: "Document not found" });
 
-      const canManage = existing.createdById === req.user.id || ["ADMIN", "SUPERADMIN"].includes(req.user.role);
+      const canManage = existing.createdById === req.user.id || await hasPermission(req, "content.moderate");
       if (!canManage) return res.status(403).json({ error: "You can only delete your own document" });
 
       await prisma.officialDocument.delete({ where: { id } });
@@ -1550,7 +2320,7 @@ app.delete(
 app.post(
   "/api/staff/updates",
   authenticate,
-  requireRole(["STAFF", "ADMIN", "SUPERADMIN"]),
+  requirePermission("updates.manage"),
   async (req, res) => {
     try {
       const { title, message, category } = req.body;
@@ -1578,7 +2348,7 @@ app.post(
 app.put(
   "/api/staff/updates/:id",
   authenticate,
-  requireRole(["STAFF", "ADMIN", "SUPERADMIN"]),
+  requirePermission("updates.manage"),
   async (req, res) => {
     try {
       const id = Number(req.params.id);
@@ -1592,7 +2362,7 @@ app.put(
       const existing = await prisma.officialUpdate.findUnique({ where: { id } });
       if (!existing) return res.status(404).json({ error: "Update not found" });
 
-      const canManage = existing.createdById === req.user.id || ["ADMIN", "SUPERADMIN"].includes(req.user.role);
+      const canManage = existing.createdById === req.user.id || await hasPermission(req, "content.moderate");
       if (!canManage) return res.status(403).json({ error: "You can only edit your own update" });
 
       const updated = await prisma.officialUpdate.update({
@@ -1611,7 +2381,7 @@ app.put(
 app.delete(
   "/api/staff/updates/:id",
   authenticate,
-  requireRole(["STAFF", "ADMIN", "SUPERADMIN"]),
+  requirePermission("updates.manage"),
   async (req, res) => {
     try {
       const id = Number(req.params.id);
@@ -1620,7 +2390,7 @@ app.delete(
       const existing = await prisma.officialUpdate.findUnique({ where: { id } });
       if (!existing) return res.status(404).json({ error: "Update not found" });
 
-      const canManage = existing.createdById === req.user.id || ["ADMIN", "SUPERADMIN"].includes(req.user.role);
+      const canManage = existing.createdById === req.user.id || await hasPermission(req, "content.moderate");
       if (!canManage) return res.status(403).json({ error: "You can only delete your own update" });
 
       await prisma.officialUpdate.delete({ where: { id } });
@@ -1720,15 +2490,35 @@ async function executeTransferForUser({ userId, performedById, newEmployeeNumber
   const oldBranchName = existingSubmission?.branchName || null;
   const oldPhoneNumber = existingSubmission?.phoneNumber || null;
 
+  // The new employer and branch must be registered; a new branch alone is
+  // looked up under the current employer. A new employer without a branch
+  // clears the old employer's branch.
+  let newEmployer = null;
+  let newBranch = null;
+  if (trimmedNewEmployerName || trimmedNewBranchName) {
+    const employerName = trimmedNewEmployerName || oldEmployerName;
+    if (!employerName) {
+      const err = new Error("newEmployerName is required to set a branch for a member without a submission");
+      err.statusCode = 400;
+      throw err;
+    }
+    const resolved = await resolveEmployerAndBranch(prisma, employerName, trimmedNewBranchName);
+    newEmployer = trimmedNewEmployerName ? resolved.employer : null;
+    newBranch = resolved.branch;
+  }
+  const employerChanged = newEmployer && newEmployer.name !== oldEmployerName;
+
   const result = await prisma.$transaction(async (tx) => {
     const history = await tx.transferHistory.create({
       data: {
         userId: target.id,
         performedById,
         oldEmployerName,
-        newEmployerName: trimmedNewEmployerName,
+        newEmployerName: newEmployer ? newEmployer.name : null,
+        newEmployerId: newEmployer ? newEmployer.id : null,
         oldBranchName,
-        newBranchName: trimmedNewBranchName,
+        newBranchName: newBranch ? newBranch.name : null,
+        newBranchId: newBranch ? newBranch.id : null,
         oldPhoneNumber,
         newPhoneNumber: trimmedNewPhoneNumber,
         oldEmployeeNumber,
@@ -1752,15 +2542,24 @@ async function executeTransferForUser({ userId, performedById, newEmployeeNumber
       },
     });
 
-    await tx.submission.updateMany({
-      where: { employeeNumber: oldEmployeeNumber },
-      data: {
+    const submission = await tx.submission.findUnique({ where: { employeeNumber: oldEmployeeNumber } });
+    if (submission) {
+      const submissionData = {
         employeeNumber: trimmedNewEmployeeNumber,
-        employerName: trimmedNewEmployerName ?? undefined,
-        branchName: trimmedNewBranchName ?? undefined,
+        ...(newEmployer ? { employerId: newEmployer.id, employerName: newEmployer.name } : {}),
+        ...(newBranch
+          ? { branchId: newBranch.id, branchName: newBranch.name }
+          : employerChanged ? { branchId: null, branchName: null } : {}),
         phoneNumber: trimmedNewPhoneNumber ?? undefined,
-      },
-    });
+      };
+      await tx.submission.update({
+        where: { id: submission.id },
+        data: {
+          ...submissionData,
+          revisions: submissionRevision(submission, submissionData, { actorId: performedById, source: "transfer" }),
+        },
+      });
+    }
 
     return { history, updatedUser };
   });
@@ -1772,7 +2571,7 @@ async function executeTransferForUser({ userId, performedById, newEmployeeNumber
 app.post(
   "/api/users/:id/transfer",
   authenticate,
-  requireRole(["STAFF", "ADMIN", "SUPERADMIN"]),
+  requirePermission("transfers.record"),
   async (req, res) => {
     try {
       const userId = Number(req.params.id);
@@ -1806,7 +2605,7 @@ app.post(
       console.error("❌ transfer error:", err);
 
       if (err.statusCode) {
-        return res.status(err.statusCode).json({ error: err.message });
+        return res.status(err.statusCode).json({ error: err.message, suggestions: err.suggestions });
       }
 
       if (err.code === "P2002") {
@@ -1827,7 +2626,7 @@ app.post(
 app.post(
   "/api/staff/complaints/:id/approve-transfer",
   authenticate,
-  requireRole(["STAFF", "ADMIN", "SUPERADMIN"]),
+  requirePermission("transfers.approve"),
   async (req, res) => {
     try {
       const complaintId = Number(req.params.id);
@@ -1892,8 +2691,8 @@ app.post(
         "Transfer notice approved and processed.",
         `Old Employee Number: ${parsed.oldEmployeeNumber || complaint.user.employeeNumber}`,
         `New Employee Number: ${transferResult.updatedUser.employeeNumber}`,
-        `New Employer/Bank: ${normalizedEmployer || "No change"}`,
-        `New Branch: ${targetNewBranch}`,
+        `New Employer/Bank: ${transferResult.history.newEmployerName || "No change"}`,
+        `New Branch: ${transferResult.history.newBranchName}`,
         "__TRANSFER_APPROVED__:true",
       ];
 
@@ -1924,7 +2723,7 @@ app.post(
       console.error("❌ approve transfer notice error:", err);
 
       if (err.statusCode) {
-        return res.status(err.statusCode).json({ error: err.message });
+        return res.status(err.statusCode).json({ error: err.message, suggestions: err.suggestions });
       }
 
       if (err.code === "P2002") {
@@ -1939,7 +2738,7 @@ app.post(
 app.get(
   "/api/users/:id/transfers",
   authenticate,
-  requireRole(["STAFF", "ADMIN", "SUPERADMIN"]),
+  requirePermission("transfers.view"),
   async (req, res) => {
     try {
       const userId = Number(req.params.id);
@@ -1968,15 +2767,17 @@ app.get(
 // --------------------
 
 // Register new user
+// Self-registration always creates a CLIENT that stays PENDING until an
+// admin approves it from the registration queue; any role in the body is ignored.
 app.post('/register', async (req, res) => {
-  const { name, email, password, employeeNumber, role } = req.body
+  const { name, email, password, employeeNumber } = req.body
   if (!name || !email || !password || !employeeNumber) {
     return res.status(400).json({ error: 'All fields required' })
   }
 
   try {
     const exists = await prisma.user.findFirst({
-      where: { OR: [{ email }, { employeeNumber }] }
+      where: { OR: [{ email }, { employeeNumber }, { username: employeeNumber }] }
     })
     if (exists) return res.status(409).json({ error: 'User already exists' })
 
@@ -1988,14 +2789,19 @@ app.post('/register', async (req, res) => {
         username: employeeNumber,
         employeeNumber,
         password: hashed,
-        role: role || 'CLIENT',
+        role: 'CLIENT',
+        registrationStatus: 'PENDING',
         firstLogin: true
       }
     })
 
+    if (req.body.role && req.body.role !== 'CLIENT') {
+      recordSecurityEvent('register_role_ignored', req, { userId: user.id, requestedRole: String(req.body.role) });
+    }
+
     return res.status(201).json({
-      message: 'Registered successfully',
-      user: { id: user.id, name: user.name, email: user.email }
+      message: 'Registration received. Your account will be activated once an administrator approves it.',
+      user: { id: user.id, name: user.name, email: user.email, registrationStatus: user.registrationStatus }
     })
   } catch (err) {
     console.error('❌ Register error:', err)
@@ -2299,43 +3105,54 @@ async function sendWelcomeCredentials({ user, username, password, phone }) {
     }
   }
 
-  // 2. WhatsApp
+  // 2. WhatsApp and 3. SMS
+  await sendMemberPhoneMessage({
+    phone,
+    message: msg,
+    payload: { username, password, user: { id: user.id, employeeNumber: user.employeeNumber, name: user.name } },
+    label: 'sendWelcomeCredentials',
+  });
+}
+
+// Sends a text over WhatsApp (the configured provider) and the SMS webhook
+// (best-effort). payload is added to webhook bodies. Returns whether any
+// channel accepted the message.
+async function sendMemberPhoneMessage({ phone, message, payload = {}, label = 'sendMemberPhoneMessage' }) {
   const waPhone = normalizePhone(phone || '');
-  if (waPhone) {
-    try {
-      const providerPref = getWhatsappProviderPreference();
+  if (!waPhone) return false;
+  let sent = false;
 
-      if ((providerPref === 'AUTO' || providerPref === 'WEBHOOK') && process.env.OTP_WHATSAPP_WEBHOOK_URL) {
-        await axios.post(process.env.OTP_WHATSAPP_WEBHOOK_URL, {
-          to: waPhone, message: msg, username, password,
-          user: { id: user.id, employeeNumber: user.employeeNumber, name: user.name },
-        }, { timeout: 15000 });
-      } else if ((providerPref === 'AUTO' || providerPref === 'META') && hasUsableWhatsappMetaConfig()) {
-        await sendWhatsappViaMeta({ to: waPhone, message: msg });
-      } else if ((providerPref === 'AUTO' || providerPref === 'CALLMEBOT') && hasUsableWhatsappConfig()) {
-        const safeMsg = encodeURIComponent(msg);
-        const safePhone = encodeURIComponent(waPhone.replace(/^\+/, ''));
-        const apiKey = encodeURIComponent(process.env.WHATSAPP_CALLMEBOT_APIKEY);
-        await axios.get(`https://api.callmebot.com/whatsapp.php?phone=${safePhone}&text=${safeMsg}&apikey=${apiKey}`, { timeout: 15000 });
-      } else {
-        console.info(`💬 WhatsApp not configured. Credentials for ${waPhone} — username: ${username}`);
-      }
-    } catch (e) {
-      console.warn('⚠️ sendWelcomeCredentials WhatsApp failed:', e.message);
+  try {
+    const providerPref = getWhatsappProviderPreference();
+
+    if ((providerPref === 'AUTO' || providerPref === 'WEBHOOK') && process.env.OTP_WHATSAPP_WEBHOOK_URL) {
+      await axios.post(process.env.OTP_WHATSAPP_WEBHOOK_URL, { to: waPhone, message, ...payload }, { timeout: 15000 });
+      sent = true;
+    } else if ((providerPref === 'AUTO' || providerPref === 'META') && hasUsableWhatsappMetaConfig()) {
+      await sendWhatsappViaMeta({ to: waPhone, message });
+      sent = true;
+    } else if ((providerPref === 'AUTO' || providerPref === 'CALLMEBOT') && hasUsableWhatsappConfig()) {
+      const safeMsg = encodeURIComponent(message);
+      const safePhone = encodeURIComponent(waPhone.replace(/^\+/, ''));
+      const apiKey = encodeURIComponent(process.env.WHATSAPP_CALLMEBOT_APIKEY);
+      await axios.get(`https://api.callmebot.com/whatsapp.php?phone=${safePhone}&text=${safeMsg}&apikey=${apiKey}`, { timeout: 15000 });
+      sent = true;
+    } else {
+      console.info(`💬 WhatsApp not configured. Message for ${waPhone} not sent`);
     }
+  } catch (e) {
+    console.warn(`⚠️ ${label} WhatsApp failed:`, e.message);
   }
 
-  // 3. SMS
-  if (waPhone && process.env.OTP_SMS_WEBHOOK_URL) {
+  if (process.env.OTP_SMS_WEBHOOK_URL) {
     try {
-      await axios.post(process.env.OTP_SMS_WEBHOOK_URL, {
-        to: waPhone, message: msg, username, password,
-        user: { id: user.id, employeeNumber: user.employeeNumber, name: user.name },
-      }, { timeout: 15000 });
+      await axios.post(process.env.OTP_SMS_WEBHOOK_URL, { to: waPhone, message, ...payload }, { timeout: 15000 });
+      sent = true;
     } catch (e) {
-      console.warn('⚠️ sendWelcomeCredentials SMS failed:', e.message);
+      console.warn(`⚠️ ${label} SMS failed:`, e.message);
     }
   }
+  return sent;
 }
 
 async function persistOtpForUser({ userId, purpose, channel, target, otpCode }) {
@@ -2371,23 +3188,209 @@ async function validateOtpForUser({ user, purpose, otpCode }) {
     return { ok: false, status: 400, error: 'OTP expired. Request a new OTP.' };
   }
 
-  const attempts = Number(user.otpAttempts || 0);
-  if (attempts >= OTP_MAX_ATTEMPTS) {
-    return { ok: false, status: 429, error: 'Too many OTP attempts. Request a new OTP.' };
+  return verifyCodeWithAttemptLimit({
+    user,
+    verify: () => bcrypt.compare(String(otpCode || ''), user.otpCodeHash),
+  });
+}
+
+// Attempt counting shared by emailed/WhatsApp OTPs and TOTP codes. Each code
+// type keeps its own counter column, reset by a correct code. OTP counters are
+// also reset when a new code is sent. TOTP has no new code to send, so with
+// lockedUntilField the counter is locked for LOGIN_LOCK_MS once it is used
+// up and starts again when the lock runs out.
+async function verifyCodeWithAttemptLimit({
+  user,
+  verify,
+  attemptsField = 'otpAttempts',
+  lockedUntilField = null,
+  lockedError = 'Too many OTP attempts. Request a new OTP.',
+  invalidError = 'Invalid OTP code.',
+}) {
+  const now = new Date();
+  const lockIfUsedUp = () => lockedUntilField && prisma.user.updateMany({
+    where: { id: user.id, [attemptsField]: { gte: OTP_MAX_ATTEMPTS }, [lockedUntilField]: null },
+    data: { [lockedUntilField]: new Date(now.getTime() + LOGIN_LOCK_MS) },
+  });
+
+  if (lockedUntilField) {
+    await prisma.user.updateMany({
+      where: { id: user.id, [lockedUntilField]: { lte: now } },
+      data: { [attemptsField]: 0, [lockedUntilField]: null },
+    });
+  }
+
+  // The attempt is taken before the code is checked, in one conditional
+  // write, so parallel requests cannot make more than OTP_MAX_ATTEMPTS guesses.
+  const taken = await prisma.user.updateMany({
+    where: { id: user.id, [attemptsField]: { lt: OTP_MAX_ATTEMPTS } },
+    data: { [attemptsField]: { increment: 1 } },
+  });
+  if (!taken.count) {
+    await lockIfUsedUp();
+    return { ok: false, status: 429, error: lockedError };
   }
 
-  const valid = await bcrypt.compare(String(otpCode || ''), user.otpCodeHash);
+  const valid = await verify();
   if (!valid) {
-    await prisma.user.update({
-      where: { id: user.id },
-      data: { otpAttempts: attempts + 1 },
-    });
-    return { ok: false, status: 401, error: 'Invalid OTP code.' };
+    await lockIfUsedUp();
+    return { ok: false, status: 401, error: invalidError };
   }
 
+  await prisma.user.update({ where: { id: user.id }, data: { [attemptsField]: 0 } });
   return { ok: true };
 }
 
+// ================= TWO-FACTOR AUTHENTICATION (TOTP, RFC 6238) =================
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'FIBUCA';
+const TOTP_BACKUP_CODE_COUNT = 10;
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+const TWO_FACTOR_REQUIRED_ROLES = String(process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+  .split(',')
+  .map((r) => r.trim().toUpperCase())
+  .filter(Boolean);
+
+function getTotpEncryptionKey() {
+  return crypto.createHash('sha256').update(process.env.TOTP_ENCRYPTION_KEY || JWT_SECRET).digest();
+}
+
+function encryptTotpSecret(secretBase32) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getTotpEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secretBase32, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((b) => b.toString('base64url')).join('.');
+}
+
+function decryptTotpSecret(stored = '') {
+  const [iv, tag, encrypted] = String(stored).split('.').map((p) => Buffer.from(p, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getTotpEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+function normalizeBackupCode(code = '') {
+  return String(code).replace(/[\s-]/g, '').toLowerCase();
+}
+
+function hashBackupCode(code) {
+  return crypto.createHash('sha256').update(normalizeBackupCode(code)).digest('hex');
+}
+
+function generateBackupCodes() {
+  const codes = Array.from({ length: TOTP_BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashBackupCode) };
+}
+
+function buildTotpProvisioningUri(user, secretBase32) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${user.username || user.employeeNumber}`);
+  const params = new URLSearchParams({
+    secret: secretBase32,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+function isTwoFactorRequiredForRole(role) {
+  return TWO_FACTOR_REQUIRED_ROLES.includes(String(role || '').toUpperCase());
+}
+
+function isTwoFactorSetupRequired(user) {
+  return isTwoFactorRequiredForRole(user?.role) && !user?.totpEnabledAt;
+}
+
+// Accepts either a current TOTP code or an unused backup code. With a
+// challengeId (the login step) the code also answers that challenge, which is
+// then closed. A new login challenge does not give fresh attempts; see
+// verifyCodeWithAttemptLimit for when they come back.
+async function validateTotpForUser({ user, code, challengeId }) {
+  if (!user.totpEnabledAt || !user.totpSecret) {
+    return { ok: false, status: 400, error: 'Two-factor authentication is not enabled for this account.' };
+  }
+
+  const normalized = normalizeBackupCode(code);
+  const storedBackupHashes = Array.isArray(user.totpBackupCodes) ? user.totpBackupCodes : [];
+  let matchedStep = null;
+  let usedBackupHash = null;
+
+  const result = await verifyCodeWithAttemptLimit({
+    user,
+    attemptsField: 'totpAttempts',
+    lockedUntilField: 'totpLockedUntil',
+    lockedError: `Too many two-factor attempts. Try again in ${Math.ceil(LOGIN_LOCK_MS / 60000)} minutes.`,
+    invalidError: 'Invalid two-factor code.',
+    verify: async () => {
+      if (normalized.length === TOTP_DIGITS && /^\d+$/.test(normalized)) {
+        matchedStep = findMatchingTotpStep(decryptTotpSecret(user.totpSecret), normalized, user.totpLastUsedStep);
+        return matchedStep !== null;
+      }
+      const hash = hashBackupCode(normalized);
+      if (storedBackupHashes.includes(hash)) {
+        usedBackupHash = hash;
+        return true;
+      }
+      return false;
+    },
+  });
+
+  if (!result.ok) return result;
+
+  const remainingBackupHashes = usedBackupHash
+    ? storedBackupHashes.filter((h) => h !== usedBackupHash)
+    : storedBackupHashes;
+
+  // Conditional on what was checked so a backup code, a TOTP step or a login
+  // challenge can only be spent once by concurrent requests.
+  const { count } = await prisma.user.updateMany({
+    where: {
+      id: user.id,
+      ...(matchedStep !== null ? { totpLastUsedStep: user.totpLastUsedStep ?? null } : {}),
+      ...(usedBackupHash ? { totpBackupCodes: { equals: storedBackupHashes } } : {}),
+      ...(challengeId !== undefined ? { totpChallengeId: challengeId } : {}),
+    },
+    data: {
+      totpAttempts: 0,
+      ...(matchedStep !== null ? { totpLastUsedStep: matchedStep } : {}),
+      ...(usedBackupHash ? { totpBackupCodes: remainingBackupHashes } : {}),
+      ...(challengeId !== undefined ? { totpChallengeId: null } : {}),
+    },
+  });
+  if (count !== 1) {
+    return { ok: false, status: 401, error: 'Two-factor code or challenge has already been used.' };
+  }
+
+  return {
+    ok: true,
+    usedBackupCode: !!usedBackupHash,
+    backupCodesRemaining: remainingBackupHashes.length,
+  };
+}
+
+const TOTP_RESET_DATA = {
+  totpSecret: null,
+  totpPendingSecret: null,
+  totpEnabledAt: null,
+  totpBackupCodes: null,
+  totpAttempts: 0,
+  totpLockedUntil: null,
+  totpLastUsedStep: null,
+  totpChallengeId: null,
+};
+
+// Opens a login challenge. Its id is kept on the user so each challenge token
+// can be answered once, and a newer challenge replaces older ones.
+async function signTwoFactorChallenge(user) {
+  const challengeId = crypto.randomUUID();
+  await prisma.user.update({ where: { id: user.id }, data: { totpChallengeId: challengeId } });
+  return jwt.sign({ id: user.id, purpose: 'two_factor_challenge', jti: challengeId }, JWT_SECRET, { expiresIn: TWO_FACTOR_CHALLENGE_TTL });
+}
+
 function findUserByIdentifier(identifier = '') {
   const key = String(identifier || '').trim();
   if (!key) return null;
@@ -2579,6 +3582,8 @@ app.post('/api/auth/reset-password-with-otp', async (req, res) => {
       },
     });
 
+    await revokeUserSessions(user.id, 'password_reset');
+
     return res.json({ message: 'Password reset successful. You can now login.' });
   } catch (err) {
     console.error('❌ reset-password-with-otp error:', err);
@@ -2705,6 +3710,8 @@ app.post('/api/auth/complete-first-login', authenticate, async (req, res) => {
       },
     });
 
+    await revokeUserSessions(user.id, 'password_changed', { exceptSessionId: req.sessionId });
+
     return res.json({ message: 'First-login setup complete. Password updated.' });
   } catch (err) {
     console.error('❌ complete-first-login error:', err);
@@ -2712,7 +3719,36 @@ app.post('/api/auth/complete-first-login', authenticate, async (req, res) => {
   }
 });
 
-// Login → set cookie
+// Create a session, set cookies and send the login payload.
+async function sendLoginSuccess(req, res, user) {
+  const { token, refreshToken } = await createUserSession(req, user)
+  setAuthCookies(res, token, refreshToken)
+  // last PDF path
+  const last = await prisma.submission.findFirst({
+    where: { employeeNumber: user.employeeNumber },
+    orderBy: { submittedAt: 'desc' }
+  })
+
+  // Also return tokens in JSON as a fallback for clients where cookies are blocked
+  return res.json({
+    token,
+    refreshToken,
+    twoFactorSetupRequired: isTwoFactorSetupRequired(user),
+    user: {
+      id: user.id,
+      employeeNumber: user.employeeNumber,
+      role: user.role,
+      name: user.name,
+      email: user.email,
+      profilePhotoUrl: user.profilePhotoUrl || null,
+      firstLogin: user.firstLogin,
+      twoFactorEnabled: !!user.totpEnabledAt,
+      pdfPath: last?.pdfPath || null
+    }
+  })
+}
+
+// Login → set cookie
 app.post('/api/login', async (req, res) => {
   const { employeeNumber, username, password } = req.body
   try {
@@ -2724,7 +3760,7 @@ app.post('/api/login', async (req, res) => {
     const clientIp = req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.ip || 'unknown';
     const attemptKey = `${loginId.toLowerCase()}|${clientIp}`;
     const now = Date.now();
-    const attemptInfo = loginAttemptStore.get(attemptKey);
+    const attemptInfo = await getLoginAttempt(attemptKey);
 
     if (attemptInfo?.lockUntil && attemptInfo.lockUntil > now) {
       const remainingSec = Math.ceil((attemptInfo.lockUntil - now) / 1000);
@@ -2741,18 +3777,14 @@ app.post('/api/login', async (req, res) => {
       }
     })
     if (!user) {
-      const fail = (attemptInfo?.count || 0) + 1;
-      const lockUntil = fail >= LOGIN_MAX_ATTEMPTS ? now + LOGIN_LOCK_MS : 0;
-      loginAttemptStore.set(attemptKey, { count: fail, lockUntil });
+      const { count: fail, lockUntil } = await recordLoginFailure(attemptKey);
       recordSecurityEvent('login_user_not_found', req, { loginId, failures: fail, locked: !!lockUntil });
       return res.status(404).json({ error: 'User not found' })
     }
 
     const valid = await bcrypt.compare(password, user.password)
     if (!valid) {
-      const fail = (attemptInfo?.count || 0) + 1;
-      const lockUntil = fail >= LOGIN_MAX_ATTEMPTS ? now + LOGIN_LOCK_MS : 0;
-      loginAttemptStore.set(attemptKey, { count: fail, lockUntil });
+      const { count: fail, lockUntil } = await recordLoginFailure(attemptKey);
       recordSecurityEvent('login_invalid_password', req, {
         loginId,
         userId: user.id,
@@ -2762,45 +3794,236 @@ app.post('/api/login', async (req, res) => {
       return res.status(401).json({ error: 'Incorrect password' })
     }
 
-    loginAttemptStore.delete(attemptKey)
+    await clearLoginAttempts(attemptKey)
+
+    if (user.registrationStatus !== 'APPROVED') {
+      recordSecurityEvent('login_registration_not_approved', req, { userId: user.id, status: user.registrationStatus });
+      return res.status(403).json({
+        error: user.registrationStatus === 'REJECTED'
+          ? 'Your registration was rejected. Please contact the union office.'
+          : 'Your registration is awaiting administrator approval.',
+        code: `REGISTRATION_${user.registrationStatus}`,
+      })
+    }
+
+    // Password is correct; accounts with TOTP get a short-lived challenge
+    // instead of a session and must finish at /api/auth/2fa/verify.
+    if (user.totpEnabledAt) {
+      const challengeToken = await signTwoFactorChallenge(user)
+      recordSecurityEvent('login_two_factor_challenge', req, { userId: user.id, role: user.role });
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken,
+        expiresIn: TWO_FACTOR_CHALLENGE_TTL,
+      })
+    }
+
     recordSecurityEvent('login_success', req, { userId: user.id, role: user.role });
+    return sendLoginSuccess(req, res, user)
+
+  } catch (err) {
+    console.error('❌ Login error:', err)
+    return res.status(500).json({ error: 'Login failed' })
+  }
+})
+
+// Second login step for accounts with TOTP enabled.
+app.post('/api/auth/2fa/verify', async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body
+    if (!challengeToken || !code) {
+      return res.status(400).json({ error: 'challengeToken and code are required' })
+    }
+
+    let challenge
+    try {
+      challenge = jwt.verify(String(challengeToken), JWT_SECRET)
+    } catch (_) {
+      return res.status(401).json({ error: 'Two-factor challenge expired. Sign in again.' })
+    }
+    if (challenge?.purpose !== 'two_factor_challenge' || !challenge.jti) {
+      return res.status(401).json({ error: 'Invalid two-factor challenge' })
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: challenge.id } })
+    if (!user) return res.status(404).json({ error: 'User not found' })
+    if (user.totpChallengeId !== challenge.jti) {
+      return res.status(401).json({ error: 'Two-factor challenge already used or replaced. Sign in again.' })
+    }
+
+    const result = await validateTotpForUser({ user, code, challengeId: challenge.jti })
+    if (!result.ok) {
+      recordSecurityEvent('login_two_factor_failed', req, { userId: user.id, status: result.status });
+      return res.status(result.status).json({ error: result.error })
+    }
+
+    recordSecurityEvent('login_success', req, {
+      userId: user.id,
+      role: user.role,
+      twoFactor: true,
+      usedBackupCode: result.usedBackupCode,
+    });
+    return sendLoginSuccess(req, res, user)
+  } catch (err) {
+    console.error('❌ 2fa verify error:', err)
+    return res.status(500).json({ error: 'Two-factor verification failed' })
+  }
+})
 
-    const token = jwt.sign(
-      { id: user.id, employeeNumber: user.employeeNumber, name: user.name, role: user.role, firstLogin: user.firstLogin },
-      JWT_SECRET,
-      { expiresIn: '2h' }
-    )
-
-    res.cookie('fibuca_token', token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'none', // cross-origin
-      maxAge: 7 * 24 * 60 * 60 * 1000
+// Two-factor status for the signed-in user
+app.get('/api/auth/2fa/status', authenticate, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } })
+    if (!user) return res.status(404).json({ error: 'User not found' })
+
+    return res.json({
+      enabled: !!user.totpEnabledAt,
+      enabledAt: user.totpEnabledAt,
+      required: isTwoFactorRequiredForRole(user.role),
+      pendingSetup: !!user.totpPendingSecret,
+      backupCodesRemaining: Array.isArray(user.totpBackupCodes) ? user.totpBackupCodes.length : 0,
     })
-    // last PDF path
-    const last = await prisma.submission.findFirst({
-      where: { employeeNumber: user.employeeNumber },
-      orderBy: { submittedAt: 'desc' }
+  } catch (err) {
+    console.error('❌ 2fa status error:', err)
+    return res.status(500).json({ error: 'Failed to load two-factor status' })
+  }
+})
+
+// Start enrollment: returns the secret, otpauth:// URI and a QR image of it.
+app.post('/api/auth/2fa/setup', authenticate, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } })
+    if (!user) return res.status(404).json({ error: 'User not found' })
+    if (user.totpEnabledAt) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' })
+    }
+
+    const secret = base32Encode(crypto.randomBytes(20))
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { totpPendingSecret: encryptTotpSecret(secret), totpAttempts: 0, totpLockedUntil: null },
     })
 
-    // Also return token in JSON as a fallback for clients where cookies are blocked
-    res.json({
+    const otpauthUrl = buildTotpProvisioningUri(user, secret)
+    const qrCodeDataUrl = await QRCode.toDataURL(otpauthUrl)
+
+    return res.json({ secret, otpauthUrl, qrCodeDataUrl })
+  } catch (err) {
+    console.error('❌ 2fa setup error:', err)
+    return res.status(500).json({ error: 'Failed to start two-factor setup' })
+  }
+})
+
+// Confirm enrollment with the first code from the authenticator app.
+app.post('/api/auth/2fa/enable', authenticate, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } })
+    if (!user) return res.status(404).json({ error: 'User not found' })
+    if (user.totpEnabledAt) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' })
+    }
+    if (!user.totpPendingSecret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' })
+    }
+
+    const pendingSecret = decryptTotpSecret(user.totpPendingSecret)
+    let matchedStep = null
+    const result = await verifyCodeWithAttemptLimit({
+      user,
+      attemptsField: 'totpAttempts',
+      lockedUntilField: 'totpLockedUntil',
+      lockedError: 'Too many two-factor attempts. Start setup again.',
+      invalidError: 'Invalid two-factor code.',
+      verify: async () => {
+        matchedStep = findMatchingTotpStep(pendingSecret, String(req.body?.code || '').trim())
+        return matchedStep !== null
+      },
+    })
+    if (!result.ok) return res.status(result.status).json({ error: result.error })
+
+    const { codes, hashes } = generateBackupCodes()
+    const updated = await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        totpSecret: user.totpPendingSecret,
+        totpPendingSecret: null,
+        totpEnabledAt: new Date(),
+        totpBackupCodes: hashes,
+        totpAttempts: 0,
+        totpLastUsedStep: matchedStep,
+      },
+    })
+
+    await revokeUserSessions(user.id, 'two_factor_enabled', { exceptSessionId: req.sessionId })
+    await recordUserManagementEvent('user_two_factor_enabled', req, updated)
+
+    // The current session's token may carry mfaSetupRequired; replace it.
+    const token = signAccessToken(updated, req.sessionId)
+    setAuthCookies(res, token)
+
+    return res.json({
+      message: 'Two-factor authentication enabled. Store these backup codes somewhere safe; they are shown only once.',
       token,
-      user: {
-        id: user.id,
-        employeeNumber: user.employeeNumber,
-        role: user.role,
-        name: user.name,
-        email: user.email,
-        profilePhotoUrl: user.profilePhotoUrl || null,
-        firstLogin: user.firstLogin,
-        pdfPath: last?.pdfPath || null
-      }
+      backupCodes: codes,
     })
+  } catch (err) {
+    console.error('❌ 2fa enable error:', err)
+    return res.status(500).json({ error: 'Failed to enable two-factor authentication' })
+  }
+})
+
+// Replace all backup codes (requires a current TOTP code).
+app.post('/api/auth/2fa/backup-codes', authenticate, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } })
+    if (!user) return res.status(404).json({ error: 'User not found' })
+
+    const code = String(req.body?.code || '').trim()
+    if (!/^\d+$/.test(code)) {
+      return res.status(400).json({ error: 'A code from your authenticator app is required' })
+    }
+
+    const result = await validateTotpForUser({ user, code })
+    if (!result.ok) return res.status(result.status).json({ error: result.error })
 
+    const { codes, hashes } = generateBackupCodes()
+    await prisma.user.update({ where: { id: user.id }, data: { totpBackupCodes: hashes } })
+    await recordUserManagementEvent('user_two_factor_backup_codes_regenerated', req, user)
+
+    return res.json({ backupCodes: codes })
   } catch (err) {
-    console.error('❌ Login error:', err)
-    return res.status(500).json({ error: 'Login failed' })
+    console.error('❌ 2fa backup codes error:', err)
+    return res.status(500).json({ error: 'Failed to regenerate backup codes' })
+  }
+})
+
+// Turn off TOTP for the signed-in user (not allowed for roles that require it).
+app.post('/api/auth/2fa/disable', authenticate, async (req, res) => {
+  try {
+    const { password, code } = req.body
+    if (!password || !code) {
+      return res.status(400).json({ error: 'password and code are required' })
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } })
+    if (!user) return res.status(404).json({ error: 'User not found' })
+    if (isTwoFactorRequiredForRole(user.role)) {
+      return res.status(403).json({ error: `Two-factor authentication is required for ${user.role} accounts` })
+    }
+    if (!await bcrypt.compare(String(password), user.password)) {
+      return res.status(401).json({ error: 'Current password incorrect' })
+    }
+
+    const result = await validateTotpForUser({ user, code })
+    if (!result.ok) return res.status(result.status).json({ error: result.error })
+
+    await prisma.user.update({ where: { id: user.id }, data: TOTP_RESET_DATA })
+    await recordUserManagementEvent('user_two_factor_disabled', req, user)
+
+    return res.json({ message: 'Two-factor authentication disabled' })
+  } catch (err) {
+    console.error('❌ 2fa disable error:', err)
+    return res.status(500).json({ error: 'Failed to disable two-factor authentication' })
   }
 })
 
@@ -2808,19 +4031,95 @@ app.post('/api/login', async (req, res) => {
 // PROTECTED ROUTES
 // --------------------
 
+// Strip credentials and second-factor secrets before returning a user row.
+function toSafeUser(user) {
+  const {
+    password: _p,
+    otpCodeHash: _o,
+    totpSecret: _t,
+    totpPendingSecret: _tp,
+    totpBackupCodes: _tb,
+    totpLastUsedStep: _ts,
+    ...safe
+  } = user;
+  return { ...safe, twoFactorEnabled: !!user.totpEnabledAt };
+}
+
 // WhoAmI
 app.get('/api/me', authenticate, async (req, res) => {
   const user = await prisma.user.findUnique({ where: { id: req.user.id } })
   if (!user) return res.status(404).json({ error: 'User not found' });
-  const { password: _p, otpCodeHash: _o, ...safe } = user;
-  res.json({ user: safe })
+  const permissions = await getEffectivePermissions(user)
+  res.json({ user: toSafeUser(user), permissions: [...permissions].sort() })
 })
 
+// ---- Security history queries (superadmin panel) ----
+
+const SECURITY_HISTORY_MAX_PAGE_SIZE = 200;
+
+function parsePageParams(rawPage, rawPageSize, defaultPageSize) {
+  const page = Math.max(parseInt(rawPage, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(rawPageSize, 10) || defaultPageSize, 1), SECURITY_HISTORY_MAX_PAGE_SIZE);
+  return { page, pageSize };
+}
+
+// ?from= / ?to= accept anything Date can parse (ISO strings recommended).
+function parseSecurityHistoryQuery(query = {}) {
+  const createdAt = {};
+  for (const [param, op] of [['from', 'gte'], ['to', 'lte']]) {
+    if (!query[param]) continue;
+    const date = new Date(String(query[param]));
+    if (Number.isNaN(date.getTime())) {
+      return { ok: false, error: `Invalid ${param} date` };
+    }
+    createdAt[op] = date;
+  }
+  return { ok: true, createdAt: Object.keys(createdAt).length ? createdAt : null };
+}
+
+function buildPagination(page, pageSize, total) {
+  return { page, pageSize, total, totalPages: Math.max(Math.ceil(total / pageSize), 1) };
+}
+
+async function listSecurityEvents({ createdAt, type, userId, page, pageSize }) {
+  const where = {};
+  if (createdAt) where.createdAt = createdAt;
+  if (type) where.type = String(type).trim();
+  if (userId && Number(userId)) where.userId = Number(userId);
+
+  const [items, total] = await Promise.all([
+    prisma.securityEvent.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      skip: (page - 1) * pageSize,
+      take: pageSize,
+    }),
+    prisma.securityEvent.count({ where }),
+  ]);
+  return { items, pagination: buildPagination(page, pageSize, total) };
+}
+
+async function listRequestSnapshots({ createdAt, statusCode, page, pageSize }) {
+  const where = {};
+  if (createdAt) where.createdAt = createdAt;
+  if (statusCode && Number(statusCode)) where.statusCode = Number(statusCode);
+
+  const [items, total] = await Promise.all([
+    prisma.requestSnapshot.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      skip: (page - 1) * pageSize,
+      take: pageSize,
+    }),
+    prisma.requestSnapshot.count({ where }),
+  ]);
+  return { items, pagination: buildPagination(page, pageSize, total) };
+}
+
 // SUPERADMIN: unified monitoring + control center data
-app.get('/api/superadmin/overview', authenticate, requireRole(['SUPERADMIN']), async (req, res) => {
+app.get('/api/superadmin/overview', authenticate, requirePermission('security.monitor'), async (req, res) => {
   try {
     const now = Date.now();
-    const oneHourAgoIso = new Date(now - (60 * 60 * 1000)).toISOString();
 
     const [
       totalUsers,
@@ -2906,59 +4205,79 @@ app.get('/api/superadmin/overview', authenticate, requireRole(['SUPERADMIN']), a
       }),
     ]);
 
-    const lockouts = [];
-    for (const [key, info] of loginAttemptStore.entries()) {
-      if (info?.lockUntil && info.lockUntil > now) {
-        lockouts.push({
-          key,
-          count: info.count || 0,
-          lockUntil: new Date(info.lockUntil).toISOString(),
-          remainingSec: Math.ceil((info.lockUntil - now) / 1000),
-        });
-      }
-    }
+    const history = parseSecurityHistoryQuery(req.query);
+    if (!history.ok) return res.status(400).json({ error: history.error });
 
-    const latestSecurityEvents = securityEventStore.slice(0, 25);
-    const latestRequests = requestSnapshotStore.slice(0, 60);
-    const userAuditEvents = await prisma.userAuditLog.findMany({
-      orderBy: { createdAt: 'desc' },
-      take: 40,
-    });
-    const suspiciousLastHour = securityEventStore.filter((event) => {
-      return event.createdAt >= oneHourAgoIso && event.type !== 'login_success';
-    }).length;
+    const [
+      lockoutRows,
+      securityEventsPage,
+      recentRequestsPage,
+      userAuditEvents,
+      suspiciousLastHour,
+      trackedEvents,
+      trackedRequests,
+      sessionRows,
+    ] = await Promise.all([
+      prisma.loginAttempt.findMany({
+        where: { lockUntil: { gt: new Date(now) } },
+        orderBy: { lockUntil: 'desc' },
+      }),
+      listSecurityEvents({
+        createdAt: history.createdAt,
+        type: req.query.eventType,
+        ...parsePageParams(req.query.eventsPage, req.query.eventsPageSize, 25),
+      }),
+      listRequestSnapshots({
+        createdAt: history.createdAt,
+        ...parsePageParams(req.query.requestsPage, req.query.requestsPageSize, 60),
+      }),
+      prisma.userAuditLog.findMany({
+        orderBy: { createdAt: 'desc' },
+        take: 40,
+      }),
+      prisma.securityEvent.count({
+        where: { createdAt: { gte: new Date(now - (60 * 60 * 1000)) }, NOT: { type: 'login_success' } },
+      }),
+      prisma.securityEvent.count({ where: history.createdAt ? { createdAt: history.createdAt } : {} }),
+      prisma.requestSnapshot.count({ where: history.createdAt ? { createdAt: history.createdAt } : {} }),
+      prisma.userSession.findMany({
+        where: {
+          revokedAt: null,
+          expiresAt: { gt: new Date(now) },
+          lastUsedAt: { gte: new Date(now - ACTIVE_SESSION_TIMEOUT_MS) },
+        },
+        include: { user: { select: { id: true, name: true, employeeNumber: true, role: true } } },
+        orderBy: { lastUsedAt: 'desc' },
+      }),
+    ]);
+
+    const lockouts = lockoutRows.map((row) => ({
+      key: row.key,
+      count: row.count,
+      lockUntil: row.lockUntil.toISOString(),
+      remainingSec: Math.ceil((row.lockUntil.getTime() - now) / 1000),
+    }));
 
     // Active sessions — who is currently logged in
     const ONLINE_THRESH = 5 * 60 * 1000;
     const IDLE_THRESH = 60 * 60 * 1000;
-    const sessionEntries = [...activeSessionStore.values()].filter(
-      (s) => s && (now - s.lastSeenMs) < ACTIVE_SESSION_TIMEOUT_MS
-    );
-    let activeSessions = [];
-    if (sessionEntries.length > 0) {
-      const userIds = sessionEntries.map((s) => s.userId);
-      const dbUsers = await prisma.user.findMany({
-        where: { id: { in: userIds } },
-        select: { id: true, name: true, employeeNumber: true, role: true },
-      });
-      const userMap = new Map(dbUsers.map((u) => [u.id, u]));
-      activeSessions = sessionEntries.map((s) => {
-        const dbUser = userMap.get(s.userId) || {};
-        const idleMs = now - s.lastSeenMs;
-        const status = idleMs < ONLINE_THRESH ? 'online' : idleMs < IDLE_THRESH ? 'idle' : 'away';
-        return {
-          userId: s.userId,
-          name: dbUser.name || s.employeeNumber || String(s.userId),
-          employeeNumber: dbUser.employeeNumber || s.employeeNumber,
-          role: dbUser.role || s.role,
-          ip: s.ip,
-          userAgent: s.userAgent,
-          lastSeen: s.lastSeen,
-          lastSeenMs: s.lastSeenMs,
-          status,
-        };
-      }).sort((a, b) => b.lastSeenMs - a.lastSeenMs);
-    }
+    const activeSessions = sessionRows.map((session) => {
+      const lastSeenMs = session.lastUsedAt.getTime();
+      const idleMs = now - lastSeenMs;
+      const status = idleMs < ONLINE_THRESH ? 'online' : idleMs < IDLE_THRESH ? 'idle' : 'away';
+      return {
+        sessionId: session.id,
+        userId: session.userId,
+        name: session.user?.name || String(session.userId),
+        employeeNumber: session.user?.employeeNumber || null,
+        role: session.user?.role || 'UNKNOWN',
+        ip: session.ip,
+        userAgent: session.userAgent,
+        lastSeen: session.lastUsedAt.toISOString(),
+        lastSeenMs,
+        status,
+      };
+    });
 
     return res.json({
       generatedAt: new Date().toISOString(),
@@ -2986,16 +4305,18 @@ app.get('/api/superadmin/overview', authenticate, requireRole(['SUPERADMIN']), a
         security: {
           activeLockouts: lockouts.length,
           suspiciousEventsLastHour: suspiciousLastHour,
-          trackedEvents: securityEventStore.length,
-          trackedRequests: requestSnapshotStore.length,
+          trackedEvents,
+          trackedRequests,
         },
       },
       allUsers,
       activeSessions,
       userAuditEvents,
       lockouts,
-      securityEvents: latestSecurityEvents,
-      recentRequests: latestRequests,
+      securityEvents: securityEventsPage.items,
+      securityEventsPagination: securityEventsPage.pagination,
+      recentRequests: recentRequestsPage.items,
+      recentRequestsPagination: recentRequestsPage.pagination,
       recentUsers,
       recentComplaints,
       recentTransfers,
@@ -3006,12 +4327,51 @@ app.get('/api/superadmin/overview', authenticate, requireRole(['SUPERADMIN']), a
   }
 });
 
-// SUPERADMIN: reset in-memory security state (lockouts + telemetry buffers)
-app.post('/api/superadmin/security/reset-state', authenticate, requireRole(['SUPERADMIN']), async (req, res) => {
+// SUPERADMIN: paginated security event history (?from=&to=&type=&page=&pageSize=)
+app.get('/api/superadmin/security/events', authenticate, requirePermission('security.monitor'), async (req, res) => {
+  try {
+    const history = parseSecurityHistoryQuery(req.query);
+    if (!history.ok) return res.status(400).json({ error: history.error });
+
+    const result = await listSecurityEvents({
+      createdAt: history.createdAt,
+      type: req.query.type,
+      userId: req.query.userId,
+      ...parsePageParams(req.query.page, req.query.pageSize, 50),
+    });
+    return res.json(result);
+  } catch (err) {
+    console.error('❌ GET /api/superadmin/security/events error:', err);
+    return res.status(500).json({ error: 'Failed to load security events', details: err.message });
+  }
+});
+
+// SUPERADMIN: paginated request log (?from=&to=&statusCode=&page=&pageSize=)
+app.get('/api/superadmin/security/requests', authenticate, requirePermission('security.monitor'), async (req, res) => {
+  try {
+    const history = parseSecurityHistoryQuery(req.query);
+    if (!history.ok) return res.status(400).json({ error: history.error });
+
+    const result = await listRequestSnapshots({
+      createdAt: history.createdAt,
+      statusCode: req.query.statusCode,
+      ...parsePageParams(req.query.page, req.query.pageSize, 50),
+    });
+    return res.json(result);
+  } catch (err) {
+    console.error('❌ GET /api/superadmin/security/requests error:', err);
+    return res.status(500).json({ error: 'Failed to load request log', details: err.message });
+  }
+});
+
+// SUPERADMIN: clear lockouts and telemetry history
+app.post('/api/superadmin/security/reset-state', authenticate, requirePermission('security.monitor'), async (req, res) => {
   try {
-    loginAttemptStore.clear();
-    securityEventStore.length = 0;
-    requestSnapshotStore.length = 0;
+    await prisma.$transaction([
+      prisma.loginAttempt.deleteMany({}),
+      prisma.securityEvent.deleteMany({}),
+      prisma.requestSnapshot.deleteMany({}),
+    ]);
 
     recordSecurityEvent('security_state_reset', req, { byUserId: req.user.id });
 
@@ -3029,6 +4389,82 @@ app.post('/api/superadmin/security/reset-state', authenticate, requireRole(['SUP
   }
 });
 
+// SUPERADMIN: permission catalog and role bundles
+app.get('/api/superadmin/permissions', authenticate, requirePermission('permissions.manage'), async (req, res) => {
+  try {
+    const bundles = await getRolePermissionBundles({ fresh: true });
+    return res.json({
+      permissions: PERMISSION_KEYS.map((key) => ({ key, description: PERMISSIONS[key] })),
+      roles: Object.entries(bundles).map(([role, bundle]) => ({
+        role,
+        editable: EDITABLE_PERMISSION_ROLES.includes(role),
+        customized: bundle.customized,
+        updatedAt: bundle.updatedAt,
+        permissions: bundle.permissions,
+        defaultPermissions: DEFAULT_ROLE_PERMISSIONS[role],
+      })),
+    });
+  } catch (err) {
+    console.error('❌ GET /api/superadmin/permissions error:', err);
+    return res.status(500).json({ error: 'Failed to load permissions', details: err.message });
+  }
+});
+
+// SUPERADMIN: replace the permission bundle of a role ({ permissions: [...] })
+app.put('/api/superadmin/permissions/roles/:role', authenticate, requirePermission('permissions.manage'), async (req, res) => {
+  const role = String(req.params.role || '').toUpperCase();
+  if (!EDITABLE_PERMISSION_ROLES.includes(role)) {
+    return res.status(400).json({ error: `Role must be one of: ${EDITABLE_PERMISSION_ROLES.join(', ')}` });
+  }
+  if (!Array.isArray(req.body?.permissions)) {
+    return res.status(400).json({ error: 'permissions must be an array' });
+  }
+  const unknown = req.body.permissions.filter((permission) => !PERMISSIONS[permission]);
+  if (unknown.length) {
+    return res.status(400).json({ error: 'Unknown permissions', unknown });
+  }
+
+  try {
+    const permissions = normalizePermissionList(req.body.permissions);
+    const before = (await getRolePermissionBundles({ fresh: true }))[role].permissions;
+    await prisma.rolePermissionBundle.upsert({
+      where: { role },
+      create: { role, permissions, updatedById: req.user.id },
+      update: { permissions, updatedById: req.user.id },
+    });
+    invalidateRolePermissionCache();
+
+    await recordUserManagementEvent('role_permissions_updated', req, null, {
+      role,
+      added: permissions.filter((permission) => !before.includes(permission)),
+      removed: before.filter((permission) => !permissions.includes(permission)),
+    });
+
+    return res.json({ message: '✅ Role permissions updated', role, permissions });
+  } catch (err) {
+    console.error(`❌ PUT /api/superadmin/permissions/roles/${role} error:`, err);
+    return res.status(500).json({ error: 'Failed to update role permissions', details: err.message });
+  }
+});
+
+// SUPERADMIN: drop a customized bundle so the role falls back to the built-in default
+app.delete('/api/superadmin/permissions/roles/:role', authenticate, requirePermission('permissions.manage'), async (req, res) => {
+  const role = String(req.params.role || '').toUpperCase();
+  if (!EDITABLE_PERMISSION_ROLES.includes(role)) {
+    return res.status(400).json({ error: `Role must be one of: ${EDITABLE_PERMISSION_ROLES.join(', ')}` });
+  }
+
+  try {
+    await prisma.rolePermissionBundle.deleteMany({ where: { role } });
+    invalidateRolePermissionCache();
+    await recordUserManagementEvent('role_permissions_reset', req, null, { role });
+    return res.json({ message: '✅ Role permissions reset to default', role, permissions: DEFAULT_ROLE_PERMISSIONS[role] });
+  } catch (err) {
+    console.error(`❌ DELETE /api/superadmin/permissions/roles/${role} error:`, err);
+    return res.status(500).json({ error: 'Failed to reset role permissions', details: err.message });
+  }
+});
+
 // PUT /api/profile — update own name/email/phone/phone2 (cannot delete existing phone)
 app.put('/api/profile', authenticate, async (req, res) => {
   try {
@@ -3078,14 +4514,98 @@ app.put('/api/profile', authenticate, async (req, res) => {
     }
 
     const updated = await prisma.user.update({ where: { id: req.user.id }, data });
-    const { password: _p, otpCodeHash: _o, ...safe } = updated;
-    return res.json({ user: safe });
+    return res.json({ user: toSafeUser(updated) });
   } catch (err) {
     console.error('❌ PUT /api/profile error:', err);
     return res.status(500).json({ error: 'Failed to update profile' });
   }
 });
 
+// --------------------
+// Image normalization
+// --------------------
+// Every uploaded photo is decoded and re-encoded before it is stored: the
+// type is taken from the file's magic bytes (not the client's mimetype),
+// EXIF orientation is applied, and all metadata (including GPS) is dropped
+// because sharp writes none unless asked to. Each upload is stored as three
+// derivatives; `original` keeps the full picture (capped in size), the other
+// two are cropped to the card's portrait photo box.
+const IMAGE_SIGNATURES = [
+  { type: 'jpeg', test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { type: 'png', test: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { type: 'webp', test: (b) => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP' },
+];
+const IMAGE_MAX_INPUT_PIXELS = parseInt(process.env.IMAGE_MAX_INPUT_PIXELS || String(40 * 1000 * 1000), 10);
+const IMAGE_DERIVATIVES = {
+  original: { maxDimension: 2000 },
+  card: { width: 600, height: 760 },
+  thumbnail: { width: 150, height: 190 },
+};
+
+function detectImageType(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+  const match = IMAGE_SIGNATURES.find((sig) => sig.test(buffer));
+  return match ? match.type : null;
+}
+
+function imageError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// Returns { type, width, height, hasAlpha, derivatives: { name: { buffer, format, width, height } } }.
+// Transparent images (background already removed) keep a PNG original.
+async function normalizeImage(buffer) {
+  const type = detectImageType(buffer);
+  if (!type) throw imageError(415, 'Unsupported image type. Please upload a JPG, PNG or WebP photo.');
+
+  let oriented;
+  try {
+    oriented = await sharp(buffer, { limitInputPixels: IMAGE_MAX_INPUT_PIXELS })
+      .rotate()
+      .toBuffer({ resolveWithObject: true });
+  } catch (err) {
+    throw imageError(400, `Could not read the image: ${err.message}`);
+  }
+  const hasAlpha = oriented.info.channels === 4;
+  const source = () => sharp(oriented.data);
+
+  const { maxDimension } = IMAGE_DERIVATIVES.original;
+  const original = hasAlpha
+    ? source().resize(maxDimension, maxDimension, { fit: 'inside', withoutEnlargement: true }).png()
+    : source().resize(maxDimension, maxDimension, { fit: 'inside', withoutEnlargement: true }).webp({ quality: 90 });
+
+  const derivatives = {};
+  for (const [name, pipeline] of [
+    ['original', original],
+    ['card', source().resize({ ...IMAGE_DERIVATIVES.card, fit: 'cover', position: sharp.strategy.attention }).webp({ quality: 85 })],
+    ['thumbnail', source().resize({ ...IMAGE_DERIVATIVES.thumbnail, fit: 'cover', position: sharp.strategy.attention }).webp({ quality: 80 })],
+  ]) {
+    const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+    derivatives[name] = { buffer: data, format: info.format, width: info.width, height: info.height };
+  }
+
+  return { type, width: oriented.info.width, height: oriented.info.height, hasAlpha, derivatives };
+}
+
+// Stores every derivative as `<folder>/<random>_<name>.<format>`. Returns
+// the URL of each derivative plus the Cloudinary public_id of the original
+// (when stored there), which makeTransparentCleanUrl needs.
+async function storeImageDerivatives(req, image, { folder, ownerId }) {
+  const urls = {};
+  let originalPublicId = null;
+  const baseKey = newFileKey(folder);
+
+  for (const [name, derivative] of Object.entries(image.derivatives)) {
+    const stored = await putUpload(req, `${baseKey}_${name}.${derivative.format}`, derivative.buffer, { ownerId });
+    urls[name] = stored.url;
+    if (name === 'original') originalPublicId = stored.publicId || null;
+  }
+
+  return { urls, originalPublicId };
+}
+
 // PUT /api/profile/photo — upload own profile photo
 app.put('/api/profile/photo', authenticate, uploadPhoto.single('photo'), async (req, res) => {
   try {
@@ -3096,42 +4616,19 @@ app.put('/api/profile/photo', authenticate, uploadPhoto.single('photo'), async (
       return res.status(400).json({ error: 'No photo uploaded' });
     }
 
-    if (!String(req.file.mimetype || '').startsWith('image/')) {
-      return res.status(400).json({ error: 'Uploaded file must be an image' });
-    }
-
-    let profilePhotoUrl = '';
-
-    if (PHOTO_MODE === 'cloudinary') {
-      const uploadResult = await new Promise((resolve, reject) => {
-        const stream = cloudinary.uploader.upload_stream(
-          {
-            folder: cloudFolder(CLOUDINARY_FOLDERS.profiles),
-            resource_type: 'image',
-          },
-          (error, result) => (error ? reject(error) : resolve(result))
-        );
-        streamifier.createReadStream(req.file.buffer).pipe(stream);
-      });
-
-      profilePhotoUrl = uploadResult.secure_url;
-    } else {
-      const ext = path.extname(req.file.originalname || '').toLowerCase() || '.png';
-      const safeExt = ['.png', '.jpg', '.jpeg', '.webp'].includes(ext) ? ext : '.png';
-      const fileName = `profile_${req.user.id}_${Date.now()}${safeExt}`;
-      const diskPath = path.join(PROFILES_UPLOAD_DIR, fileName);
-      await fs.promises.writeFile(diskPath, req.file.buffer);
-      profilePhotoUrl = buildUploadUrl(req, `profiles/${fileName}`);
-    }
+    const image = await normalizeImage(req.file.buffer);
+    const { urls } = await storeImageDerivatives(req, image, { folder: 'profiles', ownerId: req.user.id });
 
     const updated = await prisma.user.update({
       where: { id: req.user.id },
-      data: { profilePhotoUrl },
+      data: { profilePhotoUrl: urls.card, profilePhotoVariants: urls },
     });
 
-    const { password: _p, otpCodeHash: _o, ...safe } = updated;
-    return res.json({ user: safe });
+    return res.json({ user: toSafeUser(updated) });
   } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
     console.error('❌ PUT /api/profile/photo error:', err);
     return res.status(500).json({ error: 'Failed to upload profile photo' });
   }
@@ -3146,13 +4643,52 @@ app.get('/api/photo-mode', (req, res) => {
   })
 })
 
-// Logout
-app.post('/api/logout', (req, res) => {
-  res.clearCookie('fibuca_token', {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: 'none'
-  });
+// Exchange a refresh token for a new access token (the refresh token rotates).
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const rawRefreshToken = req.body?.refreshToken || req.cookies?.[REFRESH_COOKIE_NAME]
+    if (!rawRefreshToken) {
+      return res.status(401).json({ error: 'Refresh token is required' })
+    }
+
+    const result = await rotateUserSession(req, rawRefreshToken)
+    if (!result.ok) {
+      clearAuthCookies(res)
+      return res.status(result.status).json({ error: result.error })
+    }
+
+    setAuthCookies(res, result.token, result.refreshToken)
+    return res.json({ token: result.token, refreshToken: result.refreshToken })
+  } catch (err) {
+    console.error('❌ refresh token error:', err)
+    return res.status(500).json({ error: 'Failed to refresh session' })
+  }
+});
+
+// Logout → revoke the server-side session and clear cookies
+app.post('/api/logout', async (req, res) => {
+  try {
+    const parsed = parseRefreshToken(req.body?.refreshToken || req.cookies?.[REFRESH_COOKIE_NAME])
+    if (parsed) {
+      // Only the holder of the current refresh secret may end the session.
+      const session = await prisma.userSession.findUnique({ where: { id: parsed.sessionId } })
+      if (session && session.refreshTokenHash === hashRefreshSecret(parsed.secret)) {
+        await revokeUserSession(session.id, 'logout')
+      }
+    } else {
+      const authHeader = req.headers.authorization || req.headers.Authorization
+      const bearer = typeof authHeader === 'string' && authHeader.toLowerCase().startsWith('bearer ') ? authHeader.slice(7) : null
+      const accessToken = bearer || req.cookies?.fibuca_token
+      if (accessToken) {
+        const payload = jwt.verify(accessToken, JWT_SECRET)
+        if (payload?.sid) await revokeUserSession(Number(payload.sid), 'logout')
+      }
+    }
+  } catch (err) {
+    console.warn('⚠️ logout could not revoke session:', err.message)
+  }
+
+  clearAuthCookies(res);
   res.status(200).json({ message: 'Logged out' });
 });
 
@@ -3174,7 +4710,9 @@ app.put('/api/change-password', authenticate, async (req, res) => {
       where: { id: req.user.id },
       data: { password: hashed, firstLogin: false }
     })
-    return res.json({ message: 'Password changed' })
+    // Sign out every other device; the session making the change stays valid.
+    const revokedSessions = await revokeUserSessions(req.user.id, 'password_changed', { exceptSessionId: req.sessionId })
+    return res.json({ message: 'Password changed', revokedSessions })
   } catch (err) {
     console.error('❌ change-password error:', err)
     return res.status(500).json({ error: 'Failed to change password' })
@@ -3182,80 +4720,708 @@ app.put('/api/change-password', authenticate, async (req, res) => {
 })
 
 
-// ---------- GET /api/submissions/:employeeNumber ----------
-app.get('/api/submissions/:employeeNumber', authenticate, async (req, res) => {
-  try {
-    const submission = await prisma.submission.findUnique({
-      where: { employeeNumber: req.params.employeeNumber },
-    });
-    if (!submission) return res.status(404).json({ error: 'No submission found' });
-    res.json(submission);
-  } catch (err) {
-    console.error('❌ fetch submission failed:', err);
-    res.status(500).json({ error: 'Failed to fetch submission' });
+// --------------------
+// Submission search
+// --------------------
+// The search routes and the staff view of GET /submissions return one page at
+// a time with a cursor for the next, sorted by any column. q searches name,
+// employee number, employer, branch and phone at once through
+// Submission.searchVector: every word must match the start of a word there,
+// and a word that looks like a phone number also matches the phone number
+// however it was typed. total and the employer/branch facets count the whole
+// result, not just the page.
+const SUBMISSION_SEARCH_PAGE_SIZE = 50;
+const SUBMISSION_SEARCH_MAX_PAGE_SIZE = 200;
+const SUBMISSION_SEARCH_FACET_LIMIT = 50;
+
+// A parameter compared against the column: timestamps are stored as UTC
+// without a zone, so ISO strings are cast instead of binding Dates.
+function submissionSortValue(sort, value) {
+  return SUBMISSION_SORT_FIELDS[sort] === 'date' ? Prisma.sql`CAST(${value} AS timestamp)` : Prisma.sql`${value}`;
+}
+
+function parseSearchDate(value, name, { endOfDay = false } = {}) {
+  const text = String(value).trim();
+  const date = new Date(text);
+  if (Number.isNaN(date.getTime())) throw submissionSearchError(`${name} must be a date (YYYY-MM-DD or ISO 8601)`);
+  // A plain date as the upper bound includes that whole day
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(text)) date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString();
+}
+
+function containsPattern(value) {
+  return `%${String(value).trim().replace(/[\\%_]/g, (char) => `\\${char}`)}%`;
+}
+
+// One condition per word of q; see the section comment.
+function submissionTextConditions(q) {
+  const conditions = [];
+  for (const word of String(q).trim().split(/\s+/).filter(Boolean)) {
+    const parts = word.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    const digits = word.replace(/\D/g, '');
+    const phoneLike = /^[\d+()\s-]+$/.test(word) && digits.length >= 9;
+    const textMatch = parts.length
+      ? Prisma.sql`"searchVector" @@ to_tsquery('simple', ${parts.map((part) => `${part}:*`).join(' & ')})`
+      : null;
+    const phoneMatch = phoneLike
+      ? Prisma.sql`regexp_replace(coalesce("phoneNumber", ''), '[^0-9]', '', 'g') LIKE ${`%${digits.slice(-9)}%`}`
+      : null;
+    if (textMatch && phoneMatch) conditions.push(Prisma.sql`(${textMatch} OR ${phoneMatch})`);
+    else if (textMatch || phoneMatch) conditions.push(textMatch || phoneMatch);
   }
-});
+  return conditions;
+}
+
+// Runs a search for the query string. scope holds the route's own conditions
+// (archived rows, a member's own submissions). Returns null once a 400 for an
+// unknown employer or branch has been sent; other bad input throws an error
+// with statusCode 400.
+async function getSubmissionSearchOrReject(res, query, scope = []) {
+  const sort = query.sort ? String(query.sort) : 'submittedAt';
+  if (!SUBMISSION_SORT_FIELDS[sort]) {
+    throw submissionSearchError(`sort must be one of: ${Object.keys(SUBMISSION_SORT_FIELDS).join(', ')}`);
+  }
+  const order = String(query.order || 'desc').toLowerCase();
+  if (!['asc', 'desc'].includes(order)) throw submissionSearchError('order must be asc or desc');
+  const limit = query.limit === undefined ? SUBMISSION_SEARCH_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > SUBMISSION_SEARCH_MAX_PAGE_SIZE) {
+    throw submissionSearchError(`limit must be between 1 and ${SUBMISSION_SEARCH_MAX_PAGE_SIZE}`);
+  }
+  const cursor = query.cursor ? decodeSubmissionCursor(query.cursor, sort) : null;
+
+  const registry = await getEmployerSearchFilterOrReject(res, query);
+  if (!registry) return null;
+
+  const conditions = [...scope];
+  for (const field of ['employerId', 'branchId']) {
+    const filter = registry[field];
+    if (filter === undefined) continue;
+    if (typeof filter === 'object') {
+      conditions.push(Prisma.sql`${Prisma.raw(`"${field}"`)} IN (${Prisma.join(filter.in)})`);
+    } else if (Number.isInteger(filter)) {
+      conditions.push(Prisma.sql`${Prisma.raw(`"${field}"`)} = ${filter}`);
+    } else {
+      throw submissionSearchError(`${field} must be a number`);
+    }
+  }
+  for (const field of ['employeeName', 'employeeNumber', 'phoneNumber']) {
+    if (query[field]) conditions.push(Prisma.sql`${Prisma.raw(`"${field}"`)} ILIKE ${containsPattern(query[field])}`);
+  }
+  if (query.status) {
+    const status = String(query.status).toUpperCase();
+    if (!SUBMISSION_STATUSES.includes(status)) {
+      throw submissionSearchError(`status must be one of: ${SUBMISSION_STATUSES.join(', ')}`);
+    }
+    conditions.push(Prisma.sql`"status"::text = ${status}`);
+  }
+  if (query.submittedFrom) {
+    conditions.push(Prisma.sql`"submittedAt" >= CAST(${parseSearchDate(query.submittedFrom, 'submittedFrom')} AS timestamp)`);
+  }
+  if (query.submittedTo) {
+    const to = parseSearchDate(query.submittedTo, 'submittedTo', { endOfDay: true });
+    const inclusive = !/^\d{4}-\d{2}-\d{2}$/.test(String(query.submittedTo).trim());
+    conditions.push(Prisma.sql`"submittedAt" ${Prisma.raw(inclusive ? '<=' : '<')} CAST(${to} AS timestamp)`);
+  }
+  if (query.q) conditions.push(...submissionTextConditions(query.q));
+  const where = conditions.length ? Prisma.join(conditions, ' AND ') : Prisma.sql`TRUE`;
+
+  const column = Prisma.raw(`"${sort}"${sort === 'status' ? '::text' : ''}`);
+  const direction = Prisma.raw(order === 'asc' ? 'ASC' : 'DESC');
+  const compare = Prisma.raw(order === 'asc' ? '>' : '<');
+  let after = Prisma.sql`TRUE`;
+  if (cursor && cursor.value === null) {
+    after = Prisma.sql`(${column} IS NULL AND "id" ${compare} ${cursor.id})`;
+  } else if (cursor) {
+    const value = submissionSortValue(sort, cursor.value);
+    after = Prisma.sql`(${column} ${compare} ${value} OR (${column} = ${value} AND "id" ${compare} ${cursor.id}) OR ${column} IS NULL)`;
+  }
+
+  const [page, [{ total }], employers, branches] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT "id" FROM "Submission" WHERE ${where} AND ${after}
+      ORDER BY ${column} ${direction} NULLS LAST, "id" ${direction}
+      LIMIT ${limit + 1}`,
+    prisma.$queryRaw`SELECT COUNT(*)::int AS total FROM "Submission" WHERE ${where}`,
+    prisma.$queryRaw`
+      SELECT "employerId", "employerName", COUNT(*)::int AS count FROM "Submission" WHERE ${where}
+      GROUP BY "employerId", "employerName" ORDER BY count DESC, "employerName" LIMIT ${SUBMISSION_SEARCH_FACET_LIMIT}`,
+    prisma.$queryRaw`
+      SELECT "employerId", "employerName", "branchId", "branchName", COUNT(*)::int AS count FROM "Submission" WHERE ${where}
+      GROUP BY "employerId", "employerName", "branchId", "branchName"
+      ORDER BY count DESC, "employerName", "branchName" LIMIT ${SUBMISSION_SEARCH_FACET_LIMIT}`,
+  ]);
+
+  const ids = page.slice(0, limit).map((row) => row.id);
+  const rows = ids.length ? await prisma.submission.findMany({ where: { id: { in: ids } } }) : [];
+  const byId = new Map(rows.map((row) => [row.id, row]));
+  const items = ids.map((id) => byId.get(id)).filter(Boolean);
+
+  return {
+    items,
+    nextCursor: page.length > limit && items.length ? encodeSubmissionCursor(items[items.length - 1], sort) : null,
+    total,
+    facets: { employers, branches },
+    sort,
+    order,
+    limit,
+  };
+}
 
 app.get(
   "/api/submissions/search",
   authenticate,
-  requireRole(["STAFF", "ADMIN", "SUPERADMIN"]),
+  requirePermission("submissions.search"),
   async (req, res) => {
     try {
-      const { employerName, branchName, employeeName, employeeNumber, phoneNumber } = req.query;
+      const result = await getSubmissionSearchOrReject(res, req.query);
+      if (!result) return;
+      return res.json(result);
+    } catch (err) {
+      if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
+      console.error("❌ submission search error:", err);
+      return res.status(500).json({ error: "Failed to search submissions", details: err.message });
+    }
+  }
+);
 
-      const where = {};
+// ---------- GET /api/submissions/:employeeNumber ----------
+// Registered after /api/submissions/search so "search" is not taken for an
+// employee number. Members can read their own submission; anyone else needs
+// submissions.search.
+app.get('/api/submissions/:employeeNumber', authenticate, async (req, res) => {
+  try {
+    const employeeNumber = req.params.employeeNumber;
+    if (employeeNumber !== req.user.employeeNumber && !(await hasPermission(req, 'submissions.search'))) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
 
-      if (employerName) {
-        where.employerName = {
-          contains: String(employerName).trim(),
-          mode: "insensitive",
-        };
-      }
+    const submission = await prisma.submission.findUnique({
+      where: { employeeNumber },
+    });
+    if (!submission) return res.status(404).json({ error: 'No submission found' });
+    res.json(submission);
+  } catch (err) {
+    console.error('❌ fetch submission failed:', err);
+    res.status(500).json({ error: 'Failed to fetch submission' });
+  }
+});
 
-      if (branchName) {
-        where.branchName = {
-          contains: String(branchName).trim(),
-          mode: "insensitive",
-        };
-      }
+// --------------------
+// Employers and branches
+// --------------------
+// Employer and branch names on forms, transfers and searches must match the
+// registry: a name, code or alias, ignoring case, punctuation and words like
+// PLC (see employer-registry.js). Submissions keep the canonical names next to
+// the ids, so everything that reads employerName keeps working. Run
+// migrate-employers.js once to build the registry from the names typed so far.
+const REGISTRY_CODE_PATTERN = /^[A-Z0-9]{2,10}$/;
+
+function unknownRegistryName(message, value, entries) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  err.suggestions = suggestEntries(entries, value).map((entry) => entry.name);
+  return err;
+}
 
-      if (employeeName) {
-        where.employeeName = {
-          contains: String(employeeName).trim(),
-          mode: "insensitive",
-        };
-      }
+// { employer, branch } for the names given (branch null when none is given).
+// Unknown names throw a 400 error whose suggestions are the closest registered
+// names. Deactivated entries only match with includeInactive (for searches).
+async function resolveEmployerAndBranch(db, employerName, branchName, { includeInactive = false } = {}) {
+  const active = includeInactive ? {} : { isActive: true };
+  const employers = await db.employer.findMany({ where: active, include: { branches: { where: active } } });
+  const employer = findEntry(employers, employerName);
+  if (!employer) throw unknownRegistryName(`Unknown employer "${employerName}"`, employerName, employers);
+  if (!branchName) return { employer, branch: null };
+  const branch = findEntry(employer.branches, branchName);
+  if (!branch) {
+    throw unknownRegistryName(`"${branchName}" is not a registered branch of ${employer.name}`, branchName, employer.branches);
+  }
+  return { employer, branch };
+}
 
-      if (employeeNumber) {
-        where.employeeNumber = {
-          contains: String(employeeNumber).trim(),
-          mode: "insensitive",
-        };
-      }
+// Submission fields for a resolved employer and branch.
+function employerFields({ employer, branch }) {
+  return {
+    employerId: employer.id,
+    employerName: employer.name,
+    branchId: branch ? branch.id : null,
+    branchName: branch ? branch.name : null,
+  };
+}
 
-      if (phoneNumber) {
-        where.phoneNumber = {
-          contains: String(phoneNumber).trim(),
-          mode: "insensitive",
-        };
+async function getEmployerAndBranchOrReject(res, employerName, branchName, options) {
+  try {
+    return await resolveEmployerAndBranch(prisma, employerName, branchName, options);
+  } catch (err) {
+    if (!err.suggestions) throw err;
+    res.status(400).json({ error: err.message, suggestions: err.suggestions });
+    return null;
+  }
+}
+
+// Submission filter for the employer/branch parameters of the search routes:
+// employerId/branchId, or names resolved through the registry. A branch name
+// without an employer matches that branch at every employer.
+async function getEmployerSearchFilterOrReject(res, query) {
+  const where = {};
+  if (query.employerId) where.employerId = Number(query.employerId);
+  if (query.branchId) where.branchId = Number(query.branchId);
+
+  if (query.employerName) {
+    const branchName = query.branchName ? String(query.branchName) : null;
+    const resolved = await getEmployerAndBranchOrReject(res, String(query.employerName), branchName, { includeInactive: true });
+    if (!resolved) return null;
+    where.employerId = resolved.employer.id;
+    if (resolved.branch) where.branchId = resolved.branch.id;
+  } else if (query.branchName) {
+    const branches = await prisma.branch.findMany();
+    const matching = branches.filter((branch) => findEntry([branch], String(query.branchName)));
+    if (!matching.length) {
+      res.status(400).json({
+        error: `Unknown branch "${query.branchName}"`,
+        suggestions: [...new Set(suggestEntries(branches, String(query.branchName)).map((branch) => branch.name))],
+      });
+      return null;
+    }
+    where.branchId = { in: matching.map((branch) => branch.id) };
+  }
+  return where;
+}
+
+// Registry fields from a request body. Names and aliases are upper case like
+// the names on forms; aliases may be an array or a comma-separated string.
+function registryInput(body = {}) {
+  const input = {};
+  if (body.name !== undefined) input.name = upperTrim(body.name) || '';
+  if (body.code !== undefined) input.code = upperTrim(body.code) || null;
+  if (body.aliases !== undefined) {
+    const aliases = Array.isArray(body.aliases) ? body.aliases : String(body.aliases || '').split(',');
+    input.aliases = [...new Set(aliases.map(upperTrim).filter(Boolean))];
+  }
+  if (body.region !== undefined) input.region = body.region ? String(body.region).trim() : null;
+  if (body.isActive !== undefined) input.isActive = body.isActive === true || body.isActive === 'true';
+  return input;
+}
+
+// { status, error } when registry input is invalid or answers to a name, code
+// or alias another entry already uses; null when it is fine.
+function registryInputProblem(entry, siblings, { codeRequired }) {
+  if (!entry.name) return { status: 400, error: 'name is required' };
+  if (entry.code ? !REGISTRY_CODE_PATTERN.test(entry.code) : codeRequired) {
+    return { status: 400, error: 'code must be 2-10 letters or digits' };
+  }
+  const conflict = conflictingEntry(siblings, [entry.name, entry.code, ...entry.aliases], entry.id);
+  return conflict ? { status: 409, error: `Name, code or alias already used by ${conflict.name}` } : null;
+}
+
+const EMPLOYER_LIST_SELECT = {
+  id: true,
+  code: true,
+  name: true,
+  region: true,
+  branches: { where: { isActive: true }, select: { id: true, code: true, name: true, region: true }, orderBy: { name: 'asc' } },
+};
+
+// GET /api/employers -> active employers and branches for the form pickers
+app.get('/api/employers', async (req, res) => {
+  try {
+    const employers = await prisma.employer.findMany({
+      where: { isActive: true },
+      select: EMPLOYER_LIST_SELECT,
+      orderBy: { name: 'asc' },
+    });
+    return res.json(employers);
+  } catch (err) {
+    console.error('❌ GET /api/employers error:', err);
+    return res.status(500).json({ error: 'Failed to load employers', details: err.message });
+  }
+});
+
+// GET /api/admin/employers?q=&includeInactive=true -> registry with usage counts
+app.get('/api/admin/employers', authenticate, requirePermission('employers.manage'), async (req, res) => {
+  try {
+    const includeInactive = String(req.query.includeInactive || '') === 'true';
+    const employers = await prisma.employer.findMany({
+      where: includeInactive ? {} : { isActive: true },
+      include: {
+        branches: { orderBy: { name: 'asc' }, include: { _count: { select: { submissions: true } } } },
+        _count: { select: { submissions: true, transfersTo: true } },
+      },
+      orderBy: { name: 'asc' },
+    });
+    const q = String(req.query.q || '').trim();
+    if (!q) return res.json(employers);
+    const found = findEntry(employers, q);
+    return res.json(found ? [found] : suggestEntries(employers, q, 10));
+  } catch (err) {
+    console.error('❌ GET /api/admin/employers error:', err);
+    return res.status(500).json({ error: 'Failed to load employers', details: err.message });
+  }
+});
+
+async function getRegistryEntryOrReject(req, res, model, param = 'id') {
+  const id = Number(req.params[param]);
+  if (!id) {
+    res.status(400).json({ error: `Invalid ${model} id` });
+    return null;
+  }
+  const entry = await prisma[model].findUnique({ where: { id }, include: model === 'employer' ? { branches: true } : undefined });
+  if (!entry) {
+    res.status(404).json({ error: `${model === 'employer' ? 'Employer' : 'Branch'} not found` });
+    return null;
+  }
+  return entry;
+}
+
+// POST /api/admin/employers   { name, code?, aliases?, region? }
+app.post('/api/admin/employers', authenticate, requirePermission('employers.manage'), async (req, res) => {
+  try {
+    const input = registryInput(req.body);
+    const entry = { id: null, aliases: [], ...input };
+    entry.code = entry.code || employerCodeFor(entry.name);
+    const problem = registryInputProblem(entry, await prisma.employer.findMany(), { codeRequired: true });
+    if (problem) return res.status(problem.status).json({ error: problem.error });
+
+    const { id, ...data } = entry;
+    const employer = await prisma.employer.create({ data });
+    await recordUserManagementEvent('employer_created', req, null, { employerId: employer.id, name: employer.name, code: employer.code });
+    return res.status(201).json({ message: '✅ Employer added', employer });
+  } catch (err) {
+    console.error('❌ POST /api/admin/employers error:', err);
+    return res.status(500).json({ error: 'Failed to add employer', details: err.message });
+  }
+});
+
+// Points every submission matching `where` at a registry entry inside `tx`,
+// giving each one whose names change a 'registry' revision. Resolves to the
+// number of submissions updated.
+async function updateSubmissionsForRegistry(tx, where, data, actorId) {
+  const submissions = await tx.submission.findMany({ where, select: { id: true, employerName: true, branchName: true } });
+  if (!submissions.length) return 0;
+  await tx.submission.updateMany({ where: { id: { in: submissions.map((submission) => submission.id) } }, data });
+  const revisions = submissions
+    .map((submission) => ({ submissionId: submission.id, revision: submissionRevision(submission, data, { actorId, source: 'registry' }) }))
+    .filter(({ revision }) => revision)
+    .map(({ submissionId, revision }) => ({ submissionId, ...revision.create }));
+  if (revisions.length) await tx.submissionRevision.createMany({ data: revisions });
+  return submissions.length;
+}
+
+// PUT /api/admin/employers/:id   { name?, code?, aliases?, region?, isActive? }
+// A renamed employer keeps its old name as an alias, and its submissions take
+// the new name. A new code only affects ID card numbers issued from now on.
+app.put('/api/admin/employers/:id', authenticate, requirePermission('employers.manage'), async (req, res) => {
+  try {
+    const existing = await getRegistryEntryOrReject(req, res, 'employer');
+    if (!existing) return;
+
+    const input = registryInput(req.body);
+    const entry = { ...existing, ...input };
+    if (entry.name !== existing.name && !findEntry([{ name: entry.name, aliases: entry.aliases }], existing.name)) {
+      entry.aliases = [...entry.aliases, existing.name];
+    }
+    const problem = registryInputProblem(entry, await prisma.employer.findMany(), { codeRequired: true });
+    if (problem) return res.status(problem.status).json({ error: problem.error });
+
+    const employer = await prisma.$transaction(async (tx) => {
+      const updated = await tx.employer.update({
+        where: { id: existing.id },
+        data: { name: entry.name, code: entry.code, aliases: entry.aliases, region: entry.region, isActive: entry.isActive },
+      });
+      await updateSubmissionsForRegistry(tx, { employerId: existing.id }, { employerName: entry.name }, req.user.id);
+      return updated;
+    });
+    await recordUserManagementEvent('employer_updated', req, null, { employerId: employer.id, changes: input });
+    return res.json({ message: '✅ Employer updated', employer });
+  } catch (err) {
+    console.error(`❌ PUT /api/admin/employers/${req.params.id} error:`, err);
+    return res.status(500).json({ error: 'Failed to update employer', details: err.message });
+  }
+});
+
+// DELETE /api/admin/employers/:id -> only while nothing refers to it
+app.delete('/api/admin/employers/:id', authenticate, requirePermission('employers.manage'), async (req, res) => {
+  try {
+    const employer = await getRegistryEntryOrReject(req, res, 'employer');
+    if (!employer) return;
+
+    const [submissions, transfers] = await Promise.all([
+      prisma.submission.count({ where: { employerId: employer.id } }),
+      prisma.transferHistory.count({ where: { newEmployerId: employer.id } }),
+    ]);
+    if (submissions || transfers) {
+      return res.status(409).json({
+        error: `${employer.name} is used by ${submissions} submissions and ${transfers} transfers; deactivate it or merge it into another employer instead`,
+      });
+    }
+
+    await prisma.employer.delete({ where: { id: employer.id } });
+    await recordUserManagementEvent('employer_deleted', req, null, { employerId: employer.id, name: employer.name, code: employer.code });
+    return res.json({ message: '✅ Employer deleted' });
+  } catch (err) {
+    console.error(`❌ DELETE /api/admin/employers/${req.params.id} error:`, err);
+    return res.status(500).json({ error: 'Failed to delete employer', details: err.message });
+  }
+});
+
+// POST /api/admin/employers/:id/merge   { intoId }
+// For two entries that are the same employer. Submissions, transfers and
+// branches move to the other entry (branches answering to the same name are
+// combined), and this entry's name, code and aliases become its aliases.
+app.post('/api/admin/employers/:id/merge', authenticate, requirePermission('employers.manage'), async (req, res) => {
+  try {
+    const source = await getRegistryEntryOrReject(req, res, 'employer');
+    if (!source) return;
+    const target = await prisma.employer.findUnique({ where: { id: Number(req.body?.intoId) || 0 }, include: { branches: true } });
+    if (!target) return res.status(400).json({ error: 'intoId must be another employer' });
+    if (target.id === source.id) return res.status(400).json({ error: 'An employer cannot be merged into itself' });
+
+    const aliases = [...target.aliases];
+    for (const name of [source.name, source.code, ...source.aliases]) {
+      if (!findEntry([{ ...target, aliases }], name)) aliases.push(name);
+    }
+
+    const moved = await prisma.$transaction(async (tx) => {
+      const result = { branchesMoved: 0, branchesCombined: 0 };
+      for (const branch of source.branches) {
+        const same = conflictingEntry(target.branches, [branch.name, ...branch.aliases]);
+        if (!same) {
+          const codeTaken = branch.code && target.branches.some((other) => other.code === branch.code);
+          await tx.branch.update({ where: { id: branch.id }, data: { employerId: target.id, ...(codeTaken ? { code: null } : {}) } });
+          result.branchesMoved += 1;
+          continue;
+        }
+        const branchAliases = [...same.aliases];
+        for (const name of [branch.name, ...branch.aliases]) {
+          if (!findEntry([{ ...same, aliases: branchAliases }], name)) branchAliases.push(name);
+        }
+        await tx.branch.update({ where: { id: same.id }, data: { aliases: branchAliases } });
+        await updateSubmissionsForRegistry(tx, { branchId: branch.id }, { branchId: same.id, branchName: same.name }, req.user.id);
+        await tx.transferHistory.updateMany({ where: { newBranchId: branch.id }, data: { newBranchId: same.id } });
+        await tx.branch.delete({ where: { id: branch.id } });
+        result.branchesCombined += 1;
       }
+      result.submissions = await updateSubmissionsForRegistry(
+        tx,
+        { employerId: source.id },
+        { employerId: target.id, employerName: target.name },
+        req.user.id,
+      );
+      result.transfers = (await tx.transferHistory.updateMany({ where: { newEmployerId: source.id }, data: { newEmployerId: target.id } })).count;
+      await tx.employer.delete({ where: { id: source.id } });
+      await tx.employer.update({ where: { id: target.id }, data: { aliases } });
+      return result;
+    });
 
-      const rows = await prisma.submission.findMany({
-        where,
-        orderBy: { submittedAt: "desc" },
+    await recordUserManagementEvent('employer_merged', req, null, {
+      employerId: target.id,
+      mergedEmployerId: source.id,
+      mergedName: source.name,
+      ...moved,
+    });
+    return res.json({ message: `✅ ${source.name} merged into ${target.name}`, ...moved });
+  } catch (err) {
+    console.error(`❌ POST /api/admin/employers/${req.params.id}/merge error:`, err);
+    return res.status(500).json({ error: 'Failed to merge employers', details: err.message });
+  }
+});
+
+// POST /api/admin/employers/:id/branches   { name, code?, aliases?, region? }
+app.post('/api/admin/employers/:id/branches', authenticate, requirePermission('employers.manage'), async (req, res) => {
+  try {
+    const employer = await getRegistryEntryOrReject(req, res, 'employer');
+    if (!employer) return;
+
+    const entry = { id: null, aliases: [], code: null, ...registryInput(req.body) };
+    const problem = registryInputProblem(entry, employer.branches, { codeRequired: false });
+    if (problem) return res.status(problem.status).json({ error: problem.error });
+
+    const { id, ...data } = entry;
+    const branch = await prisma.branch.create({ data: { ...data, employerId: employer.id } });
+    await recordUserManagementEvent('branch_created', req, null, { employerId: employer.id, branchId: branch.id, name: branch.name });
+    return res.status(201).json({ message: '✅ Branch added', branch });
+  } catch (err) {
+    console.error(`❌ POST /api/admin/employers/${req.params.id}/branches error:`, err);
+    return res.status(500).json({ error: 'Failed to add branch', details: err.message });
+  }
+});
+
+// PUT /api/admin/branches/:id   { name?, code?, aliases?, region?, isActive? }
+app.put('/api/admin/branches/:id', authenticate, requirePermission('employers.manage'), async (req, res) => {
+  try {
+    const existing = await getRegistryEntryOrReject(req, res, 'branch');
+    if (!existing) return;
+
+    const input = registryInput(req.body);
+    const entry = { ...existing, ...input };
+    if (entry.name !== existing.name && !findEntry([{ name: entry.name, aliases: entry.aliases }], existing.name)) {
+      entry.aliases = [...entry.aliases, existing.name];
+    }
+    const siblings = await prisma.branch.findMany({ where: { employerId: existing.employerId } });
+    const problem = registryInputProblem(entry, siblings, { codeRequired: false });
+    if (problem) return res.status(problem.status).json({ error: problem.error });
+
+    const branch = await prisma.$transaction(async (tx) => {
+      const updated = await tx.branch.update({
+        where: { id: existing.id },
+        data: { name: entry.name, code: entry.code, aliases: entry.aliases, region: entry.region, isActive: entry.isActive },
       });
+      await updateSubmissionsForRegistry(tx, { branchId: existing.id }, { branchName: entry.name }, req.user.id);
+      return updated;
+    });
+    await recordUserManagementEvent('branch_updated', req, null, { employerId: branch.employerId, branchId: branch.id, changes: input });
+    return res.json({ message: '✅ Branch updated', branch });
+  } catch (err) {
+    console.error(`❌ PUT /api/admin/branches/${req.params.id} error:`, err);
+    return res.status(500).json({ error: 'Failed to update branch', details: err.message });
+  }
+});
 
-      return res.json(rows);
-    } catch (err) {
-      console.error("❌ submission search error:", err);
-      return res.status(500).json({ error: "Failed to search submissions", details: err.message });
+// DELETE /api/admin/branches/:id -> only while nothing refers to it
+app.delete('/api/admin/branches/:id', authenticate, requirePermission('employers.manage'), async (req, res) => {
+  try {
+    const branch = await getRegistryEntryOrReject(req, res, 'branch');
+    if (!branch) return;
+
+    const [submissions, transfers] = await Promise.all([
+      prisma.submission.count({ where: { branchId: branch.id } }),
+      prisma.transferHistory.count({ where: { newBranchId: branch.id } }),
+    ]);
+    if (submissions || transfers) {
+      return res.status(409).json({
+        error: `${branch.name} is used by ${submissions} submissions and ${transfers} transfers; deactivate it instead`,
+      });
     }
+
+    await prisma.branch.delete({ where: { id: branch.id } });
+    await recordUserManagementEvent('branch_deleted', req, null, { employerId: branch.employerId, branchId: branch.id, name: branch.name });
+    return res.json({ message: '✅ Branch deleted' });
+  } catch (err) {
+    console.error(`❌ DELETE /api/admin/branches/${req.params.id} error:`, err);
+    return res.status(500).json({ error: 'Failed to delete branch', details: err.message });
   }
-);
+});
+
+// --------------------
+// ID card numbers
+// --------------------
+// IDCARD_NUMBER_FORMAT understands {YEAR}, {YY}, {EMPLOYERCODE}, {SEQ} and
+// {CHECK}. The sequence counts per scope (the format with everything except
+// {SEQ}/{CHECK} filled in), so each employer starts at 1 every year. {CHECK}
+// is a Luhn mod 36 character over the rest of the number (idcard-number.js)
+// and is appended when the format leaves it out.
+const IDCARD_NUMBER_FORMAT = process.env.IDCARD_NUMBER_FORMAT || "FIBUCA-{YEAR}-{EMPLOYERCODE}-{SEQ}{CHECK}";
+const IDCARD_NUMBER_SEQ_DIGITS = Number(process.env.IDCARD_NUMBER_SEQ_DIGITS || 6);
+const IDCARD_NUMBER_TOKENS = ["YEAR", "YY", "EMPLOYERCODE", "SEQ", "CHECK"];
+
+for (const [, token] of IDCARD_NUMBER_FORMAT.matchAll(/\{([A-Z]+)\}/g)) {
+  if (!IDCARD_NUMBER_TOKENS.includes(token)) throw new Error(`IDCARD_NUMBER_FORMAT: unknown token {${token}}`);
+}
+if (!IDCARD_NUMBER_FORMAT.includes("{SEQ}")) throw new Error("IDCARD_NUMBER_FORMAT must contain {SEQ}");
+
+// {EMPLOYERCODE} is the registered employer's code; for a company that is
+// not in the registry it is derived from the name (employerCodeFor).
+async function employerCodeForCard(db, company) {
+  const name = upperTrim(company);
+  const employer = name
+    ? await db.employer.findFirst({ where: { OR: [{ name }, { aliases: { has: name } }] }, select: { code: true } })
+    : null;
+  return employer ? employer.code : employerCodeFor(company);
+}
+
+function formatIdCardNumber(scope, seq) {
+  const withSeq = scope.replace("{SEQ}", String(seq).padStart(IDCARD_NUMBER_SEQ_DIGITS, "0"));
+  const body = withSeq.replace("{CHECK}", "");
+  const check = idCardCheckCharacter(body);
+  return withSeq.includes("{CHECK}") ? withSeq.replace("{CHECK}", check) : `${withSeq}${check}`;
+}
+
+// Hands out the next number for a card. The increment is a single
+// INSERT ... ON CONFLICT DO UPDATE, so concurrent callers never get the same
+// value; numbers that already exist (older cards, a reset sequence) are
+// skipped. `db` may be prisma or a transaction client — inside a transaction
+// the sequence row stays locked until it commits, and a rollback leaves no gap.
+async function allocateIdCardNumber(db, { company, issuedAt = new Date() } = {}) {
+  const year = String(new Date(issuedAt).getUTCFullYear());
+  const scope = IDCARD_NUMBER_FORMAT
+    .replace(/\{YEAR\}/g, year)
+    .replace(/\{YY\}/g, year.slice(-2))
+    .replace(/\{EMPLOYERCODE\}/g, await employerCodeForCard(db, company));
+
+  for (let attempt = 0; attempt < 10; attempt += 1) {
+    const sequence = await db.idCardNumberSequence.upsert({
+      where: { scope },
+      create: { scope, lastValue: 1 },
+      update: { lastValue: { increment: 1 } },
+    });
+    const cardNumber = formatIdCardNumber(scope, sequence.lastValue);
+    const taken = await db.idCard.findUnique({ where: { cardNumber }, select: { id: true } });
+    if (!taken) return cardNumber;
+  }
+  throw new Error(`Could not allocate a free ID card number for ${scope}`);
+}
 
 // ---------- POST /submit-form ----------
 
+// Creates the CLIENT account (with a temporary password) and the placeholder
+// ID card for a submission when they do not exist yet, and gives the member
+// the submission's form files that were stored before they had an account.
+// `db` may be prisma or a transaction client. tempPassword is only set when a
+// new account was created; sending it to the member is left to the caller.
+async function provisionMemberAccount(db, submission) {
+  let user = await db.user.findUnique({ where: { employeeNumber: submission.employeeNumber } });
+  let tempPassword = null;
+
+  if (!user) {
+    const suffix = Math.floor(1000 + Math.random() * 9000);
+    tempPassword = submission.employeeNumber + suffix;
+    const hashedPassword = await bcrypt.hash(tempPassword.toString(), 10);
+
+    user = await db.user.create({
+      data: {
+        name: submission.employeeName,
+        username: submission.employeeNumber,
+        email: `${submission.employeeNumber}@fibuca.com`,
+        password: hashedPassword,
+        employeeNumber: submission.employeeNumber,
+        role: "CLIENT",
+      },
+    });
+  }
+
+  let idCard = await db.idCard.findFirst({ where: { userId: user.id } });
+  if (!idCard) {
+    const issuedAt = new Date();
+    idCard = await db.idCard.create({
+      data: {
+        userId: user.id,
+        fullName: user.name,
+        rawPhotoUrl: "",
+        cleanPhotoUrl: "",
+        company: submission.employerName,
+        role: "Member",
+        issuedAt,
+        expiresAt: await computeIdCardExpiry(db, "Member", issuedAt),
+        cardNumber: await allocateIdCardNumber(db, { company: submission.employerName, issuedAt }),
+        verificationToken: generateIdCardVerificationToken(),
+      },
+    });
+    await recordIdCardEvent(db, idCard.id, "ISSUED", { details: { submissionId: submission.id } });
+  }
+
+  const fileKeys = [submission.pdfPath, submission.generatedPdfPath]
+    .map((url) => {
+      const driver = url ? storageForUrl(url) : null;
+      return driver ? driver.keyFor(url) : null;
+    })
+    .filter(Boolean);
+  if (fileKeys.length) {
+    await db.storedFile.updateMany({ where: { key: { in: fileKeys }, ownerId: null }, data: { ownerId: user.id } });
+  }
+
+  return { user, tempPassword, idCard };
+}
+
 app.post("/submit-form/:token", uploadPDF.single("pdf"), async (req, res) => {
   try {
 
@@ -3286,10 +5452,19 @@ app.post("/submit-form/:token", uploadPDF.single("pdf"), async (req, res) => {
     const form = normalizeSubmissionPayload(JSON.parse(req.body.data));
     if (!req.file) return res.status(400).json({ error: "No PDF uploaded" });
 
-    // Verify Cloudinary is configured
-    let pdfUrl = "";
+    // 2️⃣ One submission per employee number. A rejected one may be sent again
+    // and goes back into the review queue.
+    const existingSubmission = await prisma.submission.findUnique({
+      where: { employeeNumber: form.employeeNumber },
+    });
+    if (existingSubmission && existingSubmission.status !== "REJECTED") {
+      return res.status(409).json({ error: 'Submission already exists for this employee number' });
+    }
+    const registry = await getEmployerAndBranchOrReject(res, form.employerName, form.branchName);
+    if (!registry) return;
 
-    if (PHOTO_MODE === "cloudinary" || process.env.VERCEL) {
+    // Verify Cloudinary is configured
+    if (storage.name === "cloudinary") {
       if (!process.env.CLOUDINARY_CLOUD_NAME || !process.env.CLOUDINARY_API_KEY) {
         console.error("❌ Cloudinary not configured. Missing env vars:", {
           CLOUDINARY_CLOUD_NAME: !!process.env.CLOUDINARY_CLOUD_NAME,
@@ -3301,145 +5476,57 @@ app.post("/submit-form/:token", uploadPDF.single("pdf"), async (req, res) => {
           details: "Missing Cloudinary environment variables",
         });
       }
-
-      const publicId = `form_${form.employeeNumber}_${Date.now()}`;
-      const uploadResult = await new Promise((resolve, reject) => {
-        const stream = cloudinary.uploader.upload_stream(
-          {
-            resource_type: "raw",
-            folder: cloudFolder(CLOUDINARY_FOLDERS.forms),
-            public_id: publicId,
-            format: "pdf",
-          },
-          (error, result) => (error ? reject(error) : resolve(result))
-        );
-        streamifier.createReadStream(req.file.buffer).pipe(stream);
-      });
-
-      pdfUrl = uploadResult.secure_url;
-    } else {
-      const pdfFilename = `form_${form.employeeNumber}_${Date.now()}.pdf`;
-      const pdfDiskPath = path.join(FORMS_UPLOAD_DIR, pdfFilename);
-
-      await fs.promises.writeFile(pdfDiskPath, req.file.buffer);
-      pdfUrl = buildUploadUrl(req, `forms/${pdfFilename}`);
     }
 
-    // 4️⃣ Check for existing submission
-    const existingSubmission = await prisma.submission.findUnique({
-      where: { employeeNumber: form.employeeNumber },
+    const { url: pdfUrl } = await putUpload(req, `${newFileKey('forms')}.pdf`, req.file.buffer, {
+      ownerId: await memberIdForEmployeeNumber(form.employeeNumber),
     });
 
-    if (existingSubmission) {
-      // Only reject as a genuine duplicate if the ID card was also created successfully.
-      // If the card is missing, this is a partial failure (submission saved but idCard.create
-      // crashed) — allow recovery by falling through rather than returning 409.
-      const existingUserForCheck = await prisma.user.findUnique({ where: { employeeNumber: form.employeeNumber } });
-      const existingCardForCheck = existingUserForCheck
-        ? await prisma.idCard.findFirst({ where: { userId: existingUserForCheck.id } })
-        : null;
-
-      if (existingCardForCheck) {
-        return res.status(409).json({ error: 'Submission already exists for this employee number' });
-      }
-      // Partial failure detected — fall through to recover the missing ID card
-    }
-
-    // 5️⃣ Create new submission (skip if recovering from a partial failure)
-    let submission = existingSubmission;
-    if (!submission) {
-      submission = await prisma.submission.create({
-        data: {
-          employeeName: form.employeeName,
-          employeeNumber: form.employeeNumber,
-          phoneNumber: form.phoneNumber,
-          employerName: form.employerName,
-          branchName: form.branchName,
-          dues: form.dues,
-          witness: form.witness,
-          pdfPath: pdfUrl,
-          submittedAt: new Date(),
-          staffId: updatedLink.staffId,
-        },
-      });
-
-      //increment link usage
-      await prisma.staffLink.update({
-        where: { id: updatedLink.id },
-        data: { usedCount: { increment: 1 } }
-      });
-    }
-
-    // 6️⃣ Check if user exists, else create
-    let user = await prisma.user.findUnique({ where: { employeeNumber: form.employeeNumber } });
-    let tempPassword = null;
-
-    if (!user) {
-      const suffix = Math.floor(1000 + Math.random() * 9000);
-      tempPassword = form.employeeNumber + suffix;
-      const hashedPassword = await bcrypt.hash(tempPassword.toString(), 10);
-
-      user = await prisma.user.create({
+    // 3️⃣ Save it for review; the account is created when it is verified
+    const formData = {
+      employeeName: form.employeeName,
+      employeeNumber: form.employeeNumber,
+      phoneNumber: form.phoneNumber,
+      ...employerFields(registry),
+      dues: form.dues,
+      witness: form.witness,
+      pdfPath: pdfUrl,
+      submittedAt: new Date(),
+      staffId: updatedLink.staffId,
+    };
+    const reviewEvent = {
+      action: existingSubmission ? "RESUBMITTED" : "SUBMITTED",
+      status: "PENDING",
+      details: { source: "link", staffLinkId: updatedLink.id },
+    };
+    const submission = existingSubmission
+      ? await prisma.submission.update({
+        where: { id: existingSubmission.id },
         data: {
-          name: form.employeeName,
-          username: form.employeeNumber,
-          email: `${form.employeeNumber}@fibuca.com`,
-          password: hashedPassword,
-          employeeNumber: form.employeeNumber,
-          role: "CLIENT",
+          ...formData,
+          ...submissionReviewData(null, "PENDING"),
+          reviewEvents: { create: reviewEvent },
+          revisions: submissionRevision(existingSubmission, formData, { source: "resubmit" }),
         },
+      })
+      : await prisma.submission.create({
+        data: { ...formData, reviewEvents: { create: reviewEvent } },
       });
 
-      // Send credentials via all configured channels (best-effort)
-      sendWelcomeCredentials({
-        user,
-        username: user.username,
-        password: tempPassword,
-        phone: form.phoneNumber || '',
-      }).catch((e) => console.warn('⚠️ sendWelcomeCredentials (submit-form) failed:', e.message));
-    }
-
-    // 7️⃣ Generate placeholder ID card if not exists
-    const makeCardNumber = () => {
-      const letters = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
-      const prefix = Array.from({ length: 2 })
-        .map(() => letters[Math.floor(Math.random() * letters.length)])
-        .join("");
-      const digits = Math.floor(100000 + Math.random() * 900000);
-      return `FIBUCA${prefix}${digits}`;
-    };
+    //increment link usage
+    await prisma.staffLink.update({
+      where: { id: updatedLink.id },
+      data: { usedCount: { increment: 1 } }
+    });
 
-    let placeholderCard = await prisma.idCard.findFirst({ where: { userId: user.id } });
-    if (!placeholderCard) {
-      placeholderCard = await prisma.idCard.create({
-        data: {
-          userId: user.id,
-          fullName: user.name,
-          rawPhotoUrl: "",
-          cleanPhotoUrl: "",
-          company: submission.employerName,
-          role: "Member",
-          issuedAt: new Date(),
-          cardNumber: makeCardNumber(),
-          verificationToken: generateIdCardVerificationToken(),
-        },
-      });
-    }
+    // Likely duplicates go to the admins' review queue; the member is not told
+    await checkSubmissionForDuplicates(submission, "submit-form");
 
-    // 8️⃣ Respond to frontend
+    // 4️⃣ Respond to frontend
     res.status(200).json({
-      message: "✅ Form submitted successfully",
+      message: "✅ Form submitted. It will be reviewed before your account is created.",
       submission,
-      user: {
-        id: user.id,
-        name: user.name,
-        employeeNumber: user.employeeNumber,
-        role: user.role,
-        firstLogin: user.firstLogin,
-        pdfUrl,
-      },
-      loginCredentials: tempPassword ? { username: user.username, password: tempPassword } : null,
-      idCard: placeholderCard,
+      pdfUrl,
     });
   } catch (err) {
     console.error("❌ Submission error:", err);
@@ -3447,508 +5534,3484 @@ app.post("/submit-form/:token", uploadPDF.single("pdf"), async (req, res) => {
   }
 });
 
-const crypto = require("crypto");
+// --------------------
+// Submission review
+// --------------------
+// Forms sent through a staff link or saved from a scan start PENDING. A
+// reviewer checks them against the employer's records and verifies them
+// (which creates the member's account and sends the credentials), rejects
+// them with a reason, or asks the member for corrections. Corrections are
+// made through a one-off link sent to the member's phone, which puts the
+// submission back in the queue. Every step is kept in SubmissionReviewEvent.
+const SUBMISSION_STATUSES = ['PENDING', 'VERIFIED', 'REJECTED', 'CHANGES_REQUESTED'];
+const SUBMISSION_CORRECTION_TTL_DAYS = Number(process.env.SUBMISSION_CORRECTION_TTL_DAYS || 14);
+const SUBMISSION_FORM_FIELDS = ['employeeName', 'employeeNumber', 'employerName', 'branchName', 'phoneNumber', 'dues', 'witness'];
+
+// Status fields for a review decision; without req (the member sent the form
+// again) the previous decision is cleared.
+function submissionReviewData(req, status, note = null) {
+  return {
+    status,
+    reviewedAt: req ? new Date() : null,
+    reviewedById: req ? req.user.id : null,
+    reviewNote: note ? String(note).trim().slice(0, 1000) : null,
+    correctionTokenHash: null,
+    correctionExpiresAt: null,
+  };
+}
 
-function generateIdCardVerificationToken() {
-  return crypto.randomBytes(18).toString("base64url");
+function hashSubmissionCorrectionToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
 }
 
-async function ensureIdCardVerificationToken(card) {
-  if (!card || card.verificationToken) return card;
+function frontendBaseUrl(req) {
+  const configured = process.env.VITE_FRONTEND_URL || (process.env.VERCEL ? 'https://www.fibucatumis.or.tz' : '');
+  return (configured.split(',')[0].trim() || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+}
 
-  for (let attempt = 0; attempt < 5; attempt += 1) {
-    try {
-      const verificationToken = generateIdCardVerificationToken();
-      const updated = await prisma.idCard.update({
-        where: { id: card.id },
-        data: { verificationToken },
-      });
-      return { ...card, verificationToken: updated.verificationToken };
-    } catch (err) {
-      if (err?.code !== 'P2002') {
-        throw err;
-      }
-    }
-  }
+// What the reviewer needs to check a submission against: how many verified
+// members the employer and branch already have (an employer we have never
+// seen is worth a call), any account already using the employee number, and
+// other submissions sharing the phone number or the name at that employer,
+// and open duplicate-member candidates for the employee number.
+async function buildSubmissionReviewChecks(submissions) {
+  if (!submissions.length) return new Map();
+  const employers = [...new Set(submissions.map((sub) => sub.employerName))];
+  const phones = [...new Set(submissions.map((sub) => sub.phoneNumber).filter(Boolean))];
+
+  const numbers = submissions.map((sub) => sub.employeeNumber);
+
+  const [employerCounts, branchCounts, accounts, samePhone, sameName, duplicates] = await Promise.all([
+    prisma.submission.groupBy({
+      by: ['employerName'],
+      where: { employerName: { in: employers }, status: 'VERIFIED', deletedAt: null },
+      _count: { _all: true },
+    }),
+    prisma.submission.groupBy({
+      by: ['employerName', 'branchName'],
+      where: { employerName: { in: employers }, status: 'VERIFIED', deletedAt: null },
+      _count: { _all: true },
+    }),
+    prisma.user.findMany({
+      where: { employeeNumber: { in: numbers } },
+      select: { id: true, name: true, employeeNumber: true, registrationStatus: true, deletedAt: true },
+    }),
+    phones.length
+      ? prisma.submission.findMany({
+        where: { phoneNumber: { in: phones }, deletedAt: null },
+        select: { id: true, employeeName: true, employeeNumber: true, phoneNumber: true, status: true },
+      })
+      : [],
+    prisma.submission.findMany({
+      where: {
+        OR: submissions.map((sub) => ({ employeeName: sub.employeeName, employerName: sub.employerName })),
+        deletedAt: null,
+      },
+      select: { id: true, employeeName: true, employeeNumber: true, employerName: true, status: true },
+    }),
+    prisma.duplicateCandidate.findMany({
+      where: { status: 'OPEN', OR: [{ employeeNumberA: { in: numbers } }, { employeeNumberB: { in: numbers } }] },
+      orderBy: { score: 'desc' },
+    }),
+  ]);
 
-  throw new Error(`Failed to assign verification token for ID card ${card.id}`);
+  const employerTotals = new Map(employerCounts.map((row) => [row.employerName, row._count._all]));
+  const branchTotals = new Map(branchCounts.map((row) => [`${row.employerName}\n${row.branchName || ''}`, row._count._all]));
+  const accountsByNumber = new Map(accounts.map((user) => [user.employeeNumber, user]));
+
+  return new Map(submissions.map((sub) => {
+    const verifiedAtEmployer = employerTotals.get(sub.employerName) || 0;
+    return [sub.id, {
+      employerKnown: verifiedAtEmployer > 0,
+      verifiedAtEmployer,
+      verifiedAtBranch: sub.branchName ? branchTotals.get(`${sub.employerName}\n${sub.branchName}`) || 0 : null,
+      existingAccount: accountsByNumber.get(sub.employeeNumber) || null,
+      samePhone: samePhone.filter((other) => other.id !== sub.id && other.phoneNumber === sub.phoneNumber),
+      sameNameAtEmployer: sameName.filter((other) => other.id !== sub.id
+        && other.employeeName === sub.employeeName && other.employerName === sub.employerName),
+      duplicates: duplicates
+        .filter((c) => c.employeeNumberA === sub.employeeNumber || c.employeeNumberB === sub.employeeNumber)
+        .map((c) => ({
+          candidateId: c.id,
+          employeeNumber: c.employeeNumberA === sub.employeeNumber ? c.employeeNumberB : c.employeeNumberA,
+          score: c.score,
+          reasons: c.reasons,
+        })),
+    }];
+  }));
 }
 
-async function ensureIdCardVerificationTokens(cards = []) {
-  return Promise.all(cards.map((card) => ensureIdCardVerificationToken(card)));
+async function getReviewableSubmissionOrReject(req, res, statuses) {
+  const id = Number(req.params.id);
+  if (!id) {
+    res.status(400).json({ error: 'Invalid submission id' });
+    return null;
+  }
+  const submission = await prisma.submission.findUnique({ where: { id } });
+  if (!submission || submission.deletedAt) {
+    res.status(404).json({ error: 'Submission not found' });
+    return null;
+  }
+  if (!statuses.includes(submission.status)) {
+    res.status(409).json({ error: `Submission is already ${submission.status.toLowerCase().replace('_', ' ')}` });
+    return null;
+  }
+  return submission;
 }
 
-function getPublicIdCardStatus(card) {
-  if (!card) return 'NOT_FOUND';
-  if (!card.isActive || card.revokedAt) return 'REVOKED';
-  if (card.expiresAt && new Date(card.expiresAt).getTime() < Date.now()) return 'EXPIRED';
-  return 'VALID';
-}
+const REVIEWABLE_SUBMISSION_STATUSES = ['PENDING', 'CHANGES_REQUESTED'];
 
-function buildPublicIdCardResponse(card) {
-  const status = getPublicIdCardStatus(card);
-  const valid = status === 'VALID';
+// Applies a review decision inside `tx` only while the submission is still
+// reviewable, so two reviewers acting at once cannot both decide it; the
+// second gets a 409 (err.statusCode). updateMany cannot nest writes, so the
+// review event is created separately. Resolves to the updated submission.
+async function decideSubmissionReview(tx, submission, data, event) {
+  const { count } = await tx.submission.updateMany({
+    where: { id: submission.id, status: { in: REVIEWABLE_SUBMISSION_STATUSES }, deletedAt: null },
+    data,
+  });
+  if (!count) {
+    const err = new Error('Submission has already been reviewed');
+    err.statusCode = 409;
+    throw err;
+  }
+  await tx.submissionReviewEvent.create({ data: { submissionId: submission.id, ...event } });
+  return tx.submission.findUnique({ where: { id: submission.id } });
+}
 
-  if (!card) {
-    return {
-      valid: false,
-      status,
-      message: 'ID card not found',
-      card: null,
-    };
+// GET /api/admin/submissions/review?status=PENDING
+// Oldest first while pending; each entry carries its review checks.
+app.get('/api/admin/submissions/review', authenticate, requirePermission('submissions.review'), async (req, res) => {
+  const status = String(req.query.status || 'PENDING').toUpperCase();
+  if (!SUBMISSION_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${SUBMISSION_STATUSES.join(', ')}` });
   }
 
-  return {
-    valid,
-    status,
-    message:
-      status === 'VALID'
-        ? 'Verified genuine ID card'
-        : status === 'REVOKED'
-        ? 'This ID card has been revoked'
-        : 'This ID card has expired',
-    card: {
-      fullName: card.fullName,
-      role: card.role,
-      company: card.company,
-      cardNumber: card.cardNumber,
-      issuedAt: card.issuedAt,
-      expiresAt: card.expiresAt,
-      photoUrl: card.cleanPhotoUrl || card.rawPhotoUrl || null,
-    },
-  };
-}
+  try {
+    const submissions = await prisma.submission.findMany({
+      where: { status, deletedAt: null },
+      orderBy: { submittedAt: status === 'PENDING' ? 'asc' : 'desc' },
+      take: 200,
+      include: { staff: { select: { id: true, name: true } } },
+    });
+    const checks = await buildSubmissionReviewChecks(submissions);
+    return res.json(submissions.map((sub) => ({ ...sub, checks: checks.get(sub.id) })));
+  } catch (err) {
+    console.error('❌ GET /api/admin/submissions/review error:', err);
+    return res.status(500).json({ error: 'Failed to load review queue', details: err.message });
+  }
+});
 
-app.get('/api/public/idcards/verify/:token', publicVerifyLimiter, async (req, res) => {
+// GET /api/admin/submissions/:id/reviews -> the submission, its checks and decision history
+app.get('/api/admin/submissions/:id/reviews', authenticate, requirePermission('submissions.review'), async (req, res) => {
   try {
-    const token = String(req.params.token || '').trim();
-    if (!token || token.length < 12 || token.length > 200) {
-      return res.status(400).json({ valid: false, status: 'INVALID_REQUEST', message: 'Invalid verification token' });
-    }
+    const id = Number(req.params.id);
+    if (!id) return res.status(400).json({ error: 'Invalid submission id' });
 
-    const card = await prisma.idCard.findUnique({
-      where: { verificationToken: token },
+    const submission = await prisma.submission.findUnique({
+      where: { id },
+      include: { reviewEvents: { orderBy: { createdAt: 'asc' } } },
     });
+    if (!submission) return res.status(404).json({ error: 'Submission not found' });
 
-    if (!card) {
-      recordSecurityEvent('public_idcard_verify_not_found', req, { tokenPrefix: token.slice(0, 8) });
-      return res.json(buildPublicIdCardResponse(null));
-    }
+    const actorIds = [...new Set(submission.reviewEvents.map((event) => event.actorId).filter(Boolean))];
+    const actors = actorIds.length
+      ? await prisma.user.findMany({ where: { id: { in: actorIds } }, select: { id: true, name: true, role: true } })
+      : [];
+    const actorsById = new Map(actors.map((actor) => [actor.id, actor]));
+    const { reviewEvents, ...rest } = submission;
+    const checks = await buildSubmissionReviewChecks([submission]);
 
-    return res.json(buildPublicIdCardResponse(card));
+    return res.json({
+      submission: rest,
+      checks: checks.get(submission.id),
+      history: reviewEvents.map((event) => ({ ...event, actor: actorsById.get(event.actorId) || null })),
+    });
   } catch (err) {
-    console.error('❌ GET /api/public/idcards/verify/:token error:', err);
-    return res.status(500).json({ valid: false, status: 'ERROR', message: 'Failed to verify ID card' });
+    console.error(`❌ GET /api/admin/submissions/${req.params.id}/reviews error:`, err);
+    return res.status(500).json({ error: 'Failed to load submission history', details: err.message });
   }
 });
 
-// POST /api/staff/generate-link
-app.post(
-  "/api/staff/generate-link",
-  authenticate,
-  requireRole(["STAFF", "ADMIN", "SUPERADMIN"]),
-  async (req, res) => {
-    try {
-      const { hoursValid, maxUses } = req.body;
-
-      // Short, URL-safe code (still cryptographically random)
-      const token = crypto.randomBytes(12).toString("base64url");
-
-      const expiresAt = new Date(
-        Date.now() + (hoursValid || 24) * 60 * 60 * 1000
-      );
-
-      const link = await prisma.staffLink.create({
-        data: {
-          token,
-          staffId: req.user.id,
-          expiresAt,
-          maxUses: maxUses || null,
+// POST /api/admin/submissions/:id/verify   { note?, employerReference? }
+// employerReference records what the employer confirmed (e.g. an HR letter
+// number). Creates the member's account and ID card if they do not exist yet
+// and sends the credentials; a self-registered account waiting for approval
+// is approved and linked instead.
+app.post('/api/admin/submissions/:id/verify', authenticate, requirePermission('submissions.review'), async (req, res) => {
+  try {
+    const submission = await getReviewableSubmissionOrReject(req, res, REVIEWABLE_SUBMISSION_STATUSES);
+    if (!submission) return;
+    const note = req.body?.note;
+    const employerReference = String(req.body?.employerReference || '').trim().slice(0, 200) || null;
+
+    const outcome = await prisma.$transaction(async (tx) => {
+      const member = await provisionMemberAccount(tx, submission);
+      let { user } = member;
+      if (user.registrationStatus === 'PENDING') {
+        user = await tx.user.update({
+          where: { id: user.id },
+          data: registrationReviewData(req, 'APPROVED', `Membership submission #${submission.id} verified`),
+        });
+      }
+      const updated = await decideSubmissionReview(tx, submission, {
+        ...submissionReviewData(req, 'VERIFIED', note),
+        ...(member.user.registrationStatus === 'PENDING' ? { userId: user.id } : {}),
+      }, {
+        action: 'VERIFIED',
+        status: 'VERIFIED',
+        actorId: req.user.id,
+        note: note ? String(note).trim().slice(0, 1000) : null,
+        details: {
+          employerReference,
+          userId: user.id,
+          idCardId: member.idCard.id,
+          accountCreated: Boolean(member.tempPassword),
+          registrationApproved: member.user.registrationStatus === 'PENDING',
         },
       });
+      return { ...member, user, submission: updated };
+    });
 
-      // Generate frontend URL with simplified fallback
-      let frontendUrl = process.env.VITE_FRONTEND_URL;
+    if (outcome.tempPassword) {
+      sendWelcomeCredentials({
+        user: outcome.user,
+        username: outcome.user.username,
+        password: outcome.tempPassword,
+        phone: submission.phoneNumber || '',
+      }).catch((e) => console.warn('⚠️ sendWelcomeCredentials (submission verified) failed:', e.message));
+    }
+    await recordUserManagementEvent('submission_verified', req, outcome.user, {
+      submissionId: submission.id,
+      accountCreated: Boolean(outcome.tempPassword),
+      employerReference,
+    });
 
-      // If env var not set and on Vercel, use production URL
-      if (!frontendUrl && process.env.VERCEL) {
-        frontendUrl = "https://www.fibucatumis.or.tz,https://fibuca-frontend.vercel.app";
-      }
+    return res.json({
+      message: '✅ Submission verified',
+      submission: outcome.submission,
+      user: {
+        id: outcome.user.id,
+        name: outcome.user.name,
+        employeeNumber: outcome.user.employeeNumber,
+        role: outcome.user.role,
+      },
+      loginCredentials: outcome.tempPassword
+        ? { username: outcome.user.username, password: outcome.tempPassword }
+        : null,
+      idCard: outcome.idCard,
+    });
+  } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
+    console.error(`❌ POST /api/admin/submissions/${req.params.id}/verify error:`, err);
+    return res.status(500).json({ error: 'Failed to verify submission', details: err.message });
+  }
+});
 
-      // Otherwise use request origin for local development
-      if (!frontendUrl) {
-        frontendUrl = `${req.protocol}://${req.get('host')}`;
-      }
+// POST /api/admin/submissions/:id/reject   { reason }
+app.post('/api/admin/submissions/:id/reject', authenticate, requirePermission('submissions.review'), async (req, res) => {
+  const reason = String(req.body?.reason || '').trim();
+  if (!reason) return res.status(400).json({ error: 'reason is required' });
 
-      console.log(`✅ Generate-link: frontendUrl="${frontendUrl}", VERCEL=${process.env.VERCEL}, VITE_FRONTEND_URL="${process.env.VITE_FRONTEND_URL}"`);
+  try {
+    const submission = await getReviewableSubmissionOrReject(req, res, REVIEWABLE_SUBMISSION_STATUSES);
+    if (!submission) return;
 
-      res.json({
-        message: "✅ Link created",
-        code: token,
-        link: `${frontendUrl}/submission/${token}`,
-        expiresAt,
-        maxUses: link.maxUses,
-      });
-    } catch (err) {
-      console.error("❌ generate-link error:", err);
-      res.status(500).json({ error: "Failed to generate link" });
-    }
+    const updated = await prisma.$transaction((tx) => decideSubmissionReview(
+      tx,
+      submission,
+      submissionReviewData(req, 'REJECTED', reason),
+      { action: 'REJECTED', status: 'REJECTED', actorId: req.user.id, note: reason.slice(0, 1000) },
+    ));
+
+    sendMemberPhoneMessage({
+      phone: submission.phoneNumber,
+      message: `FIBUCA: your membership form (${submission.employeeNumber}) was not accepted. Reason: ${reason}`,
+      label: 'submission rejected',
+    }).catch(() => {});
+
+    return res.json({ message: '✅ Submission rejected', submission: updated });
+  } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
+    console.error(`❌ POST /api/admin/submissions/${req.params.id}/reject error:`, err);
+    return res.status(500).json({ error: 'Failed to reject submission', details: err.message });
   }
-);
+});
 
+// POST /api/admin/submissions/:id/request-changes   { message, fields? }
+// fields names what needs fixing. The correction link is sent to the
+// member's phone and returned, so staff can pass it on when there is none.
+app.post('/api/admin/submissions/:id/request-changes', authenticate, requirePermission('submissions.review'), async (req, res) => {
+  const message = String(req.body?.message || '').trim();
+  if (!message) return res.status(400).json({ error: 'message is required' });
+  const fields = Array.isArray(req.body?.fields) ? req.body.fields.map(String) : [];
+  const unknownFields = fields.filter((field) => !SUBMISSION_FORM_FIELDS.includes(field) && field !== 'pdf');
+  if (unknownFields.length) {
+    return res.status(400).json({ error: `Unknown fields: ${unknownFields.join(', ')}` });
+  }
 
-// GET /api/staff/validate/:token
-app.get("/api/staff/validate/:token", async (req, res) => {
   try {
-    const { token } = req.params;
+    const submission = await getReviewableSubmissionOrReject(req, res, REVIEWABLE_SUBMISSION_STATUSES);
+    if (!submission) return;
+
+    const token = crypto.randomBytes(24).toString('base64url');
+    const expiresAt = new Date(Date.now() + SUBMISSION_CORRECTION_TTL_DAYS * 24 * 60 * 60 * 1000);
+    const updated = await prisma.$transaction((tx) => decideSubmissionReview(tx, submission, {
+      ...submissionReviewData(req, 'CHANGES_REQUESTED', message),
+      correctionTokenHash: hashSubmissionCorrectionToken(token),
+      correctionExpiresAt: expiresAt,
+    }, {
+      action: 'CHANGES_REQUESTED',
+      status: 'CHANGES_REQUESTED',
+      actorId: req.user.id,
+      note: message.slice(0, 1000),
+      details: { fields },
+    }));
 
-    console.log(`🔍 Validate request: token="${token ? token.substring(0, 16) + '...' : 'NONE'}"`);
+    const correctionUrl = `${frontendBaseUrl(req)}/submission/corrections/${token}`;
+    const delivered = await sendMemberPhoneMessage({
+      phone: submission.phoneNumber,
+      message: `FIBUCA: please correct your membership form (${submission.employeeNumber}). ${message}\n\nOpen ${correctionUrl} before ${expiresAt.toISOString().slice(0, 10)}.`,
+      label: 'submission corrections',
+    });
 
-    if (!token || typeof token !== 'string' || token.trim().length === 0) {
-      console.warn('❌ Invalid or empty token parameter');
-      return res.status(400).json({ error: "Token is required" });
-    }
+    return res.json({ message: '✅ Corrections requested', submission: updated, correctionUrl, expiresAt, delivered });
+  } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
+    console.error(`❌ POST /api/admin/submissions/${req.params.id}/request-changes error:`, err);
+    return res.status(500).json({ error: 'Failed to request corrections', details: err.message });
+  }
+});
 
-    let link = null;
-    try {
-      link = await prisma.staffLink.findUnique({
-        where: { token },
-      });
-    } catch (dbErr) {
-      console.error('❌ Database error finding link:', dbErr.message);
-      return res.status(500).json({ error: "Database error", details: dbErr.message });
-    }
+async function getSubmissionForCorrectionOrReject(req, res) {
+  const submission = await prisma.submission.findUnique({
+    where: { correctionTokenHash: hashSubmissionCorrectionToken(req.params.token) },
+  });
+  if (!submission || submission.deletedAt || submission.status !== 'CHANGES_REQUESTED') {
+    res.status(404).json({ error: 'This correction link is invalid or has already been used' });
+    return null;
+  }
+  if (!submission.correctionExpiresAt || submission.correctionExpiresAt < new Date()) {
+    res.status(410).json({ error: 'This correction link has expired. Please contact FIBUCA staff.' });
+    return null;
+  }
+  return submission;
+}
 
-    if (!link) {
-      console.warn(`❌ Link not found for token: ${token.substring(0, 16)}...`);
-      return res.status(400).json({ error: "Invalid link" });
-    }
+// GET /api/submission-corrections/:token -> what the member sent and what to fix (no login)
+app.get('/api/submission-corrections/:token', async (req, res) => {
+  try {
+    const submission = await getSubmissionForCorrectionOrReject(req, res);
+    if (!submission) return;
+    const request = await prisma.submissionReviewEvent.findFirst({
+      where: { submissionId: submission.id, action: 'CHANGES_REQUESTED' },
+      orderBy: { createdAt: 'desc' },
+    });
 
-    console.log(`✅ Link found: id=${link.id}, active=${link.isActive}, expires=${link.expiresAt}`);
+    const form = {};
+    for (const field of SUBMISSION_FORM_FIELDS) form[field] = submission[field];
+    return res.json({
+      form,
+      message: submission.reviewNote,
+      fields: request?.details?.fields || [],
+      expiresAt: submission.correctionExpiresAt,
+    });
+  } catch (err) {
+    console.error('❌ GET /api/submission-corrections error:', err);
+    return res.status(500).json({ error: 'Failed to load the form', details: err.message });
+  }
+});
 
-    // Refresh and validate link status (but don't let failures stop validation)
-    let validLink = link;
+// POST /api/submission-corrections/:token   multipart: data (form JSON), pdf?
+// Saves the corrected form (and a new PDF, if given) and puts it back in the queue.
+app.post('/api/submission-corrections/:token', uploadPDF.single('pdf'), async (req, res) => {
+  try {
+    const submission = await getSubmissionForCorrectionOrReject(req, res);
+    if (!submission) return;
+
+    let input;
     try {
-      validLink = await refreshLinkStatus(link);
-      console.log(`✅ Link status refreshed: isActive=${validLink.isActive}`);
-    } catch (refreshErr) {
-      console.error('❌ Link status refresh threw error (using current status):', refreshErr.message);
-      validLink = link;
+      input = typeof req.body?.data === 'string' ? JSON.parse(req.body.data) : req.body || {};
+    } catch (_) {
+      return res.status(400).json({ error: 'data must be JSON' });
     }
-
-    if (!validLink) {
-      console.error('❌ Link validation returned null');
-      return res.status(400).json({ error: "Link validation failed" });
+    const form = normalizeSubmissionPayload({ ...submission, ...input });
+    if (!form.employeeName || !form.employeeNumber || !form.employerName || !form.witness) {
+      return res.status(400).json({ error: 'employeeName, employeeNumber, employerName and witness are required' });
+    }
+    if (form.employeeNumber !== submission.employeeNumber) {
+      const taken = await prisma.submission.findUnique({ where: { employeeNumber: form.employeeNumber }, select: { id: true } });
+      if (taken) return res.status(409).json({ error: 'Submission already exists for this employee number' });
     }
+    const registry = await getEmployerAndBranchOrReject(res, form.employerName, form.branchName);
+    if (!registry) return;
+    const { employerId, branchId, ...registryNames } = employerFields(registry);
+    Object.assign(form, registryNames);
 
-    if (!validLink.isActive) {
-      console.warn(`❌ Link ${validLink.id} is not active`);
-      return res.status(400).json({ error: "Link expired or inactive" });
+    const changes = {};
+    for (const field of SUBMISSION_FORM_FIELDS) {
+      if ((form[field] ?? null) !== (submission[field] ?? null)) changes[field] = { from: submission[field], to: form[field] };
+    }
+    let pdfPath = submission.pdfPath;
+    if (req.file) {
+      pdfPath = (await putUpload(req, `${newFileKey('forms')}.pdf`, req.file.buffer, {
+        ownerId: await memberIdForEmployeeNumber(form.employeeNumber),
+      })).url;
+      changes.pdf = { from: submission.pdfPath, to: pdfPath };
     }
 
-    console.log(`✅ Link ${validLink.id} is valid and active - VALIDATION PASSED`);
-    res.json({ valid: true });
+    const fields = Object.fromEntries(SUBMISSION_FORM_FIELDS.map((field) => [field, form[field]]));
+    const updated = await prisma.submission.update({
+      where: { id: submission.id },
+      data: {
+        ...fields,
+        employerId,
+        branchId,
+        pdfPath,
+        ...submissionReviewData(null, 'PENDING'),
+        reviewEvents: { create: { action: 'RESUBMITTED', status: 'PENDING', details: { source: 'correction', changes } } },
+        revisions: submissionRevision(submission, fields, { source: 'correction' }),
+      },
+    });
+    await checkSubmissionForDuplicates(updated, 'correction');
 
+    const result = {};
+    for (const field of SUBMISSION_FORM_FIELDS) result[field] = updated[field];
+    return res.json({ message: '✅ Thank you. Your corrected form will be reviewed again.', form: result });
   } catch (err) {
-    console.error("❌ Validate endpoint unhandled error:", err.message);
-    console.error("Stack trace:", err.stack);
-    res.status(500).json({ error: "Validation failed", details: err.message });
+    console.error('❌ POST /api/submission-corrections error:', err);
+    return res.status(500).json({ error: 'Failed to save the corrected form', details: err.message });
   }
 });
 
-// GET /api/staff/links
-app.get(
-  "/api/staff/links",
-  authenticate,
-  requireRole(["STAFF", "ADMIN", "SUPERADMIN"]),
-  async (req, res) => {
-    try {
-      const links = await prisma.staffLink.findMany({
-        where: { staffId: req.user.id },
-        orderBy: { createdAt: "desc" },
-      });
+// --------------------
+// Duplicate members
+// --------------------
+// Only the employee number is unique, so a mistyped number or a transfer can
+// leave one person with two records. Records (everything under one employee
+// number) are compared on name, phone, employer, branch and how close the
+// numbers are; pairs scoring DUPLICATE_SCORE_THRESHOLD or more go to a review
+// queue where admins merge them into the surviving record or dismiss them.
+const DUPLICATE_SCORE_THRESHOLD = Number(process.env.DUPLICATE_SCORE_THRESHOLD || 65);
+const DUPLICATE_MIN_NAME_SIMILARITY = 0.6;
+const DUPLICATE_WEIGHTS = { name: 50, phone: 30, employer: 10, branch: 5, employeeNumber: 15 };
+// The scan only compares records sharing a phone number or a name part; parts
+// shared by more records than this (common first names) are skipped.
+const DUPLICATE_BLOCK_LIMIT = 200;
+
+// Upper case, accents and punctuation removed, name parts sorted so
+// "Juma Ali" and "ALI, JUMA" compare equal.
+function normalizeMemberName(name) {
+  return String(name || '')
+    .toUpperCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Z\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .sort()
+    .join(' ');
+}
 
-      res.json(links);
-    } catch (err) {
-      console.error("❌ fetch staff links error:", err);
-      res.status(500).json({ error: "Failed to fetch links" });
-    }
-  }
-);
+// 0..1. A name that leaves out a middle name ("JUMA ALI" vs "JUMA HASSANI
+// ALI") scores 0.9 when every part of the shorter one matches.
+function nameSimilarity(a, b) {
+  const left = normalizeMemberName(a);
+  const right = normalizeMemberName(b);
+  if (!left || !right) return 0;
+  const whole = stringSimilarity(left, right);
+  const [shorter, longer] = [left.split(' '), right.split(' ')].sort((x, y) => x.length - y.length);
+  const partsMatch = shorter.length >= 2
+    && shorter.every((part) => longer.some((other) => stringSimilarity(part, other) >= 0.8));
+  return Math.max(whole, partsMatch ? 0.9 : 0);
+}
 
+function sameText(a, b) {
+  return Boolean(a && b && String(a).trim().toUpperCase() === String(b).trim().toUpperCase());
+}
 
-// GET /api/staff/submissions
-app.get(
-  "/api/staff/submissions",
-  authenticate,
-  requireRole(["STAFF", "ADMIN", "SUPERADMIN"]),
-  async (req, res) => {
-    try {
-      const submissions = await prisma.submission.findMany({
-        where: { staffId: req.user.id },
-        orderBy: { submittedAt: "desc" },
-      });
+// { score, reasons } for two records, or null when the names are too far apart.
+function scoreDuplicatePair(a, b) {
+  const name = nameSimilarity(a.name, b.name);
+  if (name < DUPLICATE_MIN_NAME_SIMILARITY) return null;
 
-      res.json(submissions);
-    } catch (err) {
-      console.error("❌ fetch staff submissions error:", err);
-      res.status(500).json({ error: "Failed to fetch submissions" });
+  const reasons = { nameSimilarity: Math.round(name * 100) / 100 };
+  let score = name * DUPLICATE_WEIGHTS.name;
+  if (a.phones.some((phone) => b.phones.includes(phone))) {
+    reasons.samePhone = true;
+    score += DUPLICATE_WEIGHTS.phone;
+  }
+  if (sameText(a.employer, b.employer)) {
+    reasons.sameEmployer = true;
+    score += DUPLICATE_WEIGHTS.employer;
+    if (sameText(a.branch, b.branch)) {
+      reasons.sameBranch = true;
+      score += DUPLICATE_WEIGHTS.branch;
     }
   }
-);
-
-app.get(
-  "/api/staff/stats",
-  authenticate,
-  requireRole(["STAFF", "ADMIN", "SUPERADMIN"]),
-  async (req, res) => {
+  if (editDistance(a.employeeNumber, b.employeeNumber) <= 1) {
+    reasons.similarEmployeeNumber = true;
+    score += DUPLICATE_WEIGHTS.employeeNumber;
+  }
+  return { score: Math.round(score), reasons };
+}
+
+// Member records keyed by employee number, from submissions (not deleted or
+// rejected) and member accounts (not deleted) matching the extra filters.
+async function loadMemberRecords({ submissionWhere = {}, userWhere = {}, take } = {}) {
+  const [submissions, users] = await Promise.all([
+    prisma.submission.findMany({
+      where: { deletedAt: null, status: { not: 'REJECTED' }, ...submissionWhere },
+      select: { id: true, employeeNumber: true, employeeName: true, phoneNumber: true, employerName: true, branchName: true },
+      take,
+    }),
+    prisma.user.findMany({
+      where: { deletedAt: null, role: 'CLIENT', ...userWhere },
+      select: { id: true, employeeNumber: true, name: true, phone: true, phone2: true },
+      take,
+    }),
+  ]);
+
+  const records = new Map();
+  const recordFor = (employeeNumber) => {
+    if (!records.has(employeeNumber)) {
+      records.set(employeeNumber, { employeeNumber, name: null, phones: [], employer: null, branch: null, submissionId: null, userId: null });
+    }
+    return records.get(employeeNumber);
+  };
+  const addPhone = (record, phone) => {
+    const normalized = normalizePhone(phone || '');
+    if (normalized && !record.phones.includes(normalized)) record.phones.push(normalized);
+  };
+
+  for (const sub of submissions) {
+    const record = recordFor(sub.employeeNumber);
+    Object.assign(record, { name: sub.employeeName, employer: sub.employerName, branch: sub.branchName, submissionId: sub.id });
+    addPhone(record, sub.phoneNumber);
+  }
+  for (const user of users) {
+    const record = recordFor(user.employeeNumber);
+    record.userId = user.id;
+    record.name = record.name || user.name;
+    addPhone(record, user.phone);
+    addPhone(record, user.phone2);
+  }
+  return records;
+}
+
+function duplicatePairKey(a, b) {
+  const [employeeNumberA, employeeNumberB] = [a, b].sort();
+  return { employeeNumberA, employeeNumberB };
+}
+
+// -> { candidate, created }. Dismissed and merged pairs keep their decision
+// when they are found again.
+async function saveDuplicateCandidate(a, b, match, source) {
+  const key = duplicatePairKey(a.employeeNumber, b.employeeNumber);
+  const existing = await prisma.duplicateCandidate.findUnique({ where: { employeeNumberA_employeeNumberB: key } });
+  if (!existing) {
+    const candidate = await prisma.duplicateCandidate.create({ data: { ...key, score: match.score, reasons: match.reasons, source } });
+    return { candidate, created: true };
+  }
+  if (existing.status !== 'OPEN') return { candidate: existing, created: false };
+  const candidate = await prisma.duplicateCandidate.update({ where: { id: existing.id }, data: { score: match.score, reasons: match.reasons } });
+  return { candidate, created: false };
+}
+
+// On-submit check: compares a new or corrected submission with the records
+// sharing a name part or the phone number, and queues the likely duplicates.
+async function findDuplicatesForSubmission(submission) {
+  const tokens = normalizeMemberName(submission.employeeName).split(' ').filter((token) => token.length >= 3);
+  const phoneTail = normalizePhone(submission.phoneNumber || '').replace(/\D/g, '').slice(-9);
+  const nameFilters = (field) => tokens.map((token) => ({ [field]: { contains: token, mode: 'insensitive' } }));
+  const phoneFilters = (fields) => (phoneTail.length === 9 ? fields.map((field) => ({ [field]: { contains: phoneTail } })) : []);
+
+  const submissionOr = [...nameFilters('employeeName'), ...phoneFilters(['phoneNumber'])];
+  if (!submissionOr.length) return [];
+  const records = await loadMemberRecords({
+    submissionWhere: { employeeNumber: { not: submission.employeeNumber }, OR: submissionOr },
+    userWhere: { employeeNumber: { not: submission.employeeNumber }, OR: [...nameFilters('name'), ...phoneFilters(['phone', 'phone2'])] },
+    take: 500,
+  });
+
+  const self = (await loadMemberRecords({
+    submissionWhere: { id: submission.id },
+    userWhere: { employeeNumber: submission.employeeNumber },
+  })).get(submission.employeeNumber);
+  if (!self) return [];
+
+  const matches = [];
+  for (const other of records.values()) {
+    const match = scoreDuplicatePair(self, other);
+    if (!match || match.score < DUPLICATE_SCORE_THRESHOLD) continue;
+    const { candidate } = await saveDuplicateCandidate(self, other, match, 'submission');
+    if (candidate.status !== 'OPEN') continue;
+    matches.push({ candidateId: candidate.id, employeeNumber: other.employeeNumber, name: other.name, score: match.score, reasons: match.reasons });
+  }
+  return matches.sort((a, b) => b.score - a.score);
+}
+
+function checkSubmissionForDuplicates(submission, context) {
+  return findDuplicatesForSubmission(submission).catch((e) => {
+    console.warn(`⚠️ duplicate check (${context}) failed:`, e.message);
+    return [];
+  });
+}
+
+let duplicateScan = { running: false, startedAt: null, finishedAt: null, result: null, error: null };
+
+// Detection job: compares every pair of records that share a phone number or
+// a name part. Yields to the event loop between blocks.
+async function runDuplicateScan() {
+  const records = await loadMemberRecords();
+  const blocks = new Map();
+  const addToBlock = (key, record) => {
+    if (!blocks.has(key)) blocks.set(key, []);
+    const block = blocks.get(key);
+    if (block.length <= DUPLICATE_BLOCK_LIMIT && !block.includes(record)) block.push(record);
+  };
+  for (const record of records.values()) {
+    for (const phone of record.phones) addToBlock(`phone:${phone}`, record);
+    for (const token of normalizeMemberName(record.name).split(' ')) {
+      if (token.length >= 3) addToBlock(`name:${token}`, record);
+    }
+  }
+
+  const matches = new Map();
+  let skippedBlocks = 0;
+  for (const block of blocks.values()) {
+    if (block.length > DUPLICATE_BLOCK_LIMIT) {
+      skippedBlocks += 1;
+      continue;
+    }
+    for (let i = 0; i < block.length; i += 1) {
+      for (let j = i + 1; j < block.length; j += 1) {
+        const { employeeNumberA, employeeNumberB } = duplicatePairKey(block[i].employeeNumber, block[j].employeeNumber);
+        const key = `${employeeNumberA}\n${employeeNumberB}`;
+        if (matches.has(key)) continue;
+        const match = scoreDuplicatePair(block[i], block[j]);
+        if (match && match.score >= DUPLICATE_SCORE_THRESHOLD) matches.set(key, { a: block[i], b: block[j], match });
+      }
+    }
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+
+  let created = 0;
+  for (const { a, b, match } of matches.values()) {
+    if ((await saveDuplicateCandidate(a, b, match, 'scan')).created) created += 1;
+  }
+  return { records: records.size, candidates: matches.size, created, skippedBlocks };
+}
+
+// GET /api/admin/duplicates/scan -> state of the last detection run
+app.get('/api/admin/duplicates/scan', authenticate, requirePermission('members.merge'), (req, res) => {
+  res.json(duplicateScan);
+});
+
+// POST /api/admin/duplicates/scan -> starts the detection job in the background
+app.post('/api/admin/duplicates/scan', authenticate, requirePermission('members.merge'), (req, res) => {
+  if (duplicateScan.running) return res.status(409).json({ error: 'A duplicate scan is already running', scan: duplicateScan });
+
+  duplicateScan = { running: true, startedAt: new Date(), finishedAt: null, result: null, error: null };
+  runDuplicateScan()
+    .then((result) => {
+      duplicateScan = { ...duplicateScan, running: false, finishedAt: new Date(), result };
+      console.log(`✅ Duplicate scan: ${result.candidates} candidates among ${result.records} records (${result.created} new)`);
+    })
+    .catch((err) => {
+      duplicateScan = { ...duplicateScan, running: false, finishedAt: new Date(), error: err.message };
+      console.error('❌ Duplicate scan failed:', err);
+    });
+  return res.status(202).json({ message: 'Duplicate scan started', scan: duplicateScan });
+});
+
+// Both sides of each candidate: the submission and the account under each number.
+async function describeDuplicateCandidates(candidates) {
+  const numbers = [...new Set(candidates.flatMap((c) => [c.employeeNumberA, c.employeeNumberB]))];
+  const [submissions, users] = numbers.length
+    ? await Promise.all([
+      prisma.submission.findMany({
+        where: { employeeNumber: { in: numbers } },
+        select: {
+          id: true, employeeName: true, employeeNumber: true, employerName: true, branchName: true,
+          phoneNumber: true, status: true, submittedAt: true, deletedAt: true,
+        },
+      }),
+      prisma.user.findMany({
+        where: { employeeNumber: { in: numbers } },
+        select: {
+          id: true, name: true, username: true, employeeNumber: true, phone: true, role: true, createdAt: true, deletedAt: true,
+          _count: { select: { idCards: true, complaints: true, contributionPayments: true, transfers: true } },
+        },
+      }),
+    ])
+    : [[], []];
+  const record = (employeeNumber) => ({
+    employeeNumber,
+    submission: submissions.find((sub) => sub.employeeNumber === employeeNumber) || null,
+    user: users.find((user) => user.employeeNumber === employeeNumber) || null,
+  });
+  return candidates.map((candidate) => ({
+    ...candidate,
+    records: [record(candidate.employeeNumberA), record(candidate.employeeNumberB)],
+  }));
+}
+
+// GET /api/admin/duplicates?status=OPEN -> highest scores first
+app.get('/api/admin/duplicates', authenticate, requirePermission('members.merge'), async (req, res) => {
+  const status = String(req.query.status || 'OPEN').toUpperCase();
+  if (!['OPEN', 'MERGED', 'DISMISSED'].includes(status)) {
+    return res.status(400).json({ error: 'status must be one of: OPEN, MERGED, DISMISSED' });
+  }
+
+  try {
+    const candidates = await prisma.duplicateCandidate.findMany({
+      where: { status },
+      orderBy: status === 'OPEN' ? [{ score: 'desc' }, { createdAt: 'asc' }] : { reviewedAt: 'desc' },
+      take: 200,
+    });
+    return res.json(await describeDuplicateCandidates(candidates));
+  } catch (err) {
+    console.error('❌ GET /api/admin/duplicates error:', err);
+    return res.status(500).json({ error: 'Failed to load duplicate candidates', details: err.message });
+  }
+});
+
+async function getOpenDuplicateCandidateOrReject(req, res) {
+  const id = Number(req.params.id);
+  if (!id) {
+    res.status(400).json({ error: 'Invalid duplicate candidate id' });
+    return null;
+  }
+  const candidate = await prisma.duplicateCandidate.findUnique({ where: { id } });
+  if (!candidate) {
+    res.status(404).json({ error: 'Duplicate candidate not found' });
+    return null;
+  }
+  if (candidate.status !== 'OPEN') {
+    res.status(409).json({ error: `Duplicate candidate is already ${candidate.status.toLowerCase()}` });
+    return null;
+  }
+  return candidate;
+}
+
+// POST /api/admin/duplicates/:id/dismiss   { note? }
+app.post('/api/admin/duplicates/:id/dismiss', authenticate, requirePermission('members.merge'), async (req, res) => {
+  try {
+    const candidate = await getOpenDuplicateCandidateOrReject(req, res);
+    if (!candidate) return;
+
+    // Only while still open, so a dismissal cannot overwrite a merge that
+    // finished in the meantime
+    const updated = await prisma.duplicateCandidate.update({
+      where: { id: candidate.id, status: 'OPEN' },
+      data: {
+        status: 'DISMISSED',
+        note: String(req.body?.note || '').trim().slice(0, 500) || null,
+        reviewedById: req.user.id,
+        reviewedAt: new Date(),
+      },
+    });
+    return res.json({ message: '✅ Marked as not a duplicate', candidate: updated });
+  } catch (err) {
+    if (err?.code === 'P2025') return res.status(409).json({ error: 'Duplicate candidate has already been decided' });
+    console.error(`❌ POST /api/admin/duplicates/${req.params.id}/dismiss error:`, err);
+    return res.status(500).json({ error: 'Failed to dismiss duplicate candidate', details: err.message });
+  }
+});
+
+// Moves everything the duplicate account owns to the survivor inside a
+// transaction. A contribution both paid for keeps one payment (the paid one).
+// The duplicate's active cards are revoked as REPLACED when the survivor
+// already has an active card.
+async function mergeMemberAccounts(tx, req, from, to, survivorNumber) {
+  const outcome = { idCards: 0, cardsRevoked: 0, complaints: 0, payments: 0, paymentsDropped: 0, transfers: 0 };
+  const now = new Date();
+
+  const survivorHasActiveCard = await tx.idCard.count({ where: { userId: to.id, isActive: true, revokedAt: null } });
+  if (survivorHasActiveCard) {
+    const activeCards = await tx.idCard.findMany({ where: { userId: from.id, isActive: true, revokedAt: null }, select: { id: true } });
+    const note = `Duplicate member merged into ${survivorNumber}`;
+    for (const card of activeCards) {
+      await tx.idCard.update({
+        where: { id: card.id },
+        data: { isActive: false, revokedAt: now, revocationReason: 'REPLACED', revocationNote: note },
+      });
+      await tx.idCardRenewalRequest.updateMany({
+        where: { cardId: card.id, status: 'PENDING' },
+        data: { status: 'CANCELLED', reviewedById: req.user.id, reviewedAt: now, reviewNote: 'Card revoked' },
+      });
+      await recordIdCardEvent(tx, card.id, 'REVOKED', { actorId: req.user.id, reason: 'REPLACED', note });
+      outcome.cardsRevoked += 1;
+    }
+  }
+  outcome.idCards = (await tx.idCard.updateMany({ where: { userId: from.id }, data: { userId: to.id } })).count;
+  await tx.idCardRenewalRequest.updateMany({ where: { userId: from.id }, data: { userId: to.id } });
+  await tx.photoSubmission.updateMany({ where: { userId: from.id }, data: { userId: to.id } });
+
+  outcome.complaints = (await tx.complaint.updateMany({ where: { userId: from.id }, data: { userId: to.id } })).count;
+  await tx.complaintReply.updateMany({ where: { senderId: from.id }, data: { senderId: to.id } });
+
+  const survivorPayments = await tx.contributionPayment.findMany({ where: { userId: to.id } });
+  const survivorByContribution = new Map(survivorPayments.map((payment) => [payment.contributionId, payment]));
+  for (const payment of await tx.contributionPayment.findMany({ where: { userId: from.id } })) {
+    const kept = survivorByContribution.get(payment.contributionId);
+    if (!kept) {
+      await tx.contributionPayment.update({ where: { id: payment.id }, data: { userId: to.id } });
+      outcome.payments += 1;
+      continue;
+    }
+    if (payment.status === 'PAID' && kept.status !== 'PAID') {
+      await tx.contributionPayment.update({
+        where: { id: kept.id },
+        data: { status: 'PAID', paidAt: payment.paidAt, notes: payment.notes, recordedById: payment.recordedById },
+      });
+    }
+    await tx.contributionPayment.delete({ where: { id: payment.id } });
+    outcome.paymentsDropped += 1;
+  }
+
+  outcome.transfers = (await tx.transferHistory.updateMany({ where: { userId: from.id }, data: { userId: to.id } })).count;
+  await tx.storedFile.updateMany({ where: { ownerId: from.id }, data: { ownerId: to.id } });
+  await tx.submission.updateMany({ where: { userId: from.id }, data: { userId: to.id } });
+  await tx.user.update({ where: { id: from.id }, data: { deletedAt: now } });
+  return outcome;
+}
+
+// POST /api/admin/duplicates/:id/merge   { survivor: employeeNumber, note? }
+// The other record is folded into the survivor: its account's cards,
+// complaints, payments and transfers move over and the account is archived.
+// If only the duplicate has an account, the account takes the survivor's
+// employee number instead. The duplicate's submission is archived, or
+// renumbered when the survivor has none.
+app.post('/api/admin/duplicates/:id/merge', authenticate, requirePermission('members.merge'), async (req, res) => {
+  try {
+    const candidate = await getOpenDuplicateCandidateOrReject(req, res);
+    if (!candidate) return;
+
+    const survivorNumber = String(req.body?.survivor || '').trim().toUpperCase();
+    if (![candidate.employeeNumberA, candidate.employeeNumberB].includes(survivorNumber)) {
+      return res.status(400).json({ error: `survivor must be ${candidate.employeeNumberA} or ${candidate.employeeNumberB}` });
+    }
+    const duplicateNumber = survivorNumber === candidate.employeeNumberA ? candidate.employeeNumberB : candidate.employeeNumberA;
+    const note = String(req.body?.note || '').trim().slice(0, 500) || null;
+
+    const [survivorUser, duplicateUser, survivorSub, duplicateSub] = await Promise.all([
+      prisma.user.findUnique({ where: { employeeNumber: survivorNumber } }),
+      prisma.user.findUnique({ where: { employeeNumber: duplicateNumber } }),
+      prisma.submission.findUnique({ where: { employeeNumber: survivorNumber } }),
+      prisma.submission.findUnique({ where: { employeeNumber: duplicateNumber } }),
+    ]);
+    if (!survivorUser && !survivorSub) return res.status(409).json({ error: `No record left under ${survivorNumber}` });
+    if (!duplicateUser && !duplicateSub) return res.status(409).json({ error: `No record left under ${duplicateNumber}` });
+    if ((survivorUser && survivorUser.role !== 'CLIENT') || (duplicateUser && duplicateUser.role !== 'CLIENT')) {
+      return res.status(409).json({ error: 'Only member accounts can be merged' });
+    }
+    let newUsername = null;
+    if (duplicateUser && !survivorUser && duplicateUser.username === duplicateNumber) {
+      const taken = await prisma.user.findUnique({ where: { username: survivorNumber }, select: { id: true } });
+      if (!taken) newUsername = survivorNumber;
+    }
+
+    const outcome = await prisma.$transaction(async (tx) => {
+      // Claim the pair first so two admins merging it at once cannot both
+      // move records; the second one sees it already decided.
+      const claimed = await tx.duplicateCandidate.updateMany({
+        where: { id: candidate.id, status: 'OPEN' },
+        data: {
+          status: 'MERGED',
+          survivorEmployeeNumber: survivorNumber,
+          note,
+          reviewedById: req.user.id,
+          reviewedAt: new Date(),
+        },
+      });
+      if (claimed.count === 0) {
+        const err = new Error('Duplicate candidate has already been decided');
+        err.statusCode = 409;
+        throw err;
+      }
+
+      let result = { accountRenumbered: false, submission: null };
+      if (duplicateUser && survivorUser) {
+        result = { ...result, ...(await mergeMemberAccounts(tx, req, duplicateUser, survivorUser, survivorNumber)) };
+      } else if (duplicateUser) {
+        await tx.user.update({
+          where: { id: duplicateUser.id },
+          data: { employeeNumber: survivorNumber, ...(newUsername ? { username: newUsername } : {}) },
+        });
+        result.accountRenumbered = true;
+      }
+
+      if (duplicateSub && survivorSub) {
+        const open = ['PENDING', 'CHANGES_REQUESTED'].includes(duplicateSub.status);
+        const reason = `Duplicate of ${survivorNumber}`;
+        await tx.submission.update({
+          where: { id: duplicateSub.id },
+          data: {
+            deletedAt: duplicateSub.deletedAt || new Date(),
+            ...(open ? {
+              ...submissionReviewData(req, 'REJECTED', reason),
+              reviewEvents: { create: { action: 'REJECTED', status: 'REJECTED', actorId: req.user.id, note: reason } },
+            } : {}),
+          },
+        });
+        result.submission = 'archived';
+      } else if (duplicateSub) {
+        await tx.submission.update({
+          where: { id: duplicateSub.id },
+          data: {
+            employeeNumber: survivorNumber,
+            revisions: submissionRevision(duplicateSub, { employeeNumber: survivorNumber }, { actorId: req.user.id, source: 'merge' }),
+          },
+        });
+        result.submission = 'renumbered';
+      }
+
+      await tx.duplicateCandidate.update({ where: { id: candidate.id }, data: { outcome: result } });
+      // Other pairs with the merged-away number are moot now.
+      await tx.duplicateCandidate.updateMany({
+        where: {
+          status: 'OPEN',
+          OR: [{ employeeNumberA: duplicateNumber }, { employeeNumberB: duplicateNumber }],
+        },
+        data: { status: 'DISMISSED', note: `Merged into ${survivorNumber} (#${candidate.id})`, reviewedById: req.user.id, reviewedAt: new Date() },
+      });
+      return result;
+    });
+
+    if (duplicateUser && survivorUser) await revokeUserSessions(duplicateUser.id, 'account_merged');
+    await recordUserManagementEvent('member_merged', req, survivorUser || duplicateUser || { employeeNumber: survivorNumber }, {
+      candidateId: candidate.id,
+      survivor: survivorNumber,
+      duplicate: duplicateNumber,
+      duplicateUserId: duplicateUser ? duplicateUser.id : null,
+      ...outcome,
+    });
+
+    return res.json({ message: '✅ Records merged', survivor: survivorNumber, outcome });
+  } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
+    console.error(`❌ POST /api/admin/duplicates/${req.params.id}/merge error:`, err);
+    return res.status(500).json({ error: 'Failed to merge records', details: err.message });
+  }
+});
+
+const crypto = require("crypto");
+
+function generateIdCardVerificationToken() {
+  return crypto.randomBytes(18).toString("base64url");
+}
+
+async function ensureIdCardVerificationToken(card) {
+  if (!card || card.verificationToken) return card;
+
+  for (let attempt = 0; attempt < 5; attempt += 1) {
     try {
-      const staffId = req.user.id;
+      const verificationToken = generateIdCardVerificationToken();
+      const updated = await prisma.idCard.update({
+        where: { id: card.id },
+        data: { verificationToken },
+      });
+      return { ...card, verificationToken: updated.verificationToken };
+    } catch (err) {
+      if (err?.code !== 'P2002') {
+        throw err;
+      }
+    }
+  }
+
+  throw new Error(`Failed to assign verification token for ID card ${card.id}`);
+}
+
+async function ensureIdCardVerificationTokens(cards = []) {
+  return Promise.all(cards.map((card) => ensureIdCardVerificationToken(card)));
+}
+
+function getPublicIdCardStatus(card) {
+  if (!card) return 'NOT_FOUND';
+  if (!card.isActive || card.revokedAt) return 'REVOKED';
+  if (card.expiresAt && new Date(card.expiresAt).getTime() < Date.now()) return 'EXPIRED';
+  return 'VALID';
+}
+
+// Local card photos are only served after an access check, so the public
+// verify page gets a short-lived signed link instead of the stored URL.
+function publicIdCardPhotoUrl(card) {
+  const url = card.cleanPhotoUrl || card.rawPhotoUrl;
+  if (!url) return null;
+  const driver = storageForUrl(url);
+  return driver ? driver.signedUrl(url, { expiresInSeconds: FILE_SHARE_DEFAULT_SECONDS }) : url;
+}
+
+function buildPublicIdCardResponse(card) {
+  const status = getPublicIdCardStatus(card);
+  const valid = status === 'VALID';
+
+  if (!card) {
+    return {
+      valid: false,
+      status,
+      message: 'ID card not found',
+      card: null,
+    };
+  }
+
+  const revocationLabel = IDCARD_REVOCATION_REASONS[card.revocationReason] || null;
+
+  return {
+    valid,
+    status,
+    message:
+      status === 'VALID'
+        ? 'Verified genuine ID card'
+        : status === 'REVOKED'
+        ? `This ID card has been revoked${revocationLabel ? `: ${revocationLabel}` : ''}`
+        : 'This ID card has expired',
+    revocation: status === 'REVOKED'
+      ? { reason: card.revocationReason || null, label: revocationLabel, revokedAt: card.revokedAt }
+      : null,
+    card: {
+      fullName: card.fullName,
+      role: card.role,
+      company: card.company,
+      cardNumber: card.cardNumber,
+      issuedAt: card.issuedAt,
+      expiresAt: card.expiresAt,
+      photoUrl: publicIdCardPhotoUrl(card),
+    },
+  };
+}
+
+app.get('/api/public/idcards/verify/:token', publicVerifyLimiter, async (req, res) => {
+  try {
+    const token = String(req.params.token || '').trim();
+    if (!token || token.length < 12 || token.length > 200) {
+      return res.status(400).json({ valid: false, status: 'INVALID_REQUEST', message: 'Invalid verification token' });
+    }
+
+    const card = await prisma.idCard.findUnique({
+      where: { verificationToken: token },
+    });
+
+    if (!card) {
+      recordSecurityEvent('public_idcard_verify_not_found', req, { tokenPrefix: token.slice(0, 8) });
+      return res.json(buildPublicIdCardResponse(null));
+    }
+
+    return res.json(buildPublicIdCardResponse(card));
+  } catch (err) {
+    console.error('❌ GET /api/public/idcards/verify/:token error:', err);
+    return res.status(500).json({ valid: false, status: 'ERROR', message: 'Failed to verify ID card' });
+  }
+});
+
+// --------------------
+// Signed ID card payloads
+// --------------------
+// The QR on the back of a card carries a compact JWS (EdDSA / Ed25519) over
+// the card number, name, employer and issue/expiry dates, so a verifier app
+// can check it offline against the key published at
+// /.well-known/fibuca-idcard-keys.json. Revocations are distributed as a
+// separately typed JWS from /api/public/idcards/revocations.
+//
+// IDCARD_SIGNING_PRIVATE_KEY takes an Ed25519 PKCS#8 PEM and is required in
+// production. Elsewhere the key is derived from IDCARD_SIGNING_SECRET (or
+// JWT_SECRET), which anyone who knows the default secret can reproduce.
+const IDCARD_JWS_TYPES = { card: 'idcard', revocations: 'idcard-crl' };
+const IDCARD_REVOCATION_LIST_CACHE_MS = 5 * 60 * 1000;
+const IDCARD_REVOCATION_LIST_VALID_HOURS = 24;
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+let idCardSigningKey = null;
+let idCardRevocationListCache = { builtAt: 0, jws: null };
+
+function getIdCardSigningKey() {
+  if (idCardSigningKey) return idCardSigningKey;
+
+  let privateKey;
+  if (process.env.IDCARD_SIGNING_PRIVATE_KEY) {
+    privateKey = crypto.createPrivateKey(process.env.IDCARD_SIGNING_PRIVATE_KEY.replace(/\\n/g, '\n'));
+    if (privateKey.asymmetricKeyType !== 'ed25519') {
+      throw new Error('IDCARD_SIGNING_PRIVATE_KEY must be an Ed25519 private key');
+    }
+  } else if (process.env.NODE_ENV === 'production') {
+    throw new Error('IDCARD_SIGNING_PRIVATE_KEY must be set in production; ID cards will not be signed with a key derived from a shared secret');
+  } else {
+    const seed = crypto
+      .createHmac('sha256', process.env.IDCARD_SIGNING_SECRET || JWT_SECRET)
+      .update('fibuca-idcard-signing-v1')
+      .digest();
+    privateKey = crypto.createPrivateKey({ key: Buffer.concat([ED25519_PKCS8_PREFIX, seed]), format: 'der', type: 'pkcs8' });
+  }
+
+  const jwk = crypto.createPublicKey(privateKey).export({ format: 'jwk' });
+  const kid = crypto.createHash('sha256').update(jwk.x).digest('hex').slice(0, 8);
+  idCardSigningKey = {
+    privateKey,
+    publicKey: crypto.createPublicKey(privateKey),
+    kid,
+    jwk: { ...jwk, kid, use: 'sig', alg: 'EdDSA' },
+  };
+  return idCardSigningKey;
+}
+
+// Refuse to start, rather than fail on the first card, when production has no
+// usable signing key.
+if (process.env.NODE_ENV === 'production') getIdCardSigningKey();
+
+function signIdCardJws(typ, claims) {
+  const key = getIdCardSigningKey();
+  const header = Buffer.from(JSON.stringify({ alg: 'EdDSA', kid: key.kid, typ })).toString('base64url');
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  const signature = crypto.sign(null, Buffer.from(`${header}.${payload}`), key.privateKey).toString('base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+// Returns { claims } for a genuine JWS of the expected type, otherwise { error }.
+function verifyIdCardJws(jws, typ) {
+  const parts = String(jws || '').trim().split('.');
+  if (parts.length !== 3) return { error: 'Malformed signed payload' };
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch {
+    return { error: 'Malformed signed payload' };
+  }
+
+  const key = getIdCardSigningKey();
+  if (header.alg !== 'EdDSA' || header.typ !== typ) return { error: 'Unsupported payload type' };
+  if (header.kid !== key.kid) return { error: 'Signed with an unknown key' };
+
+  const ok = crypto.verify(null, Buffer.from(`${parts[0]}.${parts[1]}`), key.publicKey, Buffer.from(parts[2], 'base64url'));
+  return ok ? { claims } : { error: 'Invalid signature' };
+}
+
+const toEpochSeconds = (value) => (value ? Math.floor(new Date(value).getTime() / 1000) : undefined);
+
+// Claim names stay short to keep the QR code small; exp is omitted for cards
+// without an expiry date.
+function buildIdCardClaims(card) {
+  return {
+    sub: card.cardNumber,
+    name: card.fullName,
+    org: card.company,
+    iat: toEpochSeconds(card.issuedAt),
+    exp: toEpochSeconds(card.expiresAt),
+  };
+}
+
+function signIdCardPayload(card) {
+  return signIdCardJws(IDCARD_JWS_TYPES.card, buildIdCardClaims(card));
+}
+
+async function buildIdCardRevocationList() {
+  const now = Date.now();
+  if (idCardRevocationListCache.jws && now - idCardRevocationListCache.builtAt < IDCARD_REVOCATION_LIST_CACHE_MS) {
+    return idCardRevocationListCache.jws;
+  }
+
+  const revoked = await prisma.idCard.findMany({
+    where: { OR: [{ isActive: false }, { revokedAt: { not: null } }] },
+    orderBy: { id: 'asc' },
+    select: { cardNumber: true, revokedAt: true, revocationReason: true },
+  });
+  const jws = signIdCardJws(IDCARD_JWS_TYPES.revocations, {
+    iat: toEpochSeconds(now),
+    nextUpdate: toEpochSeconds(now + IDCARD_REVOCATION_LIST_VALID_HOURS * 60 * 60 * 1000),
+    revoked: revoked.map((card) => ({
+      sub: card.cardNumber,
+      at: toEpochSeconds(card.revokedAt),
+      reason: card.revocationReason || undefined,
+    })),
+  });
+  idCardRevocationListCache = { builtAt: now, jws };
+  return jws;
+}
+
+app.get('/.well-known/fibuca-idcard-keys.json', (req, res) => {
+  try {
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+    return res.json({ keys: [getIdCardSigningKey().jwk] });
+  } catch (err) {
+    console.error('❌ GET /.well-known/fibuca-idcard-keys.json error:', err);
+    return res.status(500).json({ error: 'Failed to load ID card signing key' });
+  }
+});
+
+// Downloadable as a compact JWS (application/jose). Verifier apps should
+// refresh it before `nextUpdate`.
+app.get('/api/public/idcards/revocations', publicVerifyLimiter, async (req, res) => {
+  try {
+    const jws = await buildIdCardRevocationList();
+    res.setHeader('Content-Type', 'application/jose');
+    res.setHeader('Content-Disposition', 'attachment; filename="fibuca-idcard-revocations.jws"');
+    res.setHeader('Cache-Control', 'public, max-age=300');
+    return res.send(jws);
+  } catch (err) {
+    console.error('❌ GET /api/public/idcards/revocations error:', err);
+    return res.status(500).json({ error: 'Failed to build revocation list' });
+  }
+});
+
+// GET ?p=<jws> is what the QR code opens; POST { payload } is for apps.
+async function verifySignedIdCard(req, res) {
+  try {
+    const payload = String(req.query.p || req.body?.payload || '').trim();
+    if (!payload || payload.length > 2000) {
+      return res.status(400).json({ valid: false, status: 'INVALID_REQUEST', message: 'Signed payload is required' });
+    }
+
+    const { claims, error } = verifyIdCardJws(payload, IDCARD_JWS_TYPES.card);
+    if (error) {
+      recordSecurityEvent('public_idcard_signature_invalid', req, { reason: error });
+      return res.json({ valid: false, status: 'INVALID_SIGNATURE', message: error, card: null });
+    }
+
+    const card = await prisma.idCard.findUnique({ where: { cardNumber: String(claims.sub || '') } });
+    const response = buildPublicIdCardResponse(card);
+    // A genuine signature over details that no longer match the record means
+    // the card was reprinted or edited since this one was issued.
+    const claimsMatch = Boolean(card) && JSON.stringify(buildIdCardClaims(card)) === JSON.stringify({
+      sub: claims.sub, name: claims.name, org: claims.org, iat: claims.iat, exp: claims.exp,
+    });
+    return res.json({ ...response, signature: { valid: true, kid: getIdCardSigningKey().kid, claims }, claimsMatch });
+  } catch (err) {
+    console.error('❌ verify signed ID card error:', err);
+    return res.status(500).json({ valid: false, status: 'ERROR', message: 'Failed to verify ID card' });
+  }
+}
+
+app.get('/api/public/idcards/verify-signed', publicVerifyLimiter, verifySignedIdCard);
+app.post('/api/public/idcards/verify-signed', publicVerifyLimiter, verifySignedIdCard);
+
+// --------------------
+// Membership form PDF
+// --------------------
+// Renders the canonical FIBUCA membership application from a Submission so
+// scanned and imported members have a form on file too. Field labels match
+// the ones parseScannedFormText looks for, and the QR links to the public
+// verification endpoint below.
+const FORM_PDF_FIELDS = [
+  ['EMPLOYEE DETAILS', [
+    ['EMPLOYEE NAME', 'employeeName'],
+    ['EMPLOYEE NUMBER', 'employeeNumber'],
+    ['PHONE NUMBER', 'phoneNumber'],
+  ]],
+  ['EMPLOYER DETAILS', [
+    ['EMPLOYER NAME', 'employerName'],
+    ['BRANCH NAME', 'branchName'],
+  ]],
+  ['UNION DUES', [
+    ['INITIAL MONTHLY UNION DUES', 'dues'],
+  ]],
+  ['WITNESS', [
+    ['WITNESS NAME AND SIGNATURE', 'witness'],
+  ]],
+];
+
+function generateFormVerificationToken() {
+  return crypto.randomBytes(18).toString('base64url');
+}
+
+// `req` may also be a base URL, as for uploadBaseUrl.
+function buildFormVerificationUrl(req, token) {
+  return `${uploadBaseUrl(req)}/api/public/forms/verify/${token}`;
+}
+
+function formatFormDate(value) {
+  return new Date(value).toISOString().replace('T', ' ').slice(0, 16) + ' UTC';
+}
+
+async function renderMembershipFormPdf(submission, { verifyUrl, generatedAt }) {
+  const qrPng = await QRCode.toBuffer(verifyUrl, { type: 'png', margin: 1, width: 300, errorCorrectionLevel: 'M' });
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `FIBUCA membership form ${submission.employeeNumber}` } });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+    doc.font('Helvetica-Bold').fontSize(22).fillColor('#1e3a5f').text('FIBUCA', { align: 'center' });
+    doc.font('Helvetica').fontSize(13).fillColor('#111827').text('MEMBERSHIP APPLICATION FORM', { align: 'center' });
+    doc.moveDown(0.3);
+    doc.moveTo(left, doc.y).lineTo(left + width, doc.y).lineWidth(1.5).strokeColor('#1e3a5f').stroke();
+    doc.moveDown(1);
+
+    for (const [section, fields] of FORM_PDF_FIELDS) {
+      doc.font('Helvetica-Bold').fontSize(11).fillColor('#1e3a5f').text(section, left);
+      doc.moveDown(0.4);
+      for (const [label, key] of fields) {
+        const value = submission[key] ? String(submission[key]) : '-';
+        doc.font('Helvetica-Bold').fontSize(10).fillColor('#374151').text(`${label}:`, left, doc.y, { continued: true });
+        doc.font('Helvetica').fillColor('#111827').text(` ${value}`);
+        doc.moveTo(left, doc.y + 2).lineTo(left + width, doc.y + 2).lineWidth(0.5).strokeColor('#d1d5db').stroke();
+        doc.moveDown(0.8);
+      }
+      doc.moveDown(0.6);
+    }
+
+    doc.font('Helvetica').fontSize(9).fillColor('#374151').text(
+      `I, ${submission.employeeName}, apply to become a member of FIBUCA and authorise my employer to deduct `
+      + `${submission.dues || '1%'} of my monthly salary as union dues and remit it to FIBUCA.`,
+      left,
+      doc.y,
+      { width }
+    );
+
+    const footerTop = doc.page.height - doc.page.margins.bottom - 120;
+    doc.image(qrPng, left + width - 110, footerTop, { width: 110 });
+    doc.font('Helvetica').fontSize(8).fillColor('#6b7280');
+    doc.text(`Submission #${submission.id}`, left, footerTop + 20, { width: width - 130 });
+    doc.text(`Submitted: ${formatFormDate(submission.submittedAt)}`, { width: width - 130 });
+    doc.text(`Generated: ${formatFormDate(generatedAt)}`, { width: width - 130 });
+    doc.text('Scan the QR code to verify this form with FIBUCA.', { width: width - 130 });
+
+    doc.end();
+  });
+}
+
+// Renders, stores and records the canonical form. The submission's pdfPath
+// is only filled in when it has no uploaded form of its own. `req` may also
+// be a base URL, for forms rendered outside a request.
+async function generateSubmissionFormPdf(req, submission) {
+  const token = submission.formVerificationToken || generateFormVerificationToken();
+  const generatedAt = new Date();
+  const pdf = await renderMembershipFormPdf(submission, {
+    verifyUrl: buildFormVerificationUrl(req, token),
+    generatedAt,
+  });
+  const pdfUrl = await uploadGeneratedFormPdf(req, pdf, submission);
+
+  return prisma.submission.update({
+    where: { id: submission.id },
+    data: {
+      generatedPdfPath: pdfUrl,
+      generatedPdfAt: generatedAt,
+      formVerificationToken: token,
+      ...(submission.pdfPath ? {} : { pdfPath: pdfUrl }),
+    },
+  });
+}
+
+// POST /api/submissions/:id/form-pdf -> (re)generate the membership form
+app.post(
+  '/api/submissions/:id/form-pdf',
+  authenticate,
+  requirePermission('submissions.generate_form'),
+  async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      if (!id) return res.status(400).json({ error: 'Invalid submission id' });
+
+      const submission = await prisma.submission.findUnique({ where: { id } });
+      if (!submission || submission.deletedAt) {
+        return res.status(404).json({ error: 'Submission not found' });
+      }
+
+      if (storage.name === 'cloudinary' && (!process.env.CLOUDINARY_CLOUD_NAME || !process.env.CLOUDINARY_API_KEY)) {
+        return res.status(500).json({
+          error: 'Server misconfigured: Cloudinary not set up. Contact admin.',
+          details: 'Missing Cloudinary environment variables',
+        });
+      }
+
+      const updated = await generateSubmissionFormPdf(req, submission);
+      return res.json({
+        message: '✅ Membership form generated',
+        pdfUrl: updated.generatedPdfPath,
+        generatedAt: updated.generatedPdfAt,
+        submission: updated,
+      });
+    } catch (err) {
+      console.error('❌ POST /api/submissions/:id/form-pdf error:', err);
+      return res.status(500).json({ error: 'Failed to generate membership form', details: err.message });
+    }
+  }
+);
+
+app.get('/api/public/forms/verify/:token', publicVerifyLimiter, async (req, res) => {
+  try {
+    const token = String(req.params.token || '').trim();
+    if (!token || token.length < 12 || token.length > 200) {
+      return res.status(400).json({ valid: false, status: 'INVALID_REQUEST', message: 'Invalid verification token' });
+    }
+
+    const submission = await prisma.submission.findUnique({
+      where: { formVerificationToken: token },
+      select: { employeeName: true, employerName: true, submittedAt: true, generatedPdfAt: true, deletedAt: true },
+    });
+
+    if (!submission) {
+      recordSecurityEvent('public_form_verify_not_found', req, { tokenPrefix: token.slice(0, 8) });
+      return res.json({ valid: false, status: 'NOT_FOUND', message: 'Membership form not found', form: null });
+    }
+
+    const archived = Boolean(submission.deletedAt);
+    return res.json({
+      valid: !archived,
+      status: archived ? 'ARCHIVED' : 'VALID',
+      message: archived ? 'This membership form has been withdrawn' : 'Verified genuine FIBUCA membership form',
+      form: {
+        employeeName: submission.employeeName,
+        employerName: submission.employerName,
+        submittedAt: submission.submittedAt,
+        generatedAt: submission.generatedPdfAt,
+      },
+    });
+  } catch (err) {
+    console.error('❌ GET /api/public/forms/verify/:token error:', err);
+    return res.status(500).json({ valid: false, status: 'ERROR', message: 'Failed to verify membership form' });
+  }
+});
+
+// POST /api/staff/generate-link
+app.post(
+  "/api/staff/generate-link",
+  authenticate,
+  requirePermission("links.manage"),
+  async (req, res) => {
+    try {
+      const { hoursValid, maxUses } = req.body;
+
+      // Short, URL-safe code (still cryptographically random)
+      const token = crypto.randomBytes(12).toString("base64url");
+
+      const expiresAt = new Date(
+        Date.now() + (hoursValid || 24) * 60 * 60 * 1000
+      );
+
+      const link = await prisma.staffLink.create({
+        data: {
+          token,
+          staffId: req.user.id,
+          expiresAt,
+          maxUses: maxUses || null,
+        },
+      });
+
+      // Generate frontend URL with simplified fallback
+      let frontendUrl = process.env.VITE_FRONTEND_URL;
+
+      // If env var not set and on Vercel, use production URL
+      if (!frontendUrl && process.env.VERCEL) {
+        frontendUrl = "https://www.fibucatumis.or.tz,https://fibuca-frontend.vercel.app";
+      }
+
+      // Otherwise use request origin for local development
+      if (!frontendUrl) {
+        frontendUrl = `${req.protocol}://${req.get('host')}`;
+      }
+
+      console.log(`✅ Generate-link: frontendUrl="${frontendUrl}", VERCEL=${process.env.VERCEL}, VITE_FRONTEND_URL="${process.env.VITE_FRONTEND_URL}"`);
+
+      res.json({
+        message: "✅ Link created",
+        code: token,
+        link: `${frontendUrl}/submission/${token}`,
+        expiresAt,
+        maxUses: link.maxUses,
+      });
+    } catch (err) {
+      console.error("❌ generate-link error:", err);
+      res.status(500).json({ error: "Failed to generate link" });
+    }
+  }
+);
+
+
+// GET /api/staff/validate/:token
+app.get("/api/staff/validate/:token", async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    console.log(`🔍 Validate request: token="${token ? token.substring(0, 16) + '...' : 'NONE'}"`);
+
+    if (!token || typeof token !== 'string' || token.trim().length === 0) {
+      console.warn('❌ Invalid or empty token parameter');
+      return res.status(400).json({ error: "Token is required" });
+    }
+
+    let link = null;
+    try {
+      link = await prisma.staffLink.findUnique({
+        where: { token },
+      });
+    } catch (dbErr) {
+      console.error('❌ Database error finding link:', dbErr.message);
+      return res.status(500).json({ error: "Database error", details: dbErr.message });
+    }
+
+    if (!link) {
+      console.warn(`❌ Link not found for token: ${token.substring(0, 16)}...`);
+      return res.status(400).json({ error: "Invalid link" });
+    }
+
+    console.log(`✅ Link found: id=${link.id}, active=${link.isActive}, expires=${link.expiresAt}`);
+
+    // Refresh and validate link status (but don't let failures stop validation)
+    let validLink = link;
+    try {
+      validLink = await refreshLinkStatus(link);
+      console.log(`✅ Link status refreshed: isActive=${validLink.isActive}`);
+    } catch (refreshErr) {
+      console.error('❌ Link status refresh threw error (using current status):', refreshErr.message);
+      validLink = link;
+    }
+
+    if (!validLink) {
+      console.error('❌ Link validation returned null');
+      return res.status(400).json({ error: "Link validation failed" });
+    }
+
+    if (!validLink.isActive) {
+      console.warn(`❌ Link ${validLink.id} is not active`);
+      return res.status(400).json({ error: "Link expired or inactive" });
+    }
+
+    console.log(`✅ Link ${validLink.id} is valid and active - VALIDATION PASSED`);
+    res.json({ valid: true });
+
+  } catch (err) {
+    console.error("❌ Validate endpoint unhandled error:", err.message);
+    console.error("Stack trace:", err.stack);
+    res.status(500).json({ error: "Validation failed", details: err.message });
+  }
+});
+
+// GET /api/staff/links
+app.get(
+  "/api/staff/links",
+  authenticate,
+  requirePermission("links.manage"),
+  async (req, res) => {
+    try {
+      const links = await prisma.staffLink.findMany({
+        where: { staffId: req.user.id },
+        orderBy: { createdAt: "desc" },
+      });
+
+      res.json(links);
+    } catch (err) {
+      console.error("❌ fetch staff links error:", err);
+      res.status(500).json({ error: "Failed to fetch links" });
+    }
+  }
+);
+
+
+// GET /api/staff/submissions
+app.get(
+  "/api/staff/submissions",
+  authenticate,
+  requirePermission("links.manage"),
+  async (req, res) => {
+    try {
+      const submissions = await prisma.submission.findMany({
+        where: { staffId: req.user.id },
+        orderBy: { submittedAt: "desc" },
+      });
+
+      res.json(submissions);
+    } catch (err) {
+      console.error("❌ fetch staff submissions error:", err);
+      res.status(500).json({ error: "Failed to fetch submissions" });
+    }
+  }
+);
+
+app.get(
+  "/api/staff/stats",
+  authenticate,
+  requirePermission("links.manage"),
+  async (req, res) => {
+    try {
+      const staffId = req.user.id;
+
+      const totalLinks = await prisma.staffLink.count({
+        where: { staffId }
+      });
+
+      const activeLinks = await prisma.staffLink.count({
+        where: {
+          staffId,
+          isActive: true
+        }
+      });
+
+      const totalClients = await prisma.submission.count({
+        where: { staffId }
+      });
+
+      res.json({
+        totalLinks,
+        activeLinks,
+        expiredLinks: totalLinks - activeLinks,
+        totalClients
+      });
+
+    } catch (err) {
+      console.error("❌ staff stats error:", err);
+      res.status(500).json({ error: "Failed to fetch stats" });
+    }
+  }
+);
+
+// ——————————————————————————
+// GET /api/staff/leaderboard
+// Get all staff users ranked by active links count
+app.get(
+  "/api/staff/leaderboard",
+  authenticate,
+  requirePermission("staff.leaderboard"),
+  async (req, res) => {
+    try {
+      console.log("📊 Fetching staff leaderboard...");
+      const staffUsers = await prisma.user.findMany({
+        where: { role: "STAFF" },
+        select: {
+          id: true,
+          name: true,
+          username: true,
+          email: true,
+          employeeNumber: true,
+          createdAt: true
+        }
+      });
+
+      console.log(`✅ Found ${staffUsers.length} STAFF users`);
+
+      // For each staff user, count their active links
+      const staffWithLinks = await Promise.all(
+        staffUsers.map(async (staff) => {
+          const activeLinks = await prisma.staffLink.count({
+            where: {
+              staffId: staff.id,
+              isActive: true
+            }
+          });
+
+          const totalLinks = await prisma.staffLink.count({
+            where: { staffId: staff.id }
+          });
+
+          const totalClients = await prisma.submission.count({
+            where: { staffId: staff.id }
+          });
+
+          console.log(`  Staff: ${staff.name} - Active: ${activeLinks}, Total: ${totalLinks}, Clients: ${totalClients}`);
+
+          return {
+            ...staff,
+            activeLinks,
+            totalLinks,
+            totalClients
+          };
+        })
+      );
+
+      // Sort by activeLinks descending
+      const ranked = staffWithLinks.sort((a, b) => b.activeLinks - a.activeLinks);
+
+      console.log(`📈 Returning ${ranked.length} ranked staff members`);
+      res.json(ranked);
+    } catch (err) {
+      console.error("❌ staff leaderboard error:", err);
+      res.status(500).json({ error: "Failed to fetch leaderboard" });
+    }
+  }
+);
+
+app.delete(
+  "/api/staff/link/:id",
+  authenticate,
+  requirePermission("links.manage"),
+  async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      if (!id) return res.status(400).json({ error: "Invalid ID" });
+
+      const link = await prisma.staffLink.findUnique({
+        where: { id }
+      });
+
+      if (!link) return res.status(404).json({ error: "Link not found" });
+
+      if (link.staffId !== req.user.id && !(await hasPermission(req, "links.manage_any"))) {
+        return res.status(403).json({ error: "Forbidden" });
+      }
+
+      if (link.usedCount > 0) {
+        return res.status(400).json({
+          error: "Cannot delete a used link"
+        });
+      }
+
+      await prisma.staffLink.delete({
+        where: { id }
+      });
+
+      res.json({ message: "Link deleted successfully" });
+
+    } catch (err) {
+      console.error("❌ delete link error:", err);
+      res.status(500).json({ error: "Failed to delete link" });
+    }
+  }
+);
+
+
+
+
+// --------------------
+// Bulk member import
+// --------------------
+// An upload (CSV, XLSX or JSON records) is parsed into an ImportJob whose rows
+// are validated and checked for duplicates straight away; that is the dry run.
+// Committing imports each VALID row in its own transaction — submission,
+// account and placeholder ID card, exactly like /submit-form/:token — so one
+// bad row no longer aborts the batch, and a failed or interrupted job can be
+// committed again to pick up where it stopped.
+const IMPORT_MAX_ROWS = Number(process.env.IMPORT_MAX_ROWS || 5000);
+const IMPORT_MAX_FILE_BYTES = 5 * 1024 * 1024;
+// A RUNNING job that has not been touched for this long is treated as interrupted.
+const IMPORT_STALE_AFTER_MS = 10 * 60 * 1000;
+const IMPORT_MAX_PENDING = Number(process.env.IMPORT_MAX_PENDING || 10);
+
+// Commits run here, after the request has answered 202; clients poll
+// GET /api/admin/imports/:id. Only the base URL for uploaded files is kept
+// from the request, not the request itself.
+const importQueue = createLocalQueue('import', ({ jobId, baseUrl }) => runImportJob(jobId, baseUrl), {
+  maxPending: IMPORT_MAX_PENDING,
+});
+
+const uploadImportFile = multer({ storage: multer.memoryStorage(), limits: { fileSize: IMPORT_MAX_FILE_BYTES } });
+
+let ExcelJS = null;
+
+// Header names are compared lowercased with everything but letters/digits removed.
+const IMPORT_FIELD_ALIASES = {
+  employeeName: ['employeename', 'name', 'fullname', 'membername'],
+  employeeNumber: ['employeenumber', 'employeeno', 'empno', 'checknumber', 'checkno'],
+  phoneNumber: ['phonenumber', 'phone', 'mobile'],
+  employerName: ['employername', 'employer', 'company'],
+  branchName: ['branchname', 'branch'],
+  dues: ['dues'],
+  witness: ['witness'],
+  pdfPath: ['pdfpath', 'pdf'],
+};
+
+const IMPORT_REPORT_COLUMNS = [
+  'rowNumber', 'status', 'employeeNumber', 'employeeName', 'employerName',
+  'message', 'submissionId', 'userId', 'idCardId', 'cardNumber',
+];
+
+function mapImportRecord(record = {}) {
+  const mapped = {};
+  for (const [key, value] of Object.entries(record)) {
+    const normalizedKey = String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+    const field = Object.keys(IMPORT_FIELD_ALIASES)
+      .find((name) => IMPORT_FIELD_ALIASES[name].includes(normalizedKey));
+    if (field && mapped[field] === undefined) mapped[field] = value;
+  }
+  return mapped;
+}
+
+function parseCsv(text) {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const firstLine = input.split(/\r?\n/, 1)[0] || '';
+  const delimiter = !firstLine.includes(',') && firstLine.includes(';') ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => String(cell).trim()));
+}
+
+// Text starting with =, +, -, @, a tab or a CR is prefixed with ' so a
+// spreadsheet does not run member-entered values as formulas.
+function toCsvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function tableToRecords(table) {
+  const [header = [], ...body] = table;
+  return body.map((cells) => {
+    const record = {};
+    header.forEach((name, index) => {
+      if (name !== null && name !== undefined && String(name).trim()) record[String(name)] = cells[index];
+    });
+    return record;
+  });
+}
+
+function excelCellToValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map((part) => part.text).join('');
+    if (value.text !== undefined) return value.text;
+    if (value.result !== undefined) return excelCellToValue(value.result);
+    return '';
+  }
+  return value;
+}
+
+async function readXlsxRecords(buffer) {
+  if (!ExcelJS) {
+    ExcelJS = require('exceljs');
+  }
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const table = [];
+  sheet.eachRow({ includeEmpty: false }, (row) => {
+    // row.values is 1-based; drop the empty slot at index 0
+    table.push(row.values.slice(1).map(excelCellToValue));
+  });
+  return tableToRecords(table);
+}
+
+// Returns { ok, format, fileName, records } or { ok: false, error }.
+async function readImportPayload(req) {
+  if (!req.file) {
+    const records = Array.isArray(req.body?.records) ? req.body.records : null;
+    if (!records) return { ok: false, error: 'Upload a CSV/XLSX/JSON file or send { records: [...] }' };
+    return { ok: true, format: 'json', fileName: null, records };
+  }
+
+  const fileName = req.file.originalname || 'upload';
+  const ext = path.extname(fileName).toLowerCase();
+  const mime = req.file.mimetype || '';
+
+  try {
+    if (ext === '.csv' || mime === 'text/csv') {
+      return { ok: true, format: 'csv', fileName, records: tableToRecords(parseCsv(req.file.buffer.toString('utf8'))) };
+    }
+    if (ext === '.xlsx' || mime.includes('spreadsheetml')) {
+      return { ok: true, format: 'xlsx', fileName, records: await readXlsxRecords(req.file.buffer) };
+    }
+    if (ext === '.json' || mime === 'application/json') {
+      const parsed = JSON.parse(req.file.buffer.toString('utf8'));
+      const records = Array.isArray(parsed) ? parsed : parsed?.records;
+      if (!Array.isArray(records)) return { ok: false, error: 'JSON file must contain an array of records' };
+      return { ok: true, format: 'json', fileName, records };
+    }
+  } catch (err) {
+    return { ok: false, error: `Could not read ${fileName}: ${err.message}` };
+  }
+
+  return { ok: false, error: 'Unsupported file type. Use .csv, .xlsx or .json' };
+}
+
+function validateImportRecord(record) {
+  const mapped = mapImportRecord(record);
+  const data = {
+    ...normalizeSubmissionPayload(mapped),
+    phoneNumber: mapped.phoneNumber ? normalizePhone(mapped.phoneNumber) : null,
+    pdfPath: mapped.pdfPath ? String(mapped.pdfPath).trim() : '',
+  };
+
+  const errors = [];
+  if (!data.employeeName) errors.push('employeeName is required');
+  if (!data.employeeNumber) errors.push('employeeNumber is required');
+  else if (data.employeeNumber.length > 50) errors.push('employeeNumber must be 50 characters or less');
+  if (!data.employerName) errors.push('employerName is required');
+  if (data.phoneNumber && !/^\+?\d{9,15}$/.test(data.phoneNumber)) errors.push('phoneNumber is not a valid phone number');
+
+  return { data, errors };
+}
+
+function registryImportError(message, value, entries) {
+  const suggestions = suggestEntries(entries, value).map((entry) => entry.name);
+  return `${message}${suggestions.length ? ` (did you mean ${suggestions.join(', ')}?)` : ''}`;
+}
+
+// Validates every record (employers and branches against the registry) and
+// flags duplicates within the file and against existing submissions. Returns rows ready for ImportJobRow.createMany.
+async function buildImportRows(records) {
+  const employers = await prisma.employer.findMany({ where: { isActive: true }, include: { branches: { where: { isActive: true } } } });
+  const rows = records.map((record, index) => {
+    const { data, errors } = validateImportRecord(record);
+    if (data.employerName) {
+      const employer = findEntry(employers, data.employerName);
+      const branch = employer && data.branchName ? findEntry(employer.branches, data.branchName) : null;
+      if (!employer) {
+        errors.push(registryImportError(`Unknown employer "${data.employerName}"`, data.employerName, employers));
+      } else if (data.branchName && !branch) {
+        errors.push(registryImportError(`"${data.branchName}" is not a registered branch of ${employer.name}`, data.branchName, employer.branches));
+      } else {
+        Object.assign(data, employerFields({ employer, branch }));
+      }
+    }
+    return { rowNumber: index + 1, data, errors, status: errors.length ? 'INVALID' : 'VALID', message: null };
+  });
+
+  const firstRowByNumber = new Map();
+  for (const row of rows) {
+    if (row.status !== 'VALID') continue;
+    const firstRow = firstRowByNumber.get(row.data.employeeNumber);
+    if (firstRow) {
+      row.status = 'DUPLICATE';
+      row.message = `Same employeeNumber as row ${firstRow}`;
+    } else {
+      firstRowByNumber.set(row.data.employeeNumber, row.rowNumber);
+    }
+  }
+
+  const existing = firstRowByNumber.size
+    ? await prisma.submission.findMany({
+      where: { employeeNumber: { in: [...firstRowByNumber.keys()] } },
+      select: { id: true, employeeNumber: true },
+    })
+    : [];
+  const existingByNumber = new Map(existing.map((sub) => [sub.employeeNumber, sub.id]));
+  for (const row of rows) {
+    if (row.status === 'VALID' && existingByNumber.has(row.data.employeeNumber)) {
+      row.status = 'DUPLICATE';
+      row.message = `Submission #${existingByNumber.get(row.data.employeeNumber)} already exists for this employeeNumber`;
+    }
+  }
+
+  return rows;
+}
+
+async function summarizeImportJob(jobId) {
+  const grouped = await prisma.importJobRow.groupBy({
+    by: ['status'],
+    where: { jobId },
+    _count: { status: true },
+  });
+  const summary = { VALID: 0, INVALID: 0, DUPLICATE: 0, CREATED: 0, SKIPPED: 0, FAILED: 0 };
+  for (const row of grouped) summary[row.status] = row._count.status;
+  return summary;
+}
+
+async function importRow(row, job, baseUrl) {
+  const data = row.data || {};
+  try {
+    const outcome = await prisma.$transaction(async (tx) => {
+      const existing = await tx.submission.findUnique({ where: { employeeNumber: data.employeeNumber } });
+      if (existing) return { skipped: true, submissionId: existing.id };
+
+      const submission = await tx.submission.create({
+        data: {
+          employeeName: data.employeeName,
+          employeeNumber: data.employeeNumber,
+          phoneNumber: data.phoneNumber,
+          pdfPath: data.pdfPath || '',
+          employerId: data.employerId ?? null,
+          employerName: data.employerName,
+          branchId: data.branchId ?? null,
+          branchName: data.branchName,
+          dues: data.dues,
+          witness: data.witness,
+          submittedAt: new Date(),
+          staffId: job.createdById || null,
+          // Imports come from union records, so they skip the review queue.
+          status: 'VERIFIED',
+          reviewedAt: new Date(),
+          reviewedById: job.createdById || null,
+          reviewEvents: {
+            create: {
+              action: 'VERIFIED',
+              status: 'VERIFIED',
+              actorId: job.createdById || null,
+              note: 'Bulk import',
+              details: { source: 'import', importJobId: job.id, rowNumber: row.rowNumber },
+            },
+          },
+        },
+      });
+      const member = await provisionMemberAccount(tx, submission);
+      return { submission, ...member };
+    });
+
+    if (outcome.skipped) {
+      await prisma.importJobRow.update({
+        where: { id: row.id },
+        data: {
+          status: 'SKIPPED',
+          message: 'A submission with this employeeNumber was created after validation',
+          submissionId: outcome.submissionId,
+          processedAt: new Date(),
+        },
+      });
+      return;
+    }
+
+    // Imported members have no form on file; render the canonical one (best-effort)
+    await generateSubmissionFormPdf(baseUrl, outcome.submission).catch((e) =>
+      console.warn(`⚠️ form PDF generation (import job ${job.id} row ${row.rowNumber}) failed:`, e.message)
+    );
+
+    if (outcome.tempPassword) {
+      sendWelcomeCredentials({
+        user: outcome.user,
+        username: outcome.user.username,
+        password: outcome.tempPassword,
+        phone: data.phoneNumber || '',
+      }).catch((e) => console.warn('⚠️ sendWelcomeCredentials (bulk import) failed:', e.message));
+    }
+
+    await prisma.importJobRow.update({
+      where: { id: row.id },
+      data: {
+        status: 'CREATED',
+        message: outcome.tempPassword ? 'Account created; credentials sent to member' : 'Linked to existing account',
+        submissionId: outcome.submission.id,
+        userId: outcome.user.id,
+        idCardId: outcome.idCard.id,
+        processedAt: new Date(),
+      },
+    });
+  } catch (err) {
+    console.error(`❌ Import job ${job.id} row ${row.rowNumber} failed:`, err.message);
+    await prisma.importJobRow.update({
+      where: { id: row.id },
+      data: { status: 'FAILED', message: err.message.slice(0, 500), processedAt: new Date() },
+    });
+  }
+}
+
+// Marks the job RUNNING so two commits cannot run it at once. Returns false
+// when the job is not in a runnable state.
+async function claimImportJob(jobId) {
+  const claimed = await prisma.importJob.updateMany({
+    where: {
+      id: jobId,
+      OR: [
+        { status: { in: ['VALIDATED', 'FAILED', 'COMPLETED'] } },
+        { status: 'RUNNING', updatedAt: { lt: new Date(Date.now() - IMPORT_STALE_AFTER_MS) } },
+      ],
+    },
+    data: { status: 'RUNNING', startedAt: new Date(), error: null },
+  });
+  return claimed.count > 0;
+}
+
+// Claims the job and queues it; on Vercel, which has no background work, it
+// runs before this returns. Resolves to false when the job cannot be claimed.
+async function startImportJob(jobId, req) {
+  if (!await claimImportJob(jobId)) return false;
+  const baseUrl = uploadBaseUrl(req);
+  if (process.env.VERCEL) {
+    await runImportJob(jobId, baseUrl);
+  } else if (!importQueue.push({ jobId, baseUrl })) {
+    await prisma.importJob.update({
+      where: { id: jobId },
+      data: { status: 'FAILED', error: 'The import queue is full; commit again in a few minutes' },
+    });
+  }
+  return true;
+}
+
+// Imports every row of a claimed job still VALID or FAILED.
+async function runImportJob(jobId, baseUrl) {
+  const job = await prisma.importJob.findUnique({ where: { id: jobId } });
+  try {
+    const pending = await prisma.importJobRow.findMany({
+      where: { jobId, status: { in: ['VALID', 'FAILED'] } },
+      orderBy: { rowNumber: 'asc' },
+    });
+
+    for (const [index, row] of pending.entries()) {
+      await importRow(row, job, baseUrl);
+      if (index % 25 === 24) {
+        // keeps updatedAt fresh so a long import is not mistaken for a stale one
+        await prisma.importJob.update({ where: { id: jobId }, data: { status: 'RUNNING' } });
+      }
+    }
+
+    const summary = await summarizeImportJob(jobId);
+    await prisma.importJob.update({
+      where: { id: jobId },
+      data: {
+        status: summary.FAILED ? 'FAILED' : 'COMPLETED',
+        error: summary.FAILED ? `${summary.FAILED} row(s) failed; commit again to retry them` : null,
+        completedAt: new Date(),
+      },
+    });
+  } catch (err) {
+    console.error(`❌ Import job ${jobId} stopped:`, err);
+    await prisma.importJob.update({
+      where: { id: jobId },
+      data: { status: 'FAILED', error: err.message.slice(0, 500) },
+    }).catch(() => {});
+  }
+}
+
+async function buildImportJobResponse(jobId) {
+  const [job, summary] = await Promise.all([
+    prisma.importJob.findUnique({ where: { id: jobId } }),
+    summarizeImportJob(jobId),
+  ]);
+  if (!job) return null;
+  const problems = await prisma.importJobRow.findMany({
+    where: { jobId, status: { in: ['INVALID', 'DUPLICATE', 'SKIPPED', 'FAILED'] } },
+    orderBy: { rowNumber: 'asc' },
+    take: 500,
+    select: { rowNumber: true, status: true, errors: true, message: true, data: true },
+  });
+  return {
+    job,
+    summary,
+    problems,
+    reportUrl: `/api/admin/imports/${job.id}/report`,
+  };
+}
+
+// Upload and validate. Pass dryRun=true (query or body) to stop after the
+// validation report; otherwise the job is queued for commit (202) and the
+// caller polls statusUrl.
+async function handleImportUpload(req, res) {
+  try {
+    const payload = await readImportPayload(req);
+    if (!payload.ok) return res.status(400).json({ error: payload.error });
+    if (!payload.records.length) return res.status(400).json({ error: 'No rows found to import' });
+    if (payload.records.length > IMPORT_MAX_ROWS) {
+      return res.status(400).json({ error: `Too many rows (${payload.records.length}); the limit is ${IMPORT_MAX_ROWS}` });
+    }
+
+    const rows = await buildImportRows(payload.records);
+    const job = await prisma.importJob.create({
+      data: {
+        createdById: req.user.id,
+        fileName: payload.fileName,
+        format: payload.format,
+        totalRows: rows.length,
+        rows: {
+          createMany: {
+            data: rows.map((row) => ({
+              rowNumber: row.rowNumber,
+              data: row.data,
+              status: row.status,
+              errors: row.errors.length ? row.errors : undefined,
+              message: row.message,
+            })),
+          },
+        },
+      },
+    });
+
+    const dryRun = ['true', '1', 'yes'].includes(String(req.query.dryRun ?? req.body?.dryRun ?? '').toLowerCase());
+    await recordUserManagementEvent('bulk_import_uploaded', req, null, {
+      importJobId: job.id,
+      format: job.format,
+      fileName: job.fileName,
+      totalRows: job.totalRows,
+      dryRun,
+    });
+
+    if (!dryRun) await startImportJob(job.id, req);
+
+    return res.status(dryRun ? 200 : 202).json({
+      dryRun,
+      ...(await buildImportJobResponse(job.id)),
+      statusUrl: `/api/admin/imports/${job.id}`,
+    });
+  } catch (err) {
+    console.error('❌ Bulk import error:', err);
+    return res.status(500).json({ error: 'Bulk import failed', details: err.message });
+  }
+}
+
+app.post('/api/admin/imports',
+  authenticate, requirePermission('submissions.import'), uploadImportFile.single('file'), handleImportUpload);
+
+// Legacy endpoint used by the Excel upload screen ({ records: [...] }).
+app.post('/bulk-upload',
+  authenticate, requirePermission('submissions.import'), uploadImportFile.single('file'), handleImportUpload);
+
+app.get('/api/admin/imports', authenticate, requirePermission('submissions.import'), async (req, res) => {
+  try {
+    const jobs = await prisma.importJob.findMany({ orderBy: { createdAt: 'desc' }, take: 50 });
+    return res.json(jobs);
+  } catch (err) {
+    console.error('❌ GET /api/admin/imports error:', err);
+    return res.status(500).json({ error: 'Failed to load import jobs', details: err.message });
+  }
+});
+
+app.get('/api/admin/imports/:id', authenticate, requirePermission('submissions.import'), async (req, res) => {
+  const id = Number(req.params.id);
+  if (!id) return res.status(400).json({ error: 'Invalid import job id' });
+  try {
+    const result = await buildImportJobResponse(id);
+    if (!result) return res.status(404).json({ error: 'Import job not found' });
+    return res.json(result);
+  } catch (err) {
+    console.error(`❌ GET /api/admin/imports/${id} error:`, err);
+    return res.status(500).json({ error: 'Failed to load import job', details: err.message });
+  }
+});
+
+// Commit a dry-run job, or resume one that failed or was interrupted. Answers
+// 202 once the job is queued; poll statusUrl until it is COMPLETED or FAILED.
+app.post('/api/admin/imports/:id/commit', authenticate, requirePermission('submissions.import'), async (req, res) => {
+  const id = Number(req.params.id);
+  if (!id) return res.status(400).json({ error: 'Invalid import job id' });
+  try {
+    const existing = await prisma.importJob.findUnique({ where: { id } });
+    if (!existing) return res.status(404).json({ error: 'Import job not found' });
+
+    const started = await startImportJob(id, req);
+    if (!started) return res.status(409).json({ error: 'Import job is already running' });
+
+    await recordUserManagementEvent('bulk_import_committed', req, null, { importJobId: id });
+    return res.status(202).json({
+      message: 'Import job queued',
+      ...(await buildImportJobResponse(id)),
+      statusUrl: `/api/admin/imports/${id}`,
+    });
+  } catch (err) {
+    console.error(`❌ POST /api/admin/imports/${id}/commit error:`, err);
+    return res.status(500).json({ error: 'Failed to commit import job', details: err.message });
+  }
+});
+
+// Per-row result report (?format=csv, default, or json) as a download.
+app.get('/api/admin/imports/:id/report', authenticate, requirePermission('submissions.import'), async (req, res) => {
+  const id = Number(req.params.id);
+  if (!id) return res.status(400).json({ error: 'Invalid import job id' });
+  try {
+    const job = await prisma.importJob.findUnique({ where: { id } });
+    if (!job) return res.status(404).json({ error: 'Import job not found' });
+
+    const rows = await prisma.importJobRow.findMany({ where: { jobId: id }, orderBy: { rowNumber: 'asc' } });
+    const cards = await prisma.idCard.findMany({
+      where: { id: { in: rows.map((row) => row.idCardId).filter(Boolean) } },
+      select: { id: true, cardNumber: true },
+    });
+    const cardNumbers = new Map(cards.map((card) => [card.id, card.cardNumber]));
+
+    const report = rows.map((row) => ({
+      rowNumber: row.rowNumber,
+      status: row.status,
+      employeeNumber: row.data?.employeeNumber || '',
+      employeeName: row.data?.employeeName || '',
+      employerName: row.data?.employerName || '',
+      message: [row.message, ...(Array.isArray(row.errors) ? row.errors : [])].filter(Boolean).join('; '),
+      submissionId: row.submissionId,
+      userId: row.userId,
+      idCardId: row.idCardId,
+      cardNumber: cardNumbers.get(row.idCardId) || null,
+    }));
+
+    if (String(req.query.format || 'csv').toLowerCase() === 'json') {
+      res.setHeader('Content-Disposition', `attachment; filename="import-${id}-report.json"`);
+      return res.json({ job, rows: report });
+    }
+
+    const csv = [
+      IMPORT_REPORT_COLUMNS.join(','),
+      ...report.map((row) => IMPORT_REPORT_COLUMNS.map((column) => toCsvCell(row[column])).join(',')),
+    ].join('\r\n');
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="import-${id}-report.csv"`);
+    return res.send(csv);
+  } catch (err) {
+    console.error(`❌ GET /api/admin/imports/${id}/report error:`, err);
+    return res.status(500).json({ error: 'Failed to build import report', details: err.message });
+  }
+});
+
+
+// ---------- GET /api/admin/idcards  (all cards, admin only) ----------
+app.get('/api/admin/idcards', authenticate, requirePermission('idcards.manage'), async (req, res) => {
+  try {
+    const cards = await prisma.idCard.findMany({
+      orderBy: { issuedAt: 'desc' },
+      include: {
+        user: {
+          select: { id: true, name: true, employeeNumber: true, email: true }
+        }
+      }
+    });
+    const cardsWithTokens = await ensureIdCardVerificationTokens(cards);
+    res.json(cardsWithTokens);
+  } catch (err) {
+    console.error('❌ GET /api/admin/idcards error:', err);
+    res.status(500).json({ error: 'Failed to fetch ID cards' });
+  }
+});
+
+function normalizeIdCardRole(role) {
+  return String(role || '')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+    .join(' ');
+}
+
+async function updateIdCardRoleByAdmin(req, res) {
+  try {
+    const id = Number(req.params.id);
+    const incomingRole = typeof req.body?.role === 'string' ? req.body.role.trim() : '';
+
+    if (!id || Number.isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid ID card id' });
+    }
+
+    if (!incomingRole) {
+      return res.status(400).json({ error: 'Role is required' });
+    }
+
+    if (incomingRole.length > 50) {
+      return res.status(400).json({ error: 'Role must be 50 characters or less' });
+    }
+
+    const existing = await prisma.idCard.findUnique({ where: { id } });
+    if (!existing) {
+      return res.status(404).json({ error: 'ID card not found' });
+    }
+
+    const normalizedRole = normalizeIdCardRole(incomingRole);
+
+    const updated = await prisma.idCard.update({
+      where: { id },
+      data: { role: normalizedRole },
+      include: {
+        user: {
+          select: { id: true, name: true, employeeNumber: true, email: true }
+        }
+      }
+    });
+
+    return res.json({
+      message: '✅ ID card role updated',
+      card: updated,
+    });
+  } catch (err) {
+    console.error('❌ PUT /api/admin/idcards role update error:', err);
+    return res.status(500).json({ error: 'Failed to update ID card role', details: err.message });
+  }
+}
+
+// ---------- PUT /api/admin/idcards/:id/role  (admin only) ----------
+app.put('/api/admin/idcards/:id/role', authenticate, requirePermission('idcards.manage'), updateIdCardRoleByAdmin);
+
+// Backward-compatible endpoint in case frontend/server versions are mixed.
+app.put('/api/admin/idcards/:id', authenticate, requirePermission('idcards.manage'), updateIdCardRoleByAdmin);
+
+// --------------------
+// ID card lifecycle
+// --------------------
+// Expiry comes from IdCardValidityPolicy rows keyed by the role printed on the
+// card, falling back to IDCARD_DEFAULT_VALIDITY_MONTHS (unset = no expiry).
+// Members ask for a renewal on their own card; approving it moves the expiry
+// forward and clears printedAt so the card goes into the next print batch.
+// Every issue, print, renewal, revocation and reinstatement is kept as an
+// IdCardEvent.
+const IDCARD_REVOCATION_REASONS = {
+  REPLACED: 'Replaced by a new card',
+  MEMBERSHIP_ENDED: 'Membership ended',
+  LOST: 'Reported lost',
+  STOLEN: 'Reported stolen',
+  DAMAGED: 'Damaged',
+  DETAILS_CHANGED: 'Card details changed',
+  OTHER: 'Revoked by FIBUCA',
+};
+const IDCARD_DEFAULT_VALIDITY_MONTHS = Number(process.env.IDCARD_DEFAULT_VALIDITY_MONTHS) || null;
+const IDCARD_MAX_VALIDITY_MONTHS = 120;
+
+// Adds calendar months, clamping to the last day of shorter months.
+function addMonthsUtc(date, months) {
+  const d = new Date(date);
+  const day = d.getUTCDate();
+  d.setUTCDate(1);
+  d.setUTCMonth(d.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+  d.setUTCDate(Math.min(day, lastDay));
+  return d;
+}
+
+async function getIdCardValidityMonths(db, role) {
+  const policy = await db.idCardValidityPolicy.findUnique({ where: { role: normalizeIdCardRole(role) } });
+  return policy ? policy.validityMonths : IDCARD_DEFAULT_VALIDITY_MONTHS;
+}
+
+// `db` may be prisma or a transaction client. Returns null for cards that do not expire.
+async function computeIdCardExpiry(db, role, from = new Date()) {
+  const months = await getIdCardValidityMonths(db, role);
+  return months ? addMonthsUtc(from, months) : null;
+}
+
+function recordIdCardEvent(db, cardId, type, { actorId = null, reason = null, note = null, details } = {}) {
+  return db.idCardEvent.create({
+    data: { cardId, type, reason, note, actorId, details },
+  });
+}
+
+async function canAccessIdCard(req, card) {
+  return req.user.id === card.userId || hasPermission(req, 'idcards.manage');
+}
+
+const IDCARD_LIFECYCLE_USER_SELECT = { id: true, name: true, username: true, employeeNumber: true, role: true };
+
+// ---------- validity policies ----------
+app.get('/api/admin/idcards/validity-policies', authenticate, requirePermission('idcards.manage'), async (req, res) => {
+  try {
+    const policies = await prisma.idCardValidityPolicy.findMany({ orderBy: { role: 'asc' } });
+    return res.json({ defaultValidityMonths: IDCARD_DEFAULT_VALIDITY_MONTHS, policies });
+  } catch (err) {
+    console.error('❌ GET /api/admin/idcards/validity-policies error:', err);
+    return res.status(500).json({ error: 'Failed to load validity policies', details: err.message });
+  }
+});
+
+// PUT { validityMonths: number | null }. null means cards with this role never expire.
+// Applies to cards issued or renewed from now on.
+app.put('/api/admin/idcards/validity-policies/:role', authenticate, requirePermission('idcards.manage'), async (req, res) => {
+  try {
+    const role = normalizeIdCardRole(req.params.role);
+    if (!role || role.length > 50) return res.status(400).json({ error: 'Invalid card role' });
+
+    const raw = req.body?.validityMonths;
+    const validityMonths = raw === null ? null : Number(raw);
+    if (validityMonths !== null && (!Number.isInteger(validityMonths) || validityMonths < 1 || validityMonths > IDCARD_MAX_VALIDITY_MONTHS)) {
+      return res.status(400).json({ error: `validityMonths must be null or a whole number from 1 to ${IDCARD_MAX_VALIDITY_MONTHS}` });
+    }
+
+    const policy = await prisma.idCardValidityPolicy.upsert({
+      where: { role },
+      update: { validityMonths, updatedById: req.user.id },
+      create: { role, validityMonths, updatedById: req.user.id },
+    });
+    await recordUserManagementEvent('idcard_validity_policy_updated', req, null, { role, validityMonths });
+
+    return res.json({ message: '✅ Validity policy saved', policy });
+  } catch (err) {
+    console.error('❌ PUT /api/admin/idcards/validity-policies error:', err);
+    return res.status(500).json({ error: 'Failed to save validity policy', details: err.message });
+  }
+});
+
+app.delete('/api/admin/idcards/validity-policies/:role', authenticate, requirePermission('idcards.manage'), async (req, res) => {
+  try {
+    const role = normalizeIdCardRole(req.params.role);
+    const { count } = await prisma.idCardValidityPolicy.deleteMany({ where: { role } });
+    if (!count) return res.status(404).json({ error: 'No validity policy for this role' });
+
+    await recordUserManagementEvent('idcard_validity_policy_reset', req, null, { role });
+    return res.json({ message: '✅ Validity policy removed; the default now applies', role });
+  } catch (err) {
+    console.error('❌ DELETE /api/admin/idcards/validity-policies error:', err);
+    return res.status(500).json({ error: 'Failed to remove validity policy', details: err.message });
+  }
+});
+
+// ---------- revocation ----------
+// POST { reason: one of IDCARD_REVOCATION_REASONS, note? }
+app.post('/api/admin/idcards/:id/revoke', authenticate, requirePermission('idcards.manage'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id) return res.status(400).json({ error: 'Invalid ID card id' });
+
+    const reason = String(req.body?.reason || '').trim().toUpperCase();
+    if (!IDCARD_REVOCATION_REASONS[reason]) {
+      return res.status(400).json({ error: 'reason is required', allowed: Object.keys(IDCARD_REVOCATION_REASONS) });
+    }
+    const note = String(req.body?.note || '').trim().slice(0, 500) || null;
+
+    const card = await prisma.idCard.findUnique({ where: { id }, include: { user: { select: IDCARD_LIFECYCLE_USER_SELECT } } });
+    if (!card) return res.status(404).json({ error: 'ID card not found' });
+    if (!card.isActive || card.revokedAt) return res.status(409).json({ error: 'ID card is already revoked' });
+
+    const [updated] = await prisma.$transaction([
+      prisma.idCard.update({
+        where: { id },
+        data: { isActive: false, revokedAt: new Date(), revocationReason: reason, revocationNote: note },
+      }),
+      prisma.idCardRenewalRequest.updateMany({
+        where: { cardId: id, status: 'PENDING' },
+        data: { status: 'CANCELLED', reviewedById: req.user.id, reviewedAt: new Date(), reviewNote: 'Card revoked' },
+      }),
+      prisma.idCardEvent.create({ data: { cardId: id, type: 'REVOKED', reason, note, actorId: req.user.id } }),
+    ]);
+    await recordUserManagementEvent('idcard_revoked', req, card.user, { cardId: id, cardNumber: card.cardNumber, reason, note });
+
+    return res.json({ message: '✅ ID card revoked', card: updated });
+  } catch (err) {
+    console.error('❌ POST /api/admin/idcards/:id/revoke error:', err);
+    return res.status(500).json({ error: 'Failed to revoke ID card', details: err.message });
+  }
+});
+
+app.post('/api/admin/idcards/:id/reinstate', authenticate, requirePermission('idcards.manage'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id) return res.status(400).json({ error: 'Invalid ID card id' });
+    const note = String(req.body?.note || '').trim().slice(0, 500) || null;
+
+    const card = await prisma.idCard.findUnique({ where: { id }, include: { user: { select: IDCARD_LIFECYCLE_USER_SELECT } } });
+    if (!card) return res.status(404).json({ error: 'ID card not found' });
+    if (card.isActive && !card.revokedAt) return res.status(409).json({ error: 'ID card is not revoked' });
+
+    const [updated] = await prisma.$transaction([
+      prisma.idCard.update({
+        where: { id },
+        data: { isActive: true, revokedAt: null, revocationReason: null, revocationNote: null },
+      }),
+      prisma.idCardEvent.create({
+        data: { cardId: id, type: 'REINSTATED', note, actorId: req.user.id, details: { previousReason: card.revocationReason } },
+      }),
+    ]);
+    await recordUserManagementEvent('idcard_reinstated', req, card.user, { cardId: id, cardNumber: card.cardNumber, note });
+
+    return res.json({ message: '✅ ID card reinstated', card: updated });
+  } catch (err) {
+    console.error('❌ POST /api/admin/idcards/:id/reinstate error:', err);
+    return res.status(500).json({ error: 'Failed to reinstate ID card', details: err.message });
+  }
+});
+
+// ---------- status history ----------
+app.get('/api/idcards/:id/history', authenticate, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id) return res.status(400).json({ error: 'Invalid ID card id' });
+
+    const card = await prisma.idCard.findUnique({ where: { id } });
+    if (!card) return res.status(404).json({ error: 'ID card not found' });
+    if (!(await canAccessIdCard(req, card))) return res.status(403).json({ error: 'Forbidden' });
+
+    const events = await prisma.idCardEvent.findMany({ where: { cardId: id }, orderBy: { createdAt: 'asc' } });
+    return res.json({
+      card: {
+        id: card.id,
+        cardNumber: card.cardNumber,
+        status: getPublicIdCardStatus(card),
+        expiresAt: card.expiresAt,
+        revocationReason: card.revocationReason,
+      },
+      events,
+    });
+  } catch (err) {
+    console.error('❌ GET /api/idcards/:id/history error:', err);
+    return res.status(500).json({ error: 'Failed to load ID card history', details: err.message });
+  }
+});
+
+// ---------- renewal requests ----------
+// POST { reason? } by the card owner. One pending request per card.
+app.post('/api/idcards/:id/renewal-requests', authenticate, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id) return res.status(400).json({ error: 'Invalid ID card id' });
+
+    const card = await prisma.idCard.findUnique({ where: { id } });
+    if (!card) return res.status(404).json({ error: 'ID card not found' });
+    if (card.userId !== req.user.id) return res.status(403).json({ error: 'You can only renew your own ID card' });
+    if (!card.isActive || card.revokedAt) {
+      return res.status(409).json({ error: 'This ID card has been revoked and cannot be renewed. Contact FIBUCA for a new card.' });
+    }
+    if (!card.expiresAt) return res.status(400).json({ error: 'This ID card does not expire' });
+
+    const pending = await prisma.idCardRenewalRequest.findFirst({ where: { cardId: id, status: 'PENDING' } });
+    if (pending) return res.status(409).json({ error: 'A renewal request for this card is already pending', request: pending });
+
+    const request = await prisma.idCardRenewalRequest.create({
+      data: {
+        cardId: id,
+        userId: req.user.id,
+        reason: String(req.body?.reason || '').trim().slice(0, 500) || null,
+        previousExpiresAt: card.expiresAt,
+      },
+    });
+    return res.status(201).json({ message: '✅ Renewal requested', request });
+  } catch (err) {
+    console.error('❌ POST /api/idcards/:id/renewal-requests error:', err);
+    return res.status(500).json({ error: 'Failed to request renewal', details: err.message });
+  }
+});
+
+app.get('/api/idcards/:id/renewal-requests', authenticate, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id) return res.status(400).json({ error: 'Invalid ID card id' });
+
+    const card = await prisma.idCard.findUnique({ where: { id } });
+    if (!card) return res.status(404).json({ error: 'ID card not found' });
+    if (!(await canAccessIdCard(req, card))) return res.status(403).json({ error: 'Forbidden' });
+
+    const requests = await prisma.idCardRenewalRequest.findMany({ where: { cardId: id }, orderBy: { createdAt: 'desc' } });
+    return res.json(requests);
+  } catch (err) {
+    console.error('❌ GET /api/idcards/:id/renewal-requests error:', err);
+    return res.status(500).json({ error: 'Failed to load renewal requests', details: err.message });
+  }
+});
+
+app.post('/api/idcards/renewal-requests/:requestId/cancel', authenticate, async (req, res) => {
+  try {
+    const requestId = Number(req.params.requestId);
+    if (!requestId) return res.status(400).json({ error: 'Invalid renewal request id' });
+
+    const request = await prisma.idCardRenewalRequest.findUnique({ where: { id: requestId } });
+    if (!request || request.userId !== req.user.id) return res.status(404).json({ error: 'Renewal request not found' });
+    if (request.status !== 'PENDING') return res.status(409).json({ error: `Renewal request is already ${request.status.toLowerCase()}` });
+
+    const updated = await prisma.idCardRenewalRequest.update({
+      where: { id: requestId },
+      data: { status: 'CANCELLED', reviewedAt: new Date() },
+    });
+    return res.json({ message: '✅ Renewal request cancelled', request: updated });
+  } catch (err) {
+    console.error('❌ POST /api/idcards/renewal-requests/:requestId/cancel error:', err);
+    return res.status(500).json({ error: 'Failed to cancel renewal request', details: err.message });
+  }
+});
+
+// GET ?status=PENDING|APPROVED|REJECTED|CANCELLED (default PENDING)
+app.get('/api/admin/idcards/renewal-requests', authenticate, requirePermission('idcards.manage'), async (req, res) => {
+  try {
+    const status = String(req.query.status || 'PENDING').toUpperCase();
+    if (!['PENDING', 'APPROVED', 'REJECTED', 'CANCELLED'].includes(status)) {
+      return res.status(400).json({ error: 'Invalid status filter' });
+    }
+
+    const requests = await prisma.idCardRenewalRequest.findMany({
+      where: { status },
+      orderBy: { createdAt: status === 'PENDING' ? 'asc' : 'desc' },
+      take: 200,
+      include: {
+        card: {
+          select: {
+            id: true, cardNumber: true, fullName: true, company: true, role: true,
+            expiresAt: true, isActive: true, revokedAt: true,
+            user: { select: IDCARD_LIFECYCLE_USER_SELECT },
+          },
+        },
+      },
+    });
+    return res.json(requests);
+  } catch (err) {
+    console.error('❌ GET /api/admin/idcards/renewal-requests error:', err);
+    return res.status(500).json({ error: 'Failed to load renewal requests', details: err.message });
+  }
+});
 
-      const totalLinks = await prisma.staffLink.count({
-        where: { staffId }
-      });
+async function getPendingRenewalOrReject(req, res) {
+  const requestId = Number(req.params.requestId);
+  if (!requestId) {
+    res.status(400).json({ error: 'Invalid renewal request id' });
+    return null;
+  }
+  const request = await prisma.idCardRenewalRequest.findUnique({
+    where: { id: requestId },
+    include: { card: { include: { user: { select: IDCARD_LIFECYCLE_USER_SELECT } } } },
+  });
+  if (!request) {
+    res.status(404).json({ error: 'Renewal request not found' });
+    return null;
+  }
+  if (request.status !== 'PENDING') {
+    res.status(409).json({ error: `Renewal request is already ${request.status.toLowerCase()}` });
+    return null;
+  }
+  return request;
+}
 
-      const activeLinks = await prisma.staffLink.count({
-        where: {
-          staffId,
-          isActive: true
-        }
+// Renewal runs from the current expiry when the card is still valid, so
+// renewing early does not shorten it, and from today otherwise.
+app.post('/api/admin/idcards/renewal-requests/:requestId/approve', authenticate, requirePermission('idcards.manage'), async (req, res) => {
+  try {
+    const request = await getPendingRenewalOrReject(req, res);
+    if (!request) return;
+
+    const { card } = request;
+    if (!card.isActive || card.revokedAt) return res.status(409).json({ error: 'The ID card has been revoked' });
+
+    const now = new Date();
+    const from = card.expiresAt && card.expiresAt > now ? card.expiresAt : now;
+    const newExpiresAt = await computeIdCardExpiry(prisma, card.role, from);
+    const note = String(req.body?.note || '').trim().slice(0, 500) || null;
+
+    // The PENDING check is repeated in the write so two reviewers cannot both
+    // decide the same request.
+    const result = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.idCardRenewalRequest.updateMany({
+        where: { id: request.id, status: 'PENDING' },
+        data: { status: 'APPROVED', reviewedById: req.user.id, reviewedAt: now, reviewNote: note, newExpiresAt },
       });
+      if (!count) return null;
 
-      const totalClients = await prisma.submission.count({
-        where: { staffId }
+      const updatedCard = await tx.idCard.update({
+        where: { id: card.id },
+        data: { expiresAt: newExpiresAt, printedAt: null, printBatchId: null },
+      });
+      await tx.idCardEvent.create({
+        data: {
+          cardId: card.id,
+          type: 'RENEWED',
+          note,
+          actorId: req.user.id,
+          details: { requestId: request.id, previousExpiresAt: card.expiresAt, newExpiresAt },
+        },
       });
+      const updatedRequest = await tx.idCardRenewalRequest.findUnique({ where: { id: request.id } });
+      return { updatedRequest, updatedCard };
+    });
+    if (!result) return res.status(409).json({ error: 'Renewal request has already been reviewed' });
 
-      res.json({
-        totalLinks,
-        activeLinks,
-        expiredLinks: totalLinks - activeLinks,
-        totalClients
+    const { updatedRequest, updatedCard } = result;
+    await recordUserManagementEvent('idcard_renewal_approved', req, card.user, {
+      cardId: card.id,
+      requestId: request.id,
+      newExpiresAt,
+    });
+
+    return res.json({ message: '✅ Renewal approved', request: updatedRequest, card: updatedCard });
+  } catch (err) {
+    console.error('❌ POST /api/admin/idcards/renewal-requests/:requestId/approve error:', err);
+    return res.status(500).json({ error: 'Failed to approve renewal', details: err.message });
+  }
+});
+
+app.post('/api/admin/idcards/renewal-requests/:requestId/reject', authenticate, requirePermission('idcards.manage'), async (req, res) => {
+  const note = String(req.body?.note || '').trim().slice(0, 500);
+  if (!note) return res.status(400).json({ error: 'note is required' });
+
+  try {
+    const request = await getPendingRenewalOrReject(req, res);
+    if (!request) return;
+
+    const updated = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.idCardRenewalRequest.updateMany({
+        where: { id: request.id, status: 'PENDING' },
+        data: { status: 'REJECTED', reviewedById: req.user.id, reviewedAt: new Date(), reviewNote: note },
       });
+      return count ? tx.idCardRenewalRequest.findUnique({ where: { id: request.id } }) : null;
+    });
+    if (!updated) return res.status(409).json({ error: 'Renewal request has already been reviewed' });
+
+    await recordUserManagementEvent('idcard_renewal_rejected', req, request.card.user, {
+      cardId: request.cardId,
+      requestId: request.id,
+      note,
+    });
+
+    return res.json({ message: '✅ Renewal rejected', request: updated });
+  } catch (err) {
+    console.error('❌ POST /api/admin/idcards/renewal-requests/:requestId/reject error:', err);
+    return res.status(500).json({ error: 'Failed to reject renewal', details: err.message });
+  }
+});
+
+// --------------------
+// ID card rendering
+// --------------------
+// Cards are drawn at CR80 size (85.60 × 53.98 mm) and 300 DPI. The PDF embeds
+// the same front and back images on two pages of exactly that size so print
+// shops can use it without scaling.
+const CR80_MM = { width: 85.6, height: 53.98 };
+const IDCARD_RENDER_DPI = 300;
+const IDCARD_PX = {
+  width: Math.round((CR80_MM.width / 25.4) * IDCARD_RENDER_DPI),
+  height: Math.round((CR80_MM.height / 25.4) * IDCARD_RENDER_DPI),
+};
+const IDCARD_PDF_PT = {
+  width: (CR80_MM.width / 25.4) * 72,
+  height: (CR80_MM.height / 25.4) * 72,
+};
+const IDCARD_FONT = '"DejaVu Sans", Arial, sans-serif';
+const IDCARD_COLORS = { brand: '#1e3a5f', accent: '#f59e0b', text: '#111827', muted: '#4b5563' };
+
+// Opens the online check when scanned with a phone camera; verifier apps read
+// the signed payload from `p` and check it offline.
+function buildIdCardVerificationUrl(req, card) {
+  const baseUrl = process.env.BACKEND_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl}/api/public/idcards/verify-signed?p=${signIdCardPayload(card)}`;
+}
+
+// Reads local files (including the legacy /photos folder) straight from disk
+// and others from the storage driver holding them; null for foreign URLs.
+function loadStoredImageBuffer(url) {
+  return readStoredFile(url);
+}
+
+function formatCardDate(value) {
+  if (!value) return 'No expiry';
+  const d = new Date(value);
+  return `${String(d.getUTCDate()).padStart(2, '0')}/${String(d.getUTCMonth() + 1).padStart(2, '0')}/${d.getUTCFullYear()}`;
+}
+
+// Shrinks the font until `text` fits in maxWidth.
+function fitCardText(ctx, text, maxWidth, size, weight = 'normal') {
+  let fontSize = size;
+  ctx.font = `${weight} ${fontSize}px ${IDCARD_FONT}`;
+  while (fontSize > 14 && ctx.measureText(text).width > maxWidth) {
+    fontSize -= 2;
+    ctx.font = `${weight} ${fontSize}px ${IDCARD_FONT}`;
+  }
+}
+
+function drawImageCover(ctx, image, x, y, width, height) {
+  const scale = Math.max(width / image.width, height / image.height);
+  const sw = width / scale;
+  const sh = height / scale;
+  ctx.drawImage(image, (image.width - sw) / 2, (image.height - sh) / 2, sw, sh, x, y, width, height);
+}
+
+function drawCardHeader(ctx, subtitle) {
+  const { width } = IDCARD_PX;
+  ctx.fillStyle = IDCARD_COLORS.brand;
+  ctx.fillRect(0, 0, width, 130);
+  ctx.fillStyle = IDCARD_COLORS.accent;
+  ctx.fillRect(0, 130, width, 10);
+  ctx.fillStyle = '#ffffff';
+  ctx.font = `bold 64px ${IDCARD_FONT}`;
+  ctx.fillText('FIBUCA', 40, 82);
+  ctx.font = `bold 26px ${IDCARD_FONT}`;
+  ctx.textAlign = 'right';
+  ctx.fillText(subtitle, width - 40, 80);
+  ctx.textAlign = 'left';
+}
+
+async function renderIdCardFront(card, photoBuffer) {
+  const { width, height } = IDCARD_PX;
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
 
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, width, height);
+  drawCardHeader(ctx, 'MEMBER IDENTITY CARD');
+
+  // Photo
+  const photo = { x: 40, y: 170, width: 300, height: 380 };
+  ctx.fillStyle = '#e5e7eb';
+  ctx.fillRect(photo.x, photo.y, photo.width, photo.height);
+  if (photoBuffer) {
+    try {
+      drawImageCover(ctx, await loadImage(photoBuffer), photo.x, photo.y, photo.width, photo.height);
     } catch (err) {
-      console.error("❌ staff stats error:", err);
-      res.status(500).json({ error: "Failed to fetch stats" });
+      console.warn(`⚠️ ID card ${card.id}: photo could not be decoded:`, err.message);
+    }
+  }
+  ctx.strokeStyle = IDCARD_COLORS.brand;
+  ctx.lineWidth = 4;
+  ctx.strokeRect(photo.x, photo.y, photo.width, photo.height);
+
+  // Details
+  const textX = photo.x + photo.width + 40;
+  const textWidth = width - textX - 40;
+  ctx.fillStyle = IDCARD_COLORS.text;
+  fitCardText(ctx, String(card.fullName || '').toUpperCase(), textWidth, 44, 'bold');
+  ctx.fillText(String(card.fullName || '').toUpperCase(), textX, 215);
+
+  const rows = [
+    ['Company', card.company],
+    ['Role', card.role],
+    ['Card No.', card.cardNumber],
+    ['Issued', formatCardDate(card.issuedAt)],
+    ['Expires', formatCardDate(card.expiresAt)],
+  ];
+  let y = 285;
+  for (const [label, value] of rows) {
+    ctx.fillStyle = IDCARD_COLORS.muted;
+    ctx.font = `24px ${IDCARD_FONT}`;
+    ctx.fillText(label.toUpperCase(), textX, y);
+    ctx.fillStyle = IDCARD_COLORS.text;
+    fitCardText(ctx, String(value || '-'), textWidth - 190, 30, 'bold');
+    ctx.fillText(String(value || '-'), textX + 190, y);
+    y += 56;
+  }
+
+  ctx.fillStyle = IDCARD_COLORS.brand;
+  ctx.fillRect(0, height - 40, width, 40);
+  return canvas.toBuffer('image/png');
+}
+
+async function renderIdCardBack(card, verifyUrl) {
+  const { width, height } = IDCARD_PX;
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, width, height);
+  drawCardHeader(ctx, 'VERIFY THIS CARD');
+
+  const qrSize = 400;
+  const qr = await loadImage(await QRCode.toBuffer(verifyUrl, { type: 'png', margin: 1, width: qrSize, errorCorrectionLevel: 'M' }));
+  // Signed payloads make dense codes; keep the modules sharp when scaling.
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(qr, 40, 170, qrSize, qrSize);
+  ctx.imageSmoothingEnabled = true;
+
+  const textX = 40 + qrSize + 40;
+  const textWidth = width - textX - 40;
+  const lines = [
+    ['bold 30px', IDCARD_COLORS.text, 'Scan the QR code to confirm'],
+    ['bold 30px', IDCARD_COLORS.text, 'this card is genuine and valid.'],
+    ['24px', IDCARD_COLORS.muted, ''],
+    ['24px', IDCARD_COLORS.muted, 'This card is the property of FIBUCA'],
+    ['24px', IDCARD_COLORS.muted, 'and must be returned on request.'],
+    ['24px', IDCARD_COLORS.muted, 'If found, please return it to the'],
+    ['24px', IDCARD_COLORS.muted, 'nearest FIBUCA office.'],
+  ];
+  let y = 215;
+  for (const [font, color, text] of lines) {
+    ctx.fillStyle = color;
+    ctx.font = `${font} ${IDCARD_FONT}`;
+    ctx.fillText(text, textX, y, textWidth);
+    y += 44;
+  }
+
+  ctx.fillStyle = IDCARD_COLORS.text;
+  ctx.font = `bold 28px ${IDCARD_FONT}`;
+  ctx.fillText(`Card No. ${card.cardNumber}`, textX, 540, textWidth);
+
+  ctx.fillStyle = IDCARD_COLORS.brand;
+  ctx.fillRect(0, height - 40, width, 40);
+  return canvas.toBuffer('image/png');
+}
+
+function renderIdCardPdf(card, pages) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: [IDCARD_PDF_PT.width, IDCARD_PDF_PT.height],
+      margin: 0,
+      autoFirstPage: false,
+      info: { Title: `FIBUCA ID card ${card.cardNumber}` },
+    });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    for (const png of pages) {
+      doc.addPage();
+      doc.image(png, 0, 0, { width: IDCARD_PDF_PT.width, height: IDCARD_PDF_PT.height });
     }
+    doc.end();
+  });
+}
+
+// A missing or unreachable photo leaves the placeholder box on the front.
+function loadIdCardPhoto(card) {
+  return loadStoredImageBuffer(card.cleanPhotoUrl || card.rawPhotoUrl).catch((err) => {
+    console.warn(`⚠️ ID card ${card.id}: photo could not be loaded:`, err.message);
+    return null;
+  });
+}
+
+// Renders the requested output for a card: { contentType, fileName, buffer }.
+async function renderIdCard(req, card, { side = 'front', format = 'png' } = {}) {
+  const cardWithToken = await ensureIdCardVerificationToken(card);
+  const verifyUrl = buildIdCardVerificationUrl(req, cardWithToken);
+  const baseName = `idcard-${card.cardNumber}`;
+
+  const renderFront = async () => renderIdCardFront(cardWithToken, await loadIdCardPhoto(card));
+
+  if (format === 'pdf') {
+    const front = await renderFront();
+    const back = await renderIdCardBack(cardWithToken, verifyUrl);
+    return { contentType: 'application/pdf', fileName: `${baseName}.pdf`, buffer: await renderIdCardPdf(card, [front, back]) };
   }
-);
 
-// ——————————————————————————
-// GET /api/staff/leaderboard
-// Get all staff users ranked by active links count
-app.get(
-  "/api/staff/leaderboard",
-  authenticate,
-  requireRole(["ADMIN", "SUPERADMIN"]),
-  async (req, res) => {
-    try {
-      console.log("📊 Fetching staff leaderboard...");
-      const staffUsers = await prisma.user.findMany({
-        where: { role: "STAFF" },
-        select: {
-          id: true,
-          name: true,
-          username: true,
-          email: true,
-          employeeNumber: true,
-          createdAt: true
-        }
-      });
+  const buffer = side === 'back' ? await renderIdCardBack(cardWithToken, verifyUrl) : await renderFront();
+  return { contentType: 'image/png', fileName: `${baseName}-${side}.png`, buffer };
+}
 
-      console.log(`✅ Found ${staffUsers.length} STAFF users`);
+// GET /api/idcards/:id/render?side=front|back&format=png|pdf
+// PNG returns one side; PDF always contains front and back.
+app.get('/api/idcards/:id/render', authenticate, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id) return res.status(400).json({ error: 'Invalid ID card id' });
 
-      // For each staff user, count their active links
-      const staffWithLinks = await Promise.all(
-        staffUsers.map(async (staff) => {
-          const activeLinks = await prisma.staffLink.count({
-            where: {
-              staffId: staff.id,
-              isActive: true
-            }
-          });
+    const side = String(req.query.side || 'front').toLowerCase();
+    const format = String(req.query.format || 'png').toLowerCase();
+    if (!['front', 'back'].includes(side)) return res.status(400).json({ error: 'side must be front or back' });
+    if (!['png', 'pdf'].includes(format)) return res.status(400).json({ error: 'format must be png or pdf' });
 
-          const totalLinks = await prisma.staffLink.count({
-            where: { staffId: staff.id }
-          });
+    const card = await prisma.idCard.findUnique({ where: { id } });
+    if (!card) return res.status(404).json({ error: 'ID card not found' });
 
-          const totalClients = await prisma.submission.count({
-            where: { staffId: staff.id }
-          });
+    if (req.user.id !== card.userId && !(await hasPermission(req, 'idcards.manage'))) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
 
-          console.log(`  Staff: ${staff.name} - Active: ${activeLinks}, Total: ${totalLinks}, Clients: ${totalClients}`);
+    const rendered = await renderIdCard(req, card, { side, format });
+    res.setHeader('Content-Type', rendered.contentType);
+    res.setHeader('Content-Disposition', `${req.query.download === 'true' ? 'attachment' : 'inline'}; filename="${rendered.fileName}"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+    return res.send(rendered.buffer);
+  } catch (err) {
+    console.error('❌ GET /api/idcards/:id/render error:', err);
+    return res.status(500).json({ error: 'Failed to render ID card', details: err.message });
+  }
+});
 
-          return {
-            ...staff,
-            activeLinks,
-            totalLinks,
-            totalClients
-          };
-        })
-      );
+// --------------------
+// ID card print batches
+// --------------------
+// A batch selects active, not-yet-printed cards by employer, branch, issue
+// date or explicit ids and lays them out eight to an A4 sheet (2 × 4) with
+// crop marks. Each sheet of fronts is followed by a sheet of backs whose
+// columns are mirrored, so long-edge duplex printing lines the sides up.
+// The PDF and a CSV manifest are stored, and the cards are stamped with
+// printedAt so later batches skip them unless includePrinted is set.
+const PRINT_BATCH_MAX_CARDS = Number(process.env.PRINT_BATCH_MAX_CARDS || 80);
+const PRINT_BATCH_MAX_PENDING = 10;
+// A batch not touched for this long was lost with the instance that queued
+// it. Running batches touch theirs every sheet, waiting ones are touched by
+// failStalePrintBatches on the instance that holds them.
+const PRINT_BATCH_STALE_AFTER_MS = 30 * 60 * 1000;
+const PRINT_SHEET = {
+  width: 595.28, // A4 in points
+  height: 841.89,
+  columns: 2,
+  rows: 4,
+  gap: (3 / 25.4) * 72, // 3 mm between cards
+  markOffset: 6,
+  markLength: 18,
+};
+PRINT_SHEET.perSheet = PRINT_SHEET.columns * PRINT_SHEET.rows;
+PRINT_SHEET.left = (PRINT_SHEET.width - (PRINT_SHEET.columns * IDCARD_PDF_PT.width + (PRINT_SHEET.columns - 1) * PRINT_SHEET.gap)) / 2;
+PRINT_SHEET.top = (PRINT_SHEET.height - (PRINT_SHEET.rows * IDCARD_PDF_PT.height + (PRINT_SHEET.rows - 1) * PRINT_SHEET.gap)) / 2;
 
-      // Sort by activeLinks descending
-      const ranked = staffWithLinks.sort((a, b) => b.activeLinks - a.activeLinks);
+const PRINT_MANIFEST_COLUMNS = [
+  'sheet', 'position', 'cardId', 'cardNumber', 'fullName', 'employeeNumber',
+  'company', 'branch', 'role', 'issuedAt', 'expiresAt',
+];
 
-      console.log(`📈 Returning ${ranked.length} ranked staff members`);
-      res.json(ranked);
-    } catch (err) {
-      console.error("❌ staff leaderboard error:", err);
-      res.status(500).json({ error: "Failed to fetch leaderboard" });
+function parsePrintBatchFilters(body = {}) {
+  const filters = { includePrinted: body.includePrinted === true || body.includePrinted === 'true' };
+
+  for (const key of ['employer', 'branch']) {
+    const value = String(body[key] || '').trim();
+    if (value.length > 120) return { error: `${key} must be 120 characters or less` };
+    if (value) filters[key] = value;
+  }
+
+  if (body.issuedAfter) {
+    const date = new Date(String(body.issuedAfter));
+    if (Number.isNaN(date.getTime())) return { error: 'issuedAfter must be a valid date' };
+    filters.issuedAfter = date.toISOString();
+  }
+
+  if (body.cardIds !== undefined) {
+    const ids = Array.isArray(body.cardIds) ? body.cardIds.map(Number) : [];
+    if (!ids.length || ids.some((id) => !Number.isInteger(id) || id <= 0)) {
+      return { error: 'cardIds must be a non-empty array of ID card ids' };
+    }
+    if (ids.length > PRINT_BATCH_MAX_CARDS) {
+      return { error: `A batch can hold at most ${PRINT_BATCH_MAX_CARDS} cards` };
     }
+    filters.cardIds = [...new Set(ids)];
   }
-);
 
-app.delete(
-  "/api/staff/link/:id",
-  authenticate,
-  requireRole(["STAFF", "ADMIN", "SUPERADMIN"]),
-  async (req, res) => {
-    try {
-      const id = Number(req.params.id);
-      if (!id) return res.status(400).json({ error: "Invalid ID" });
+  return { filters };
+}
 
-      const link = await prisma.staffLink.findUnique({
-        where: { id }
-      });
+function buildPrintBatchWhere(filters) {
+  const where = { isActive: true, revokedAt: null };
+  if (!filters.includePrinted) where.printedAt = null;
+  if (filters.cardIds) where.id = { in: filters.cardIds };
+  if (filters.employer) where.company = { equals: filters.employer, mode: 'insensitive' };
+  if (filters.issuedAfter) where.issuedAt = { gte: new Date(filters.issuedAfter) };
+  if (filters.branch) {
+    where.user = {
+      submissions: { some: { deletedAt: null, branchName: { equals: filters.branch, mode: 'insensitive' } } },
+    };
+  }
+  return where;
+}
 
-      if (!link) return res.status(404).json({ error: "Link not found" });
+const PRINT_BATCH_CARD_INCLUDE = {
+  user: {
+    select: {
+      employeeNumber: true,
+      submissions: {
+        where: { deletedAt: null },
+        orderBy: { submittedAt: 'desc' },
+        take: 1,
+        select: { branchName: true },
+      },
+    },
+  },
+};
 
-      if (link.staffId !== req.user.id && req.user.role === "STAFF") {
-        return res.status(403).json({ error: "Forbidden" });
-      }
+// Group cards the way they are handed out: employer, then branch, then name.
+function sortCardsForDistribution(cards) {
+  const key = (card) => [card.company, card.user?.submissions?.[0]?.branchName || '', card.fullName]
+    .map((part) => String(part || '').toLowerCase());
+  return [...cards].sort((a, b) => {
+    const [ka, kb] = [key(a), key(b)];
+    for (let i = 0; i < ka.length; i += 1) {
+      const diff = ka[i].localeCompare(kb[i]);
+      if (diff) return diff;
+    }
+    return a.id - b.id;
+  });
+}
 
-      if (link.usedCount > 0) {
-        return res.status(400).json({
-          error: "Cannot delete a used link"
-        });
-      }
+function printSlotPosition(index, { mirrored = false } = {}) {
+  const row = Math.floor(index / PRINT_SHEET.columns);
+  const column = index % PRINT_SHEET.columns;
+  const placedColumn = mirrored ? PRINT_SHEET.columns - 1 - column : column;
+  return {
+    x: PRINT_SHEET.left + placedColumn * (IDCARD_PDF_PT.width + PRINT_SHEET.gap),
+    y: PRINT_SHEET.top + row * (IDCARD_PDF_PT.height + PRINT_SHEET.gap),
+  };
+}
 
-      await prisma.staffLink.delete({
-        where: { id }
+// Crop marks sit in the page margins on the extension of every card edge, so
+// they never overlap a neighbouring card.
+function drawPrintCropMarks(doc) {
+  const { columns, rows, gap, markOffset, markLength, left, top } = PRINT_SHEET;
+  const right = left + columns * IDCARD_PDF_PT.width + (columns - 1) * gap;
+  const bottom = top + rows * IDCARD_PDF_PT.height + (rows - 1) * gap;
+
+  doc.save().lineWidth(0.5).strokeColor('#000000');
+  for (let c = 0; c < columns; c += 1) {
+    const x0 = left + c * (IDCARD_PDF_PT.width + gap);
+    for (const x of [x0, x0 + IDCARD_PDF_PT.width]) {
+      doc.moveTo(x, top - markOffset).lineTo(x, top - markOffset - markLength).stroke();
+      doc.moveTo(x, bottom + markOffset).lineTo(x, bottom + markOffset + markLength).stroke();
+    }
+  }
+  for (let r = 0; r < rows; r += 1) {
+    const y0 = top + r * (IDCARD_PDF_PT.height + gap);
+    for (const y of [y0, y0 + IDCARD_PDF_PT.height]) {
+      doc.moveTo(left - markOffset, y).lineTo(left - markOffset - markLength, y).stroke();
+      doc.moveTo(right + markOffset, y).lineTo(right + markOffset + markLength, y).stroke();
+    }
+  }
+  doc.restore();
+}
+
+// renderSides(card) resolves to { front, back } PNG buffers. Cards are rendered
+// one sheet at a time so a large batch never holds every image in memory.
+async function renderPrintSheetsPdf(batch, cards, renderSides) {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 0,
+    autoFirstPage: false,
+    info: { Title: `FIBUCA ID card print batch ${batch.id}` },
+  });
+  const chunks = [];
+  const done = new Promise((resolve, reject) => {
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const sheetCount = Math.ceil(cards.length / PRINT_SHEET.perSheet);
+  for (let sheet = 0; sheet < sheetCount; sheet += 1) {
+    const sheetCards = cards.slice(sheet * PRINT_SHEET.perSheet, (sheet + 1) * PRINT_SHEET.perSheet);
+    const sides = [];
+    for (const card of sheetCards) sides.push(await renderSides(card));
+
+    for (const side of ['front', 'back']) {
+      doc.addPage();
+      doc.fontSize(8).fillColor('#4b5563').text(
+        `FIBUCA print batch #${batch.id} · sheet ${sheet + 1} of ${sheetCount} · ${side === 'front' ? 'fronts' : 'backs (print on reverse, flip on long edge)'}`,
+        PRINT_SHEET.left,
+        24,
+        { lineBreak: false }
+      );
+      sides.forEach((images, index) => {
+        const { x, y } = printSlotPosition(index, { mirrored: side === 'back' });
+        doc.image(images[side], x, y, { width: IDCARD_PDF_PT.width, height: IDCARD_PDF_PT.height });
       });
+      drawPrintCropMarks(doc);
+    }
+  }
 
-      res.json({ message: "Link deleted successfully" });
+  doc.end();
+  return { buffer: await done, sheetCount };
+}
 
-    } catch (err) {
-      console.error("❌ delete link error:", err);
-      res.status(500).json({ error: "Failed to delete link" });
+function buildPrintManifestCsv(cards) {
+  const rows = cards.map((card, index) => ({
+    sheet: Math.floor(index / PRINT_SHEET.perSheet) + 1,
+    position: (index % PRINT_SHEET.perSheet) + 1,
+    cardId: card.id,
+    cardNumber: card.cardNumber,
+    fullName: card.fullName,
+    employeeNumber: card.user?.employeeNumber || '',
+    company: card.company,
+    branch: card.user?.submissions?.[0]?.branchName || '',
+    role: card.role,
+    issuedAt: card.issuedAt ? new Date(card.issuedAt).toISOString() : '',
+    expiresAt: card.expiresAt ? new Date(card.expiresAt).toISOString() : '',
+  }));
+  return [
+    PRINT_MANIFEST_COLUMNS.join(','),
+    ...rows.map((row) => PRINT_MANIFEST_COLUMNS.map((column) => toCsvCell(row[column])).join(',')),
+  ].join('\r\n');
+}
+
+const printBatchQueue = createLocalQueue('idcard-print', processPrintBatch, { maxPending: PRINT_BATCH_MAX_PENDING });
+
+// `req` is the request that created the batch; it is only used to build the
+// verification and upload URLs.
+async function processPrintBatch({ batchId, req }) {
+  // Only a batch still QUEUED is run: one failed as stale while it waited
+  // may already have been replaced, and printing it would print cards twice.
+  const claimed = await prisma.idCardPrintBatch.updateMany({
+    where: { id: batchId, status: 'QUEUED' },
+    data: { status: 'PROCESSING', startedAt: new Date() },
+  });
+  if (!claimed.count) return;
+  const batch = await prisma.idCardPrintBatch.findUnique({ where: { id: batchId } });
+  const heartbeat = () => prisma.idCardPrintBatch.updateMany({
+    where: { id: batchId, status: 'PROCESSING' },
+    data: { status: 'PROCESSING' },
+  });
+
+  try {
+    // Re-check the selection: cards may have been revoked, or printed by an
+    // earlier batch, while this one was waiting.
+    const where = { ...buildPrintBatchWhere(batch.filters), id: { in: batch.cardIds } };
+    const cards = sortCardsForDistribution(
+      await prisma.idCard.findMany({ where, include: PRINT_BATCH_CARD_INCLUDE })
+    );
+    if (!cards.length) throw new Error('None of the selected cards can be printed any more');
+
+    let rendered = 0;
+    const { buffer, sheetCount } = await renderPrintSheetsPdf(batch, cards, async (card) => {
+      rendered += 1;
+      if (rendered % PRINT_SHEET.perSheet === 0) await heartbeat();
+      const cardWithToken = await ensureIdCardVerificationToken(card);
+      return {
+        front: await renderIdCardFront(cardWithToken, await loadIdCardPhoto(card)),
+        back: await renderIdCardBack(cardWithToken, buildIdCardVerificationUrl(req, cardWithToken)),
+      };
+    });
+    const pdfUrl = await uploadPrintBatchFile(req, buffer, 'pdf');
+    const manifestUrl = await uploadPrintBatchFile(req, Buffer.from(buildPrintManifestCsv(cards), 'utf8'), 'csv');
+
+    const printedAt = new Date();
+    await prisma.$transaction(async (tx) => {
+      // Cards are only stamped if the batch was not failed as stale meanwhile.
+      const completed = await tx.idCardPrintBatch.updateMany({
+        where: { id: batch.id, status: 'PROCESSING' },
+        data: {
+          status: 'COMPLETED',
+          cardCount: cards.length,
+          sheetCount,
+          pdfUrl,
+          manifestUrl,
+          error: null,
+          completedAt: printedAt,
+        },
+      });
+      if (!completed.count) throw new Error('The batch was marked as interrupted while it was printing');
+      await tx.idCard.updateMany({
+        where: { id: { in: cards.map((card) => card.id) } },
+        data: { printedAt, printBatchId: batch.id },
+      });
+      await tx.idCardEvent.createMany({
+        data: cards.map((card) => ({
+          cardId: card.id,
+          type: 'PRINTED',
+          actorId: batch.createdById,
+          details: { batchId: batch.id },
+        })),
+      });
+    });
+  } catch (err) {
+    console.error(`❌ print batch ${batchId} failed:`, err.message);
+    await prisma.idCardPrintBatch.updateMany({
+      where: { id: batchId, status: 'PROCESSING' },
+      data: { status: 'FAILED', error: err.message.slice(0, 500), completedAt: new Date() },
+    });
+  }
+}
+
+// Queued batches live in memory only, so a restarted instance loses its own.
+// Other instances may still be printing theirs: each first touches the
+// batches waiting in its queue, then fails batches nobody has touched for
+// PRINT_BATCH_STALE_AFTER_MS. Runs at boot and then periodically.
+async function failStalePrintBatches() {
+  try {
+    const waiting = printBatchQueue.items().map((item) => item.batchId);
+    if (waiting.length) {
+      await prisma.idCardPrintBatch.updateMany({
+        where: { id: { in: waiting }, status: 'QUEUED' },
+        data: { status: 'QUEUED' },
+      });
     }
+    await prisma.idCardPrintBatch.updateMany({
+      where: {
+        status: { in: ['QUEUED', 'PROCESSING'] },
+        updatedAt: { lt: new Date(Date.now() - PRINT_BATCH_STALE_AFTER_MS) },
+      },
+      data: { status: 'FAILED', error: 'Interrupted by a server restart. Please create the batch again.', completedAt: new Date() },
+    });
+  } catch (e) {
+    console.warn('⚠️ Could not recover interrupted print batches:', e.message);
   }
-);
+}
+
+failStalePrintBatches();
+setInterval(failStalePrintBatches, PRINT_BATCH_STALE_AFTER_MS / 2).unref();
+
+function toPrintBatchResponse(batch) {
+  return {
+    ...batch,
+    queuePosition: batch.status === 'QUEUED' ? printBatchQueue.position((item) => item.batchId === batch.id) : null,
+  };
+}
+
+// POST /api/admin/idcards/print-batches
+// Body: { employer?, branch?, issuedAfter?, cardIds?, includePrinted? }
+// Selections larger than PRINT_BATCH_MAX_CARDS are cut to the oldest cards;
+// `remaining` tells the caller how many are left for the next batch.
+app.post('/api/admin/idcards/print-batches', authenticate, requirePermission('idcards.print'), async (req, res) => {
+  try {
+    const { filters, error } = parsePrintBatchFilters(req.body || {});
+    if (error) return res.status(400).json({ error });
 
+    if (printBatchQueue.size >= PRINT_BATCH_MAX_PENDING) {
+      return res.status(503).json({ error: 'The print queue is full. Please try again in a few minutes.' });
+    }
 
+    const where = buildPrintBatchWhere(filters);
+    const [matched, selected] = await Promise.all([
+      prisma.idCard.count({ where }),
+      prisma.idCard.findMany({
+        where,
+        orderBy: [{ issuedAt: 'asc' }, { id: 'asc' }],
+        take: PRINT_BATCH_MAX_CARDS,
+        select: { id: true },
+      }),
+    ]);
+    if (!selected.length) {
+      return res.status(404).json({ error: 'No printable ID cards match these filters' });
+    }
 
+    const cardIds = selected.map((card) => card.id);
+    const batch = await prisma.idCardPrintBatch.create({
+      data: {
+        createdById: req.user.id,
+        filters,
+        cardIds,
+        cardCount: cardIds.length,
+        sheetCount: Math.ceil(cardIds.length / PRINT_SHEET.perSheet),
+      },
+    });
 
-/**
- * ✅ POST /bulk-upload
- * Receives an array of user records from Excel and saves them
- */
-app.post('/bulk-upload', async (req, res) => {
-  try {
-    const { records } = req.body;
-    if (!Array.isArray(records)) {
-      return res.status(400).json({ error: 'Invalid data format' });
+    // Nothing runs after the response on Vercel, so print before answering.
+    if (process.env.VERCEL) {
+      await processPrintBatch({ batchId: batch.id, req });
+    } else if (!printBatchQueue.push({ batchId: batch.id, req })) {
+      await prisma.idCardPrintBatch.update({
+        where: { id: batch.id },
+        data: { status: 'FAILED', error: 'Print queue full', completedAt: new Date() },
+      });
+      return res.status(503).json({ error: 'The print queue is full. Please try again in a few minutes.' });
     }
 
-    const saved = await prisma.$transaction(
-      records.map(record =>
-        prisma.submission.create({
-          data: {
-            employeeName: upperTrim(record.employeeName) || '',
-            employeeNumber: upperTrim(record.employeeNumber) || '',
-            phoneNumber: upperTrim(record.phoneNumber || record.phone),
-            pdfPath: record.pdfPath || '',
-            employerName: upperTrim(record.employerName) || '',
-            branchName: upperTrim(record.branchName || record.branch),
-            dues: upperTrim(record.dues) || '1%',
-            witness: upperTrim(record.witness) || '',
-            submittedAt: new Date()
-          }
-        })
-      )
-    );
+    await recordUserManagementEvent('idcard_print_batch_created', req, null, {
+      batchId: batch.id,
+      filters,
+      cardCount: cardIds.length,
+    });
+
+    if (process.env.VERCEL) {
+      const printed = await prisma.idCardPrintBatch.findUnique({ where: { id: batch.id } });
+      return res.status(201).json({
+        message: printed.status === 'COMPLETED' ? 'Print batch ready' : 'Print batch failed',
+        batch: toPrintBatchResponse(printed),
+        remaining: matched - cardIds.length,
+        statusUrl: `/api/admin/idcards/print-batches/${batch.id}`,
+      });
+    }
 
-    res.status(200).json({ message: 'Bulk upload successful', count: saved.length });
+    return res.status(202).json({
+      message: 'Print batch queued',
+      batch: toPrintBatchResponse(batch),
+      remaining: matched - cardIds.length,
+      statusUrl: `/api/admin/idcards/print-batches/${batch.id}`,
+    });
   } catch (err) {
-    console.error('❌ Bulk upload error:', err);
-    res.status(500).json({ error: 'Bulk upload failed' });
+    console.error('❌ POST /api/admin/idcards/print-batches error:', err);
+    return res.status(500).json({ error: 'Failed to create print batch', details: err.message });
   }
 });
 
-
-// ---------- GET /api/admin/idcards  (all cards, admin only) ----------
-app.get('/api/admin/idcards', authenticate, requireRole(['ADMIN', 'SUPERADMIN']), async (req, res) => {
+app.get('/api/admin/idcards/print-batches', authenticate, requirePermission('idcards.print'), async (req, res) => {
   try {
-    const cards = await prisma.idCard.findMany({
-      orderBy: { issuedAt: 'desc' },
-      include: {
-        user: {
-          select: { id: true, name: true, employeeNumber: true, email: true }
-        }
-      }
+    const batches = await prisma.idCardPrintBatch.findMany({
+      orderBy: { createdAt: 'desc' },
+      take: 50,
+      omit: { cardIds: true },
     });
-    const cardsWithTokens = await ensureIdCardVerificationTokens(cards);
-    res.json(cardsWithTokens);
+    return res.json(batches.map(toPrintBatchResponse));
   } catch (err) {
-    console.error('❌ GET /api/admin/idcards error:', err);
-    res.status(500).json({ error: 'Failed to fetch ID cards' });
+    console.error('❌ GET /api/admin/idcards/print-batches error:', err);
+    return res.status(500).json({ error: 'Failed to load print batches', details: err.message });
   }
 });
 
-async function updateIdCardRoleByAdmin(req, res) {
+app.get('/api/admin/idcards/print-batches/:id', authenticate, requirePermission('idcards.print'), async (req, res) => {
+  const id = Number(req.params.id);
+  if (!id) return res.status(400).json({ error: 'Invalid print batch id' });
   try {
-    const id = Number(req.params.id);
-    const incomingRole = typeof req.body?.role === 'string' ? req.body.role.trim() : '';
-
-    if (!id || Number.isNaN(id)) {
-      return res.status(400).json({ error: 'Invalid ID card id' });
-    }
-
-    if (!incomingRole) {
-      return res.status(400).json({ error: 'Role is required' });
-    }
-
-    if (incomingRole.length > 50) {
-      return res.status(400).json({ error: 'Role must be 50 characters or less' });
-    }
-
-    const existing = await prisma.idCard.findUnique({ where: { id } });
-    if (!existing) {
-      return res.status(404).json({ error: 'ID card not found' });
-    }
-
-    const normalizedRole = incomingRole
-      .split(/\s+/)
-      .filter(Boolean)
-      .map((word) => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
-      .join(' ');
-
-    const updated = await prisma.idCard.update({
+    const batch = await prisma.idCardPrintBatch.findUnique({
       where: { id },
-      data: { role: normalizedRole },
       include: {
-        user: {
-          select: { id: true, name: true, employeeNumber: true, email: true }
-        }
-      }
-    });
-
-    return res.json({
-      message: '✅ ID card role updated',
-      card: updated,
+        cards: {
+          orderBy: { id: 'asc' },
+          select: { id: true, cardNumber: true, fullName: true, company: true, printedAt: true },
+        },
+      },
     });
+    if (!batch) return res.status(404).json({ error: 'Print batch not found' });
+    return res.json(toPrintBatchResponse(batch));
   } catch (err) {
-    console.error('❌ PUT /api/admin/idcards role update error:', err);
-    return res.status(500).json({ error: 'Failed to update ID card role', details: err.message });
+    console.error(`❌ GET /api/admin/idcards/print-batches/${id} error:`, err);
+    return res.status(500).json({ error: 'Failed to load print batch', details: err.message });
   }
-}
-
-// ---------- PUT /api/admin/idcards/:id/role  (admin only) ----------
-app.put('/api/admin/idcards/:id/role', authenticate, requireRole(['ADMIN', 'SUPERADMIN']), updateIdCardRoleByAdmin);
-
-// Backward-compatible endpoint in case frontend/server versions are mixed.
-app.put('/api/admin/idcards/:id', authenticate, requireRole(['ADMIN', 'SUPERADMIN']), updateIdCardRoleByAdmin);
+});
 
 // ---------- GET /api/idcards/:userId ----------
 app.get('/api/idcards/:userId', authenticate, async (req, res) => {
@@ -3956,7 +9019,7 @@ app.get('/api/idcards/:userId', authenticate, async (req, res) => {
     const uid = parseInt(req.params.userId);
     if (isNaN(uid)) return res.status(400).json({ error: 'Invalid userId' });
 
-    if (req.user.role === 'CLIENT' && req.user.id !== uid) {
+    if (req.user.id !== uid && !(await hasPermission(req, 'idcards.manage'))) {
       return res.status(403).json({ error: 'Forbidden' });
     }
 
@@ -3969,14 +9032,6 @@ app.get('/api/idcards/:userId', authenticate, async (req, res) => {
 
     console.log(`🔍 fetched ${cards.length} cards for user ${uid} (PHOTO_MODE=${PHOTO_MODE})`);
 
-    // if we're in cloudinary mode, migrate any old local URLs before returning
-    if (PHOTO_MODE === 'cloudinary') {
-      await Promise.all(cards.map(async (c, i) => {
-        const updated = await ensureCloudinaryUrls(c);
-        cards[i] = updated;
-      }));
-    }
-
     res.json(cards);
   } catch (err) {
     console.error('❌ GET /api/idcards/:userId error:', err);
@@ -3987,7 +9042,7 @@ app.get('/api/idcards/:userId', authenticate, async (req, res) => {
 // ========================
 // ✅ Cloudinary clean URL helper (TRANSPARENT PNG)
 // ========================
-function makeTransparentCleanUrl(publicIdOrUploadResult) {
+function makeTransparentCleanUrl(publicIdOrUploadResult, type = "upload") {
   const publicId =
     typeof publicIdOrUploadResult === "string"
       ? publicIdOrUploadResult
@@ -3999,6 +9054,8 @@ function makeTransparentCleanUrl(publicIdOrUploadResult) {
   // - NO background:"white"
   // - NO crop pad (pad often introduces matte/flat background)
   return cloudinary.url(publicId, {
+    type,
+    sign_url: type !== "upload",
     format: "png",
     transformation: [
       { effect: "background_removal" },
@@ -4010,63 +9067,46 @@ function makeTransparentCleanUrl(publicIdOrUploadResult) {
     ],
   });
 }
-app.post('/api/idcards', authenticate, uploadPhoto.single('photo'), async (req, res) => {
+app.post('/api/idcards', authenticate, requirePermission('idcards.manage'), uploadPhoto.single('photo'), async (req, res) => {
   try {
-    const { userId, fullName, company, role, cardNumber } = req.body;
+    const { userId, fullName, company, role } = req.body;
 
-    if (!userId || !fullName || !company || !role || !cardNumber) {
+    if (!userId || !fullName || !company || !role) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
+    // Reject a bad photo before the card (and its number) is created.
+    const image = req.file && req.file.buffer ? await normalizeImage(req.file.buffer) : null;
+
+    // Card numbers always come from the allocator; a cardNumber in the body is ignored.
     // Create card first (without photo)
+    const issuedAt = new Date();
     let card = await prisma.idCard.create({
       data: {
         userId: parseInt(userId),
         fullName,
         company,
         role,
-        cardNumber,
+        issuedAt,
+        cardNumber: await allocateIdCardNumber(prisma, { company, issuedAt }),
         verificationToken: generateIdCardVerificationToken(),
         isActive: true,
+        expiresAt: await computeIdCardExpiry(prisma, role, issuedAt),
         rawPhotoUrl: '',
         cleanPhotoUrl: '',
       }
     });
+    await recordIdCardEvent(prisma, card.id, 'ISSUED', { actorId: req.user.id });
 
-    let rawPhotoUrl = '';
-    let cleanPhotoUrl = '';
-
-    if (req.file && req.file.buffer) {
-      if (PHOTO_MODE === "cloudinary") {
-        console.log("☁️ POST using Cloudinary AI mode");
+    if (image) {
+      const { rawPhotoUrl, photoVariants, publicId } = await storeIdCardPhoto(req, image, card);
+      // In VPS mode keep cleanPhotoUrl empty until cleaning is done
+      const cleanPhotoUrl = PHOTO_MODE === "cloudinary" ? makeTransparentCleanUrl(publicId, getCloudinaryDeliveryType(rawPhotoUrl)) : "";
 
-        const uploadResult = await new Promise((resolve, reject) => {
-          const stream = cloudinary.uploader.upload_stream(
-            {
-              folder: cloudFolder(CLOUDINARY_FOLDERS.photos),
-              resource_type: "image",
-            },
-            (error, result) => (error ? reject(error) : resolve(result))
-          );
-          streamifier.createReadStream(req.file.buffer).pipe(stream);
-        });
-
-        rawPhotoUrl = uploadResult.secure_url;
-        cleanPhotoUrl = makeTransparentCleanUrl(uploadResult);
-      } else {
-        const rawFilename = `raw_${card.id}_${Date.now()}.png`;
-        const rawDiskPath = path.join(PHOTOS_UPLOAD_DIR, rawFilename);
-
-        await fs.promises.writeFile(rawDiskPath, req.file.buffer);
-        rawPhotoUrl = buildUploadUrl(req, `photos/${rawFilename}`);
-
-        // In VPS mode keep cleanPhotoUrl empty until cleaning is done
-        cleanPhotoUrl = "";
-      }
       // Update card with photo URLs
       card = await prisma.idCard.update({
         where: { id: card.id },
-        data: { rawPhotoUrl, cleanPhotoUrl },
+        data: { rawPhotoUrl, cleanPhotoUrl, photoVariants },
       });
     }
 
@@ -4076,14 +9116,296 @@ app.post('/api/idcards', authenticate, uploadPhoto.single('photo'), async (req,
     });
 
   } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
     console.error('❌ POST /api/idcards error:', err);
     res.status(500).json({ error: 'Failed to create ID card', details: err.message });
   }
 });
 
+// --------------------
+// ID card photo moderation
+// --------------------
+// Photos a CLIENT uploads for their own card are stored but only put on the
+// card once staff approve them (optionally rotated and cropped). Each upload
+// is pre-checked for portrait aspect ratio, resolution, a face-like region
+// (a skin-tone heuristic, not a face detector) and near-duplicates of other
+// members' photos (64-bit difference hash, compared by Hamming distance).
+// Failed checks only flag the submission; the reviewer decides. The checks
+// and the edits staff may make are in photo-checks.js.
+
+// `image` comes from normalizeImage. The original derivative becomes the
+// card's rawPhotoUrl, which background removal and the card renderer use.
+async function storeIdCardPhoto(req, image, card) {
+  const { urls, originalPublicId } = await storeImageDerivatives(req, image, { folder: 'photos', ownerId: card.userId });
+  return { rawPhotoUrl: urls.original, photoVariants: urls, publicId: originalPublicId };
+}
+
+function isSkinPixel(r, g, b) {
+  const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+  const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+  return cb >= 77 && cb <= 127 && cr >= 133 && cr <= 173;
+}
+
+async function analyzeMemberPhoto(buffer) {
+  const image = await loadImage(buffer);
+
+  // Difference hash: 9×8 greyscale, one bit per horizontal neighbour pair.
+  const hashCanvas = createCanvas(9, 8);
+  const hashCtx = hashCanvas.getContext('2d');
+  hashCtx.drawImage(image, 0, 0, 9, 8);
+  const hashPixels = hashCtx.getImageData(0, 0, 9, 8).data;
+  const grey = (i) => 0.299 * hashPixels[i] + 0.587 * hashPixels[i + 1] + 0.114 * hashPixels[i + 2];
+  const bytes = Buffer.alloc(8);
+  for (let y = 0; y < 8; y += 1) {
+    for (let x = 0; x < 8; x += 1) {
+      const i = (y * 9 + x) * 4;
+      if (grey(i) > grey(i + 4)) bytes[y] |= 1 << (7 - x);
+    }
+  }
+
+  // Share of skin-toned pixels where a face sits in a passport-style photo.
+  const sample = createCanvas(48, 48);
+  const sampleCtx = sample.getContext('2d');
+  sampleCtx.drawImage(image, image.width * 0.2, image.height * 0.1, image.width * 0.6, image.height * 0.6, 0, 0, 48, 48);
+  const pixels = sampleCtx.getImageData(0, 0, 48, 48).data;
+  let skin = 0;
+  for (let i = 0; i < pixels.length; i += 4) {
+    if (isSkinPixel(pixels[i], pixels[i + 1], pixels[i + 2])) skin += 1;
+  }
+
+  return {
+    width: image.width,
+    height: image.height,
+    perceptualHash: bytes.toString('hex'),
+    skinRatio: Math.round((skin / (48 * 48)) * 1000) / 1000,
+  };
+}
+
+// Compares against every pending or approved photo of other members; the
+// hashes are 16 characters each, so this stays cheap for our member count.
+async function findNearDuplicatePhotos(perceptualHash, userId) {
+  const others = await prisma.photoSubmission.findMany({
+    where: { userId: { not: userId }, status: { in: ['PENDING', 'APPROVED'] }, perceptualHash: { not: null } },
+    select: { id: true, userId: true, cardId: true, perceptualHash: true },
+  });
+  return others
+    .map((other) => ({ ...other, distance: hashDistance(perceptualHash, other.perceptualHash) }))
+    .filter((other) => other.distance <= PHOTO_CHECK_LIMITS.duplicateMaxDistance)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, 5)
+    .map(({ perceptualHash: _hash, ...other }) => other);
+}
+
+async function applyPhotoEdits(buffer, { rotate = 0, crop = null }) {
+  const image = await loadImage(buffer);
+  const size = rotatedPhotoSize(image.width, image.height, rotate);
+  const rotated = createCanvas(size.width, size.height);
+  const ctx = rotated.getContext('2d');
+  ctx.translate(size.width / 2, size.height / 2);
+  ctx.rotate((rotate * Math.PI) / 180);
+  ctx.drawImage(image, -image.width / 2, -image.height / 2);
+  if (!crop) return rotated.toBuffer('image/png');
+
+  const out = createCanvas(crop.width, crop.height);
+  out.getContext('2d').drawImage(rotated, crop.x, crop.y, crop.width, crop.height, 0, 0, crop.width, crop.height);
+  return out.toBuffer('image/png');
+}
+
+async function submitPhotoForModeration(req, res, card, image, clientCleaned) {
+  const analysis = await analyzeMemberPhoto(image.derivatives.original.buffer);
+  const { rawPhotoUrl, photoVariants } = await storeIdCardPhoto(req, image, card);
+  const duplicates = await findNearDuplicatePhotos(analysis.perceptualHash, req.user.id);
+  const { checks, flags } = buildPhotoChecks(analysis, duplicates);
+
+  const [, submission] = await prisma.$transaction([
+    prisma.photoSubmission.updateMany({
+      where: { cardId: card.id, status: 'PENDING' },
+      data: { status: 'SUPERSEDED' },
+    }),
+    prisma.photoSubmission.create({
+      data: {
+        cardId: card.id,
+        userId: req.user.id,
+        photoUrl: rawPhotoUrl,
+        photoVariants,
+        clientCleaned,
+        width: analysis.width,
+        height: analysis.height,
+        perceptualHash: analysis.perceptualHash,
+        flags,
+        checks,
+      },
+    }),
+  ]);
+
+  return res.status(202).json({
+    message: '✅ Photo submitted for review. It will appear on your card once approved.',
+    submission,
+  });
+}
+
+const PHOTO_SUBMISSION_INCLUDE = {
+  card: {
+    select: {
+      id: true, userId: true, cardNumber: true, fullName: true, company: true, rawPhotoUrl: true, cleanPhotoUrl: true,
+      user: { select: { id: true, name: true, username: true, employeeNumber: true, role: true } },
+    },
+  },
+};
+
+// GET /api/admin/photo-moderation?status=PENDING&flagged=true
+app.get('/api/admin/photo-moderation', authenticate, requirePermission('photos.moderate'), async (req, res) => {
+  try {
+    const status = String(req.query.status || 'PENDING').toUpperCase();
+    if (!['PENDING', 'APPROVED', 'REJECTED', 'SUPERSEDED'].includes(status)) {
+      return res.status(400).json({ error: 'Invalid status filter' });
+    }
+    const where = { status };
+    if (req.query.flagged === 'true') where.NOT = { flags: { isEmpty: true } };
+
+    const submissions = await prisma.photoSubmission.findMany({
+      where,
+      orderBy: { createdAt: status === 'PENDING' ? 'asc' : 'desc' },
+      take: 200,
+      include: PHOTO_SUBMISSION_INCLUDE,
+    });
+    return res.json(submissions);
+  } catch (err) {
+    console.error('❌ GET /api/admin/photo-moderation error:', err);
+    return res.status(500).json({ error: 'Failed to load photo queue', details: err.message });
+  }
+});
+
+async function getPendingPhotoOrReject(req, res) {
+  const id = Number(req.params.id);
+  if (!id) {
+    res.status(400).json({ error: 'Invalid photo submission id' });
+    return null;
+  }
+  const submission = await prisma.photoSubmission.findUnique({ where: { id }, include: PHOTO_SUBMISSION_INCLUDE });
+  if (!submission) {
+    res.status(404).json({ error: 'Photo submission not found' });
+    return null;
+  }
+  if (submission.status !== 'PENDING') {
+    res.status(409).json({ error: `Photo submission is already ${submission.status.toLowerCase()}` });
+    return null;
+  }
+  return submission;
+}
+
+// POST { rotate?: 0|90|180|270, crop?: { x, y, width, height } }
+// Puts the (edited) photo on the card and starts background removal.
+app.post('/api/admin/photo-moderation/:id/approve', authenticate, requirePermission('photos.moderate'), async (req, res) => {
+  try {
+    const submission = await getPendingPhotoOrReject(req, res);
+    if (!submission) return;
+
+    const { edits, error } = parsePhotoEdits(req.body || {}, submission);
+    if (error) return res.status(400).json({ error });
+
+    let rawPhotoUrl = submission.photoUrl;
+    let photoVariants = submission.photoVariants;
+    let publicId = PHOTO_MODE === 'cloudinary' ? getCloudinaryPublicId(rawPhotoUrl) : null;
+    if (edits) {
+      const original = await loadStoredImageBuffer(submission.photoUrl);
+      if (!original) return res.status(422).json({ error: 'The uploaded photo could not be loaded' });
+      const edited = await normalizeImage(await applyPhotoEdits(original, edits));
+      ({ rawPhotoUrl, photoVariants, publicId } = await storeIdCardPhoto(req, edited, submission.card));
+    }
+
+    let cleanPhotoUrl = '';
+    if (submission.clientCleaned) cleanPhotoUrl = rawPhotoUrl;
+    else if (PHOTO_MODE === 'cloudinary') cleanPhotoUrl = makeTransparentCleanUrl(publicId, getCloudinaryDeliveryType(rawPhotoUrl));
+
+    const [card, approved] = await prisma.$transaction([
+      prisma.idCard.update({ where: { id: submission.cardId }, data: { rawPhotoUrl, cleanPhotoUrl, photoVariants } }),
+      prisma.photoSubmission.update({
+        where: { id: submission.id },
+        data: { status: 'APPROVED', edits, finalPhotoUrl: rawPhotoUrl, reviewedById: req.user.id, reviewedAt: new Date() },
+      }),
+    ]);
+
+    await prisma.user.update({
+      where: { id: card.userId },
+      data: { profilePhotoUrl: cleanPhotoUrl || rawPhotoUrl, profilePhotoVariants: Prisma.DbNull },
+    }).catch((e) => console.warn('⚠️ profilePhotoUrl sync skipped:', e.message));
+
+    const cleanJob = !cleanPhotoUrl ? await startPhotoCleanJob(req, card.id, rawPhotoUrl) : null;
+    await recordUserManagementEvent('idcard_photo_approved', req, submission.card.user, {
+      submissionId: submission.id,
+      cardId: card.id,
+      edits,
+      flags: submission.flags,
+    });
+
+    return res.json({ message: '✅ Photo approved', submission: approved, card, cleanJob });
+  } catch (err) {
+    console.error('❌ POST /api/admin/photo-moderation/:id/approve error:', err);
+    return res.status(500).json({ error: 'Failed to approve photo', details: err.message });
+  }
+});
+
+app.post('/api/admin/photo-moderation/:id/reject', authenticate, requirePermission('photos.moderate'), async (req, res) => {
+  const reason = String(req.body?.reason || '').trim().slice(0, 500);
+  if (!reason) return res.status(400).json({ error: 'reason is required' });
+
+  try {
+    const submission = await getPendingPhotoOrReject(req, res);
+    if (!submission) return;
+
+    const rejected = await prisma.photoSubmission.update({
+      where: { id: submission.id },
+      data: { status: 'REJECTED', rejectionReason: reason, reviewedById: req.user.id, reviewedAt: new Date() },
+    });
+    await recordUserManagementEvent('idcard_photo_rejected', req, submission.card.user, {
+      submissionId: submission.id,
+      cardId: submission.cardId,
+      reason,
+    });
+
+    return res.json({ message: '✅ Photo rejected', submission: rejected });
+  } catch (err) {
+    console.error('❌ POST /api/admin/photo-moderation/:id/reject error:', err);
+    return res.status(500).json({ error: 'Failed to reject photo', details: err.message });
+  }
+});
+
+// Lets members see whether their upload is still pending and why it was rejected.
+app.get('/api/idcards/:id/photo-submissions', authenticate, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id) return res.status(400).json({ error: 'Invalid ID card id' });
+
+    const card = await prisma.idCard.findUnique({ where: { id } });
+    if (!card) return res.status(404).json({ error: 'ID card not found' });
+    if (!(await canAccessIdCard(req, card)) && !(await hasPermission(req, 'photos.moderate'))) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    const submissions = await prisma.photoSubmission.findMany({
+      where: { cardId: id },
+      orderBy: { createdAt: 'desc' },
+      take: 20,
+      select: {
+        id: true, status: true, photoUrl: true, flags: true, rejectionReason: true,
+        createdAt: true, reviewedAt: true,
+      },
+    });
+    return res.json(submissions);
+  } catch (err) {
+    console.error('❌ GET /api/idcards/:id/photo-submissions error:', err);
+    return res.status(500).json({ error: 'Failed to load photo submissions', details: err.message });
+  }
+});
+
 /**
  * ✅ PUT /api/idcards/:id/photo
  * Upload a raw ID card photo and generate cleaned version.
+ * Uploads by the card's member (without idcards.manage) go to the photo
+ * moderation queue instead.
  */
 app.put('/api/idcards/:id/photo', authenticate, uploadPhoto.single('photo'), async (req, res) => {
   try {
@@ -4093,12 +9415,13 @@ app.put('/api/idcards/:id/photo', authenticate, uploadPhoto.single('photo'), asy
     const card = await prisma.idCard.findUnique({ where: { id } });
     if (!card) return res.status(404).json({ error: 'ID card not found' });
 
-    if (req.user.role === 'CLIENT' && req.user.id !== card.userId) {
+    const managesCards = await hasPermission(req, 'idcards.manage');
+    if (!managesCards && req.user.id !== card.userId) {
       return res.status(403).json({ error: 'Forbidden' });
     }
 
-    // Clients may upload only once; staff/admin can update freely
-    if (req.user.role === 'CLIENT' && card.rawPhotoUrl) {
+    // Members may upload only once (a rejected upload does not count); card managers can update freely
+    if (!managesCards && card.rawPhotoUrl) {
       return res.status(403).json({ error: 'You have already uploaded your ID photo. Contact staff to update it.' });
     }
 
@@ -4107,39 +9430,24 @@ app.put('/api/idcards/:id/photo', authenticate, uploadPhoto.single('photo'), asy
     }
 
     const clientCleaned = String(req.headers['x-photo-cleaned'] || '').trim() === '1';
+    const image = await normalizeImage(req.file.buffer);
 
-    let rawPhotoUrl = '';
-    let cleanPhotoUrl = '';
+    if (!managesCards) {
+      return submitPhotoForModeration(req, res, card, image, clientCleaned);
+    }
+
+    const { rawPhotoUrl, photoVariants, publicId } = await storeIdCardPhoto(req, image, card);
+    let cleanPhotoUrl = card.cleanPhotoUrl || "";
 
     if (PHOTO_MODE === "cloudinary") {
       console.log("☁️ Using Cloudinary AI mode");
-
-      const uploadResult = await new Promise((resolve, reject) => {
-        const stream = cloudinary.uploader.upload_stream(
-          {
-            folder: cloudFolder(CLOUDINARY_FOLDERS.photos),
-            resource_type: "image",
-          },
-          (error, result) => (error ? reject(error) : resolve(result))
-        );
-        streamifier.createReadStream(req.file.buffer).pipe(stream);
-      });
-
-      rawPhotoUrl = uploadResult.secure_url;
       // If client already removed the background in browser, reuse uploaded PNG.
-      cleanPhotoUrl = clientCleaned ? rawPhotoUrl : makeTransparentCleanUrl(uploadResult);
-    } else {
-      const rawFilename = `raw_${id}_${Date.now()}.png`;
-      const rawDiskPath = path.join(PHOTOS_UPLOAD_DIR, rawFilename);
-
-      await fs.promises.writeFile(rawDiskPath, req.file.buffer);
-      rawPhotoUrl = buildUploadUrl(req, `photos/${rawFilename}`);
-      cleanPhotoUrl = card.cleanPhotoUrl || "";
+      cleanPhotoUrl = clientCleaned ? rawPhotoUrl : makeTransparentCleanUrl(publicId, getCloudinaryDeliveryType(rawPhotoUrl));
     }
 
     const updatedCard = await prisma.idCard.update({
       where: { id },
-      data: { rawPhotoUrl, cleanPhotoUrl },
+      data: { rawPhotoUrl, cleanPhotoUrl, photoVariants },
     });
 
     // Sync ID card photo to user profile photo so avatar reflects it
@@ -4147,7 +9455,7 @@ app.put('/api/idcards/:id/photo', authenticate, uploadPhoto.single('photo'), asy
     if (displayPhoto) {
       await prisma.user.update({
         where: { id: card.userId },
-        data: { profilePhotoUrl: displayPhoto },
+        data: { profilePhotoUrl: displayPhoto, profilePhotoVariants: Prisma.DbNull },
       }).catch((e) => console.warn('⚠️ profilePhotoUrl sync skipped:', e.message));
     }
 
@@ -4157,12 +9465,15 @@ app.put('/api/idcards/:id/photo', authenticate, uploadPhoto.single('photo'), asy
     });
 
   } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
     console.error("❌ Photo upload failed:", err);
     res.status(500).json({ error: 'Failed to upload photo', details: err.message });
   }
 });
 
-app.put('/api/idcards/:id/clean-photo', authenticate, async (req, res) => {
+app.put('/api/idcards/:id/clean-photo', authenticate, requirePermission('idcards.manage'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     if (isNaN(id)) return res.status(400).json({ error: 'Invalid ID' });
@@ -4188,7 +9499,7 @@ app.put('/api/idcards/:id/clean-photo', authenticate, async (req, res) => {
       }
 
       // ✅ Transparent PNG background removal
-      cleanPhotoUrl = makeTransparentCleanUrl(publicId);
+      cleanPhotoUrl = makeTransparentCleanUrl(publicId, getCloudinaryDeliveryType(card.rawPhotoUrl));
     }
 
     const updatedCard = await prisma.idCard.update({
@@ -4216,7 +9527,7 @@ app.delete('/api/idcards/:id', authenticate, async (req, res) => {
     const card = await prisma.idCard.findUnique({ where: { id } });
     if (!card) return res.status(404).json({ error: 'ID card not found' });
 
-    if (req.user.role === 'CLIENT' && req.user.id !== card.userId) {
+    if (!(await canAccessIdCard(req, card))) {
       return res.status(403).json({ error: 'Forbidden' });
     }
 
@@ -4232,7 +9543,7 @@ app.delete('/api/idcards/:id', authenticate, async (req, res) => {
 // List all users (omit password)
 
 app.get('/api/admin/users',
-  authenticate, requireRole(['ADMIN', 'SUPERADMIN']), async (req, res) => {
+  authenticate, requirePermission('users.manage'), async (req, res) => {
     try {
       const users = await prisma.user.findMany({
         select: {
@@ -4243,22 +9554,209 @@ app.get('/api/admin/users',
           employeeNumber: true,
           role: true,
           firstLogin: true,
+          registrationStatus: true,
           createdAt: true
         },
         orderBy: { createdAt: 'desc' }
       })
       res.json(users)
     } catch (err) {
-      console.error('❌ GET /api/admin/users error:', err)
-      res.status(500).json({ error: 'Failed to fetch users' })
+      console.error('❌ GET /api/admin/users error:', err)
+      res.status(500).json({ error: 'Failed to fetch users' })
+    }
+  })
+
+// ——————————————————————————
+// Registration review queue
+// Self-registered accounts wait here as PENDING until approved, rejected or
+// linked to the membership Submission that carries their employee number.
+const REGISTRATION_STATUSES = ['PENDING', 'APPROVED', 'REJECTED'];
+
+const REGISTRATION_USER_SELECT = {
+  id: true,
+  name: true,
+  username: true,
+  email: true,
+  employeeNumber: true,
+  role: true,
+  registrationStatus: true,
+  registrationReviewedAt: true,
+  registrationReviewedById: true,
+  registrationNote: true,
+  createdAt: true,
+};
+
+async function getPendingRegistrationOrReject(req, res) {
+  const id = Number(req.params.id);
+  if (!id || Number.isNaN(id)) {
+    res.status(400).json({ error: 'Invalid user id' });
+    return null;
+  }
+  const user = await getManageableUserOrReject(req, res, id);
+  if (!user) return null;
+  if (user.registrationStatus !== 'PENDING') {
+    res.status(409).json({ error: `Registration already ${user.registrationStatus.toLowerCase()}` });
+    return null;
+  }
+  return user;
+}
+
+function registrationReviewData(req, status, note) {
+  return {
+    registrationStatus: status,
+    registrationReviewedAt: new Date(),
+    registrationReviewedById: req.user.id,
+    registrationNote: note ? String(note).trim().slice(0, 500) : null,
+  };
+}
+
+// GET  /api/admin/registrations?status=PENDING
+// Each entry carries the unlinked Submission with the same employee number, if any.
+app.get('/api/admin/registrations',
+  authenticate, requirePermission('registrations.review'), async (req, res) => {
+    const status = String(req.query.status || 'PENDING').toUpperCase();
+    if (!REGISTRATION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${REGISTRATION_STATUSES.join(', ')}` });
+    }
+
+    try {
+      const users = await prisma.user.findMany({
+        where: { registrationStatus: status, deletedAt: null },
+        select: REGISTRATION_USER_SELECT,
+        orderBy: { createdAt: status === 'PENDING' ? 'asc' : 'desc' },
+      });
+
+      const submissions = users.length
+        ? await prisma.submission.findMany({
+          where: { employeeNumber: { in: users.map((u) => u.employeeNumber) }, deletedAt: null },
+          select: { id: true, employeeName: true, employeeNumber: true, employerName: true, branchName: true, userId: true, submittedAt: true },
+        })
+        : [];
+      const submissionsByNumber = new Map(submissions.map((sub) => [sub.employeeNumber, sub]));
+
+      return res.json(users.map((user) => ({
+        ...user,
+        matchingSubmission: submissionsByNumber.get(user.employeeNumber) || null,
+      })));
+    } catch (err) {
+      console.error('❌ GET /api/admin/registrations error:', err);
+      return res.status(500).json({ error: 'Failed to load registrations', details: err.message });
+    }
+  });
+
+// POST  /api/admin/registrations/:id/approve   { note? }
+app.post('/api/admin/registrations/:id/approve',
+  authenticate, requirePermission('registrations.review'), async (req, res) => {
+    try {
+      const user = await getPendingRegistrationOrReject(req, res);
+      if (!user) return;
+
+      const updated = await prisma.user.update({
+        where: { id: user.id },
+        data: registrationReviewData(req, 'APPROVED', req.body?.note),
+        select: REGISTRATION_USER_SELECT,
+      });
+      await recordUserManagementEvent('registration_approved', req, user, { note: updated.registrationNote });
+
+      return res.json({ message: '✅ Registration approved', user: updated });
+    } catch (err) {
+      console.error(`❌ POST /api/admin/registrations/${req.params.id}/approve error:`, err);
+      return res.status(500).json({ error: 'Failed to approve registration', details: err.message });
+    }
+  });
+
+// POST  /api/admin/registrations/:id/reject   { reason }
+app.post('/api/admin/registrations/:id/reject',
+  authenticate, requirePermission('registrations.review'), async (req, res) => {
+    const reason = String(req.body?.reason || '').trim();
+    if (!reason) return res.status(400).json({ error: 'reason is required' });
+
+    try {
+      const user = await getPendingRegistrationOrReject(req, res);
+      if (!user) return;
+
+      const updated = await prisma.user.update({
+        where: { id: user.id },
+        data: registrationReviewData(req, 'REJECTED', reason),
+        select: REGISTRATION_USER_SELECT,
+      });
+      await recordUserManagementEvent('registration_rejected', req, user, { reason: updated.registrationNote });
+
+      return res.json({ message: '✅ Registration rejected', user: updated });
+    } catch (err) {
+      console.error(`❌ POST /api/admin/registrations/${req.params.id}/reject error:`, err);
+      return res.status(500).json({ error: 'Failed to reject registration', details: err.message });
+    }
+  });
+
+// POST  /api/admin/registrations/:id/link   { employeeNumber?, note? }
+// Attach the account to an existing verified Submission and approve it. The employee
+// number defaults to the one given at registration; passing a different one
+// corrects the account's employee number as well, and its username when that
+// was the old number.
+app.post('/api/admin/registrations/:id/link',
+  authenticate, requirePermission('registrations.review'), async (req, res) => {
+    try {
+      const user = await getPendingRegistrationOrReject(req, res);
+      if (!user) return;
+
+      const employeeNumber = upperTrim(req.body?.employeeNumber) || user.employeeNumber;
+      const submission = await prisma.submission.findUnique({ where: { employeeNumber } });
+      if (!submission || submission.deletedAt) {
+        return res.status(404).json({ error: `No submission found for employee number ${employeeNumber}` });
+      }
+      if (submission.userId && submission.userId !== user.id) {
+        return res.status(409).json({ error: 'Submission is already linked to another account' });
+      }
+      if (submission.status !== 'VERIFIED') {
+        return res.status(409).json({ error: `Submission is ${submission.status.toLowerCase().replace('_', ' ')}; verify it first` });
+      }
+      let newUsername = null;
+      if (employeeNumber !== user.employeeNumber) {
+        const taken = await prisma.user.findUnique({ where: { employeeNumber } });
+        if (taken) return res.status(409).json({ error: 'employeeNumber already in use by another account' });
+        if (user.username === user.employeeNumber) {
+          const usernameTaken = await prisma.user.findUnique({ where: { username: employeeNumber }, select: { id: true } });
+          if (!usernameTaken) newUsername = employeeNumber;
+        }
+      }
+
+      const [updated] = await prisma.$transaction([
+        prisma.user.update({
+          where: { id: user.id },
+          data: {
+            ...registrationReviewData(req, 'APPROVED', req.body?.note),
+            employeeNumber,
+            ...(newUsername ? { username: newUsername } : {}),
+          },
+          select: REGISTRATION_USER_SELECT,
+        }),
+        prisma.submission.update({
+          where: { id: submission.id },
+          data: { userId: user.id },
+        }),
+      ]);
+
+      await recordUserManagementEvent('registration_linked', req, user, {
+        submissionId: submission.id,
+        employeeNumber,
+        previousEmployeeNumber: employeeNumber !== user.employeeNumber ? user.employeeNumber : undefined,
+        previousUsername: newUsername ? user.username : undefined,
+        note: updated.registrationNote,
+      });
+
+      return res.json({ message: '✅ Registration linked and approved', user: updated, submissionId: submission.id });
+    } catch (err) {
+      console.error(`❌ POST /api/admin/registrations/${req.params.id}/link error:`, err);
+      return res.status(500).json({ error: 'Failed to link registration', details: err.message });
     }
-  })
+  });
 
 // ——————————————————————————
 // POST  /api/admin/users
 // Create a new user
 app.post('/api/admin/users',
-  authenticate, requireRole(['ADMIN', 'SUPERADMIN']), async (req, res) => {
+  authenticate, requirePermission('users.manage'), async (req, res) => {
     const { name, username, email, password, role, employeeNumber } = req.body
 
     if (!name || !username || !password || !employeeNumber) {
@@ -4268,8 +9766,8 @@ app.post('/api/admin/users',
     }
 
     try {
-      if (req.user.role === 'ADMIN' && role === 'SUPERADMIN') {
-        return res.status(403).json({ error: 'Admin cannot create superadmin users' })
+      if (!canAssignRole(req.user, role)) {
+        return res.status(403).json({ error: `You cannot create users with the ${role} role` })
       }
 
       // ensure username & employeeNumber are unique
@@ -4331,7 +9829,7 @@ app.post('/api/admin/users',
 // PUT   /api/admin/users/:id
 // Update name, email, role or employeeNumber
 app.put('/api/admin/users/:id',
-  authenticate, requireRole(['ADMIN', 'SUPERADMIN']), async (req, res) => {
+  authenticate, requirePermission('users.manage'), async (req, res) => {
     const { id } = req.params
     const { name, email, role, employeeNumber } = req.body
 
@@ -4339,8 +9837,8 @@ app.put('/api/admin/users/:id',
       const existing = await getManageableUserOrReject(req, res, Number(id))
       if (!existing) return
 
-      if (req.user.role === 'ADMIN' && role === 'SUPERADMIN') {
-        return res.status(403).json({ error: 'Admin cannot assign superadmin role' })
+      if (!canAssignRole(req.user, role)) {
+        return res.status(403).json({ error: `You cannot assign the ${role} role` })
       }
 
       // if employeeNumber changed, check uniqueness
@@ -4387,10 +9885,201 @@ app.put('/api/admin/users/:id',
     }
   })
 
+// GET   /api/admin/users/:id/sessions
+// List a user's login sessions (newest first)
+app.get('/api/admin/users/:id/sessions',
+  authenticate, requirePermission('users.security'), async (req, res) => {
+    const id = Number(req.params.id);
+    if (!id || Number.isNaN(id)) return res.status(400).json({ error: 'Invalid user id' });
+
+    try {
+      const user = await getManageableUserOrReject(req, res, id, { allowSelf: true });
+      if (!user) return;
+
+      const sessions = await prisma.userSession.findMany({
+        where: { userId: id },
+        orderBy: { createdAt: 'desc' },
+        take: 50,
+        select: {
+          id: true,
+          ip: true,
+          userAgent: true,
+          createdAt: true,
+          lastUsedAt: true,
+          expiresAt: true,
+          revokedAt: true,
+          revokedReason: true,
+        },
+      });
+
+      const now = Date.now();
+      return res.json(sessions.map((session) => ({
+        ...session,
+        active: !session.revokedAt && session.expiresAt.getTime() > now,
+      })));
+    } catch (err) {
+      console.error(`❌ GET /api/admin/users/${id}/sessions error:`, err);
+      return res.status(500).json({ error: 'Failed to fetch sessions', details: err.message });
+    }
+  });
+
+// DELETE /api/admin/users/:id/sessions/:sessionId
+// Revoke one session of a user
+app.delete('/api/admin/users/:id/sessions/:sessionId',
+  authenticate, requirePermission('users.security'), async (req, res) => {
+    const id = Number(req.params.id);
+    const sessionId = Number(req.params.sessionId);
+    if (!id || !sessionId) return res.status(400).json({ error: 'Invalid user or session id' });
+
+    try {
+      const user = await getManageableUserOrReject(req, res, id, { allowSelf: true });
+      if (!user) return;
+
+      const session = await prisma.userSession.findUnique({ where: { id: sessionId } });
+      if (!session || session.userId !== id) return res.status(404).json({ error: 'Session not found' });
+      if (session.revokedAt) return res.status(409).json({ error: 'Session is already revoked' });
+
+      await revokeUserSession(sessionId, 'admin_revoked');
+      await recordUserManagementEvent('user_session_revoked', req, user, { sessionId });
+
+      return res.json({ message: 'Session revoked', sessionId });
+    } catch (err) {
+      console.error(`❌ DELETE /api/admin/users/${id}/sessions/${sessionId} error:`, err);
+      return res.status(500).json({ error: 'Failed to revoke session', details: err.message });
+    }
+  });
+
+// DELETE /api/admin/users/:id/sessions
+// Revoke every session of a user (forces sign-out on all devices)
+app.delete('/api/admin/users/:id/sessions',
+  authenticate, requirePermission('users.security'), async (req, res) => {
+    const id = Number(req.params.id);
+    if (!id || Number.isNaN(id)) return res.status(400).json({ error: 'Invalid user id' });
+
+    try {
+      const user = await getManageableUserOrReject(req, res, id, { allowSelf: true });
+      if (!user) return;
+
+      const revokedSessions = await revokeUserSessions(id, 'admin_revoked_all');
+      await recordUserManagementEvent('user_sessions_revoked', req, user, { revokedSessions });
+
+      return res.json({ message: 'All sessions revoked', revokedSessions });
+    } catch (err) {
+      console.error(`❌ DELETE /api/admin/users/${id}/sessions error:`, err);
+      return res.status(500).json({ error: 'Failed to revoke sessions', details: err.message });
+    }
+  });
+
+// POST  /api/admin/users/:id/2fa/reset
+// Clear a user's TOTP enrollment (lost device) and sign them out everywhere.
+app.post('/api/admin/users/:id/2fa/reset',
+  authenticate, requirePermission('users.security'), async (req, res) => {
+    const id = Number(req.params.id);
+    if (!id || Number.isNaN(id)) return res.status(400).json({ error: 'Invalid user id' });
+
+    try {
+      const user = await getManageableUserOrReject(req, res, id);
+      if (!user) return;
+
+      await prisma.user.update({ where: { id }, data: TOTP_RESET_DATA });
+      const revokedSessions = await revokeUserSessions(id, 'two_factor_reset');
+      await recordUserManagementEvent('user_two_factor_reset', req, user, { revokedSessions });
+
+      return res.json({ message: 'Two-factor authentication reset', revokedSessions });
+    } catch (err) {
+      console.error(`❌ POST /api/admin/users/${id}/2fa/reset error:`, err);
+      return res.status(500).json({ error: 'Failed to reset two-factor authentication', details: err.message });
+    }
+  });
+
+// GET  /api/admin/users/:id/permissions
+// Role bundle, per-user overrides and the resulting effective permissions.
+app.get('/api/admin/users/:id/permissions',
+  authenticate, requirePermission('permissions.manage'), async (req, res) => {
+    const id = Number(req.params.id);
+    if (!id || Number.isNaN(id)) return res.status(400).json({ error: 'Invalid user id' });
+
+    try {
+      const user = await getManageableUserOrReject(req, res, id, { allowSelf: true });
+      if (!user) return;
+
+      const [bundles, overrides, effective] = await Promise.all([
+        getRolePermissionBundles(),
+        prisma.userPermissionOverride.findMany({
+          where: { userId: id },
+          orderBy: { permission: 'asc' },
+        }),
+        getEffectivePermissions(user),
+      ]);
+
+      return res.json({
+        userId: id,
+        role: user.role,
+        rolePermissions: bundles[user.role]?.permissions || [],
+        overrides: overrides.map((o) => ({ permission: o.permission, granted: o.granted, createdAt: o.createdAt })),
+        effectivePermissions: [...effective].sort(),
+      });
+    } catch (err) {
+      console.error(`❌ GET /api/admin/users/${id}/permissions error:`, err);
+      return res.status(500).json({ error: 'Failed to load user permissions', details: err.message });
+    }
+  });
+
+// PUT  /api/admin/users/:id/permissions
+// Replace a user's overrides: { grant: [...], revoke: [...] }.
+app.put('/api/admin/users/:id/permissions',
+  authenticate, requirePermission('permissions.manage'), async (req, res) => {
+    const id = Number(req.params.id);
+    if (!id || Number.isNaN(id)) return res.status(400).json({ error: 'Invalid user id' });
+
+    const grant = Array.isArray(req.body?.grant) ? req.body.grant : [];
+    const revoke = Array.isArray(req.body?.revoke) ? req.body.revoke : [];
+    const unknown = [...grant, ...revoke].filter((permission) => !PERMISSIONS[permission]);
+    if (unknown.length) {
+      return res.status(400).json({ error: 'Unknown permissions', unknown });
+    }
+    const conflicting = grant.filter((permission) => revoke.includes(permission));
+    if (conflicting.length) {
+      return res.status(400).json({ error: 'A permission cannot be both granted and revoked', conflicting });
+    }
+
+    try {
+      const user = await getManageableUserOrReject(req, res, id);
+      if (!user) return;
+      if (user.role === 'SUPERADMIN') {
+        return res.status(400).json({ error: 'Superadmins always hold every permission' });
+      }
+
+      const rows = [
+        ...normalizePermissionList(grant).map((permission) => ({ userId: id, permission, granted: true, createdById: req.user.id })),
+        ...normalizePermissionList(revoke).map((permission) => ({ userId: id, permission, granted: false, createdById: req.user.id })),
+      ];
+      await prisma.$transaction([
+        prisma.userPermissionOverride.deleteMany({ where: { userId: id } }),
+        prisma.userPermissionOverride.createMany({ data: rows }),
+      ]);
+
+      await recordUserManagementEvent('user_permissions_updated', req, user, {
+        granted: rows.filter((row) => row.granted).map((row) => row.permission),
+        revoked: rows.filter((row) => !row.granted).map((row) => row.permission),
+      });
+
+      const effective = await getEffectivePermissions(user);
+      return res.json({
+        message: '✅ User permissions updated',
+        overrides: rows.map(({ permission, granted }) => ({ permission, granted })),
+        effectivePermissions: [...effective].sort(),
+      });
+    } catch (err) {
+      console.error(`❌ PUT /api/admin/users/${id}/permissions error:`, err);
+      return res.status(500).json({ error: 'Failed to update user permissions', details: err.message });
+    }
+  });
+
 // POST  /api/admin/users/:id/reset-first-login-otp
 // Force first-login flow and send OTP via selected channel.
 app.post('/api/admin/users/:id/reset-first-login-otp',
-  authenticate, requireRole(['ADMIN', 'SUPERADMIN']), async (req, res) => {
+  authenticate, requirePermission('users.security'), async (req, res) => {
     try {
       const id = Number(req.params.id);
       if (!id || Number.isNaN(id)) {
@@ -4470,7 +10159,7 @@ app.post('/api/admin/users/:id/reset-first-login-otp',
 // POST /api/admin/users/:id/reset-password
 // Admin directly sets a temporary password; user is forced to change on next login.
 app.post('/api/admin/users/:id/reset-password',
-  authenticate, requireRole(['ADMIN', 'SUPERADMIN']), async (req, res) => {
+  authenticate, requirePermission('users.security'), async (req, res) => {
     const id = Number(req.params.id);
     if (isNaN(id)) return res.status(400).json({ error: 'Invalid user ID' });
 
@@ -4499,6 +10188,8 @@ app.post('/api/admin/users/:id/reset-password',
         },
       });
 
+      const revokedSessions = await revokeUserSessions(id, 'admin_password_reset');
+
       // Send new credentials via all configured channels (best-effort)
       const latestSub = await prisma.submission.findFirst({
         where: { employeeNumber: user.employeeNumber },
@@ -4512,7 +10203,7 @@ app.post('/api/admin/users/:id/reset-password',
         phone: latestSub?.phoneNumber || '',
       }).catch((e) => console.warn('⚠️ sendWelcomeCredentials (reset-password) failed:', e.message));
 
-      await recordUserManagementEvent('user_password_reset', req, user);
+      await recordUserManagementEvent('user_password_reset', req, user, { revokedSessions });
 
       return res.json({ message: 'Password reset successfully. Credentials sent to user.' });
     } catch (err) {
@@ -4525,7 +10216,7 @@ app.post('/api/admin/users/:id/reset-password',
 // DELETE /api/admin/users/:id
 // Soft delete a user by ID and track in submissions
 app.delete('/api/admin/users/:id',
-  authenticate, requireRole(['ADMIN', 'SUPERADMIN']), async (req, res) => {
+  authenticate, requirePermission('users.manage'), async (req, res) => {
     const id = Number(req.params.id);
     if (isNaN(id)) return res.status(400).json({ error: 'Invalid user ID' });
 
@@ -4577,27 +10268,31 @@ app.delete('/api/admin/users/:id',
 
 // ——————————————————————————
 // Submissions endpoints (used by frontend at '/submissions')
-// GET /submissions -> ADMIN: all submissions; CLIENT: their own submissions
+// GET /submissions?status= -> with submissions.search: all submissions; otherwise the caller's own
 app.get('/submissions', authenticate, async (req, res) => {
+  const status = req.query.status ? String(req.query.status).toUpperCase() : null
+  if (status && !SUBMISSION_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${SUBMISSION_STATUSES.join(', ')}` })
+  }
   try {
-    if (req.user.role === 'CLIENT') {
+    if (!(await hasPermission(req, 'submissions.search'))) {
       const subs = await prisma.submission.findMany({
         where: {
           employeeNumber: req.user.employeeNumber,
-          deletedAt: null
+          deletedAt: null,
+          ...(status ? { status } : {})
         },
         orderBy: { submittedAt: 'desc' }
       })
       return res.json(subs)
     }
 
-    // ADMIN / SUPERADMIN -> all
-    const subs = await prisma.submission.findMany({
-      where: { deletedAt: null },
-      orderBy: { submittedAt: 'desc' }
-    })
-    res.json(subs)
+    // Staff -> one page of all submissions (same parameters as the search routes)
+    const result = await getSubmissionSearchOrReject(res, req.query, [Prisma.sql`"deletedAt" IS NULL`])
+    if (!result) return
+    res.json(result)
   } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ error: err.message })
     console.error('❌ GET /submissions error:', err)
     res.status(500).json({ error: 'Failed to fetch submissions' })
   }
@@ -4606,62 +10301,14 @@ app.get('/submissions', authenticate, async (req, res) => {
 app.get(
   "/api/admin/submissions/search",
   authenticate,
-  requireRole(["ADMIN", "SUPERADMIN"]),
+  requirePermission("submissions.search_all"),
   async (req, res) => {
     try {
-      const {
-        employerName,
-        branchName,
-        employeeName,
-        employeeNumber,
-        phoneNumber,
-      } = req.query;
-
-      const where = {};
-      where.deletedAt = null;
-
-      if (employerName) {
-        where.employerName = {
-          contains: String(employerName).trim(),
-          mode: "insensitive",
-        };
-      }
-
-      if (branchName) {
-        where.branchName = {
-          contains: String(branchName).trim(),
-          mode: "insensitive",
-        };
-      }
-
-      if (employeeName) {
-        where.employeeName = {
-          contains: String(employeeName).trim(),
-          mode: "insensitive",
-        };
-      }
-
-      if (employeeNumber) {
-        where.employeeNumber = {
-          contains: String(employeeNumber).trim(),
-          mode: "insensitive",
-        };
-      }
-
-      if (phoneNumber) {
-        where.phoneNumber = {
-          contains: String(phoneNumber).trim(),
-          mode: "insensitive",
-        };
-      }
-
-      const rows = await prisma.submission.findMany({
-        where,
-        orderBy: { submittedAt: "desc" },
-      });
-
-      res.json(rows);
+      const result = await getSubmissionSearchOrReject(res, req.query, [Prisma.sql`"deletedAt" IS NULL`]);
+      if (!result) return;
+      res.json(result);
     } catch (err) {
+      if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
       console.error("❌ admin submission search error:", err);
       res.status(500).json({
         error: "Failed to search submissions",
@@ -4671,26 +10318,73 @@ app.get(
   }
 );
 
-// PUT /submissions/:id -> update submission (admin only)
-app.put('/submissions/:id', authenticate, async (req, res) => {
-  const id = Number(req.params.id)
-  if (!['ADMIN', 'SUPERADMIN'].includes(req.user.role)) {
-    return res.status(403).json({ error: 'Forbidden' })
+// ——————————————————————————
+// Submission revisions
+// Every change to a submission's form fields is kept as a SubmissionRevision,
+// so the timeline shows who changed what and any earlier state can be restored.
+
+// The nested create for a revision of `before` updated with `data`, or
+// undefined when no form field changes (Prisma then skips it).
+function submissionRevision(before, data, { actorId = null, source, revertedToId = null }) {
+  const changes = {};
+  for (const field of SUBMISSION_FORM_FIELDS) {
+    if (data[field] === undefined) continue;
+    const from = before[field] ?? null;
+    const to = data[field] ?? null;
+    if (from !== to) changes[field] = { from, to };
+  }
+  if (!Object.keys(changes).length) return undefined;
+  return { create: { actorId, source, changes, revertedToId } };
+}
+
+// The form fields as they were right after the given revision, or before the
+// first one for 'original', by undoing every later revision.
+async function submissionStateAt(submission, revisionId) {
+  const revisions = await prisma.submissionRevision.findMany({
+    where: { submissionId: submission.id },
+    orderBy: { id: 'desc' },
+  });
+  if (revisionId !== 'original' && !revisions.some((revision) => revision.id === revisionId)) return null;
+
+  const state = Object.fromEntries(SUBMISSION_FORM_FIELDS.map((field) => [field, submission[field] ?? null]));
+  for (const revision of revisions) {
+    if (revision.id === revisionId) break;
+    for (const [field, change] of Object.entries(revision.changes || {})) {
+      if (SUBMISSION_FORM_FIELDS.includes(field)) state[field] = change.from;
+    }
   }
+  return state;
+}
+
+// PUT /submissions/:id -> update submission (only the fields sent)
+app.put('/submissions/:id', authenticate, requirePermission('submissions.edit'), async (req, res) => {
+  const id = Number(req.params.id)
 
   const normalized = normalizeSubmissionPayload(req.body);
-  const { employeeName, employeeNumber, employerName, branchName, phoneNumber, dues, witness } = normalized;
+  const data = {}
+  for (const field of SUBMISSION_FORM_FIELDS) {
+    if (req.body?.[field] !== undefined) data[field] = normalized[field]
+  }
     try {
+    const existing = await prisma.submission.findUnique({ where: { id } })
+    if (!existing) return res.status(404).json({ error: 'Submission not found' })
+
+    // A branch that was not sent is checked against the (new) employer too
+    if (data.employerName !== undefined || data.branchName !== undefined) {
+      const registry = await getEmployerAndBranchOrReject(
+        res,
+        data.employerName ?? existing.employerName,
+        data.branchName !== undefined ? data.branchName : existing.branchName
+      )
+      if (!registry) return
+      Object.assign(data, employerFields(registry))
+    }
+
     const updated = await prisma.submission.update({
       where: { id },
       data: {
-        employeeName: employeeName ?? undefined,
-        employeeNumber: employeeNumber ?? undefined,
-        employerName: employerName ?? undefined,
-        branchName: branchName ?? undefined,
-        phoneNumber: phoneNumber ?? undefined,
-        dues: dues ?? undefined,
-        witness: witness ?? undefined
+        ...data,
+        revisions: submissionRevision(existing, data, { actorId: req.user.id, source: 'edit' })
       }
     })
     res.json(updated)
@@ -4700,12 +10394,110 @@ app.put('/submissions/:id', authenticate, async (req, res) => {
   }
 })
 
-// DELETE /submissions/:id -> delete submission (admin only)
-app.delete('/submissions/:id', authenticate, async (req, res) => {
+// GET /submissions/:id/revisions -> revision timeline, newest first
+app.get('/submissions/:id/revisions', authenticate, requirePermission('submissions.search'), async (req, res) => {
+  const id = Number(req.params.id)
+  if (isNaN(id)) return res.status(400).json({ error: 'Invalid submission ID' })
+
+  try {
+    const submission = await prisma.submission.findUnique({ where: { id } })
+    if (!submission) return res.status(404).json({ error: 'Submission not found' })
+
+    const revisions = await prisma.submissionRevision.findMany({
+      where: { submissionId: id },
+      orderBy: { id: 'desc' }
+    })
+    const actorIds = [...new Set(revisions.map((revision) => revision.actorId).filter(Boolean))]
+    const actors = actorIds.length
+      ? await prisma.user.findMany({ where: { id: { in: actorIds } }, select: { id: true, name: true, role: true } })
+      : []
+    const actorsById = new Map(actors.map((actor) => [actor.id, actor]))
+
+    res.json({
+      submission,
+      revisions: revisions.map((revision) => ({ ...revision, actor: actorsById.get(revision.actorId) || null }))
+    })
+  } catch (err) {
+    console.error(`❌ GET /submissions/${id}/revisions error:`, err)
+    res.status(500).json({ error: 'Failed to load revisions', details: err.message })
+  }
+})
+
+// POST /submissions/:id/revisions/:revisionId/revert -> restore the fields as
+// they were right after that revision ('original' for the form as submitted).
+// The revert is itself a revision, so it can be undone the same way.
+app.post('/submissions/:id/revisions/:revisionId/revert', authenticate, requirePermission('submissions.edit'), async (req, res) => {
   const id = Number(req.params.id)
-  if (!['ADMIN', 'SUPERADMIN'].includes(req.user.role)) {
-    return res.status(403).json({ error: 'Forbidden' })
+  const revisionId = req.params.revisionId === 'original' ? 'original' : Number(req.params.revisionId)
+  if (isNaN(id) || Number.isNaN(revisionId)) return res.status(400).json({ error: 'Invalid submission or revision ID' })
+
+  try {
+    const existing = await prisma.submission.findUnique({ where: { id } })
+    if (!existing) return res.status(404).json({ error: 'Submission not found' })
+    if (existing.deletedAt) return res.status(409).json({ error: 'Restore the submission before reverting it' })
+
+    const state = await submissionStateAt(existing, revisionId)
+    if (!state) return res.status(404).json({ error: 'Revision not found for this submission' })
+    // Older revisions may hold spellings from before the registry; they
+    // resolve through its aliases
+    const registry = await getEmployerAndBranchOrReject(res, state.employerName, state.branchName)
+    if (!registry) return
+    Object.assign(state, employerFields(registry))
+
+    const revision = submissionRevision(existing, state, {
+      actorId: req.user.id,
+      source: 'revert',
+      revertedToId: revisionId === 'original' ? null : revisionId
+    })
+    if (!revision) return res.json({ message: 'Submission already matches that revision', submission: existing })
+
+    // The member account follows the submission's employee number, as in a
+    // transfer, so reverting a number correction does not strand the account
+    const member = await prisma.user.findUnique({ where: { employeeNumber: existing.employeeNumber } })
+    const numberChanged = state.employeeNumber !== existing.employeeNumber
+    let newUsername = null
+    if (numberChanged) {
+      const taken = await prisma.submission.findUnique({ where: { employeeNumber: state.employeeNumber }, select: { id: true } })
+      if (taken) return res.status(409).json({ error: `Employee number ${state.employeeNumber} is now used by submission #${taken.id}` })
+      const takenByUser = await prisma.user.findUnique({ where: { employeeNumber: state.employeeNumber }, select: { id: true } })
+      if (takenByUser) return res.status(409).json({ error: `Employee number ${state.employeeNumber} is now used by another account` })
+      if (member && member.username === existing.employeeNumber) {
+        const usernameTaken = await prisma.user.findUnique({ where: { username: state.employeeNumber }, select: { id: true } })
+        if (usernameTaken) return res.status(409).json({ error: `Username ${state.employeeNumber} is already taken` })
+        newUsername = state.employeeNumber
+      }
+    }
+
+    const updated = await prisma.$transaction(async (tx) => {
+      const submission = await tx.submission.update({
+        where: { id },
+        data: { ...state, revisions: revision }
+      })
+      if (member && numberChanged) {
+        await tx.user.update({
+          where: { id: member.id },
+          data: { employeeNumber: state.employeeNumber, ...(newUsername ? { username: newUsername } : {}) }
+        })
+      }
+      return submission
+    })
+
+    await recordUserManagementEvent('submission_reverted', req, member || { name: existing.employeeName, employeeNumber: existing.employeeNumber }, {
+      submissionId: id,
+      revertedTo: revisionId,
+      changes: revision.create.changes
+    })
+
+    res.json({ message: '✅ Submission reverted', submission: updated })
+  } catch (err) {
+    console.error(`❌ POST /submissions/${id}/revisions/${req.params.revisionId}/revert error:`, err)
+    res.status(500).json({ error: 'Failed to revert submission', details: err.message })
   }
+})
+
+// DELETE /submissions/:id -> archive submission
+app.delete('/submissions/:id', authenticate, requirePermission('submissions.delete'), async (req, res) => {
+  const id = Number(req.params.id)
 
   try {
     const existing = await prisma.submission.findUnique({
@@ -4756,7 +10548,7 @@ app.delete('/submissions/:id', authenticate, async (req, res) => {
 })
 
 // GET /submissions/archived/list -> fetch deleted/archived submissions (admin only)
-app.get('/submissions/archived/list', authenticate, requireRole(['ADMIN', 'SUPERADMIN']), async (req, res) => {
+app.get('/submissions/archived/list', authenticate, requirePermission('submissions.archive'), async (req, res) => {
   try {
     const archived = await prisma.submission.findMany({
       where: { deletedAt: { not: null } },
@@ -4781,7 +10573,7 @@ app.get('/submissions/archived/list', authenticate, requireRole(['ADMIN', 'SUPER
 })
 
 // PATCH /submissions/:id/restore -> restore soft-deleted submission
-app.patch('/submissions/:id/restore', authenticate, requireRole(['ADMIN', 'SUPERADMIN']), async (req, res) => {
+app.patch('/submissions/:id/restore', authenticate, requirePermission('submissions.archive'), async (req, res) => {
   const id = Number(req.params.id)
   if (isNaN(id)) return res.status(400).json({ error: 'Invalid submission ID' })
 
@@ -4804,7 +10596,7 @@ app.patch('/submissions/:id/restore', authenticate, requireRole(['ADMIN', 'SUPER
 })
 
 // DELETE /submissions/:id/permanent -> permanently delete archived submission (admin only)
-app.delete('/submissions/:id/permanent', authenticate, requireRole(['ADMIN', 'SUPERADMIN']), async (req, res) => {
+app.delete('/submissions/:id/permanent', authenticate, requirePermission('submissions.archive'), async (req, res) => {
   const id = Number(req.params.id)
   if (isNaN(id)) return res.status(400).json({ error: 'Invalid submission ID' })
 
@@ -4824,7 +10616,7 @@ app.delete('/submissions/:id/permanent', authenticate, requireRole(['ADMIN', 'SU
 })
 
 // GET /api/admin/users/archived/list -> fetch soft-deleted users (admin only)
-app.get('/api/admin/users/archived/list', authenticate, requireRole(['ADMIN', 'SUPERADMIN']), async (req, res) => {
+app.get('/api/admin/users/archived/list', authenticate, requirePermission('users.manage'), async (req, res) => {
   try {
     const archived = await prisma.user.findMany({
       where: { deletedAt: { not: null } },
@@ -4853,7 +10645,7 @@ app.get('/api/admin/users/archived/list', authenticate, requireRole(['ADMIN', 'S
 })
 
 // PATCH /api/admin/users/:id/restore -> restore soft-deleted user
-app.patch('/api/admin/users/:id/restore', authenticate, requireRole(['ADMIN', 'SUPERADMIN']), async (req, res) => {
+app.patch('/api/admin/users/:id/restore', authenticate, requirePermission('users.manage'), async (req, res) => {
   const id = Number(req.params.id)
   if (isNaN(id)) return res.status(400).json({ error: 'Invalid user ID' })
 
@@ -4877,7 +10669,7 @@ app.patch('/api/admin/users/:id/restore', authenticate, requireRole(['ADMIN', 'S
 })
 
 // DELETE /api/admin/users/:id/permanent -> permanently delete archived user (admin only)
-app.delete('/api/admin/users/:id/permanent', authenticate, requireRole(['ADMIN', 'SUPERADMIN']), async (req, res) => {
+app.delete('/api/admin/users/:id/permanent', authenticate, requirePermission('users.manage'), async (req, res) => {
   const id = Number(req.params.id)
   if (isNaN(id)) return res.status(400).json({ error: 'Invalid user ID' })
 
@@ -4898,7 +10690,7 @@ app.delete('/api/admin/users/:id/permanent', authenticate, requireRole(['ADMIN',
 })
 
 // POST /api/admin/users/bulk -> bulk operations on multiple users
-app.post('/api/admin/users/bulk', authenticate, requireRole(['ADMIN', 'SUPERADMIN']), async (req, res) => {
+app.post('/api/admin/users/bulk', authenticate, requirePermission('users.manage'), async (req, res) => {
   const { action, userIds } = req.body;
 
   if (!action || !Array.isArray(userIds) || userIds.length === 0) {
@@ -4947,110 +10739,198 @@ app.post('/api/admin/users/bulk', authenticate, requireRole(['ADMIN', 'SUPERADMI
 
 // (photos directory is now served above; cleaned images saved locally)
 
+// --------------------
+// Photo background removal queue
+// --------------------
+// POST /api/idcards/:id/fetch-and-clean records the raw photo on the card and
+// queues a PhotoCleanJob; the client polls /api/idcards/photo-jobs/:jobId for
+// the cleaned URL. At most PHOTO_CLEAN_WORKERS rembg processes run at once,
+// each killed after PHOTO_CLEAN_TIMEOUT_MS, and failed attempts are retried
+// with a growing delay. Jobs live in the database and are re-queued on boot.
+// On Vercel there is no Python, so the photo is stored as-is inside the request.
+const PHOTO_CLEAN_WORKERS = Number(process.env.PHOTO_CLEAN_WORKERS || 1);
+const PHOTO_CLEAN_TIMEOUT_MS = Number(process.env.PHOTO_CLEAN_TIMEOUT_MS || 120000);
+const PHOTO_CLEAN_MAX_ATTEMPTS = Number(process.env.PHOTO_CLEAN_MAX_ATTEMPTS || 3);
+const PHOTO_CLEAN_MAX_PENDING = Number(process.env.PHOTO_CLEAN_MAX_PENDING || 50);
+const PHOTO_CLEAN_RETRY_DELAY_MS = 15000;
+
+const photoCleanQueue = createLocalQueue('photo-clean', processPhotoCleanJob, {
+  concurrency: PHOTO_CLEAN_WORKERS,
+  maxPending: PHOTO_CLEAN_MAX_PENDING,
+});
+
+async function storeCleanPhoto(job, buffer) {
+  const card = await prisma.idCard.findUnique({ where: { id: job.cardId }, select: { userId: true } });
+  const { url } = await putUpload(job.baseUrl, `${newFileKey('idcards')}.png`, buffer, { ownerId: card ? card.userId : null });
+  return url;
+}
+
+async function processPhotoCleanJob({ jobId }) {
+  const job = await prisma.photoCleanJob.findUnique({
+    where: { id: jobId },
+    include: { card: { select: { rawPhotoUrl: true } } },
+  });
+  if (!job || job.status !== 'QUEUED') return;
+
+  // A newer upload replaced this photo while the job was waiting.
+  if (job.card.rawPhotoUrl !== job.rawPhotoUrl) {
+    await prisma.photoCleanJob.update({ where: { id: jobId }, data: { status: 'SUPERSEDED', completedAt: new Date() } });
+    return;
+  }
+
+  const attempts = job.attempts + 1;
+  await prisma.photoCleanJob.update({
+    where: { id: jobId },
+    data: { status: 'PROCESSING', attempts, startedAt: new Date() },
+  });
+
+  try {
+    const original = await loadStoredImageBuffer(job.rawPhotoUrl);
+    if (!original) throw new Error('Raw photo could not be loaded');
+
+    const cleaned = process.env.VERCEL
+      ? original
+      : await removeBackground(original, { timeoutMs: PHOTO_CLEAN_TIMEOUT_MS });
+    const cleanPhotoUrl = await storeCleanPhoto(job, cleaned);
+
+    const { count } = await prisma.idCard.updateMany({
+      where: { id: job.cardId, rawPhotoUrl: job.rawPhotoUrl },
+      data: { cleanPhotoUrl },
+    });
+    await prisma.photoCleanJob.update({
+      where: { id: jobId },
+      data: { status: count ? 'COMPLETED' : 'SUPERSEDED', cleanPhotoUrl, error: null, completedAt: new Date() },
+    });
+  } catch (err) {
+    console.error(`❌ photo clean job ${jobId} attempt ${attempts} failed:`, err.message);
+    const retry = attempts < PHOTO_CLEAN_MAX_ATTEMPTS;
+    await prisma.photoCleanJob.update({
+      where: { id: jobId },
+      data: {
+        status: retry ? 'QUEUED' : 'FAILED',
+        error: err.message.slice(0, 500),
+        completedAt: retry ? null : new Date(),
+      },
+    });
+    if (retry) {
+      setTimeout(() => enqueuePhotoCleanJob(jobId), PHOTO_CLEAN_RETRY_DELAY_MS * attempts).unref();
+    }
+  }
+}
+
+async function enqueuePhotoCleanJob(jobId) {
+  if (photoCleanQueue.push({ jobId })) return true;
+  await prisma.photoCleanJob.update({
+    where: { id: jobId },
+    data: { status: 'FAILED', error: 'Photo queue full', completedAt: new Date() },
+  }).catch((e) => console.warn(`⚠️ Could not fail photo clean job ${jobId}:`, e.message));
+  return false;
+}
+
+// Raw photos are already stored, so unfinished jobs can simply run again.
+if (!process.env.VERCEL) {
+  prisma.photoCleanJob.updateMany({ where: { status: 'PROCESSING' }, data: { status: 'QUEUED' } })
+    .then(() => prisma.photoCleanJob.findMany({ where: { status: 'QUEUED' }, orderBy: { id: 'asc' }, select: { id: true } }))
+    .then((jobs) => Promise.all(jobs.map((job) => enqueuePhotoCleanJob(job.id))))
+    .catch((e) => console.warn('⚠️ Could not resume photo clean jobs:', e.message));
+}
+
+// Queues background removal for the card's current raw photo, superseding
+// any job still waiting for that card. On Vercel the job runs before this
+// returns. Resolves to the job, or null when the queue is full.
+async function startPhotoCleanJob(req, cardId, rawPhotoUrl) {
+  const [, job] = await prisma.$transaction([
+    prisma.photoCleanJob.updateMany({
+      where: { cardId, status: 'QUEUED' },
+      data: { status: 'SUPERSEDED', completedAt: new Date() },
+    }),
+    prisma.photoCleanJob.create({
+      data: {
+        cardId,
+        requestedById: req.user.id,
+        rawPhotoUrl,
+        baseUrl: process.env.BACKEND_URL || `${req.protocol}://${req.get('host')}`,
+      },
+    }),
+  ]);
+
+  if (process.env.VERCEL) {
+    await processPhotoCleanJob({ jobId: job.id });
+    return prisma.photoCleanJob.findUnique({ where: { id: job.id } });
+  }
+  return (await enqueuePhotoCleanJob(job.id)) ? job : null;
+}
+
+function toPhotoCleanJobResponse(job) {
+  return {
+    ...job,
+    queuePosition: job.status === 'QUEUED' ? photoCleanQueue.position((item) => item.jobId === job.id) : null,
+  };
+}
+
+// The photo must already be in our storage, either as the card's raw photo or
+// as a file belonging to the card's member, so the server never fetches an
+// address the caller chose.
+async function isStoredPhotoForCard(card, url) {
+  const driver = storageForUrl(url);
+  if (!driver) return false;
+  if (url === card.rawPhotoUrl) return true;
+  const key = driver.keyFor(url);
+  const file = key ? await prisma.storedFile.findUnique({ where: { key } }) : null;
+  return !!file && file.ownerId === card.userId;
+}
+
 /**
- * POST /api/idcards/:id/fetch-and-clean
- * Fetch raw image server-side, use optimized Python rembg for cleaning,
- * upload cleaned PNG to Cloudinary and update idCard.cleanPhotoUrl.
+ * POST /api/idcards/:id/fetch-and-clean   { rawPhotoUrl }
+ * Saves rawPhotoUrl on the card and queues background removal. Responds 202
+ * with the job; poll statusUrl until it is COMPLETED (cleanPhotoUrl set) or
+ * FAILED (the card keeps showing the raw photo). Needs idcards.manage;
+ * rawPhotoUrl must be a stored upload for the card (see isStoredPhotoForCard).
  */
 app.post('/api/idcards/:id/fetch-and-clean', authenticate, async (req, res) => {
   try {
-    const isVercel = !!process.env.VERCEL;
     const id = Number(req.params.id);
 
     if (!id) return res.status(400).json({ error: 'Invalid ID' });
     if (!req.body || !req.body.rawPhotoUrl)
       return res.status(400).json({ error: 'Missing rawPhotoUrl' });
 
-    const { rawPhotoUrl } = req.body;
+    const rawPhotoUrl = String(req.body.rawPhotoUrl).trim();
+    if (!isValidHttpUrl(rawPhotoUrl)) return res.status(400).json({ error: 'rawPhotoUrl must be an http(s) URL' });
 
     const card = await prisma.idCard.findUnique({ where: { id } });
     if (!card) return res.status(404).json({ error: 'ID card not found' });
 
-    if (req.user.role === 'CLIENT' && req.user.id !== card.userId)
-      return res.status(403).json({ error: 'Forbidden' });
-
-    console.log(`[ENV: ${isVercel ? "VERCEL" : "VPS"}] Fetching image...`);
-
-    // 1️⃣ Download image
-    const response = await axios.get(rawPhotoUrl, {
-      responseType: 'arraybuffer',
-      timeout: 20000
-    });
+    // Members' photos go through moderation (PUT /api/idcards/:id/photo).
+    if (!(await hasPermission(req, 'idcards.manage')))
+      return res.status(403).json({ error: 'Upload your photo for review instead' });
 
-    const originalBuffer = Buffer.from(response.data);
-
-    let finalBuffer = originalBuffer;
-
-    // 2️⃣ If NOT Vercel → use Python
-    if (!isVercel) {
-      try {
-        console.log("Running Python background removal...");
-        finalBuffer = await removeBackgroundBuffer(originalBuffer);
-        console.log("✅ Python success");
-      } catch (err) {
-        console.warn("⚠️ Python failed, using original image");
-      }
+    if (!(await isStoredPhotoForCard(card, rawPhotoUrl))) {
+      return res.status(400).json({ error: 'rawPhotoUrl must be a photo already uploaded for this card' });
     }
 
-    let cleanUrl;
-
-    // ==========================
-    // 🚀 VPS MODE
-    // ==========================
-    if (!isVercel) {
-      const filename = `idcard_clean_${id}_${Date.now()}.png`;
-      const filePath = path.join(IDCARDS_UPLOAD_DIR, filename);
-
-      await fs.promises.writeFile(filePath, finalBuffer);
-      cleanUrl = buildUploadUrl(req, `idcards/${filename}`);
+    if (!process.env.VERCEL && photoCleanQueue.size >= PHOTO_CLEAN_MAX_PENDING) {
+      return res.status(503).json({ error: 'The photo queue is full. Please try again in a few minutes.' });
     }
 
-    // ==========================
-    // ☁️ VERCEL MODE
-    // ==========================
-    if (isVercel) {
-
-      const uploadResult = await cloudinary.uploader.upload_stream(
-        { folder: cloudFolder(CLOUDINARY_FOLDERS.idcards) + '_cleaned' },
-        async (error, result) => {
-          if (error) throw error;
-          cleanUrl = result.secure_url;
-
-          const updatedCard = await prisma.idCard.update({
-            where: { id },
-            data: {
-              cleanPhotoUrl: cleanUrl,
-              rawPhotoUrl
-            }
-          });
-
-          return res.json({
-            message: "✅ Image processed (Cloudinary)",
-            card: updatedCard
-          });
-        }
-      );
-
-      uploadResult.end(finalBuffer);
-      return; // prevent double response
+    if (card.rawPhotoUrl !== rawPhotoUrl) {
+      await prisma.idCard.update({ where: { id }, data: { rawPhotoUrl, cleanPhotoUrl: '' } });
     }
 
-    // ==========================
-    // Update DB (VPS)
-    // ==========================
-    const updatedCard = await prisma.idCard.update({
-      where: { id },
-      data: {
-        cleanPhotoUrl: cleanUrl,
-        rawPhotoUrl
-      }
-    });
+    const job = await startPhotoCleanJob(req, id, rawPhotoUrl);
+    if (process.env.VERCEL) {
+      const updatedCard = await prisma.idCard.findUnique({ where: { id } });
+      return res.json({ message: '✅ Image processed (Cloudinary)', job, card: updatedCard });
+    }
+    if (!job) {
+      return res.status(503).json({ error: 'The photo queue is full. Please try again in a few minutes.' });
+    }
 
-    return res.json({
-      message: "✅ Image processed (VPS)",
-      card: updatedCard
+    return res.status(202).json({
+      message: 'Photo queued for background removal',
+      job: toPhotoCleanJobResponse(job),
+      statusUrl: `/api/idcards/photo-jobs/${job.id}`,
     });
-
   } catch (err) {
     console.error("❌ fetch-and-clean failed:", err);
     return res.status(500).json({
@@ -5060,6 +10940,28 @@ app.post('/api/idcards/:id/fetch-and-clean', authenticate, async (req, res) => {
   }
 });
 
+app.get('/api/idcards/photo-jobs/:jobId', authenticate, async (req, res) => {
+  try {
+    const jobId = Number(req.params.jobId);
+    if (!jobId) return res.status(400).json({ error: 'Invalid photo job id' });
+
+    const job = await prisma.photoCleanJob.findUnique({
+      where: { id: jobId },
+      include: { card: { select: { id: true, userId: true, rawPhotoUrl: true, cleanPhotoUrl: true } } },
+    });
+    if (!job) return res.status(404).json({ error: 'Photo job not found' });
+
+    if (!(await canAccessIdCard(req, job.card))) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    return res.json(toPhotoCleanJobResponse(job));
+  } catch (err) {
+    console.error('❌ GET /api/idcards/photo-jobs/:jobId error:', err);
+    return res.status(500).json({ error: 'Failed to load photo job', details: err.message });
+  }
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 // VOTING SYSTEM — Blockchain-secured staff voting
 // ─────────────────────────────────────────────────────────────────────────────
@@ -5109,7 +11011,7 @@ const buildVotingGroups = (sessionLike, votes = []) => {
 };
 
 // ── Admin: Create a voting session ──────────────────────────────────────────
-app.post('/api/admin/voting/sessions', authenticate, requireRole(['ADMIN', 'SUPERADMIN']), async (req, res) => {
+app.post('/api/admin/voting/sessions', authenticate, requirePermission('voting.manage'), async (req, res) => {
   const { title, position, description, candidates } = req.body;
   if (!title || !Array.isArray(candidates) || candidates.length < 2) {
     return res.status(400).json({ error: 'title and at least 2 candidates required' });
@@ -5150,7 +11052,7 @@ app.post('/api/admin/voting/sessions', authenticate, requireRole(['ADMIN', 'SUPE
 });
 
 // ── Admin: List all sessions ─────────────────────────────────────────────────
-app.get('/api/admin/voting/sessions', authenticate, requireRole(['ADMIN', 'SUPERADMIN']), async (req, res) => {
+app.get('/api/admin/voting/sessions', authenticate, requirePermission('voting.manage'), async (req, res) => {
   const sessions = await prisma.votingSession.findMany({
     orderBy: { createdAt: 'desc' },
     include: {
@@ -5162,7 +11064,7 @@ app.get('/api/admin/voting/sessions', authenticate, requireRole(['ADMIN', 'SUPER
 });
 
 // ── Admin: Start a session (PENDING → ACTIVE) ────────────────────────────────
-app.post('/api/admin/voting/sessions/:id/start', authenticate, requireRole(['ADMIN', 'SUPERADMIN']), async (req, res) => {
+app.post('/api/admin/voting/sessions/:id/start', authenticate, requirePermission('voting.manage'), async (req, res) => {
   const id = parseInt(req.params.id);
   const session = await prisma.votingSession.findUnique({ where: { id } });
   if (!session) return res.status(404).json({ error: 'Session not found' });
@@ -5175,7 +11077,7 @@ app.post('/api/admin/voting/sessions/:id/start', authenticate, requireRole(['ADM
 });
 
 // ── Admin: End a session (ACTIVE → ENDED) ────────────────────────────────────
-app.post('/api/admin/voting/sessions/:id/end', authenticate, requireRole(['ADMIN', 'SUPERADMIN']), async (req, res) => {
+app.post('/api/admin/voting/sessions/:id/end', authenticate, requirePermission('voting.manage'), async (req, res) => {
   const id = parseInt(req.params.id);
   const session = await prisma.votingSession.findUnique({ where: { id } });
   if (!session) return res.status(404).json({ error: 'Session not found' });
@@ -5188,7 +11090,7 @@ app.post('/api/admin/voting/sessions/:id/end', authenticate, requireRole(['ADMIN
 });
 
 // ── Admin: Session results + chain verification ──────────────────────────────
-app.get('/api/admin/voting/sessions/:id/results', authenticate, requireRole(['ADMIN', 'SUPERADMIN']), async (req, res) => {
+app.get('/api/admin/voting/sessions/:id/results', authenticate, requirePermission('voting.manage'), async (req, res) => {
   const id = parseInt(req.params.id);
   const session = await prisma.votingSession.findUnique({
     where: { id },
@@ -5298,7 +11200,7 @@ app.get('/api/voting/sessions/:id', authenticate, async (req, res) => {
 });
 
 // ── Staff: Cast a vote ────────────────────────────────────────────────────────
-app.post('/api/voting/sessions/:id/vote', authenticate, requireRole(['STAFF']), async (req, res) => {
+app.post('/api/voting/sessions/:id/vote', authenticate, requirePermission('voting.vote'), async (req, res) => {
   const id = parseInt(req.params.id);
   const { candidateId } = req.body;
   if (!candidateId) return res.status(400).json({ error: 'candidateId required' });
@@ -5341,13 +11243,13 @@ app.post('/api/voting/sessions/:id/vote', authenticate, requireRole(['STAFF']),
 });
 
 // ── Admin: Delete a PENDING/ENDED session ───────────────────────────────────
-app.delete('/api/admin/voting/sessions/:id', authenticate, requireRole(['ADMIN', 'SUPERADMIN']), async (req, res) => {
+app.delete('/api/admin/voting/sessions/:id', authenticate, requirePermission('voting.manage'), async (req, res) => {
   const id = parseInt(req.params.id);
   const session = await prisma.votingSession.findUnique({ where: { id } });
   if (!session) return res.status(404).json({ error: 'Session not found' });
-  // Super admin can delete any voting session, admins can only delete PENDING or ENDED
-  const isSuperAdmin = req.user.role === 'SUPERADMIN';
-  if (!isSuperAdmin && !['PENDING', 'ENDED'].includes(session.status)) {
+  // Running or completed sessions need voting.delete_active (superadmin by default)
+  const canDeleteActive = await hasPermission(req, 'voting.delete_active');
+  if (!canDeleteActive && !['PENDING', 'ENDED'].includes(session.status)) {
     return res.status(400).json({ error: 'You can only delete PENDING or ENDED sessions. Contact super admin for completed sessions.' });
   }
   await prisma.votingSession.delete({ where: { id } });
@@ -5355,7 +11257,7 @@ app.delete('/api/admin/voting/sessions/:id', authenticate, requireRole(['ADMIN',
 });
 
 // ── Staff/Admin Contributions (Michango) ────────────────────────────────────
-app.get('/api/staff/contributions', authenticate, requireRole(['STAFF']), async (req, res) => {
+app.get('/api/staff/contributions', authenticate, requirePermission('contributions.view_own'), async (req, res) => {
   try {
     const contributions = await prisma.contribution.findMany({
       where: {
@@ -5402,7 +11304,7 @@ app.get('/api/staff/contributions', authenticate, requireRole(['STAFF']), async
   }
 });
 
-app.get('/api/admin/contributions', authenticate, requireRole(['ADMIN', 'SUPERADMIN']), async (req, res) => {
+app.get('/api/admin/contributions', authenticate, requirePermission('contributions.record'), async (req, res) => {
   try {
     const [staffCount, contributions] = await Promise.all([
       prisma.user.count({ where: { role: 'STAFF', deletedAt: null } }),
@@ -5440,7 +11342,7 @@ app.get('/api/admin/contributions', authenticate, requireRole(['ADMIN', 'SUPERAD
   }
 });
 
-app.post('/api/admin/contributions', authenticate, requireRole(['ADMIN', 'SUPERADMIN']), async (req, res) => {
+app.post('/api/admin/contributions', authenticate, requirePermission('contributions.manage'), async (req, res) => {
   try {
     const title = String(req.body?.title || '').trim();
     const description = String(req.body?.description || '').trim() || null;
@@ -5473,7 +11375,7 @@ app.post('/api/admin/contributions', authenticate, requireRole(['ADMIN', 'SUPERA
   }
 });
 
-app.delete('/api/admin/contributions/:id', authenticate, requireRole(['ADMIN', 'SUPERADMIN']), async (req, res) => {
+app.delete('/api/admin/contributions/:id', authenticate, requirePermission('contributions.manage'), async (req, res) => {
   try {
     const id = parseInt(req.params.id, 10);
     if (Number.isNaN(id)) return res.status(400).json({ error: 'Invalid contribution id' });
@@ -5489,7 +11391,7 @@ app.delete('/api/admin/contributions/:id', authenticate, requireRole(['ADMIN', '
   }
 });
 
-app.get('/api/admin/contributions/:id/contributors', authenticate, requireRole(['ADMIN', 'SUPERADMIN']), async (req, res) => {
+app.get('/api/admin/contributions/:id/contributors', authenticate, requirePermission('contributions.record'), async (req, res) => {
   try {
     const id = parseInt(req.params.id, 10);
     if (Number.isNaN(id)) return res.status(400).json({ error: 'Invalid contribution id' });
@@ -5532,7 +11434,7 @@ app.get('/api/admin/contributions/:id/contributors', authenticate, requireRole([
   }
 });
 
-app.put('/api/admin/contributions/:id/contributors/:userId', authenticate, requireRole(['ADMIN', 'SUPERADMIN']), async (req, res) => {
+app.put('/api/admin/contributions/:id/contributors/:userId', authenticate, requirePermission('contributions.record'), async (req, res) => {
   try {
     const contributionId = parseInt(req.params.id, 10);
     const userId = parseInt(req.params.userId, 10);
@@ -5595,7 +11497,7 @@ app.put('/api/admin/contributions/:id/contributors/:userId', authenticate, requi
 });
 
 // Publish contribution with staff visibility selection
-app.post('/api/admin/contributions/:id/publish', authenticate, requireRole(['ADMIN', 'SUPERADMIN']), async (req, res) => {
+app.post('/api/admin/contributions/:id/publish', authenticate, requirePermission('contributions.manage'), async (req, res) => {
   try {
     const contributionId = parseInt(req.params.id, 10);
     if (Number.isNaN(contributionId)) {
@@ -5640,7 +11542,7 @@ app.use((err, req, res, next) => {
     console.warn('⚠️ upload rejected - file too large:', err.message);
     return res.status(413).json({
       error: 'File too large',
-      maxBytes: MAX_PHOTO_BYTES,
+      maxBytes: err.field === 'photo' ? MAX_IMAGE_UPLOAD_BYTES : MAX_PHOTO_BYTES,
     });
   }
 
@@ -0,0 +1,197 @@
+// backend/migrate-employers.js
+// Builds the Employer and Branch registry from the free-text employer and
+// branch names already in the database, then links every submission and
+// transfer to its registry entry.
+//
+//   node migrate-employers.js [--dry-run] [--threshold 0.85]
+//
+// Spellings that already match a registered name, code or alias are linked to
+// it. The rest are clustered (same words, at least --threshold similar, or an
+// acronym of the other: "NMB" / "National Microfinance Bank"); each cluster
+// becomes an employer named after its most used spelling, with the other
+// spellings as aliases. Branches are clustered the same way per employer.
+// Submissions get the canonical names; transfers keep the names as recorded
+// and only get the ids. Safe to run again. --dry-run only prints the clusters.
+require('dotenv').config();
+const { PrismaClient } = require('@prisma/client');
+const { clusterNames, employerCodeFor, findEntry, nameSimilarity } = require('./employer-registry');
+
+const prisma = new PrismaClient();
+
+function parseArgs(argv) {
+  const args = { dryRun: false, threshold: 0.85 };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--dry-run') args.dryRun = true;
+    else if (arg === '--threshold') args.threshold = Number(argv[++i]);
+    else throw new Error(`Unknown argument ${arg}`);
+  }
+  if (!(args.threshold > 0 && args.threshold <= 1)) throw new Error('--threshold must be between 0 and 1');
+  return args;
+}
+
+function addCount(counts, name, count) {
+  if (!name || !String(name).trim()) return;
+  counts.set(name, (counts.get(name) || 0) + count);
+}
+
+function uniqueCode(name, entries) {
+  const base = employerCodeFor(name);
+  let code = base;
+  for (let n = 2; entries.some((entry) => entry.code === code); n += 1) code = `${base}${n}`;
+  return code;
+}
+
+// Assigns every spelling in counts to an entry of `entries` (extended with new
+// entries for clusters that match nothing) and returns spelling -> entry.
+function planEntries(counts, entries, { threshold, acronyms, label }) {
+  const entryFor = new Map();
+  const unmatched = new Map();
+  for (const [name, count] of counts) {
+    const entry = findEntry(entries, name);
+    if (entry) entryFor.set(name, entry);
+    else unmatched.set(name, count);
+  }
+
+  for (const cluster of clusterNames(unmatched, { threshold, acronyms })) {
+    let entry = entries.find((e) => cluster.names.some((name) => nameSimilarity(name, e.name) >= threshold));
+    if (!entry) {
+      entry = { id: null, name: cluster.name.trim().toUpperCase(), aliases: [], branches: [] };
+      if (label === 'employer') entry.code = uniqueCode(entry.name, entries);
+      entries.push(entry);
+    }
+    for (const name of cluster.names) {
+      const alias = name.trim().toUpperCase();
+      if (!findEntry([entry], alias)) entry.aliases.push(alias);
+      entry.changed = true;
+      entryFor.set(name, entry);
+    }
+    console.log(`${entry.id ? '🔗' : '🆕'} ${label} ${entry.name}${entry.code ? ` (${entry.code})` : ''} <- ` +
+      `${cluster.names.map((name) => `"${name}" ×${counts.get(name)}`).join(', ')}`);
+  }
+  return entryFor;
+}
+
+async function saveEmployer(entry) {
+  const saved = entry.id
+    ? await prisma.employer.update({ where: { id: entry.id }, data: { aliases: entry.aliases } })
+    : await prisma.employer.create({ data: { name: entry.name, code: entry.code, aliases: entry.aliases } });
+  entry.id = saved.id;
+}
+
+async function saveBranch(entry, employerId) {
+  const saved = entry.id
+    ? await prisma.branch.update({ where: { id: entry.id }, data: { aliases: entry.aliases } })
+    : await prisma.branch.create({ data: { employerId, name: entry.name, aliases: entry.aliases } });
+  entry.id = saved.id;
+}
+
+// Links the submissions using one employer/branch spelling to their registry
+// entries. Each gets a 'registry' revision (as for renames made in the admin
+// screens) when its names change, so its timeline shows the new spelling.
+async function linkSubmissions(pair, data) {
+  const changes = {};
+  if (data.employerName !== pair.employerName) changes.employerName = { from: pair.employerName, to: data.employerName };
+  if (data.branchName !== pair.branchName) changes.branchName = { from: pair.branchName, to: data.branchName };
+
+  await prisma.$transaction(async (tx) => {
+    const submissions = await tx.submission.findMany({
+      where: { employerName: pair.employerName, branchName: pair.branchName },
+      select: { id: true },
+    });
+    const ids = submissions.map((submission) => submission.id);
+    await tx.submission.updateMany({ where: { id: { in: ids } }, data });
+    if (Object.keys(changes).length && ids.length) {
+      await tx.submissionRevision.createMany({ data: ids.map((submissionId) => ({ submissionId, source: 'registry', changes })) });
+    }
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  try {
+    await mapEmployers(args);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+async function mapEmployers(args) {
+  const employers = await prisma.employer.findMany({ include: { branches: true } });
+  const [submissionPairs, transferPairs] = await Promise.all([
+    prisma.submission.groupBy({ by: ['employerName', 'branchName'], _count: { _all: true } }),
+    prisma.transferHistory.groupBy({
+      by: ['newEmployerName', 'newBranchName'],
+      where: { newEmployerName: { not: null } },
+      _count: { _all: true },
+    }),
+  ]);
+  const pairs = [
+    ...submissionPairs.map((row) => ({ model: 'submission', employerName: row.employerName, branchName: row.branchName, count: row._count._all })),
+    ...transferPairs.map((row) => ({ model: 'transferHistory', employerName: row.newEmployerName, branchName: row.newBranchName, count: row._count._all })),
+  ];
+
+  const employerCounts = new Map();
+  for (const pair of pairs) addCount(employerCounts, pair.employerName, pair.count);
+  const employerFor = planEntries(employerCounts, employers, { threshold: args.threshold, acronyms: true, label: 'employer' });
+
+  const branchCounts = new Map(); // employer entry -> Map(spelling -> count)
+  for (const pair of pairs) {
+    const employer = employerFor.get(pair.employerName);
+    if (!employer) continue;
+    if (!branchCounts.has(employer)) branchCounts.set(employer, new Map());
+    addCount(branchCounts.get(employer), pair.branchName, pair.count);
+  }
+  const branchFor = new Map(); // employer entry -> Map(spelling -> branch entry)
+  for (const [employer, counts] of branchCounts) {
+    branchFor.set(employer, planEntries(counts, employer.branches, { threshold: args.threshold, acronyms: false, label: `${employer.name} branch` }));
+  }
+
+  const stats = { employers: 0, branches: 0, submissions: 0, transfers: 0 };
+  for (const employer of employers) {
+    if (employer.changed) stats.employers += 1;
+    stats.branches += employer.branches.filter((branch) => branch.changed).length;
+  }
+  for (const pair of pairs) {
+    if (employerFor.get(pair.employerName)) stats[pair.model === 'submission' ? 'submissions' : 'transfers'] += pair.count;
+  }
+  if (args.dryRun) {
+    console.log(`🧪 dry run: ${stats.employers} employers and ${stats.branches} branches would be created or given aliases; ` +
+      `${stats.submissions} submissions and ${stats.transfers} transfers would be linked`);
+    return;
+  }
+
+  for (const employer of employers) {
+    if (employer.changed) await saveEmployer(employer);
+    for (const branch of employer.branches) {
+      if (branch.changed) await saveBranch(branch, employer.id);
+    }
+  }
+
+  for (const pair of pairs) {
+    const employer = employerFor.get(pair.employerName);
+    if (!employer) continue;
+    const branch = pair.branchName ? branchFor.get(employer).get(pair.branchName) : null;
+    if (pair.model === 'submission') {
+      await linkSubmissions(pair, {
+        employerId: employer.id,
+        employerName: employer.name,
+        branchId: branch ? branch.id : null,
+        branchName: branch ? branch.name : pair.branchName,
+      });
+    } else {
+      await prisma.transferHistory.updateMany({
+        where: { newEmployerName: pair.employerName, newBranchName: pair.branchName },
+        data: { newEmployerId: employer.id, newBranchId: branch ? branch.id : null },
+      });
+    }
+  }
+
+  console.log(`✅ ${stats.employers} employers and ${stats.branches} branches created or given aliases; ` +
+    `${stats.submissions} submissions and ${stats.transfers} transfers linked`);
+}
+
+main().catch((err) => {
+  console.error('❌ employer migration failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,153 @@
+// backend/migrate-storage.js
+// Moves stored files between storage drivers and rewrites their URLs in the
+// database. Replaces the old on-read migration of local ID card photos to
+// Cloudinary, and works for any pair of drivers.
+//
+//   node migrate-storage.js --to s3 [--from local] [--dry-run] [--delete-source] [--base-url https://api.example.com]
+//   node migrate-storage.js --rekey [--to s3] [--dry-run]
+//
+// A moved file keeps its key, so a later migration back lands in the same
+// place. --rekey gives every file that is not yet in the StoredFile registry
+// (everything uploaded before private file delivery) a random key, registers
+// it with its owner and deletes the old copy; local files stay unreachable
+// until this has run. --base-url (or BACKEND_URL) is needed when files end up
+// on local disk. Source files are only deleted after every reference to them
+// has been rewritten.
+require('dotenv').config();
+const path = require('path');
+const { PrismaClient } = require('@prisma/client');
+const { getStorage, storageForUrl, contentTypeFor, newFileKey } = require('./storage');
+const { FILE_URL_COLUMNS, forEachFileUrlRow } = require('./file-references');
+
+const prisma = new PrismaClient();
+
+function parseArgs(argv) {
+  const args = { dryRun: false, deleteSource: false, rekey: false };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--to') args.to = argv[++i];
+    else if (arg === '--from') args.from = argv[++i];
+    else if (arg === '--base-url') args.baseUrl = argv[++i];
+    else if (arg === '--dry-run') args.dryRun = true;
+    else if (arg === '--delete-source') args.deleteSource = true;
+    else if (arg === '--rekey') args.rekey = true;
+    else throw new Error(`Unknown argument ${arg}`);
+  }
+  if (!args.to && !args.rekey) throw new Error('--to <local|cloudinary|s3> is required');
+  args.baseUrl = args.baseUrl || process.env.BACKEND_URL;
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const target = getStorage(args.to);
+  if (target.name === 'local' && !args.baseUrl) {
+    throw new Error('--base-url (or BACKEND_URL) is required when files are stored on local disk');
+  }
+  const moved = new Map(); // old URL -> new URL, so files shared by several columns are copied once
+  const failed = new Set();
+  const stats = { references: 0, copied: 0, missing: 0, failed: 0, deleted: 0 };
+
+  async function migrateUrl(url, column, row) {
+    if (typeof url !== 'string' || !url) return url;
+    if (moved.has(url)) return moved.get(url);
+    if (failed.has(url)) return url;
+
+    const source = storageForUrl(url);
+    if (!source || (args.from && source.name !== args.from)) return url;
+    const key = source.keyFor(url);
+    const registered = await prisma.storedFile.findUnique({ where: { key } });
+    const rekey = args.rekey && !registered;
+    if (!rekey && source.name === target.name) return url;
+
+    try {
+      const buffer = await source.get(url);
+      if (!buffer) {
+        stats.missing += 1;
+        console.warn(`⚠️ missing in ${source.name}: ${url}`);
+        failed.add(url);
+        return url;
+      }
+
+      let newKey = key;
+      if (rekey) {
+        const folder = typeof column.folder === 'function' ? column.folder(key) : column.folder;
+        newKey = `${newFileKey(folder)}${path.posix.extname(key).toLowerCase()}`;
+      }
+      const contentType = contentTypeFor(newKey);
+      let newUrl = `(${target.name}) ${newKey}`;
+      if (!args.dryRun) {
+        newUrl = (await target.put(newKey, buffer, { contentType, baseUrl: args.baseUrl })).url;
+        const ownerId = registered ? registered.ownerId : (column.owner ? await column.owner(row, prisma) : null) || null;
+        await prisma.storedFile.upsert({
+          where: { key: newKey },
+          create: { key: newKey, driver: target.name, ownerId, contentType, size: buffer.length },
+          update: { driver: target.name },
+        });
+      }
+      stats.copied += 1;
+      console.log(`📦 ${source.name}:${key} -> ${target.name}:${newKey}`);
+      moved.set(url, newUrl);
+      return newUrl;
+    } catch (err) {
+      stats.failed += 1;
+      console.error(`❌ failed to move ${url}:`, err.message);
+      failed.add(url);
+      return url;
+    }
+  }
+
+  async function migrateValue(value, column, row) {
+    if (column.json) {
+      if (!value || typeof value !== 'object') return value;
+      const next = {};
+      for (const [name, url] of Object.entries(value)) next[name] = await migrateUrl(url, column, row);
+      return next;
+    }
+    if (column.pattern) {
+      let next = value;
+      for (const [, url] of String(value).matchAll(column.pattern)) {
+        next = next.split(url).join(await migrateUrl(url, column, row));
+      }
+      return next;
+    }
+    return migrateUrl(value, column, row);
+  }
+
+  try {
+    for (const column of FILE_URL_COLUMNS) {
+      const { model, field } = column;
+      await forEachFileUrlRow(prisma, column, async (row) => {
+        const value = row[field];
+        const next = await migrateValue(value, column, row);
+        if (JSON.stringify(next) === JSON.stringify(value)) return;
+        stats.references += 1;
+        if (!args.dryRun) await prisma[model].update({ where: { id: row.id }, data: { [field]: next } });
+      });
+    }
+
+    if ((args.deleteSource || args.rekey) && !args.dryRun) {
+      for (const url of moved.keys()) {
+        const source = storageForUrl(url);
+        const key = source.keyFor(url);
+        try {
+          if (await source.delete(url)) stats.deleted += 1;
+          if (args.rekey) await prisma.storedFile.deleteMany({ where: { key, driver: source.name } });
+        } catch (err) {
+          console.warn(`⚠️ could not delete ${url}:`, err.message);
+        }
+      }
+    }
+  } finally {
+    await prisma.$disconnect();
+  }
+
+  console.log(`${args.dryRun ? '🧪 dry run: ' : '✅ '}${stats.copied} files copied, ${stats.references} references updated, ` +
+    `${stats.missing} missing, ${stats.failed} failed, ${stats.deleted} source files deleted`);
+  if (stats.failed) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error('❌ storage migration failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,77 @@
+// backend/photo-checks.js
+// The checks a member's ID card photo gets before staff review it, and the
+// rotate/crop edits staff may apply when approving it. The image work itself
+// (analysis and applying edits) stays in index.js.
+
+const PHOTO_CHECK_LIMITS = {
+  aspectRatio: 300 / 380, // width / height of the photo box on the card
+  aspectTolerance: 0.15,
+  minWidth: 300,
+  minHeight: 380,
+  minSkinRatio: 0.08,
+  duplicateMaxDistance: 6,
+};
+
+// Hamming distance between two hex-encoded hashes.
+function hashDistance(a, b) {
+  const x = Buffer.from(a, 'hex');
+  const y = Buffer.from(b, 'hex');
+  let bits = 0;
+  for (let i = 0; i < x.length; i += 1) {
+    let v = x[i] ^ y[i];
+    while (v) {
+      bits += v & 1;
+      v >>= 1;
+    }
+  }
+  return bits;
+}
+
+function buildPhotoChecks(analysis, duplicates) {
+  const limits = PHOTO_CHECK_LIMITS;
+  const aspectRatio = Math.round((analysis.width / analysis.height) * 1000) / 1000;
+  const checks = {
+    aspectRatio: { value: aspectRatio, expected: Math.round(limits.aspectRatio * 1000) / 1000, ok: Math.abs(aspectRatio - limits.aspectRatio) <= limits.aspectTolerance },
+    resolution: { width: analysis.width, height: analysis.height, ok: analysis.width >= limits.minWidth && analysis.height >= limits.minHeight },
+    face: { skinRatio: analysis.skinRatio, ok: analysis.skinRatio >= limits.minSkinRatio },
+    duplicates: { matches: duplicates, ok: duplicates.length === 0 },
+  };
+  const flags = [
+    !checks.aspectRatio.ok && 'ASPECT_RATIO',
+    !checks.resolution.ok && 'LOW_RESOLUTION',
+    !checks.face.ok && 'NO_FACE',
+    !checks.duplicates.ok && 'NEAR_DUPLICATE',
+  ].filter(Boolean);
+  return { checks, flags };
+}
+
+// Rotation (clockwise, multiples of 90°) is applied before the crop, so crop
+// coordinates refer to the rotated image.
+function rotatedPhotoSize(width, height, rotate) {
+  return rotate % 180 === 0 ? { width, height } : { width: height, height: width };
+}
+
+function parsePhotoEdits(body, submission) {
+  const rotate = Number(body.rotate || 0);
+  if (![0, 90, 180, 270].includes(rotate)) return { error: 'rotate must be 0, 90, 180 or 270' };
+  if (!body.crop) return { edits: rotate ? { rotate } : null };
+
+  const crop = {};
+  for (const key of ['x', 'y', 'width', 'height']) {
+    crop[key] = Number(body.crop[key]);
+    if (!Number.isInteger(crop[key]) || crop[key] < 0) return { error: 'crop needs whole-number x, y, width and height' };
+  }
+  const size = rotatedPhotoSize(submission.width, submission.height, rotate);
+  if (crop.width < 100 || crop.height < 100 || crop.x + crop.width > size.width || crop.y + crop.height > size.height) {
+    return { error: `crop must be at least 100×100 and fit inside the ${size.width}×${size.height} image` };
+  }
+  return { edits: { rotate, crop } };
+}
+
+module.exports = {
+  PHOTO_CHECK_LIMITS,
+  hashDistance,
+  buildPhotoChecks,
+  rotatedPhotoSize,
+  parsePhotoEdits,
+};
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "User"
+ADD COLUMN "totpSecret" TEXT,
+ADD COLUMN "totpPendingSecret" TEXT,
+ADD COLUMN "totpEnabledAt" TIMESTAMP(3),
+ADD COLUMN "totpBackupCodes" JSONB,
+ADD COLUMN "totpAttempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "totpLastUsedStep" INTEGER;
@@ -0,0 +1,56 @@
+-- CreateTable
+CREATE TABLE "LoginAttempt" (
+    "key" TEXT NOT NULL,
+    "count" INTEGER NOT NULL DEFAULT 0,
+    "lockUntil" TIMESTAMP(3),
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "LoginAttempt_pkey" PRIMARY KEY ("key")
+);
+
+-- CreateTable
+CREATE TABLE "SecurityEvent" (
+    "id" SERIAL NOT NULL,
+    "type" TEXT NOT NULL,
+    "ip" TEXT,
+    "path" TEXT,
+    "method" TEXT,
+    "userId" INTEGER,
+    "role" TEXT,
+    "userAgent" TEXT,
+    "details" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SecurityEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "RequestSnapshot" (
+    "id" SERIAL NOT NULL,
+    "ip" TEXT,
+    "path" TEXT NOT NULL,
+    "method" TEXT NOT NULL,
+    "statusCode" INTEGER NOT NULL,
+    "latencyMs" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RequestSnapshot_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "LoginAttempt_lockUntil_idx" ON "LoginAttempt"("lockUntil");
+
+-- CreateIndex
+CREATE INDEX "SecurityEvent_type_idx" ON "SecurityEvent"("type");
+
+-- CreateIndex
+CREATE INDEX "SecurityEvent_userId_idx" ON "SecurityEvent"("userId");
+
+-- CreateIndex
+CREATE INDEX "SecurityEvent_createdAt_idx" ON "SecurityEvent"("createdAt");
+
+-- CreateIndex
+CREATE INDEX "RequestSnapshot_createdAt_idx" ON "RequestSnapshot"("createdAt");
+
+-- CreateIndex
+CREATE INDEX "RequestSnapshot_statusCode_idx" ON "RequestSnapshot"("statusCode");
@@ -0,0 +1,34 @@
+-- CreateTable
+CREATE TABLE "RolePermissionBundle" (
+    "id" SERIAL NOT NULL,
+    "role" "Role" NOT NULL,
+    "permissions" JSONB NOT NULL,
+    "updatedById" INTEGER,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "RolePermissionBundle_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "UserPermissionOverride" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "permission" TEXT NOT NULL,
+    "granted" BOOLEAN NOT NULL,
+    "createdById" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "UserPermissionOverride_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RolePermissionBundle_role_key" ON "RolePermissionBundle"("role");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "UserPermissionOverride_userId_permission_key" ON "UserPermissionOverride"("userId", "permission");
+
+-- CreateIndex
+CREATE INDEX "UserPermissionOverride_userId_idx" ON "UserPermissionOverride"("userId");
+
+-- AddForeignKey
+ALTER TABLE "UserPermissionOverride" ADD CONSTRAINT "UserPermissionOverride_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,12 @@
+-- CreateEnum
+CREATE TYPE "RegistrationStatus" AS ENUM ('PENDING', 'APPROVED', 'REJECTED');
+
+-- AlterTable
+ALTER TABLE "User"
+ADD COLUMN "registrationStatus" "RegistrationStatus" NOT NULL DEFAULT 'APPROVED',
+ADD COLUMN "registrationReviewedAt" TIMESTAMP(3),
+ADD COLUMN "registrationReviewedById" INTEGER,
+ADD COLUMN "registrationNote" TEXT;
+
+-- CreateIndex
+CREATE INDEX "User_registrationStatus_idx" ON "User"("registrationStatus");
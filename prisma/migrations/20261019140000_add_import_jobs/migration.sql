@@ -0,0 +1,57 @@
+-- CreateEnum
+CREATE TYPE "ImportJobStatus" AS ENUM ('VALIDATED', 'RUNNING', 'COMPLETED', 'FAILED');
+
+-- CreateEnum
+CREATE TYPE "ImportRowStatus" AS ENUM ('VALID', 'INVALID', 'DUPLICATE', 'CREATED', 'SKIPPED', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "ImportJob" (
+    "id" SERIAL NOT NULL,
+    "createdById" INTEGER,
+    "fileName" TEXT,
+    "format" TEXT NOT NULL,
+    "status" "ImportJobStatus" NOT NULL DEFAULT 'VALIDATED',
+    "totalRows" INTEGER NOT NULL DEFAULT 0,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "startedAt" TIMESTAMP(3),
+    "completedAt" TIMESTAMP(3),
+
+    CONSTRAINT "ImportJob_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ImportJobRow" (
+    "id" SERIAL NOT NULL,
+    "jobId" INTEGER NOT NULL,
+    "rowNumber" INTEGER NOT NULL,
+    "data" JSONB NOT NULL,
+    "status" "ImportRowStatus" NOT NULL,
+    "errors" JSONB,
+    "message" TEXT,
+    "submissionId" INTEGER,
+    "userId" INTEGER,
+    "idCardId" INTEGER,
+    "processedAt" TIMESTAMP(3),
+
+    CONSTRAINT "ImportJobRow_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ImportJob_createdById_idx" ON "ImportJob"("createdById");
+
+-- CreateIndex
+CREATE INDEX "ImportJob_status_idx" ON "ImportJob"("status");
+
+-- CreateIndex
+CREATE INDEX "ImportJob_createdAt_idx" ON "ImportJob"("createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ImportJobRow_jobId_rowNumber_key" ON "ImportJobRow"("jobId", "rowNumber");
+
+-- CreateIndex
+CREATE INDEX "ImportJobRow_jobId_status_idx" ON "ImportJobRow"("jobId", "status");
+
+-- AddForeignKey
+ALTER TABLE "ImportJobRow" ADD CONSTRAINT "ImportJobRow_jobId_fkey" FOREIGN KEY ("jobId") REFERENCES "ImportJob"("id") ON DELETE CASCADE ON UPDATE CASCADE;
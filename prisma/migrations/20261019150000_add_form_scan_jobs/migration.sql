@@ -0,0 +1,31 @@
+-- CreateEnum
+CREATE TYPE "ScanJobStatus" AS ENUM ('QUEUED', 'PROCESSING', 'COMPLETED', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "FormScanJob" (
+    "id" SERIAL NOT NULL,
+    "createdById" INTEGER NOT NULL,
+    "status" "ScanJobStatus" NOT NULL DEFAULT 'QUEUED',
+    "fileName" TEXT,
+    "mimeType" TEXT NOT NULL,
+    "fileSize" INTEGER NOT NULL,
+    "source" TEXT,
+    "rawText" TEXT,
+    "fields" JSONB,
+    "error" TEXT,
+    "submissionId" INTEGER,
+    "reviewedById" INTEGER,
+    "reviewedAt" TIMESTAMP(3),
+    "corrections" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "startedAt" TIMESTAMP(3),
+    "completedAt" TIMESTAMP(3),
+
+    CONSTRAINT "FormScanJob_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "FormScanJob_createdById_idx" ON "FormScanJob"("createdById");
+
+-- CreateIndex
+CREATE INDEX "FormScanJob_status_idx" ON "FormScanJob"("status");
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Submission"
+ADD COLUMN "generatedPdfPath" TEXT,
+ADD COLUMN "generatedPdfAt" TIMESTAMP(3),
+ADD COLUMN "formVerificationToken" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Submission_formVerificationToken_key" ON "Submission"("formVerificationToken");
@@ -0,0 +1,37 @@
+-- CreateEnum
+CREATE TYPE "PrintBatchStatus" AS ENUM ('QUEUED', 'PROCESSING', 'COMPLETED', 'FAILED');
+
+-- AlterTable
+ALTER TABLE "IdCard"
+ADD COLUMN "printedAt" TIMESTAMP(3),
+ADD COLUMN "printBatchId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "IdCardPrintBatch" (
+    "id" SERIAL NOT NULL,
+    "createdById" INTEGER NOT NULL,
+    "status" "PrintBatchStatus" NOT NULL DEFAULT 'QUEUED',
+    "filters" JSONB NOT NULL,
+    "cardIds" JSONB NOT NULL,
+    "cardCount" INTEGER NOT NULL DEFAULT 0,
+    "sheetCount" INTEGER NOT NULL DEFAULT 0,
+    "pdfUrl" TEXT,
+    "manifestUrl" TEXT,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "completedAt" TIMESTAMP(3),
+
+    CONSTRAINT "IdCardPrintBatch_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "IdCard_printedAt_idx" ON "IdCard"("printedAt");
+
+-- CreateIndex
+CREATE INDEX "IdCardPrintBatch_createdById_idx" ON "IdCardPrintBatch"("createdById");
+
+-- CreateIndex
+CREATE INDEX "IdCardPrintBatch_status_idx" ON "IdCardPrintBatch"("status");
+
+-- AddForeignKey
+ALTER TABLE "IdCard" ADD CONSTRAINT "IdCard_printBatchId_fkey" FOREIGN KEY ("printBatchId") REFERENCES "IdCardPrintBatch"("id") ON DELETE SET NULL ON UPDATE CASCADE;
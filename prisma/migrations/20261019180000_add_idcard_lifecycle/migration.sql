@@ -0,0 +1,76 @@
+-- CreateEnum
+CREATE TYPE "IdCardRevocationReason" AS ENUM ('REPLACED', 'MEMBERSHIP_ENDED', 'LOST', 'STOLEN', 'DAMAGED', 'DETAILS_CHANGED', 'OTHER');
+
+-- CreateEnum
+CREATE TYPE "IdCardEventType" AS ENUM ('ISSUED', 'PRINTED', 'RENEWED', 'REVOKED', 'REINSTATED');
+
+-- CreateEnum
+CREATE TYPE "RenewalRequestStatus" AS ENUM ('PENDING', 'APPROVED', 'REJECTED', 'CANCELLED');
+
+-- AlterTable
+ALTER TABLE "IdCard"
+ADD COLUMN "revocationReason" "IdCardRevocationReason",
+ADD COLUMN "revocationNote" TEXT;
+
+-- CreateTable
+CREATE TABLE "IdCardEvent" (
+    "id" SERIAL NOT NULL,
+    "cardId" INTEGER NOT NULL,
+    "type" "IdCardEventType" NOT NULL,
+    "reason" "IdCardRevocationReason",
+    "note" TEXT,
+    "actorId" INTEGER,
+    "details" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "IdCardEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "IdCardValidityPolicy" (
+    "id" SERIAL NOT NULL,
+    "role" TEXT NOT NULL,
+    "validityMonths" INTEGER,
+    "updatedById" INTEGER,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "IdCardValidityPolicy_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "IdCardRenewalRequest" (
+    "id" SERIAL NOT NULL,
+    "cardId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "status" "RenewalRequestStatus" NOT NULL DEFAULT 'PENDING',
+    "reason" TEXT,
+    "reviewedById" INTEGER,
+    "reviewedAt" TIMESTAMP(3),
+    "reviewNote" TEXT,
+    "previousExpiresAt" TIMESTAMP(3),
+    "newExpiresAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "IdCardRenewalRequest_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "IdCardEvent_cardId_createdAt_idx" ON "IdCardEvent"("cardId", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "IdCardValidityPolicy_role_key" ON "IdCardValidityPolicy"("role");
+
+-- CreateIndex
+CREATE INDEX "IdCardRenewalRequest_cardId_idx" ON "IdCardRenewalRequest"("cardId");
+
+-- CreateIndex
+CREATE INDEX "IdCardRenewalRequest_userId_idx" ON "IdCardRenewalRequest"("userId");
+
+-- CreateIndex
+CREATE INDEX "IdCardRenewalRequest_status_idx" ON "IdCardRenewalRequest"("status");
+
+-- AddForeignKey
+ALTER TABLE "IdCardEvent" ADD CONSTRAINT "IdCardEvent_cardId_fkey" FOREIGN KEY ("cardId") REFERENCES "IdCard"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "IdCardRenewalRequest" ADD CONSTRAINT "IdCardRenewalRequest_cardId_fkey" FOREIGN KEY ("cardId") REFERENCES "IdCard"("id") ON DELETE CASCADE ON UPDATE CASCADE;
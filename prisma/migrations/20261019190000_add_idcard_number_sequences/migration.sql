@@ -0,0 +1,8 @@
+-- CreateTable
+CREATE TABLE "IdCardNumberSequence" (
+    "scope" TEXT NOT NULL,
+    "lastValue" INTEGER NOT NULL DEFAULT 0,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "IdCardNumberSequence_pkey" PRIMARY KEY ("scope")
+);
@@ -0,0 +1,29 @@
+-- CreateEnum
+CREATE TYPE "PhotoCleanJobStatus" AS ENUM ('QUEUED', 'PROCESSING', 'COMPLETED', 'FAILED', 'SUPERSEDED');
+
+-- CreateTable
+CREATE TABLE "PhotoCleanJob" (
+    "id" SERIAL NOT NULL,
+    "cardId" INTEGER NOT NULL,
+    "requestedById" INTEGER NOT NULL,
+    "rawPhotoUrl" TEXT NOT NULL,
+    "baseUrl" TEXT NOT NULL,
+    "status" "PhotoCleanJobStatus" NOT NULL DEFAULT 'QUEUED',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "cleanPhotoUrl" TEXT,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "startedAt" TIMESTAMP(3),
+    "completedAt" TIMESTAMP(3),
+
+    CONSTRAINT "PhotoCleanJob_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PhotoCleanJob_cardId_idx" ON "PhotoCleanJob"("cardId");
+
+-- CreateIndex
+CREATE INDEX "PhotoCleanJob_status_idx" ON "PhotoCleanJob"("status");
+
+-- AddForeignKey
+ALTER TABLE "PhotoCleanJob" ADD CONSTRAINT "PhotoCleanJob_cardId_fkey" FOREIGN KEY ("cardId") REFERENCES "IdCard"("id") ON DELETE CASCADE ON UPDATE CASCADE;
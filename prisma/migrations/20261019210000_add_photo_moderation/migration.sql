@@ -0,0 +1,37 @@
+-- CreateEnum
+CREATE TYPE "PhotoModerationStatus" AS ENUM ('PENDING', 'APPROVED', 'REJECTED', 'SUPERSEDED');
+
+-- CreateTable
+CREATE TABLE "PhotoSubmission" (
+    "id" SERIAL NOT NULL,
+    "cardId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "photoUrl" TEXT NOT NULL,
+    "clientCleaned" BOOLEAN NOT NULL DEFAULT false,
+    "status" "PhotoModerationStatus" NOT NULL DEFAULT 'PENDING',
+    "width" INTEGER NOT NULL,
+    "height" INTEGER NOT NULL,
+    "perceptualHash" TEXT,
+    "flags" TEXT[],
+    "checks" JSONB NOT NULL,
+    "edits" JSONB,
+    "finalPhotoUrl" TEXT,
+    "rejectionReason" TEXT,
+    "reviewedById" INTEGER,
+    "reviewedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PhotoSubmission_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PhotoSubmission_status_idx" ON "PhotoSubmission"("status");
+
+-- CreateIndex
+CREATE INDEX "PhotoSubmission_cardId_idx" ON "PhotoSubmission"("cardId");
+
+-- CreateIndex
+CREATE INDEX "PhotoSubmission_userId_idx" ON "PhotoSubmission"("userId");
+
+-- AddForeignKey
+ALTER TABLE "PhotoSubmission" ADD CONSTRAINT "PhotoSubmission_cardId_fkey" FOREIGN KEY ("cardId") REFERENCES "IdCard"("id") ON DELETE CASCADE ON UPDATE CASCADE;
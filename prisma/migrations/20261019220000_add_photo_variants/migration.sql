@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "profilePhotoVariants" JSONB;
+
+-- AlterTable
+ALTER TABLE "IdCard" ADD COLUMN     "photoVariants" JSONB;
+
+-- AlterTable
+ALTER TABLE "PhotoSubmission" ADD COLUMN     "photoVariants" JSONB;
@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "StoredFile" (
+    "id" SERIAL NOT NULL,
+    "key" TEXT NOT NULL,
+    "driver" TEXT NOT NULL,
+    "ownerId" INTEGER,
+    "contentType" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "StoredFile_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StoredFile_key_key" ON "StoredFile"("key");
+
+-- CreateIndex
+CREATE INDEX "StoredFile_ownerId_idx" ON "StoredFile"("ownerId");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "StoredFile" ADD COLUMN     "orphanedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "StoredFile_orphanedAt_idx" ON "StoredFile"("orphanedAt");
@@ -0,0 +1,42 @@
+-- CreateEnum
+CREATE TYPE "SubmissionStatus" AS ENUM ('PENDING', 'VERIFIED', 'REJECTED', 'CHANGES_REQUESTED');
+
+-- CreateEnum
+CREATE TYPE "SubmissionReviewAction" AS ENUM ('SUBMITTED', 'RESUBMITTED', 'VERIFIED', 'REJECTED', 'CHANGES_REQUESTED');
+
+-- AlterTable
+ALTER TABLE "Submission" ADD COLUMN     "correctionExpiresAt" TIMESTAMP(3),
+ADD COLUMN     "correctionTokenHash" TEXT,
+ADD COLUMN     "reviewNote" TEXT,
+ADD COLUMN     "reviewedAt" TIMESTAMP(3),
+ADD COLUMN     "reviewedById" INTEGER,
+ADD COLUMN     "status" "SubmissionStatus" NOT NULL DEFAULT 'PENDING';
+
+-- Submissions saved before reviews existed were final, and their members already have accounts.
+UPDATE "Submission" SET "status" = 'VERIFIED';
+
+-- CreateTable
+CREATE TABLE "SubmissionReviewEvent" (
+    "id" SERIAL NOT NULL,
+    "submissionId" INTEGER NOT NULL,
+    "action" "SubmissionReviewAction" NOT NULL,
+    "status" "SubmissionStatus" NOT NULL,
+    "actorId" INTEGER,
+    "note" TEXT,
+    "details" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SubmissionReviewEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Submission_correctionTokenHash_key" ON "Submission"("correctionTokenHash");
+
+-- CreateIndex
+CREATE INDEX "Submission_status_idx" ON "Submission"("status");
+
+-- CreateIndex
+CREATE INDEX "SubmissionReviewEvent_submissionId_createdAt_idx" ON "SubmissionReviewEvent"("submissionId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "SubmissionReviewEvent" ADD CONSTRAINT "SubmissionReviewEvent_submissionId_fkey" FOREIGN KEY ("submissionId") REFERENCES "Submission"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "SubmissionRevision" (
+    "id" SERIAL NOT NULL,
+    "submissionId" INTEGER NOT NULL,
+    "actorId" INTEGER,
+    "source" TEXT NOT NULL,
+    "changes" JSONB NOT NULL,
+    "revertedToId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SubmissionRevision_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SubmissionRevision_submissionId_createdAt_idx" ON "SubmissionRevision"("submissionId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "SubmissionRevision" ADD CONSTRAINT "SubmissionRevision_submissionId_fkey" FOREIGN KEY ("submissionId") REFERENCES "Submission"("id") ON DELETE CASCADE ON UPDATE CASCADE;
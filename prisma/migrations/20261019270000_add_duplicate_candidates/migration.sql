@@ -0,0 +1,31 @@
+-- CreateEnum
+CREATE TYPE "DuplicateCandidateStatus" AS ENUM ('OPEN', 'MERGED', 'DISMISSED');
+
+-- CreateTable
+CREATE TABLE "DuplicateCandidate" (
+    "id" SERIAL NOT NULL,
+    "employeeNumberA" TEXT NOT NULL,
+    "employeeNumberB" TEXT NOT NULL,
+    "score" INTEGER NOT NULL,
+    "reasons" JSONB NOT NULL,
+    "source" TEXT NOT NULL,
+    "status" "DuplicateCandidateStatus" NOT NULL DEFAULT 'OPEN',
+    "survivorEmployeeNumber" TEXT,
+    "outcome" JSONB,
+    "note" TEXT,
+    "reviewedById" INTEGER,
+    "reviewedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "DuplicateCandidate_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "DuplicateCandidate_status_score_idx" ON "DuplicateCandidate"("status", "score");
+
+-- CreateIndex
+CREATE INDEX "DuplicateCandidate_employeeNumberB_idx" ON "DuplicateCandidate"("employeeNumberB");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DuplicateCandidate_employeeNumberA_employeeNumberB_key" ON "DuplicateCandidate"("employeeNumberA", "employeeNumberB");
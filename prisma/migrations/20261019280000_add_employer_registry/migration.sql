@@ -0,0 +1,78 @@
+-- CreateTable
+CREATE TABLE "Employer" (
+    "id" SERIAL NOT NULL,
+    "code" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "aliases" TEXT[],
+    "region" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Employer_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Branch" (
+    "id" SERIAL NOT NULL,
+    "employerId" INTEGER NOT NULL,
+    "code" TEXT,
+    "name" TEXT NOT NULL,
+    "aliases" TEXT[],
+    "region" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Branch_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "Submission" ADD COLUMN     "branchId" INTEGER,
+ADD COLUMN     "employerId" INTEGER;
+
+-- AlterTable
+ALTER TABLE "TransferHistory" ADD COLUMN     "newBranchId" INTEGER,
+ADD COLUMN     "newEmployerId" INTEGER;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Employer_code_key" ON "Employer"("code");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Employer_name_key" ON "Employer"("name");
+
+-- CreateIndex
+CREATE INDEX "Branch_employerId_idx" ON "Branch"("employerId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Branch_employerId_name_key" ON "Branch"("employerId", "name");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Branch_employerId_code_key" ON "Branch"("employerId", "code");
+
+-- CreateIndex
+CREATE INDEX "Submission_employerId_idx" ON "Submission"("employerId");
+
+-- CreateIndex
+CREATE INDEX "Submission_branchId_idx" ON "Submission"("branchId");
+
+-- CreateIndex
+CREATE INDEX "TransferHistory_newEmployerId_idx" ON "TransferHistory"("newEmployerId");
+
+-- CreateIndex
+CREATE INDEX "TransferHistory_newBranchId_idx" ON "TransferHistory"("newBranchId");
+
+-- AddForeignKey
+ALTER TABLE "Branch" ADD CONSTRAINT "Branch_employerId_fkey" FOREIGN KEY ("employerId") REFERENCES "Employer"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Submission" ADD CONSTRAINT "Submission_employerId_fkey" FOREIGN KEY ("employerId") REFERENCES "Employer"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Submission" ADD CONSTRAINT "Submission_branchId_fkey" FOREIGN KEY ("branchId") REFERENCES "Branch"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TransferHistory" ADD CONSTRAINT "TransferHistory_newEmployerId_fkey" FOREIGN KEY ("newEmployerId") REFERENCES "Employer"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TransferHistory" ADD CONSTRAINT "TransferHistory_newBranchId_fkey" FOREIGN KEY ("newBranchId") REFERENCES "Branch"("id") ON DELETE SET NULL ON UPDATE CASCADE;
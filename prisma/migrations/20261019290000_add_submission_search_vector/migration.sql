@@ -0,0 +1,16 @@
+-- Full-text search over the fields staff search by (the q parameter of the
+-- submission search routes). Punctuation is turned into spaces so employee
+-- numbers and phone numbers split into plain words; 'simple' does no stemming.
+ALTER TABLE "Submission" ADD COLUMN "searchVector" tsvector GENERATED ALWAYS AS (
+    to_tsvector('simple'::regconfig, regexp_replace(
+        coalesce("employeeName", '') || ' ' || coalesce("employeeNumber", '') || ' ' ||
+        coalesce("employerName", '') || ' ' || coalesce("branchName", '') || ' ' || coalesce("phoneNumber", ''),
+        '[^[:alnum:]]+', ' ', 'g'
+    ))
+) STORED;
+
+-- CreateIndex
+CREATE INDEX "Submission_searchVector_idx" ON "Submission" USING GIN ("searchVector");
+
+-- CreateIndex
+CREATE INDEX "Submission_submittedAt_idx" ON "Submission"("submittedAt");
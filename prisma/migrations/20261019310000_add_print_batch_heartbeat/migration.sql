@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "IdCardPrintBatch" ADD COLUMN "startedAt" TIMESTAMP(3),
+ADD COLUMN "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- Existing rows got the current time; new rows are set by Prisma (@updatedAt)
+ALTER TABLE "IdCardPrintBatch" ALTER COLUMN "updatedAt" DROP DEFAULT;
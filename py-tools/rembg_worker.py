@@ -0,0 +1,118 @@
+#!/usr/bin/env python3
+"""
+Long-lived background removal worker.
+Loads the rembg model once and serves requests from Node over stdin/stdout.
+
+Every message is framed as a 4-byte big-endian length followed by the payload.
+  request:  [op:1][body]          op 1 = remove background (body = image bytes)
+                                  op 2 = ping (empty body)
+  response: [status:1][rss_kb:4][body]
+            status 0 = ok (body = PNG), 1 = error (body = UTF-8 message),
+            2 = pong (empty), 3 = ready (body = model name, sent once at start)
+Exits when stdin closes.
+"""
+
+import gc
+import io
+import os
+import resource
+import struct
+import sys
+
+from PIL import Image
+from rembg import new_session, remove
+
+MAX_DIMENSION = 800
+COMPRESSION_QUALITY = 85
+BG_COLOR = (239, 246, 255, 255)
+
+OP_REMOVE = 1
+OP_PING = 2
+STATUS_OK = 0
+STATUS_ERROR = 1
+STATUS_PONG = 2
+STATUS_READY = 3
+
+
+def current_rss_kb():
+    """Resident memory of this process in KB (peak RSS where /proc is unavailable)."""
+    try:
+        with open('/proc/self/statm') as f:
+            pages = int(f.read().split()[1])
+        return pages * os.sysconf('SC_PAGE_SIZE') // 1024
+    except (OSError, ValueError, IndexError):
+        return resource.getrusage(resource.RUSAGE_SELF).ru_maxrss
+
+
+def read_exact(stream, size):
+    data = bytearray()
+    while len(data) < size:
+        chunk = stream.read(size - len(data))
+        if not chunk:
+            return None
+        data.extend(chunk)
+    return bytes(data)
+
+
+def write_frame(status, body=b''):
+    payload = struct.pack('>BI', status, current_rss_kb()) + body
+    sys.stdout.buffer.write(struct.pack('>I', len(payload)) + payload)
+    sys.stdout.buffer.flush()
+
+
+def remove_background(session, input_data):
+    """Same pipeline as remove_bg_buffer_optimized.py, reusing the loaded session."""
+    img = Image.open(io.BytesIO(input_data))
+    if img.mode in ('RGBA', 'LA', 'P'):
+        img = img.convert('RGB')
+    if img.width > MAX_DIMENSION or img.height > MAX_DIMENSION:
+        img.thumbnail((MAX_DIMENSION, MAX_DIMENSION), Image.Resampling.LANCZOS)
+
+    optimized = io.BytesIO()
+    img.save(optimized, 'JPEG', quality=COMPRESSION_QUALITY, optimize=True)
+    del img
+
+    output_data = remove(optimized.getvalue(), session=session)
+    cutout = Image.open(io.BytesIO(output_data)).convert('RGBA')
+    combined = Image.alpha_composite(Image.new('RGBA', cutout.size, BG_COLOR), cutout)
+
+    out = io.BytesIO()
+    combined.save(out, format='PNG', optimize=True)
+    return out.getvalue()
+
+
+def main():
+    model = os.environ.get('REMBG_MODEL', 'u2net')
+    session = new_session(model)
+    write_frame(STATUS_READY, model.encode('utf-8'))
+
+    stdin = sys.stdin.buffer
+    while True:
+        header = read_exact(stdin, 4)
+        if header is None:
+            return
+        (length,) = struct.unpack('>I', header)
+        payload = read_exact(stdin, length)
+        if payload is None or not payload:
+            return
+
+        op, body = payload[0], payload[1:]
+        if op == OP_PING:
+            write_frame(STATUS_PONG)
+            continue
+        if op != OP_REMOVE:
+            write_frame(STATUS_ERROR, f'Unknown op {op}'.encode('utf-8'))
+            continue
+
+        try:
+            write_frame(STATUS_OK, remove_background(session, body))
+        except Exception as e:
+            print(f'❌ Worker processing failed: {e}', file=sys.stderr)
+            write_frame(STATUS_ERROR, str(e).encode('utf-8'))
+        finally:
+            del body, payload
+            gc.collect()
+
+
+if __name__ == '__main__':
+    main()
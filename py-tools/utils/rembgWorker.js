@@ -0,0 +1,245 @@
+// py-tools/utils/rembgWorker.js
+// Keeps one Python rembg process (py-tools/rembg_worker.py) alive so the model
+// is loaded once instead of per image. See that file for the frame format.
+const { spawn } = require('child_process');
+const path = require('path');
+const { resolvePythonExec, removeBackgroundBuffer } = require('./runPython');
+
+const OP_REMOVE = 1;
+const OP_PING = 2;
+const STATUS_OK = 0;
+const STATUS_ERROR = 1;
+const STATUS_READY = 3;
+
+function unavailable(message) {
+  const err = new Error(message);
+  err.workerUnavailable = true;
+  return err;
+}
+
+// The worker starts on first use and handles one image at a time. It is
+// restarted after a crash, recycled once its RSS passes maxRssMb, stopped
+// after idleMs without work, and pinged every healthIntervalMs while idle.
+// After maxStartFailures failed starts in a row it stays down for cooldownMs;
+// during that time removeBackground rejects with err.workerUnavailable set.
+function createRembgWorker({
+  pythonPath,
+  scriptPath = path.join(__dirname, '../rembg_worker.py'),
+  startTimeoutMs = 180000,
+  healthIntervalMs = 60000,
+  pingTimeoutMs = 10000,
+  maxRssMb = 450,
+  idleMs = 10 * 60 * 1000,
+  maxStartFailures = 3,
+  cooldownMs = 5 * 60 * 1000,
+} = {}) {
+  let proc = null;
+  let starting = null;
+  let inflight = null;
+  let tail = Promise.resolve();
+  let startFailures = 0;
+  let disabledUntil = 0;
+  let healthTimer = null;
+  let idleTimer = null;
+  const stats = { starts: 0, crashes: 0, recycles: 0, processed: 0, lastRssKb: null, model: null };
+
+  // Runs tasks one after another, whatever the previous one returned.
+  function serialize(task) {
+    const result = tail.then(task, task);
+    tail = result.catch(() => {});
+    return result;
+  }
+
+  function stop(child = proc, { force = false } = {}) {
+    if (!child) return;
+    child.stopping = true;
+    if (proc === child) {
+      proc = null;
+      starting = null;
+      clearInterval(healthTimer);
+      clearTimeout(idleTimer);
+    }
+    if (force) {
+      child.kill('SIGKILL');
+      return;
+    }
+    child.stdin.end(); // the worker exits when stdin closes
+    setTimeout(() => child.kill('SIGKILL'), 5000).unref();
+  }
+
+  function handleFrame(child, status, rssKb, body) {
+    stats.lastRssKb = rssKb;
+    if (status === STATUS_READY) {
+      child.onReady(body.toString('utf8'));
+      return;
+    }
+    const job = inflight;
+    inflight = null;
+    if (!job) return;
+    if (status === STATUS_OK) job.resolve(Buffer.from(body));
+    else if (status === STATUS_ERROR) job.reject(new Error(body.toString('utf8') || 'rembg worker error'));
+    else job.resolve(null);
+  }
+
+  function start() {
+    if (starting) return starting;
+    if (Date.now() < disabledUntil) {
+      return Promise.reject(unavailable('rembg worker disabled after repeated start failures'));
+    }
+
+    starting = new Promise((resolve, reject) => {
+      const child = spawn(resolvePythonExec(pythonPath), [scriptPath], { stdio: ['pipe', 'pipe', 'pipe'] });
+      let buffer = Buffer.alloc(0);
+      let ready = false;
+      proc = child;
+      stats.starts += 1;
+
+      const fail = (err) => {
+        clearTimeout(startTimer);
+        if (ready) return;
+        ready = true; // settle once
+        startFailures += 1;
+        if (startFailures >= maxStartFailures) {
+          disabledUntil = Date.now() + cooldownMs;
+          console.warn(`⚠️ rembg worker failed to start ${startFailures} times; using one-shot mode for ${cooldownMs}ms`);
+        }
+        stop(child, { force: true });
+        reject(unavailable(err.message));
+      };
+      const startTimer = setTimeout(() => fail(new Error('rembg worker did not become ready in time')), startTimeoutMs);
+
+      child.onReady = (model) => {
+        clearTimeout(startTimer);
+        ready = true;
+        startFailures = 0;
+        stats.model = model;
+        console.log(`✅ rembg worker ready (model ${model}, pid ${child.pid})`);
+        healthTimer = setInterval(healthCheck, healthIntervalMs);
+        healthTimer.unref();
+        resolve();
+      };
+
+      child.on('error', fail);
+      child.stdin.on('error', () => {}); // reported through 'exit'
+      child.stderr.on('data', (data) => console.warn(`⚠️ rembg worker: ${String(data).trim()}`));
+      child.stdout.on('data', (data) => {
+        buffer = Buffer.concat([buffer, data]);
+        while (buffer.length >= 4) {
+          const length = buffer.readUInt32BE(0);
+          if (buffer.length < 4 + length) break;
+          const frame = buffer.subarray(4, 4 + length);
+          buffer = buffer.subarray(4 + length);
+          handleFrame(child, frame[0], frame.readUInt32BE(1), frame.subarray(5));
+        }
+      });
+
+      child.on('exit', (code, signal) => {
+        if (!ready) {
+          fail(new Error(`rembg worker exited during start (${signal || code})`));
+          return;
+        }
+        const crashed = !child.stopping;
+        if (proc === child) stop(child, { force: true });
+        if (inflight) {
+          inflight.reject(new Error(`rembg worker exited while processing (${signal || code})`));
+          inflight = null;
+        }
+        if (crashed) {
+          stats.crashes += 1;
+          console.warn(`⚠️ rembg worker crashed (${signal || code}); restarting`);
+          setTimeout(() => start().catch((err) => console.warn('⚠️ rembg worker restart failed:', err.message)), 1000).unref();
+        }
+      });
+    });
+    return starting;
+  }
+
+  function send(op, body, timeoutMs) {
+    const child = proc;
+    return new Promise((resolve, reject) => {
+      if (!child) {
+        reject(new Error('rembg worker is not running'));
+        return;
+      }
+      const timer = setTimeout(() => {
+        inflight = null;
+        stop(child, { force: true });
+        reject(new Error(`rembg worker timed out after ${timeoutMs}ms`));
+      }, timeoutMs);
+      inflight = {
+        resolve: (value) => { clearTimeout(timer); resolve(value); },
+        reject: (err) => { clearTimeout(timer); reject(err); },
+      };
+      const header = Buffer.alloc(5);
+      header.writeUInt32BE(body.length + 1, 0);
+      header[4] = op;
+      child.stdin.write(Buffer.concat([header, body]));
+    });
+  }
+
+  function recycleIfTooBig() {
+    if (!proc || stats.lastRssKb <= maxRssMb * 1024) return false;
+    stats.recycles += 1;
+    console.log(`♻️ Recycling rembg worker at ${Math.round(stats.lastRssKb / 1024)}MB RSS`);
+    stop();
+    return true;
+  }
+
+  function afterWork() {
+    if (!proc || recycleIfTooBig()) return;
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => stop(), idleMs);
+    idleTimer.unref();
+  }
+
+  function healthCheck() {
+    if (!proc || inflight) return;
+    serialize(async () => {
+      if (!proc) return;
+      await send(OP_PING, Buffer.alloc(0), pingTimeoutMs);
+      recycleIfTooBig();
+    }).catch((err) => console.warn('⚠️ rembg worker health check failed:', err.message));
+  }
+
+  function removeBackground(fileBuffer, { timeoutMs = 120000 } = {}) {
+    return serialize(async () => {
+      await start();
+      clearTimeout(idleTimer);
+      const png = await send(OP_REMOVE, fileBuffer, timeoutMs);
+      stats.processed += 1;
+      afterWork();
+      return png;
+    });
+  }
+
+  return {
+    removeBackground,
+    stop: () => stop(),
+    get stats() {
+      return { ...stats, running: Boolean(proc), disabledUntil: disabledUntil || null };
+    },
+  };
+}
+
+let sharedWorker = null;
+
+// Uses the shared worker (REMBG_WORKER=false turns it off) and falls back to
+// one-shot mode when it cannot start. Errors while processing an image are
+// passed on so the caller can retry.
+async function removeBackground(fileBuffer, { timeoutMs } = {}) {
+  if (process.env.REMBG_WORKER !== 'false') {
+    sharedWorker = sharedWorker || createRembgWorker({
+      maxRssMb: Number(process.env.REMBG_WORKER_MAX_RSS_MB || 450),
+      idleMs: Number(process.env.REMBG_WORKER_IDLE_MS || 10 * 60 * 1000),
+    });
+    try {
+      return await sharedWorker.removeBackground(fileBuffer, { timeoutMs });
+    } catch (err) {
+      if (!err.workerUnavailable) throw err;
+      console.warn('⚠️ rembg worker unavailable, using one-shot mode:', err.message);
+    }
+  }
+  return removeBackgroundBuffer(fileBuffer, undefined, { timeoutMs });
+}
+
+module.exports = { createRembgWorker, removeBackground };
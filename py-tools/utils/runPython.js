@@ -3,7 +3,7 @@ const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
 
-async function removeBackgroundBuffer(fileBuffer, pythonPath) {
+function resolvePythonExec(pythonPath) {
   // 1️⃣ Default to venv python if exists, else fallback to system python3 / python
   const venvUnix = pythonPath || path.join(__dirname, '../../venv/bin/python');
   const venvWin = pythonPath || path.join(__dirname, '../../venv/Scripts/python.exe');
@@ -15,6 +15,13 @@ async function removeBackgroundBuffer(fileBuffer, pythonPath) {
   if (!fs.existsSync(venvUnix) && !fs.existsSync(venvWin)) {
     console.warn('⚠️ Venv python not found, using system python');
   }
+  return pythonExec;
+}
+
+// One-shot mode: starts Python and loads the model for every image.
+// `timeoutMs` kills the Python process (and rejects) if rembg takes longer.
+async function removeBackgroundBuffer(fileBuffer, pythonPath, { timeoutMs = 0 } = {}) {
+  const pythonExec = resolvePythonExec(pythonPath);
 
   // ✅ Use optimized version for low-RAM systems (500MB limit)
   const scriptPath = path.join(__dirname, '../remove_bg_buffer_optimized.py');
@@ -24,11 +31,21 @@ async function removeBackgroundBuffer(fileBuffer, pythonPath) {
 
     let stdoutBuffers = [];
     let stderrBuffers = [];
+    let timedOut = false;
+    const timer = timeoutMs
+      ? setTimeout(() => {
+          timedOut = true;
+          pyProcess.kill('SIGKILL');
+          reject(new Error(`Python timed out after ${timeoutMs}ms`));
+        }, timeoutMs)
+      : null;
 
     pyProcess.stdout.on('data', (data) => stdoutBuffers.push(data));
     pyProcess.stderr.on('data', (data) => stderrBuffers.push(data));
 
     pyProcess.on('close', (code) => {
+      if (timer) clearTimeout(timer);
+      if (timedOut) return;
       if (code !== 0) {
         const stderr = Buffer.concat(stderrBuffers).toString();
         console.error('❌ Python failed:', stderr);
@@ -37,9 +54,13 @@ async function removeBackgroundBuffer(fileBuffer, pythonPath) {
       resolve(Buffer.concat(stdoutBuffers));
     });
 
-    pyProcess.on('error', reject);
+    pyProcess.on('error', (err) => {
+      if (timer) clearTimeout(timer);
+      reject(err);
+    });
 
     // Write the input image buffer to Python stdin
+    pyProcess.stdin.on('error', () => {}); // process died early; 'close' reports it
     pyProcess.stdin.write(fileBuffer);
     pyProcess.stdin.end();
   });
@@ -75,4 +96,4 @@ async function removeBackgroundFile(inputPath, outputPath, pythonPath) {
   });
 }
 
-module.exports = { removeBackgroundBuffer, removeBackgroundFile };
\ No newline at end of file
+module.exports = { resolvePythonExec, removeBackgroundBuffer, removeBackgroundFile };
\ No newline at end of file
@@ -0,0 +1,621 @@
+// backend/storage.js
+// One interface over the places uploaded files can live: local disk (served
+// by /api/files), Cloudinary, or any S3-compatible bucket (AWS S3, MinIO, R2).
+//
+// Files are addressed by a key: a folder plus a random name from newFileKey,
+// e.g. "photos/Jd9x…_original.webp" or "forms/Qm3a….pdf". Names carry no
+// member details so links cannot be guessed. The database keeps the URL put()
+// returns, so every driver can also tell whether a URL is one of its own
+// (owns) and turn it back into a key (keyFor).
+//
+//   put(key, buffer, { contentType, baseUrl }) -> { url, key, publicId? }
+//   get(url)                                 -> Buffer, or null if it is gone
+//   delete(url)                              -> true if a file was removed
+//   signedUrl(url, { expiresInSeconds })     -> URL that can be handed out
+//   list(folder)                             -> [{ key, url, size, modifiedAt }] directly in folder
+//   sourceKeyFor(url)                        -> key of the uploaded file a (transformed) URL is served from
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const streamifier = require('streamifier');
+const cloudinary = require('./cloudinary');
+
+// ------ Cloudinary folder configuration ------
+// the root folder (usually 'fibuca') and subfolders may vary per project.
+// allow overrides via env vars so the code can run in different accounts.
+const CLOUDINARY_BASE_FOLDER = process.env.CLOUDINARY_BASE_FOLDER || 'fibuca';
+const CLOUDINARY_FOLDERS = {
+  photos: process.env.CLOUDINARY_PHOTOS_FOLDER || 'photo',      // user-submitted ID card photos
+  forms: process.env.CLOUDINARY_FORMS_FOLDER || 'forms',      // PDF forms
+  idcards: process.env.CLOUDINARY_IDCARDS_FOLDER || 'id',      // cleaned ID card images
+  complaints: process.env.CLOUDINARY_COMPLAINTS_FOLDER || 'complaints', // complaint reply attachments
+  profiles: process.env.CLOUDINARY_PROFILES_FOLDER || 'profiles', // user profile photos
+  generatedForms: process.env.CLOUDINARY_GENERATED_FORMS_FOLDER || 'forms/generated', // backend-rendered membership forms
+  printBatches: process.env.CLOUDINARY_PRINT_BATCHES_FOLDER || 'id/print-batches', // ID card print sheets and manifests
+};
+
+// Key directory -> Cloudinary folder. The keys are every folder files are stored in.
+const CLOUDINARY_FOLDER_FOR_DIR = {
+  photos: CLOUDINARY_FOLDERS.photos,
+  forms: CLOUDINARY_FOLDERS.forms,
+  'forms/generated': CLOUDINARY_FOLDERS.generatedForms,
+  idcards: CLOUDINARY_FOLDERS.idcards,
+  'idcards/print-batches': CLOUDINARY_FOLDERS.printBatches,
+  complaints: CLOUDINARY_FOLDERS.complaints,
+  profiles: CLOUDINARY_FOLDERS.profiles,
+};
+
+const STORAGE_FOLDERS = Object.keys(CLOUDINARY_FOLDER_FOR_DIR);
+
+function cloudFolder(sub) {
+  return `${CLOUDINARY_BASE_FOLDER}/${sub}`;
+}
+
+const CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.pdf': 'application/pdf',
+  '.csv': 'text/csv; charset=utf-8',
+};
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp', '.gif'];
+
+function contentTypeFor(key) {
+  return CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+}
+
+function normalizeKey(key) {
+  const clean = path.posix.normalize(String(key || '').replace(/\\/g, '/')).replace(/^\/+/, '');
+  if (!clean || clean === '.' || clean.startsWith('..')) throw new Error(`Invalid storage key: ${key}`);
+  return clean;
+}
+
+function stripQuery(url) {
+  return String(url || '').split(/[?#]/)[0];
+}
+
+// "<folder>/<24 random url-safe characters>"; callers append the extension.
+function newFileKey(folder) {
+  return `${normalizeKey(folder)}/${crypto.randomBytes(18).toString('base64url')}`;
+}
+
+// ---------- local disk ----------
+// Files live under uploadsDir and are only served by the app's access-checked
+// /api/files route, or with a link from signedUrl. URLs saved before that
+// route existed use /uploads/<key>, and cards older still point at
+// /photos/<file> in the repo's photos directory; both are still readable.
+//
+// A URL is only taken for a local file when it is relative or starts with
+// publicBaseUrl, so a link to another host with the same path is not. Without
+// a publicBaseUrl (development) files are stored under the request's host and
+// any host is accepted; an empty publicBaseUrl accepts only relative URLs.
+function createLocalDriver({ uploadsDir, legacyPhotosDir, signingSecret, publicBaseUrl = null }) {
+  const signature = (key, expires) => crypto.createHmac('sha256', signingSecret).update(`${key}\n${expires}`).digest('base64url');
+  const base = typeof publicBaseUrl === 'string' ? publicBaseUrl.replace(/\/+$/, '') : null;
+
+  // The path of a URL this driver may have handed out, or null.
+  function localPath(url) {
+    const value = stripQuery(url);
+    if (value.startsWith('/') && !value.startsWith('//')) return value;
+    if (base) return value.startsWith(`${base}/`) ? value.slice(base.length) : null;
+    if (base === null) {
+      const m = value.match(/^https?:\/\/[^/]+(\/.*)$/i);
+      return m ? m[1] : null;
+    }
+    return null;
+  }
+
+  function keyFor(url) {
+    const value = localPath(url);
+    if (!value) return null;
+    if (value.startsWith('/photos/')) return `photos/${path.basename(value)}`;
+    const relative = value.match(/^\/(?:api\/files|uploads)\/(.+)$/)?.[1];
+    if (!relative) return null;
+    try {
+      return normalizeKey(decodeURIComponent(relative));
+    } catch (_) {
+      return null;
+    }
+  }
+
+  function filePathFor(url) {
+    const value = localPath(url);
+    if (value && value.startsWith('/photos/')) return path.join(legacyPhotosDir, path.basename(value));
+    const key = keyFor(url);
+    if (!key) return null;
+    const filePath = path.resolve(uploadsDir, key);
+    return filePath.startsWith(uploadsDir + path.sep) ? filePath : null;
+  }
+
+  return {
+    name: 'local',
+    owns: (url) => Boolean(keyFor(url)),
+    keyFor,
+    async put(key, buffer, { baseUrl } = {}) {
+      const cleanKey = normalizeKey(key);
+      const root = base === null ? baseUrl : base;
+      if (!root) throw new Error('Local storage needs a public base URL (BACKEND_URL) to build file URLs');
+      const filePath = path.join(uploadsDir, cleanKey);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+      return { url: `${root.replace(/\/+$/, '')}/api/files/${cleanKey}`, key: cleanKey };
+    },
+    async get(url) {
+      const filePath = filePathFor(url);
+      if (!filePath) return null;
+      try {
+        return await fs.promises.readFile(filePath);
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+    async delete(url) {
+      const filePath = filePathFor(url);
+      if (!filePath) return false;
+      try {
+        await fs.promises.unlink(filePath);
+        return true;
+      } catch (err) {
+        if (err.code === 'ENOENT') return false;
+        throw err;
+      }
+    },
+    // A link that opens the file without signing in until it expires.
+    signedUrl(url, { expiresInSeconds = 900 } = {}) {
+      const key = keyFor(url);
+      if (!key) return url;
+      const expires = Math.floor(Date.now() / 1000) + Math.max(1, Math.floor(expiresInSeconds));
+      const value = stripQuery(url);
+      const fileUrl = `${value.slice(0, value.length - localPath(url).length)}/api/files/${key}`;
+      return `${fileUrl}?expires=${expires}&signature=${signature(key, expires)}`;
+    },
+    verifySignature(key, { expires, signature: given } = {}) {
+      const expiresAt = Number(expires);
+      if (!Number.isInteger(expiresAt) || expiresAt * 1000 < Date.now() || typeof given !== 'string') return false;
+      const expected = Buffer.from(signature(key, expiresAt));
+      const actual = Buffer.from(given);
+      return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    },
+    sourceKeyFor: keyFor,
+    // The legacy photos directory ships with the repo and is never listed.
+    async list(folder) {
+      const dir = normalizeKey(folder);
+      let entries;
+      try {
+        entries = await fs.promises.readdir(path.join(uploadsDir, dir), { withFileTypes: true });
+      } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+      }
+      const files = [];
+      for (const entry of entries) {
+        if (!entry.isFile()) continue;
+        const key = `${dir}/${entry.name}`;
+        const stat = await fs.promises.stat(path.join(uploadsDir, key));
+        files.push({ key, url: `/api/files/${key}`, size: stat.size, modifiedAt: stat.mtime });
+      }
+      return files;
+    },
+  };
+}
+
+// ---------- Cloudinary ----------
+// Images are uploaded as image resources (public_id without extension, so
+// transformations can change the format); everything else as raw resources
+// with the extension passed as `format`, as the upload routes always did.
+//
+// Uploads use the "authenticated" delivery type: the stored URL carries a
+// signature and does not expire, so it is never handed out as is. Links come
+// from signedUrl, a download URL that expires. Files uploaded before this used
+// the public "upload" type and are still read.
+function createCloudinaryDriver() {
+  const dirForFolder = Object.entries(CLOUDINARY_FOLDER_FOR_DIR)
+    .map(([dir, folder]) => ({ dir, folder: cloudFolder(folder) }))
+    .sort((a, b) => b.folder.length - a.folder.length);
+
+  // https://res.cloudinary.com/<cloud>/<image|raw>/<upload|authenticated>/[s--signature--/][transformations/][v123/]<public_id>[.ext]
+  function parse(url) {
+    const m = stripQuery(url).match(/^https?:\/\/res\.cloudinary\.com\/[^/]+\/(image|raw|video)\/(upload|authenticated)\/(.+)$/);
+    if (!m) return null;
+    const segments = m[3].split('/').filter((s) => !/^s--[\w-]+--$/.test(s));
+    let start = segments.findIndex((s) => /^v\d+$/.test(s)) + 1;
+    if (!start) start = Math.max(0, segments.indexOf(CLOUDINARY_BASE_FOLDER));
+    const transformations = segments.slice(0, start).filter((s) => !/^v\d+$/.test(s)).join('/');
+    const fullPath = decodeURIComponent(segments.slice(start).join('/'));
+    const resourceType = m[1];
+    const publicId = resourceType === 'raw' ? fullPath : fullPath.replace(/\.[^./]+$/, '');
+    return { resourceType, deliveryType: m[2], transformations, fullPath, publicId };
+  }
+
+  // A signed API download of the uploaded file that stops working after
+  // expiresInSeconds. Transformed URLs have no such form (see signedUrl).
+  function downloadUrl(parsed, expiresInSeconds) {
+    const format = parsed.resourceType === 'raw' ? undefined : path.posix.extname(parsed.fullPath).slice(1) || undefined;
+    return cloudinary.utils.private_download_url(parsed.publicId, format, {
+      resource_type: parsed.resourceType,
+      type: parsed.deliveryType,
+      expires_at: Math.floor(Date.now() / 1000) + Math.max(1, Math.floor(expiresInSeconds)),
+    });
+  }
+
+  function keyFor(url, { ignoreTransformations = false } = {}) {
+    const parsed = parse(url);
+    if (!parsed) return null;
+    const match = dirForFolder.find(({ folder }) => parsed.fullPath.startsWith(`${folder}/`));
+    let name = match ? parsed.fullPath.slice(match.folder.length + 1) : path.posix.basename(parsed.fullPath);
+    // A transformed URL (e.g. a background-removed photo) is a different file than its source.
+    if (parsed.transformations && !ignoreTransformations) {
+      const ext = path.posix.extname(name) || '.png';
+      const tag = crypto.createHash('sha1').update(parsed.transformations).digest('hex').slice(0, 8);
+      name = `${name.slice(0, name.length - path.posix.extname(name).length)}_t${tag}${ext}`;
+    }
+    return normalizeKey(`${match ? match.dir : 'misc'}/${name}`);
+  }
+
+  return {
+    name: 'cloudinary',
+    owns: (url) => Boolean(parse(url)),
+    keyFor,
+    async put(key, buffer) {
+      const cleanKey = normalizeKey(key);
+      const dir = path.posix.dirname(cleanKey);
+      const ext = path.posix.extname(cleanKey).toLowerCase();
+      const isImage = IMAGE_EXTENSIONS.includes(ext);
+      const options = {
+        folder: cloudFolder(CLOUDINARY_FOLDER_FOR_DIR[dir] || dir),
+        public_id: path.posix.basename(cleanKey, path.posix.extname(cleanKey)),
+        resource_type: isImage ? 'image' : 'raw',
+        type: 'authenticated',
+      };
+      if (!isImage && ext) options.format = ext.slice(1);
+
+      const uploadResult = await new Promise((resolve, reject) => {
+        const stream = cloudinary.uploader.upload_stream(options, (error, result) => (error ? reject(error) : resolve(result)));
+        streamifier.createReadStream(buffer).pipe(stream);
+      });
+      return { url: uploadResult.secure_url, key: cleanKey, publicId: uploadResult.public_id };
+    },
+    async get(url) {
+      const parsed = parse(url);
+      if (!parsed) return null;
+      const source = parsed.transformations ? url : downloadUrl(parsed, 60);
+      const resp = await axios.get(source, { responseType: 'arraybuffer', timeout: 20000, validateStatus: () => true });
+      if (resp.status === 404) return null;
+      if (resp.status >= 300) throw new Error(`Cloudinary returned ${resp.status} for ${url}`);
+      return Buffer.from(resp.data);
+    },
+    async delete(url) {
+      const parsed = parse(url);
+      // Derived (transformed) URLs go away with their source.
+      if (!parsed || parsed.transformations) return false;
+      const result = await cloudinary.uploader.destroy(parsed.publicId, {
+        resource_type: parsed.resourceType,
+        type: parsed.deliveryType,
+        invalidate: true,
+      });
+      return result.result === 'ok';
+    },
+    // Cloudinary cannot expire a transformed delivery URL (that needs token
+    // authentication on a paid plan), so those are handed out as stored: they
+    // are signed, and only made for card photos after background removal.
+    signedUrl(url, { expiresInSeconds = 900 } = {}) {
+      const parsed = parse(url);
+      if (!parsed || parsed.transformations) return url;
+      return downloadUrl(parsed, expiresInSeconds);
+    },
+    // Transformed URLs are generated on the fly from the uploaded resource.
+    sourceKeyFor: (url) => keyFor(url, { ignoreTransformations: true }),
+    // Lists image and raw resources of both delivery types through the Admin
+    // API (rate limited, 500 per call).
+    async list(folder) {
+      const dir = normalizeKey(folder);
+      const prefix = `${cloudFolder(CLOUDINARY_FOLDER_FOR_DIR[dir] || dir)}/`;
+      const files = [];
+      for (const [resourceType, type] of [['image', 'upload'], ['image', 'authenticated'], ['raw', 'upload'], ['raw', 'authenticated']]) {
+        let cursor;
+        do {
+          const page = await cloudinary.api.resources({
+            type,
+            resource_type: resourceType,
+            prefix,
+            max_results: 500,
+            next_cursor: cursor,
+          });
+          for (const resource of page.resources) {
+            const key = keyFor(resource.secure_url);
+            // The prefix also matches nested folders (e.g. id/print-batches under id).
+            if (!key || path.posix.dirname(key) !== dir) continue;
+            files.push({ key, url: resource.secure_url, size: resource.bytes, modifiedAt: new Date(resource.created_at) });
+          }
+          cursor = page.next_cursor;
+        } while (cursor);
+      }
+      return files;
+    },
+  };
+}
+
+// ---------- S3-compatible ----------
+// Requests are signed with AWS Signature Version 4. Path-style addressing
+// (endpoint/bucket/key) is the default because MinIO and most S3-compatible
+// stores expect it; set S3_FORCE_PATH_STYLE=false for virtual-hosted buckets.
+const S3_MAX_PRESIGN_SECONDS = 7 * 24 * 60 * 60;
+
+function encodeS3(value, keepSlashes) {
+  const encoded = encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return keepSlashes ? encoded.replace(/%2F/g, '/') : encoded;
+}
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmacSha256(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function xmlField(xml, name) {
+  const m = xml.match(new RegExp(`<${name}>([^<]*)</${name}>`));
+  return m ? m[1].replace(/&(amp|lt|gt|quot|apos);/g, (_, entity) => XML_ENTITIES[entity]) : null;
+}
+
+function createS3Driver({ endpoint, region = 'us-east-1', bucket, accessKeyId, secretAccessKey, publicUrl, forcePathStyle = true, prefix = '' }) {
+  if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage needs S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+  const endpointUrl = new URL(endpoint);
+  const host = forcePathStyle ? endpointUrl.host : `${bucket}.${endpointUrl.host}`;
+  const bucketPath = forcePathStyle ? `/${bucket}` : '';
+  const origin = `${endpointUrl.protocol}//${host}`;
+  const publicBase = (publicUrl || `${origin}${bucketPath}`).replace(/\/+$/, '');
+  const keyPrefix = String(prefix || '').replace(/^\/+|\/+$/g, '');
+
+  const objectKey = (key) => (keyPrefix ? `${keyPrefix}/${key}` : key);
+  const objectPath = (key) => `${bucketPath}/${encodeS3(objectKey(key), true)}`;
+
+  // Returns the signature and credential scope for one request.
+  function sign({ method, requestPath, query, headers, payloadHash, amzDate }) {
+    const day = amzDate.slice(0, 8);
+    const scope = `${day}/${region}/s3/aws4_request`;
+    const headerNames = Object.keys(headers).sort();
+    const canonicalRequest = [
+      method,
+      requestPath,
+      Object.keys(query).sort().map((name) => `${encodeS3(name)}=${encodeS3(query[name])}`).join('&'),
+      headerNames.map((name) => `${name}:${String(headers[name]).trim()}\n`).join(''),
+      headerNames.join(';'),
+      payloadHash,
+    ].join('\n');
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+    let signingKey = hmacSha256(`AWS4${secretAccessKey}`, day);
+    for (const part of [region, 's3', 'aws4_request']) signingKey = hmacSha256(signingKey, part);
+    return {
+      signature: crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex'),
+      credential: `${accessKeyId}/${scope}`,
+      signedHeaders: headerNames.join(';'),
+    };
+  }
+
+  const amzDateNow = () => new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+
+  function request(method, key, { query = {}, body = Buffer.alloc(0), contentType } = {}) {
+    // A null key addresses the bucket itself (used for listing).
+    const requestPath = key === null ? `${bucketPath}/` : objectPath(key);
+    const amzDate = amzDateNow();
+    const payloadHash = sha256Hex(body);
+    const headers = { host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+    if (contentType) headers['content-type'] = contentType;
+    const { signature, credential, signedHeaders } = sign({ method, requestPath, query, headers, payloadHash, amzDate });
+    const queryString = Object.keys(query).sort().map((name) => `${encodeS3(name)}=${encodeS3(query[name])}`).join('&');
+
+    const { host: _host, ...sendHeaders } = headers;
+    return axios({
+      method,
+      url: `${origin}${requestPath}${queryString ? `?${queryString}` : ''}`,
+      data: method === 'PUT' ? body : undefined,
+      headers: {
+        ...sendHeaders,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${credential}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+      },
+      responseType: 'arraybuffer',
+      timeout: 30000,
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+      validateStatus: () => true,
+    });
+  }
+
+  function failure(resp, action, key) {
+    const detail = Buffer.from(resp.data || '').toString('utf8').match(/<Code>([^<]+)<\/Code>/);
+    return new Error(`S3 ${action} ${key} failed: ${resp.status}${detail ? ` ${detail[1]}` : ''}`);
+  }
+
+  function keyFor(url) {
+    const value = stripQuery(url);
+    if (!value.startsWith(`${publicBase}/`)) return null;
+    const stored = decodeURIComponent(value.slice(publicBase.length + 1));
+    if (keyPrefix && !stored.startsWith(`${keyPrefix}/`)) return null;
+    return normalizeKey(keyPrefix ? stored.slice(keyPrefix.length + 1) : stored);
+  }
+
+  return {
+    name: 's3',
+    owns: (url) => Boolean(keyFor(url)),
+    keyFor,
+    async put(key, buffer, { contentType } = {}) {
+      const cleanKey = normalizeKey(key);
+      const resp = await request('PUT', cleanKey, { body: buffer, contentType: contentType || contentTypeFor(cleanKey) });
+      if (resp.status !== 200) throw failure(resp, 'put', cleanKey);
+      return { url: `${publicBase}/${encodeS3(objectKey(cleanKey), true)}`, key: cleanKey };
+    },
+    async get(url) {
+      const key = keyFor(url);
+      if (!key) return null;
+      const resp = await request('GET', key);
+      if (resp.status === 404) return null;
+      if (resp.status !== 200) throw failure(resp, 'get', key);
+      return Buffer.from(resp.data);
+    },
+    async delete(url) {
+      const key = keyFor(url);
+      if (!key) return false;
+      const resp = await request('DELETE', key);
+      if (resp.status !== 204 && resp.status !== 200) throw failure(resp, 'delete', key);
+      return true;
+    },
+    signedUrl(url, { expiresInSeconds = 900 } = {}) {
+      const key = keyFor(url);
+      if (!key) return url;
+      const amzDate = amzDateNow();
+      const query = {
+        'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+        'X-Amz-Credential': `${accessKeyId}/${amzDate.slice(0, 8)}/${region}/s3/aws4_request`,
+        'X-Amz-Date': amzDate,
+        'X-Amz-Expires': String(Math.min(Math.max(1, Math.floor(expiresInSeconds)), S3_MAX_PRESIGN_SECONDS)),
+        'X-Amz-SignedHeaders': 'host',
+      };
+      const { signature } = sign({ method: 'GET', requestPath: objectPath(key), query, headers: { host }, payloadHash: 'UNSIGNED-PAYLOAD', amzDate });
+      const queryString = Object.keys(query).sort().map((name) => `${encodeS3(name)}=${encodeS3(query[name])}`).join('&');
+      return `${origin}${objectPath(key)}?${queryString}&X-Amz-Signature=${signature}`;
+    },
+    sourceKeyFor: keyFor,
+    // ListObjectsV2, one level deep (delimiter "/").
+    async list(folder) {
+      const dir = normalizeKey(folder);
+      const files = [];
+      let token;
+      do {
+        const query = { 'list-type': '2', prefix: `${objectKey(dir)}/`, delimiter: '/' };
+        if (token) query['continuation-token'] = token;
+        const resp = await request('GET', null, { query });
+        if (resp.status !== 200) throw failure(resp, 'list', dir);
+        const xml = Buffer.from(resp.data).toString('utf8');
+        for (const [, contents] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+          const stored = xmlField(contents, 'Key');
+          const key = normalizeKey(keyPrefix ? stored.slice(keyPrefix.length + 1) : stored);
+          files.push({
+            key,
+            url: `${publicBase}/${encodeS3(stored, true)}`,
+            size: Number(xmlField(contents, 'Size')),
+            modifiedAt: new Date(xmlField(contents, 'LastModified')),
+          });
+        }
+        token = xmlField(xml, 'IsTruncated') === 'true' ? xmlField(xml, 'NextContinuationToken') : null;
+      } while (token);
+      return files;
+    },
+  };
+}
+
+// ---------- registry ----------
+const DEFAULT_JWT_SECRET = 'fibuca_secret';
+
+// Local share links are HMACs, so they need a secret nobody else knows:
+// FILE_URL_SECRET, or JWT_SECRET when it is not the built-in default.
+// Production refuses to run without one; elsewhere a random secret is used
+// and links stop working when the process restarts.
+function localSigningSecret() {
+  const jwtSecret = process.env.JWT_SECRET && process.env.JWT_SECRET !== DEFAULT_JWT_SECRET ? process.env.JWT_SECRET : null;
+  const secret = process.env.FILE_URL_SECRET || jwtSecret;
+  if (secret) return secret;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('FILE_URL_SECRET (or a JWT_SECRET other than the default) must be set to sign local file links');
+  }
+  console.warn('⚠️ FILE_URL_SECRET is not set; local file links are signed with a per-process secret');
+  return crypto.randomBytes(32).toString('hex');
+}
+
+// Absolute local file URLs start with BACKEND_URL. Production needs it to
+// store files on local disk; until it is set only relative URLs are local.
+function localPublicBaseUrl() {
+  if (process.env.BACKEND_URL) return process.env.BACKEND_URL;
+  return process.env.NODE_ENV === 'production' ? '' : null;
+}
+
+const DRIVER_FACTORIES = {
+  local: () => createLocalDriver({
+    uploadsDir: path.join(__dirname, 'uploads'),
+    legacyPhotosDir: path.join(__dirname, 'photos'),
+    signingSecret: localSigningSecret(),
+    publicBaseUrl: localPublicBaseUrl(),
+  }),
+  cloudinary: () => createCloudinaryDriver(),
+  s3: () => createS3Driver({
+    endpoint: process.env.S3_ENDPOINT,
+    region: process.env.S3_REGION,
+    bucket: process.env.S3_BUCKET,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    publicUrl: process.env.S3_PUBLIC_URL,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false',
+    prefix: process.env.S3_PREFIX,
+  }),
+};
+const drivers = {};
+
+// STORAGE_DRIVER picks where new uploads go. Without it the old PHOTO_MODE
+// behaviour applies: Cloudinary on Vercel or with PHOTO_MODE=cloudinary,
+// local disk otherwise.
+function defaultStorageName() {
+  if (process.env.STORAGE_DRIVER) return process.env.STORAGE_DRIVER.toLowerCase();
+  return process.env.PHOTO_MODE === 'cloudinary' || process.env.VERCEL ? 'cloudinary' : 'local';
+}
+
+// Drivers that have credentials here, so their files can be listed.
+function configuredStorageNames() {
+  const names = ['local'];
+  if (process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY && process.env.CLOUDINARY_API_SECRET) names.push('cloudinary');
+  if (process.env.S3_BUCKET) names.push('s3');
+  return names;
+}
+
+function getStorage(name = defaultStorageName()) {
+  if (!DRIVER_FACTORIES[name]) {
+    throw new Error(`Unknown storage driver "${name}" (expected ${Object.keys(DRIVER_FACTORIES).join(', ')})`);
+  }
+  drivers[name] = drivers[name] || DRIVER_FACTORIES[name]();
+  return drivers[name];
+}
+
+// The driver a stored URL belongs to, whichever is current; null for
+// foreign URLs. S3 is only considered when it is configured.
+function storageForUrl(url) {
+  const names = ['cloudinary', ...(process.env.S3_BUCKET ? ['s3'] : []), 'local'];
+  for (const name of names) {
+    const driver = getStorage(name);
+    if (driver.owns(url)) return driver;
+  }
+  return null;
+}
+
+// Reads a stored file by URL from whichever driver holds it. URLs no driver
+// owns are refused (null) rather than fetched, so a stored address can never
+// make the server request another host.
+async function readStoredFile(url) {
+  const value = String(url || '').trim();
+  const driver = value ? storageForUrl(value) : null;
+  return driver ? driver.get(value) : null;
+}
+
+module.exports = {
+  CLOUDINARY_FOLDERS,
+  STORAGE_FOLDERS,
+  cloudFolder,
+  contentTypeFor,
+  newFileKey,
+  normalizeKey,
+  createLocalDriver,
+  createCloudinaryDriver,
+  createS3Driver,
+  configuredStorageNames,
+  getStorage,
+  storageForUrl,
+  readStoredFile,
+};
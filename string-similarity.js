@@ -0,0 +1,30 @@
+// backend/string-similarity.js
+// Edit distance between short strings, shared by the duplicate member check
+// in index.js and the employer/branch name matching in employer-registry.js.
+
+// Edits (insert, delete, substitute, swap two neighbours) between two strings.
+function editDistance(a, b) {
+  const rows = [];
+  for (let i = 0; i <= a.length; i += 1) {
+    rows.push([i]);
+    for (let j = 1; j <= b.length; j += 1) {
+      if (i === 0) {
+        rows[i][j] = j;
+        continue;
+      }
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) value = Math.min(value, rows[i - 2][j - 2] + 1);
+      rows[i][j] = value;
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+// 0..1, where 1 means equal; 0 when either string is empty.
+function stringSimilarity(a, b) {
+  if (!a || !b) return 0;
+  return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+}
+
+module.exports = { editDistance, stringSimilarity };
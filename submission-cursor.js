@@ -0,0 +1,60 @@
+// backend/submission-cursor.js
+// Keyset pagination for the submission search: a cursor is the sort value
+// and id of the last row on a page, base64url-encoded JSON.
+
+// Sortable columns and how their cursor values are compared
+const SUBMISSION_SORT_FIELDS = {
+  id: 'number',
+  submittedAt: 'date',
+  reviewedAt: 'date',
+  generatedPdfAt: 'date',
+  deletedAt: 'date',
+  userDeletedAt: 'date',
+  employeeName: 'text',
+  employeeNumber: 'text',
+  phoneNumber: 'text',
+  employerName: 'text',
+  branchName: 'text',
+  dues: 'text',
+  witness: 'text',
+  status: 'text',
+  employerId: 'number',
+  branchId: 'number',
+  staffId: 'number',
+  userId: 'number',
+};
+
+function submissionSearchError(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+function encodeSubmissionCursor(row, sort) {
+  const value = row[sort] instanceof Date ? row[sort].toISOString() : row[sort] ?? null;
+  return Buffer.from(JSON.stringify({ v: value, id: row.id })).toString('base64url');
+}
+
+function decodeSubmissionCursor(cursor, sort) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (_) {
+    decoded = null;
+  }
+  const type = SUBMISSION_SORT_FIELDS[sort];
+  const value = decoded ? decoded.v : undefined;
+  const validValue = value === null
+    || (type === 'number' && Number.isFinite(value))
+    || (type === 'text' && typeof value === 'string')
+    || (type === 'date' && typeof value === 'string' && !Number.isNaN(new Date(value).getTime()));
+  if (!decoded || !Number.isInteger(decoded.id) || !validValue) throw submissionSearchError('cursor is not valid for this sort; start again without it');
+  return { value: decoded.v, id: decoded.id };
+}
+
+module.exports = {
+  SUBMISSION_SORT_FIELDS,
+  submissionSearchError,
+  encodeSubmissionCursor,
+  decodeSubmissionCursor,
+};
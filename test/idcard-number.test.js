@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { idCardCheckCharacter } = require('../idcard-number');
+
+const ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// Luhn mod 36 validation: a number with its check character sums to 0.
+function isValid(number) {
+  const chars = number.toUpperCase().replace(/[^0-9A-Z]/g, '');
+  let factor = 1;
+  let sum = 0;
+  for (let i = chars.length - 1; i >= 0; i -= 1) {
+    let addend = factor * ALPHABET.indexOf(chars[i]);
+    factor = factor === 2 ? 1 : 2;
+    addend = Math.floor(addend / 36) + (addend % 36);
+    sum += addend;
+  }
+  return sum % 36 === 0;
+}
+
+const withCheck = (body) => `${body}${idCardCheckCharacter(body)}`;
+
+test('the check character is worked out by hand for a single digit', () => {
+  // 1 doubled is 2; 36 - 2 = 34, which is Y
+  assert.equal(idCardCheckCharacter('1'), 'Y');
+  assert.equal(idCardCheckCharacter(''), '0');
+});
+
+test('separators and case do not change the check character', () => {
+  assert.equal(idCardCheckCharacter('FIBUCA-2026-NMB-000001'), idCardCheckCharacter('fibuca2026nmb000001'));
+});
+
+test('numbers with their check character validate', () => {
+  for (const body of ['FIBUCA-2026-NMB-000001', 'FIBUCA-2026-CRDB-000042', 'FIBUCA-26-X-999999']) {
+    assert.ok(isValid(withCheck(body)), body);
+  }
+});
+
+test('a single mistyped character is caught', () => {
+  const number = withCheck('FIBUCA-2026-NMB-000417');
+  for (let i = 0; i < number.length; i += 1) {
+    if (!ALPHABET.includes(number[i])) continue;
+    for (const replacement of ALPHABET) {
+      if (replacement === number[i]) continue;
+      const typo = number.slice(0, i) + replacement + number.slice(i + 1);
+      assert.ok(!isValid(typo), typo);
+    }
+  }
+});
+
+test('two swapped neighbouring digits in the sequence are caught', () => {
+  const body = 'FIBUCA-2026-NMB-001234';
+  const check = idCardCheckCharacter(body);
+  const swapped = 'FIBUCA-2026-NMB-001324';
+  assert.notEqual(idCardCheckCharacter(swapped), check);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildPhotoChecks, hashDistance, parsePhotoEdits } = require('../photo-checks');
+
+const portrait = { width: 600, height: 760 };
+
+test('a good photo gets no flags', () => {
+  const { checks, flags } = buildPhotoChecks({ width: 600, height: 760, skinRatio: 0.3 }, []);
+  assert.deepEqual(flags, []);
+  assert.equal(checks.aspectRatio.value, 0.789);
+  assert.ok(Object.values(checks).every((check) => check.ok));
+});
+
+test('each failed check adds its flag', () => {
+  const duplicate = { id: 4, userId: 9, cardId: 2, distance: 3 };
+  const { checks, flags } = buildPhotoChecks({ width: 200, height: 100, skinRatio: 0.01 }, [duplicate]);
+  assert.deepEqual(flags, ['ASPECT_RATIO', 'LOW_RESOLUTION', 'NO_FACE', 'NEAR_DUPLICATE']);
+  assert.deepEqual(checks.duplicates.matches, [duplicate]);
+});
+
+test('hash distance counts differing bits', () => {
+  assert.equal(hashDistance('00ff', '00ff'), 0);
+  assert.equal(hashDistance('00ff', '01fe'), 2);
+  assert.equal(hashDistance('0000000000000000', 'ffffffffffffffff'), 64);
+});
+
+test('no edits, or a bare rotation', () => {
+  assert.deepEqual(parsePhotoEdits({}, portrait), { edits: null });
+  assert.deepEqual(parsePhotoEdits({ rotate: '90' }, portrait), { edits: { rotate: 90 } });
+  assert.match(parsePhotoEdits({ rotate: 45 }, portrait).error, /rotate must be/);
+});
+
+test('a crop must fit the image after rotation', () => {
+  const crop = { x: 0, y: 0, width: 700, height: 500 };
+  assert.match(parsePhotoEdits({ crop }, portrait).error, /fit inside the 600×760 image/);
+  assert.deepEqual(parsePhotoEdits({ rotate: 90, crop }, portrait), { edits: { rotate: 90, crop } });
+});
+
+test('a crop needs whole, non-negative numbers and at least 100×100', () => {
+  assert.match(parsePhotoEdits({ crop: { x: 0, y: 0, width: 150.5, height: 200 } }, portrait).error, /whole-number/);
+  assert.match(parsePhotoEdits({ crop: { x: -1, y: 0, width: 150, height: 200 } }, portrait).error, /whole-number/);
+  assert.match(parsePhotoEdits({ crop: { x: 0, y: 0, width: 99, height: 200 } }, portrait).error, /at least 100×100/);
+  assert.deepEqual(
+    parsePhotoEdits({ crop: { x: '10', y: '20', width: '300', height: '380' } }, portrait),
+    { edits: { rotate: 0, crop: { x: 10, y: 20, width: 300, height: 380 } } }
+  );
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { editDistance, stringSimilarity } = require('../string-similarity');
+
+test('edit distance counts inserts, deletes and substitutions', () => {
+  assert.equal(editDistance('kitten', 'sitting'), 3);
+  assert.equal(editDistance('', 'abc'), 3);
+  assert.equal(editDistance('abc', ''), 3);
+  assert.equal(editDistance('same', 'same'), 0);
+});
+
+test('swapping two neighbouring characters is one edit', () => {
+  assert.equal(editDistance('abcd', 'acbd'), 1);
+  assert.equal(editDistance('JOHN', 'JHON'), 1);
+  assert.equal(editDistance('ca', 'abc'), 3);
+});
+
+test('similarity is 1 for equal strings and 0 when either is empty', () => {
+  assert.equal(stringSimilarity('NMB BANK', 'NMB BANK'), 1);
+  assert.equal(stringSimilarity('', 'NMB'), 0);
+  assert.equal(stringSimilarity('NMB', ''), 0);
+});
+
+test('similarity scales the distance by the longer string', () => {
+  assert.equal(stringSimilarity('abcd', 'abce'), 0.75);
+  assert.equal(stringSimilarity('kitten', 'sitting'), 1 - 3 / 7);
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeSubmissionCursor, decodeSubmissionCursor } = require('../submission-cursor');
+
+test('cursors round-trip the sort value and id', () => {
+  assert.deepEqual(decodeSubmissionCursor(encodeSubmissionCursor({ id: 7, employeeName: 'Asha' }, 'employeeName'), 'employeeName'), { value: 'Asha', id: 7 });
+  assert.deepEqual(decodeSubmissionCursor(encodeSubmissionCursor({ id: 8, staffId: 3 }, 'staffId'), 'staffId'), { value: 3, id: 8 });
+});
+
+test('dates are carried as ISO strings', () => {
+  const submittedAt = new Date('2026-03-01T08:30:00.000Z');
+  const cursor = encodeSubmissionCursor({ id: 9, submittedAt }, 'submittedAt');
+  assert.deepEqual(decodeSubmissionCursor(cursor, 'submittedAt'), { value: '2026-03-01T08:30:00.000Z', id: 9 });
+});
+
+test('a missing sort value is kept as null', () => {
+  const cursor = encodeSubmissionCursor({ id: 10, reviewedAt: null }, 'reviewedAt');
+  assert.deepEqual(decodeSubmissionCursor(cursor, 'reviewedAt'), { value: null, id: 10 });
+});
+
+test('cursors are URL-safe', () => {
+  const cursor = encodeSubmissionCursor({ id: 11, employeeName: '???>>>' }, 'employeeName');
+  assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+});
+
+test('a cursor from another sort or garbage is a 400', () => {
+  const textCursor = encodeSubmissionCursor({ id: 12, employeeName: 'Asha' }, 'employeeName');
+  for (const [cursor, sort] of [[textCursor, 'staffId'], [textCursor, 'submittedAt'], ['not-a-cursor', 'id'], ['', 'id']]) {
+    assert.throws(() => decodeSubmissionCursor(cursor, sort), (err) => err.statusCode === 400, `${cursor} / ${sort}`);
+  }
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  TOTP_STEP_SECONDS,
+  base32Encode,
+  base32Decode,
+  generateTotpCode,
+  findMatchingTotpStep,
+} = require('../totp');
+
+// RFC 6238 appendix B, SHA-1 column. The app uses 6 digits, so the expected
+// codes are the last 6 of the 8 printed in the RFC.
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890', 'ascii'));
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130'],
+];
+
+test('base32 encodes the RFC 6238 secret and decodes it back', () => {
+  assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  assert.equal(base32Decode(RFC_SECRET).toString('ascii'), '12345678901234567890');
+  assert.equal(base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq').toString('ascii'), '12345678901234567890');
+});
+
+test('base32 rejects characters outside the alphabet', () => {
+  assert.throws(() => base32Decode('GEZD1'), /Invalid base32 secret/);
+});
+
+test('TOTP codes match the RFC 6238 test vectors', () => {
+  for (const [seconds, code] of RFC_VECTORS) {
+    assert.equal(generateTotpCode(RFC_SECRET, Math.floor(seconds / TOTP_STEP_SECONDS)), code, `T=${seconds}`);
+  }
+});
+
+test('a code is accepted one step either side of now and not beyond', () => {
+  const now = 1111111111 * 1000;
+  const current = Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+  for (const drift of [-1, 0, 1]) {
+    assert.equal(findMatchingTotpStep(RFC_SECRET, generateTotpCode(RFC_SECRET, current + drift), null, now), current + drift);
+  }
+  assert.equal(findMatchingTotpStep(RFC_SECRET, generateTotpCode(RFC_SECRET, current + 2), null, now), null);
+});
+
+test('a code for a step already used is refused', () => {
+  const now = 1111111111 * 1000;
+  const current = Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+  const code = generateTotpCode(RFC_SECRET, current);
+  assert.equal(findMatchingTotpStep(RFC_SECRET, code, current, now), null);
+  assert.equal(findMatchingTotpStep(RFC_SECRET, code, current - 1, now), current);
+});
+
+test('codes that are not six digits are refused', () => {
+  assert.equal(findMatchingTotpStep(RFC_SECRET, '12345'), null);
+  assert.equal(findMatchingTotpStep(RFC_SECRET, 'abcdef'), null);
+});
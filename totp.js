@@ -0,0 +1,78 @@
+// backend/totp.js
+// Time-based one-time passwords (RFC 6238, HMAC-SHA1) for two-factor login,
+// and the base32 encoding authenticator apps use for the shared secret.
+const crypto = require('crypto');
+
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // accept one step of clock drift either way
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(input = '') {
+  const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const idx = BASE32_ALPHABET.indexOf(char);
+    if (idx === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function generateTotpCode(secretBase32, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secretBase32)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** TOTP_DIGITS);
+  return String(binary).padStart(TOTP_DIGITS, '0');
+}
+
+// Returns the matching time step, or null. Steps at or before lastUsedStep are
+// refused so a code cannot be replayed.
+function findMatchingTotpStep(secretBase32, code, lastUsedStep = null, now = Date.now()) {
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(String(code))) return null;
+  const current = Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+  for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift += 1) {
+    const step = current + drift;
+    if (lastUsedStep !== null && lastUsedStep !== undefined && step <= lastUsedStep) continue;
+    const expected = generateTotpCode(secretBase32, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(code)))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  TOTP_STEP_SECONDS,
+  TOTP_DIGITS,
+  TOTP_WINDOW,
+  base32Encode,
+  base32Decode,
+  generateTotpCode,
+  findMatchingTotpStep,
+};